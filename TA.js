@@ -7,7 +7,10 @@ const Bottleneck = require('bottleneck');
 const { DexScreenerService } = require('./src/services/dexscreener.js');
 const { fetchTrendingPools } = require('./src/services/gecko.js');
 const { getTokenHolders, getTokenHoldersHistorical, getTokenAnalytics, getSnipers } = require('./src/services/moralis.js');
+const { recordable, isReplaying } = require('./src/services/recorder.js');
 const { isBlacklisted, initializeBlacklist } = require('./blacklist');
+const { analyzeTokenRisk } = require('./onchain');
+const { initializeConnection } = require('./wallet');
 const logger = require('./logger');
 const { BOT_CONFIG } = require('./config');
 
@@ -32,7 +35,7 @@ const BASE_URL = 'https://api.geckoterminal.com/api/v2';
 const HEADERS = { Accept: 'application/json;version=20230302' };
 const limiter = new Bottleneck({ minTime: 3000, maxConcurrent: 1 });
 
-const apiCall = async (url, retries = 5) => {
+const fetchData = async (url, retries = 5) => {
   for (let i = 0; i < retries; i++) {
     try {
       const response = await axios.get(url, { headers: HEADERS });
@@ -55,9 +58,13 @@ const apiCall = async (url, retries = 5) => {
   }
 };
 
+// API call routed through the market data recorder
+const apiCall = (url, retries = 5) => recordable('gecko', url, () => fetchData(url, retries));
+
 const fetchOHLCV = async (network, poolAddress, tokenSymbol, timeframe, aggregate = 1) => {
   const url = `${BASE_URL}/networks/${network}/pools/${poolAddress}/ohlcv/${timeframe}?aggregate=${aggregate}&limit=100`;
-  const data = await limiter.schedule(() => apiCall(url));
+  // Recorded responses don't need the GeckoTerminal rate limit
+  const data = isReplaying() ? await apiCall(url) : await limiter.schedule(() => apiCall(url));
   if (!data?.data?.attributes?.ohlcv_list) {
     logger.warn(`No OHLCV data for ${tokenSymbol} (${timeframe}${aggregate > 1 ? `:${aggregate}m` : ''})`);
     return [];
@@ -499,7 +506,19 @@ const analyzeGeckoPool = async (pool, _network, boostedSet, dexService, skipDeta
   }
 };
 
-async function performTA(dexServiceParam) {
+// Token counts at each stage of the last analysis cycle
+let lastFunnel = null;
+
+/**
+ * Get the token counts at each stage of the last analysis cycle
+ * @returns {Object|null} - { timestamp, durationMs, boosted, trending, candidates, analyzed, final } or null before the first cycle
+ */
+function getLastFunnel() {
+  return lastFunnel;
+}
+
+async function performTA(dexServiceParam, connectionParam) {
+  const cycleStart = Date.now();
   logger.infoUser('Starting advanced TA-based Solana memecoin analysis with tiered filtering...');
   const network = 'solana';
   const dexService = dexServiceParam || new DexScreenerService();
@@ -928,6 +947,27 @@ async function performTA(dexServiceParam) {
 
   logger.infoUser(`Final ${finalTokens.length} tokens after Moralis validation`);
 
+  // On-chain risk analysis (mint authorities, holder concentration)
+  // Skipped when replaying recorded data since RPC reads aren't recorded
+  if (BOT_CONFIG.ONCHAIN_RISK.ENABLED && !isReplaying() && finalTokens.length > 0) {
+    logger.infoUser('Step 5b: Analyzing on-chain token risk...');
+    const connection = connectionParam || initializeConnection();
+    const riskSettings = BOT_CONFIG.ONCHAIN_RISK;
+
+    const analyses = await Promise.all(finalTokens.map(token => analyzeTokenRisk(token, connection)));
+    finalTokens = finalTokens
+      .map((token, index) => ({ ...token, onchainRisk: analyses[index] }))
+      .filter(token => {
+        if (token.onchainRisk && token.onchainRisk.riskScore > riskSettings.MAX_RISK_SCORE) {
+          logger.info(`Dropping ${token.symbol}: on-chain risk ${token.onchainRisk.riskScore}/100 (${token.onchainRisk.reasons.join(', ')})`);
+          return false;
+        }
+        return true;
+      });
+
+    logger.infoUser(`${finalTokens.length} tokens within on-chain risk limit (max ${riskSettings.MAX_RISK_SCORE}/100)`);
+  }
+
   // Step 6: Log and Return
   // Take top 5 tokens for display
   const displayTokens = finalTokens.slice(0, 5);
@@ -977,6 +1017,9 @@ async function performTA(dexServiceParam) {
       logContent += `| Holder Change (24h): ${token.historicalHolders?.result?.length > 1 ? (token.historicalHolders.result[token.historicalHolders.result.length - 1].totalHolders - token.historicalHolders.result[0].totalHolders) : 0} (${token.holderChange24h.toFixed(2)}%)\n`;
       logContent += `| Sniper Count: ${token.snipers?.result?.length || 0}\n`;
       logContent += `| Sniper Profit: $${token.snipers?.result?.reduce((sum, s) => sum + (s.realizedProfitUsd || 0), 0).toFixed(2) || 0}\n`;
+      if (token.onchainRisk) {
+        logContent += `| On-Chain Risk: ${token.onchainRisk.riskScore}/100 (Top 10: ${token.onchainRisk.top10Percent.toFixed(2)}%, Dev: ${token.onchainRisk.devPercent.toFixed(2)}%)\n`;
+      }
       logContent += `| Score: ${token.score.toFixed(2)}/100${token.rawScore ? ` (Raw: ${token.rawScore.toFixed(2)})` : ''}\n`;
       logContent += `| Technical Indicators (1h):\n`;
       const indicators = token.indicators['hour'] || {};
@@ -998,6 +1041,16 @@ async function performTA(dexServiceParam) {
   logger.info(logContent);
   await fs.writeFile('gecko_analysis.log', logContent);
 
+  lastFunnel = {
+    timestamp: Date.now(),
+    durationMs: Date.now() - cycleStart,
+    boosted: boostedTokens.length,
+    trending: uniqueTokens.length,
+    candidates: topCandidates.length,
+    analyzed: analyzedTokens.length,
+    final: finalTokens.length
+  };
+
   logger.info('Technical analysis completed.');
   return finalTokens;
 }
@@ -1024,4 +1077,4 @@ if (require.main === module) {
 }
 
 // Export functions for use in trading.js and simulation
-module.exports = { fetchOHLCV, calculateIndicators, performTA };
\ No newline at end of file
+module.exports = { fetchOHLCV, calculateIndicators, calculateScore, performTA, getLastFunnel };
\ No newline at end of file
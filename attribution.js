@@ -0,0 +1,227 @@
+// attribution.js - Buy score attribution for the Solana Memecoin Trading Bot
+//
+// Correlates each component of the entry score breakdown (scoreDetails from the
+// strategy's evaluateEntry) with the result of the trade, to show which of the
+// BUY_CRITERIA.SCORE_WEIGHTS actually predict winners.
+//
+// Usage: node attribution.js [journal .jsonl or backtest .json file] [--from <date>] [--to <date>] [--out <file.json>]
+
+const fs = require('fs').promises;
+const path = require('path');
+const Table = require('cli-table3');
+const chalk = require('chalk');
+const { BOT_CONFIG } = require('./config');
+const { loadTradeHistory } = require('./report');
+
+// Score breakdown keys, their weight in BUY_CRITERIA.SCORE_WEIGHTS and display names
+const COMPONENTS = [
+  { key: 'tokenScore', weight: 'TOKEN_SCORE', name: 'Token Score' },
+  { key: 'momentum', weight: 'PRICE_MOMENTUM', name: 'Price Momentum' },
+  { key: 'macd', weight: 'MACD', name: 'MACD' },
+  { key: 'rsi', weight: 'RSI', name: 'RSI' },
+  { key: 'breakout', weight: 'PRICE_BREAKOUT', name: 'Price Breakout' },
+  { key: 'buySellRatio', weight: 'BUY_SELL_RATIO', name: 'Buy/Sell Ratio' },
+  { key: 'holderGrowth', weight: 'HOLDER_GROWTH', name: 'Holder Growth' },
+  { key: 'riskPenalty', weight: null, name: 'On-Chain Risk Penalty' }
+];
+
+const MIN_TRADES = 20; // Fewer trades than this are reported but not judged
+const SIGNAL_CORRELATION = 0.1; // Correlation with return needed to call a component predictive
+
+/**
+ * Mean of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number|null} - Mean, or null if empty
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Pearson correlation of two equally long series
+ * @param {Array} xs - First series
+ * @param {Array} ys - Second series
+ * @returns {number|null} - Correlation (-1 to 1), or null if either series is constant or too short
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += Math.pow(x - meanX, 2);
+    varianceY += Math.pow(ys[i] - meanY, 2);
+  });
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Win rate of a list of trades
+ * @param {Array} trades - Trades
+ * @returns {number|null} - Win rate in percent, or null if empty
+ */
+function winRate(trades) {
+  return trades.length > 0 ? (trades.filter(trade => trade.pnlSol > 0).length / trades.length) * 100 : null;
+}
+
+/**
+ * Judge a component from its correlation with trade returns
+ * @param {number} trades - Number of trades with the component
+ * @param {number|null} corr - Correlation with return
+ * @returns {string} - Verdict
+ */
+function verdict(trades, corr) {
+  if (trades < MIN_TRADES) return 'too few trades';
+  if (corr === null) return 'no variation';
+  if (corr >= SIGNAL_CORRELATION) return 'predictive';
+  if (corr <= -SIGNAL_CORRELATION) return 'inverse';
+  return 'no signal';
+}
+
+/**
+ * Correlate each score component with trade results
+ * @param {Array} trades - Completed trades with scoreDetails (see report.js loadTradeHistory)
+ * @param {Object} [weights] - Configured weights (defaults to BUY_CRITERIA.SCORE_WEIGHTS)
+ * @returns {Object} - { trades, components, entryScore }
+ */
+function analyzeAttribution(trades, weights = BOT_CONFIG.BUY_CRITERIA.SCORE_WEIGHTS) {
+  const scored = trades.filter(trade => trade.scoreDetails);
+
+  const components = COMPONENTS.map(component => {
+    const withComponent = scored.filter(trade => typeof trade.scoreDetails[component.key] === 'number');
+    const points = withComponent.map(trade => trade.scoreDetails[component.key]);
+    const returns = withComponent.map(trade => trade.returnPercent);
+    const wins = withComponent.map(trade => (trade.pnlSol > 0 ? 1 : 0));
+
+    // Win rate when the component scored above vs at or below its median
+    const sorted = [...points].sort((a, b) => a - b);
+    const median = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+    const corrReturn = correlation(points, returns);
+
+    return {
+      key: component.key,
+      name: component.name,
+      weight: component.weight ? weights[component.weight] : null,
+      trades: withComponent.length,
+      avgPointsWinners: mean(withComponent.filter(trade => trade.pnlSol > 0).map(trade => trade.scoreDetails[component.key])),
+      avgPointsLosers: mean(withComponent.filter(trade => trade.pnlSol <= 0).map(trade => trade.scoreDetails[component.key])),
+      winRateHigh: winRate(withComponent.filter(trade => trade.scoreDetails[component.key] > median)),
+      winRateLow: winRate(withComponent.filter(trade => trade.scoreDetails[component.key] <= median)),
+      corrReturn,
+      corrWin: correlation(points, wins),
+      verdict: verdict(withComponent.length, corrReturn)
+    };
+  });
+
+  const withScore = scored.filter(trade => typeof trade.entryScore === 'number');
+  const entryScore = {
+    trades: withScore.length,
+    corrReturn: correlation(withScore.map(trade => trade.entryScore), withScore.map(trade => trade.returnPercent)),
+    corrWin: correlation(withScore.map(trade => trade.entryScore), withScore.map(trade => (trade.pnlSol > 0 ? 1 : 0)))
+  };
+
+  return { trades: scored.length, components, entryScore };
+}
+
+/**
+ * Format a number or N/A
+ * @param {number|null} value - Value to format
+ * @param {number} decimals - Decimal places
+ * @param {string} suffix - Text appended to the value
+ * @returns {string} - Formatted value
+ */
+function format(value, decimals = 2, suffix = '') {
+  return typeof value === 'number' ? `${value.toFixed(decimals)}${suffix}` : 'N/A';
+}
+
+/**
+ * Color a verdict
+ * @param {string} text - Verdict
+ * @returns {string} - Colored verdict
+ */
+function colorVerdict(text) {
+  if (text === 'predictive') return chalk.green(text);
+  if (text === 'inverse') return chalk.red(text);
+  return chalk.dim(text);
+}
+
+/**
+ * Print the attribution as a terminal table
+ * @param {Object} analysis - Result of analyzeAttribution
+ * @param {string} label - Trade history source
+ */
+function printAttribution(analysis, label) {
+  console.log(chalk.bold(`\nBuy Score Attribution: ${label} (${analysis.trades} trades with a score breakdown)`));
+
+  const table = new Table({
+    head: ['Component', 'Weight', 'Avg Pts (W / L)', 'Win Rate (High / Low)', 'Corr. Return', 'Corr. Win', 'Verdict'],
+    style: { head: ['cyan'] }
+  });
+  analysis.components.forEach(component => {
+    table.push([
+      component.name,
+      component.weight !== null ? String(component.weight) : '-',
+      `${format(component.avgPointsWinners, 1)} / ${format(component.avgPointsLosers, 1)}`,
+      `${format(component.winRateHigh, 1, '%')} / ${format(component.winRateLow, 1, '%')}`,
+      format(component.corrReturn),
+      format(component.corrWin),
+      colorVerdict(component.verdict)
+    ]);
+  });
+  console.log(table.toString());
+
+  console.log(`Total entry score: corr. with return ${format(analysis.entryScore.corrReturn)}, ` +
+    `corr. with win ${format(analysis.entryScore.corrWin)} (${analysis.entryScore.trades} trades)`);
+  console.log(chalk.dim(`Win Rate (High / Low) splits trades at the component's median. ` +
+    `Components need ${MIN_TRADES}+ trades and |corr.| >= ${SIGNAL_CORRELATION} to be judged.`));
+}
+
+/**
+ * Parse command-line flags of the form --name value
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - { source, flags }
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { source: positional[0], flags };
+}
+
+async function main() {
+  const { source, flags } = parseArgs(process.argv.slice(2));
+
+  const history = await loadTradeHistory(source, { from: flags.from, to: flags.to });
+  const analysis = analyzeAttribution(history.trades);
+  printAttribution(analysis, history.label);
+
+  if (flags.out) {
+    await fs.mkdir(path.dirname(path.resolve(flags.out)), { recursive: true });
+    await fs.writeFile(flags.out, JSON.stringify(analysis, null, 2));
+    console.log(`\nAttribution written to ${flags.out}`);
+  }
+}
+
+// Only run the analysis if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Attribution failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+// Export functions for programmatic use
+module.exports = {
+  analyzeAttribution,
+  printAttribution
+};
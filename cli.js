@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// cli.js - Command-line entry point for running A.C.E without the interactive prompts
+//
+// Flags are turned into ACE_* environment overrides (see config-profiles.js) before
+// config.js is loaded, so they take precedence over the selected profile.
+//
+// Usage: ace run [--mode trading|paper|monitoring] [--profile <name>] [--once] [--network <network>]
+//                [--buy-amount <sol>] [--max-positions <n>] [--log-level <level>] [--dashboard]
+//        ace profiles
+//        ace help
+
+require('dotenv').config();
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1, // Startup failed or the single cycle errored
+  USAGE: 64, // Bad command or flag (EX_USAGE in sysexits.h)
+  CONFIG: 78 // Invalid config or profile (EX_CONFIG in sysexits.h, exited by config.js)
+};
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['once', 'dashboard', 'help'];
+
+// Flags of the run command and the ACE_* variable each one sets
+const RUN_FLAGS = {
+  mode: null,
+  profile: 'ACE_PROFILE',
+  once: null,
+  dashboard: null,
+  help: null,
+  network: 'ACE_NETWORK',
+  'buy-amount': 'ACE_BUY_AMOUNT_SOL',
+  'max-positions': 'ACE_MAX_POSITIONS',
+  'log-level': 'ACE_LOG_LEVEL'
+};
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments of the form <command> --name value --switch
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - { command, flags }
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const [name, inlineValue] = args[i].slice(2).split(/=(.*)/s);
+      if (!(name in RUN_FLAGS)) {
+        throw new UsageError(`Unknown flag: --${name}`);
+      }
+      if (BOOLEAN_FLAGS.includes(name)) {
+        flags[name] = true;
+      } else if (inlineValue !== undefined) {
+        flags[name] = inlineValue;
+      } else if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+        throw new UsageError(`--${name} requires a value`);
+      } else {
+        flags[name] = args[++i];
+      }
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  if (positional.length > 1) {
+    throw new UsageError(`Unexpected argument: ${positional[1]}`);
+  }
+  return { command: positional[0] || 'run', flags };
+}
+
+/**
+ * Check the run flags and set their environment overrides
+ * @param {Object} flags - Parsed flags
+ * @param {Object} env - Environment to write (process.env)
+ */
+function applyRunFlags(flags, env = process.env) {
+  Object.keys(flags).forEach(name => {
+    if (!(name in RUN_FLAGS)) throw new UsageError(`Unknown flag: --${name}`);
+  });
+
+  if (flags['buy-amount'] !== undefined && !(Number(flags['buy-amount']) > 0)) {
+    throw new UsageError(`--buy-amount must be a positive number of SOL (got "${flags['buy-amount']}")`);
+  }
+  if (flags['max-positions'] !== undefined && !(Number.isInteger(Number(flags['max-positions'])) && Number(flags['max-positions']) >= 1)) {
+    throw new UsageError(`--max-positions must be a whole number of at least 1 (got "${flags['max-positions']}")`);
+  }
+
+  // Range and enum checks on the rest are left to the config validation
+  Object.entries(RUN_FLAGS).forEach(([name, variable]) => {
+    if (variable && flags[name] !== undefined) {
+      env[variable] = String(flags[name]);
+    }
+  });
+}
+
+/**
+ * Display usage information
+ */
+function showUsage() {
+  console.log(`
+Usage: ace <command> [options]
+
+Commands:
+  run                       Start the bot (default)
+  profiles                  List the available config profiles
+  help                      Show this help
+
+Options for run:
+  --mode <mode>             trading, paper or monitoring (skips the mode prompt)
+  --profile <name>          Config profile from the profiles directory, or a file path
+  --once                    Run a single analysis cycle, then exit
+  --network <network>       mainnet-beta, devnet or testnet
+  --buy-amount <sol>        SOL to spend per trade
+  --max-positions <n>       Maximum number of concurrent positions
+  --log-level <level>       error, warn, info or debug
+  --dashboard               Show the full-screen dashboard
+
+Without --mode, the mode is asked for when a terminal is attached and
+defaults to monitoring otherwise.
+
+Exit codes:
+  ${EXIT_CODES.OK}   Success (or a stopped bot)
+  ${EXIT_CODES.FAILURE}   Startup failed, or the --once cycle failed
+  ${EXIT_CODES.USAGE}  Bad command or option
+  ${EXIT_CODES.CONFIG}  Invalid configuration or profile
+
+Examples:
+  ace run --mode monitoring --once
+  ace run --mode paper --profile aggressive
+  ace run --mode trading --profile conservative --buy-amount 0.05
+  `);
+}
+
+/**
+ * Start the bot with the given run flags
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<number>} - Exit code, or null if the bot keeps running
+ */
+async function run(flags) {
+  applyRunFlags(flags);
+
+  // Loaded only now so the overrides above are part of the config
+  const { MODES } = require('./mode');
+  if (flags.mode !== undefined && !Object.values(MODES).includes(flags.mode)) {
+    throw new UsageError(`--mode must be one of: ${Object.values(MODES).join(', ')} (got "${flags.mode}")`);
+  }
+
+  const { startBot } = require('./main');
+  const result = await startBot({ mode: flags.mode, once: Boolean(flags.once), dashboard: Boolean(flags.dashboard) });
+
+  if (!result.success) {
+    console.error(`A.C.E ${result.reason === 'cycle_failed' ? 'cycle' : 'startup'} failed: ${result.error || result.reason}`);
+    return EXIT_CODES.FAILURE;
+  }
+  return flags.once ? EXIT_CODES.OK : null;
+}
+
+/**
+ * List the config profiles
+ * @returns {number} - Exit code
+ */
+function profiles() {
+  const { BOT_CONFIG } = require('./config');
+  const { listProfiles } = require('./config-profiles');
+
+  const found = listProfiles(BOT_CONFIG.PROFILES_DIR);
+  if (found.length === 0) {
+    console.log(`No profiles found in ${BOT_CONFIG.PROFILES_DIR}`);
+    return EXIT_CODES.OK;
+  }
+  console.log(`Profiles in ${BOT_CONFIG.PROFILES_DIR}:`);
+  found.forEach(profile => {
+    console.log(`  ${profile.name.padEnd(24)} ${profile.description}`);
+  });
+  return EXIT_CODES.OK;
+}
+
+async function main() {
+  const { command, flags } = parseArgs(process.argv.slice(2));
+
+  if (command === 'help' || flags.help) {
+    showUsage();
+    return EXIT_CODES.OK;
+  }
+
+  switch (command) {
+    case 'run':
+      return run(flags);
+    case 'profiles':
+      return profiles();
+    default:
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+}
+
+// Only run the CLI if this file is executed directly
+if (require.main === module) {
+  main()
+    .then(code => {
+      // A running bot keeps the process alive until it receives SIGINT or SIGTERM
+      if (code !== null) process.exit(code);
+    })
+    .catch(error => {
+      if (error instanceof UsageError) {
+        console.error(`Error: ${error.message}`);
+        console.error('Run "ace help" for usage.');
+        process.exit(EXIT_CODES.USAGE);
+      }
+      console.error(`Fatal error: ${error.message}`);
+      process.exit(EXIT_CODES.FAILURE);
+    });
+}
+
+// Export functions for programmatic use
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  applyRunFlags
+};
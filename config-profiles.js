@@ -0,0 +1,576 @@
+// config-profiles.js - Config profiles, environment overrides, validation and hot reload
+//
+// config.js holds the defaults. On load they are overlaid, in this order, with:
+//   1. The profile named by BOT_CONFIG.PROFILE (env ACE_PROFILE): a JSON or YAML file in
+//      BOT_CONFIG.PROFILES_DIR (or a path) of the form { name, description, overrides: {...} }
+//   2. ACE_* environment variables, one per key, nested with double underscores:
+//      ACE_MAX_POSITIONS=2, ACE_SELL_CRITERIA__TRAILING_STOP__PERCENT=4, ACE_TA_CONFIG__RSI_PERIOD=10
+//      Arrays and objects are given as JSON.
+// The result is validated, and invalid or contradictory values stop the bot at startup.
+// While the bot runs, edits to the profile file are validated and the strategy
+// parameters in RELOADABLE_KEYS are applied without a restart.
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const ENV_PREFIX = 'ACE_'; // Environment overrides; variables naming no setting are warned about and ignored
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const WATCH_INTERVAL_MS = 2000;
+const EXIT_CODE = 78; // Process exit code for an invalid config (EX_CONFIG in sysexits.h)
+
+// Keys that take effect without a restart when the profile changes
+const RELOADABLE_KEYS = ['STRATEGY', 'BUY_AMOUNT_SOL', 'POSITION_SIZING', 'BUY_CRITERIA', 'SELL_CRITERIA'];
+
+// Keys removed from config.js and where their value lives now
+const MOVED_KEYS = {
+  MIN_SCORE: 'BUY_CRITERIA.MIN_SCORE',
+  PROFIT_TARGET_PERCENT: 'SELL_CRITERIA.PROFIT_TARGET',
+  STOP_LOSS_PERCENT: 'SELL_CRITERIA.STOP_LOSS (as a negative percentage)',
+  TRAILING_STOP_ATR_MULTIPLIER: 'SELL_CRITERIA.TRAILING_STOP.ATR_MULTIPLIER'
+};
+
+// Numeric limits: gt/gte/lt/lte bounds and whether the value must be a whole number
+const RANGES = {
+  ANALYSIS_INTERVAL_MINUTES: { gt: 0 },
+  MAX_POSITIONS: { gte: 1, integer: true },
+  POSITION_CHECK_INTERVAL_SECONDS: { gt: 0 },
+  MIN_LIQUIDITY_USD: { gte: 0 },
+  MIN_VOLUME_USD: { gte: 0 },
+  BUY_AMOUNT_SOL: { gt: 0 },
+  SLIPPAGE_BPS: { gt: 0, lte: 10000, integer: true },
+  MINIMUM_SOL_BALANCE: { gte: 0 },
+  'RISK_LIMITS.MAX_DAILY_LOSS_SOL': { gt: 0 },
+  'RISK_LIMITS.MAX_CONSECUTIVE_LOSSES': { gte: 1, integer: true },
+  'RISK_LIMITS.MAX_DRAWDOWN_PERCENT': { gt: 0, lte: 100 },
+  'RISK_LIMITS.COOLDOWN_MINUTES': { gte: 0 },
+  'SAFETY_CHECKS.MAX_ROUND_TRIP_LOSS_PERCENT': { gte: 0, lte: 100 },
+  'SAFETY_CHECKS.MAX_PRICE_IMPACT_PERCENT': { gte: 0, lte: 100 },
+  'SAFETY_CHECKS.MAX_TRANSFER_FEE_PERCENT': { gte: 0, lte: 100 },
+  'SAFETY_CHECKS.MIN_LP_BURNED_PERCENT': { gte: 0, lte: 100 },
+  'ONCHAIN_RISK.MAX_RISK_SCORE': { gte: 0, lte: 100 },
+  'ONCHAIN_RISK.TOP10_SAFE_PERCENT': { gte: 0, lte: 100 },
+  'ONCHAIN_RISK.TOP10_MAX_PERCENT': { gte: 0, lte: 100 },
+  'ONCHAIN_RISK.DEV_MAX_PERCENT': { gt: 0, lte: 100 },
+  'ONCHAIN_RISK.CACHE_MINUTES': { gte: 0 },
+  'CONTROL_API.PORT': { gte: 1, lte: 65535, integer: true },
+  'DASHBOARD.REFRESH_SECONDS': { gt: 0 },
+  'SOL_PRICE.REFRESH_SECONDS': { gt: 0 },
+  'POSITION_SIZING.EQUITY_PERCENT': { gt: 0, lte: 100 },
+  'POSITION_SIZING.RISK_PER_TRADE_PERCENT': { gt: 0, lte: 100 },
+  'POSITION_SIZING.ATR_STOP_MULTIPLE': { gt: 0 },
+  'POSITION_SIZING.SCORE_SCALING.SCORE_FLOOR': { gte: 0, lt: 100 },
+  'POSITION_SIZING.SCORE_SCALING.MIN_MULTIPLIER': { gte: 0 },
+  'POSITION_SIZING.SCORE_SCALING.MAX_MULTIPLIER': { gt: 0 },
+  'POSITION_SIZING.MIN_AMOUNT_SOL': { gte: 0 },
+  'POSITION_SIZING.MAX_AMOUNT_SOL': { gt: 0 },
+  'POSITION_SIZING.MAX_LIQUIDITY_PERCENT': { gt: 0, lte: 100 },
+  'QUOTE_GUARD.MAX_BUY_PRICE_IMPACT_PERCENT': { gte: 0, lte: 100 },
+  'QUOTE_GUARD.MAX_BUY_DEVIATION_PERCENT': { gte: 0 },
+  'QUOTE_GUARD.MAX_SELL_PRICE_IMPACT_PERCENT': { gte: 0, lte: 100 },
+  'QUOTE_GUARD.MAX_SELL_DEVIATION_PERCENT': { gte: 0, lte: 100 },
+  'TX_TRACKER.POLL_INTERVAL_MS': { gte: 100, integer: true },
+  'TX_TRACKER.TIMEOUT_SECONDS': { gt: 0 },
+  'SELL_RETRY.MAX_ATTEMPTS': { gte: 1, integer: true },
+  'SELL_RETRY.EMERGENCY_MAX_ATTEMPTS': { gte: 1, integer: true },
+  'SELL_RETRY.EMERGENCY_MAX_SECONDS': { gt: 0 },
+  'SELL_RETRY.SLIPPAGE_STEP_BPS': { gte: 0, lt: 10000, integer: true },
+  'SELL_RETRY.MAX_SLIPPAGE_BPS': { gt: 0, lt: 10000, integer: true },
+  'SELL_RETRY.PRIORITY_FEE_LAMPORTS': { gte: 0, integer: true },
+  'SELL_RETRY.PRIORITY_FEE_MULTIPLIER': { gte: 1 },
+  'SELL_RETRY.MAX_PRIORITY_FEE_LAMPORTS': { gte: 0, integer: true },
+  'SELL_RETRY.MIN_CHUNK_PERCENT': { gt: 0, lte: 100 },
+  'SELL_RETRY.RETRY_DELAY_MS': { gte: 0, integer: true },
+  'PAPER.STARTING_BALANCE_SOL': { gt: 0 },
+  'PAPER.SLIPPAGE_BPS': { gte: 0, lt: 10000 },
+  'PAPER.FEE_LAMPORTS': { gte: 0, integer: true },
+  'BUY_CRITERIA.MIN_SCORE': { gt: 0, lte: 100 },
+  'BUY_CRITERIA.MIN_PRICE_CHANGE_5M': { gt: 0 },
+  'BUY_CRITERIA.MAX_RSI': { gte: 0, lte: 100 },
+  'BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M': { gt: 1 },
+  'BUY_CRITERIA.MIN_TOTAL_SCORE': { gte: 0, lte: 100 },
+  'BUY_CRITERIA.RISK_PENALTY': { gte: 0 },
+  'BUY_CRITERIA.BONUS.BONUS_POINTS': { gte: 0 },
+  'SELL_CRITERIA.PROFIT_TARGET': { gt: 0 },
+  'SELL_CRITERIA.STOP_LOSS': { gt: -100, lt: 0 },
+  'SELL_CRITERIA.MAX_RSI': { gte: 0, lte: 100 },
+  'SELL_CRITERIA.TRAILING_STOP.ATR_MULTIPLIER': { gt: 0 },
+  'SELL_CRITERIA.TRAILING_STOP.PERCENT': { gt: 0, lt: 100 },
+  'TA_CONFIG.RSI_PERIOD': { gte: 2, integer: true },
+  'TA_CONFIG.RSI_OVERBOUGHT': { gte: 0, lte: 100 },
+  'TA_CONFIG.RSI_OVERSOLD': { gte: 0, lte: 100 },
+  'TA_CONFIG.MACD_FAST_PERIOD': { gte: 1, integer: true },
+  'TA_CONFIG.MACD_SLOW_PERIOD': { gte: 1, integer: true },
+  'TA_CONFIG.MACD_SIGNAL_PERIOD': { gte: 1, integer: true },
+  'TA_CONFIG.BOLLINGER_PERIOD': { gte: 2, integer: true },
+  'TA_CONFIG.BOLLINGER_STD_DEV': { gt: 0 }
+};
+
+// Allowed values of string settings
+const ENUMS = {
+  NETWORK: ['mainnet-beta', 'devnet', 'testnet'],
+  MARKET_DATA_MODE: ['live', 'record', 'replay'],
+  LOG_LEVEL: ['error', 'warn', 'info', 'debug'], // The levels logger.js maps
+  'POSITION_SIZING.METHOD': ['fixed', 'percent-equity', 'volatility', 'score']
+};
+
+// Loaded state, kept for hot reload
+const state = {
+  defaults: null, // Copy of config.js before any profile or environment override
+  profilePath: null, // Resolved path of the active profile
+  watchedPath: null, // Profile file being watched for changes
+  warnings: [], // Ignored ACE_* environment variables of the last build
+  adjustments: [] // Runtime changes to the loaded config (e.g. paper storage paths), reapplied on reload
+};
+
+/**
+ * Error thrown when the configuration is invalid
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array} errors - Problems found
+   */
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Deep copy of plain config data
+ * @param {*} value - Value to copy
+ * @returns {*} - Copy
+ */
+function clone(value) {
+  return structuredClone(value);
+}
+
+/**
+ * Whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describe the type of a config value
+ * @param {*} value - Value
+ * @returns {string} - number, boolean, string, array, object or unset
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) return 'unset';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Convert an environment variable string to the type of the value it replaces
+ * @param {string} raw - Environment variable value
+ * @param {string} type - Type of the current value
+ * @returns {*} - Converted value, or undefined if it can't be converted
+ */
+function coerce(raw, type) {
+  switch (type) {
+    case 'number': {
+      const number = Number(raw);
+      return raw.trim() !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      return raw === 'true' ? true : (raw === 'false' ? false : undefined);
+    case 'array':
+    case 'object':
+      try {
+        const parsed = JSON.parse(raw);
+        return typeOf(parsed) === type ? parsed : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Overlay overrides onto a config object in place
+ * Unknown keys and values of the wrong type are reported, not applied. Unknown keys from the
+ * environment are only warned about, since other software may use ACE_* variables too.
+ * @param {Object} target - Config object to modify
+ * @param {Object} overrides - Nested overrides
+ * @param {string} prefix - Path of target, for error messages
+ * @param {Array} errors - Collects problems found
+ * @param {boolean} fromEnv - Whether values are environment variable strings to convert
+ */
+function applyOverrides(target, overrides, prefix, errors, fromEnv = false) {
+  Object.entries(overrides).forEach(([key, value]) => {
+    const keyPath = `${prefix}${key}`;
+    if (!(key in target)) {
+      const moved = MOVED_KEYS[keyPath];
+      if (moved) {
+        errors.push(`${keyPath} was removed; set ${moved} instead`);
+      } else if (fromEnv) {
+        state.warnings.push(`${ENV_PREFIX}${keyPath.replace(/\./g, '__')} is not a known setting, ignoring it`);
+      } else {
+        errors.push(`${keyPath} is not a known setting`);
+      }
+      return;
+    }
+
+    const current = target[key];
+    const type = typeOf(current);
+    if (type === 'object' && isPlainObject(value)) {
+      applyOverrides(current, value, `${keyPath}.`, errors, fromEnv);
+      return;
+    }
+
+    const next = fromEnv && typeof value === 'string' ? coerce(value, type) : value;
+    if (next === undefined || (type !== 'unset' && typeOf(next) !== type)) {
+      errors.push(`${keyPath} must be ${type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`} (got ${JSON.stringify(value)})`);
+      return;
+    }
+    target[key] = clone(next);
+  });
+}
+
+/**
+ * Collect ACE_* environment variables as nested overrides
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} - Nested overrides of raw strings
+ */
+function envOverrides(env) {
+  const overrides = {};
+  Object.keys(env)
+    .filter(name => name.startsWith(ENV_PREFIX))
+    .forEach(name => {
+      const keys = name.slice(ENV_PREFIX.length).split('__');
+      let node = overrides;
+      keys.slice(0, -1).forEach(key => {
+        node[key] = isPlainObject(node[key]) ? node[key] : {};
+        node = node[key];
+      });
+      node[keys[keys.length - 1]] = env[name];
+    });
+  return overrides;
+}
+
+/**
+ * Find a profile file by name or path
+ * @param {string} profile - Profile name (looked up in dir) or file path
+ * @param {string} dir - Profiles directory
+ * @returns {string|null} - Profile file path, or null if not found
+ */
+function resolveProfilePath(profile, dir) {
+  const candidates = [profile, ...PROFILE_EXTENSIONS.map(ext => path.join(dir, `${profile}${ext}`))];
+  return candidates.find(candidate => PROFILE_EXTENSIONS.includes(path.extname(candidate)) && fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Read a profile file
+ * @param {string} filePath - JSON or YAML profile
+ * @returns {Object} - Parsed profile
+ */
+function readProfile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const profile = path.extname(filePath) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  if (!isPlainObject(profile) || !isPlainObject(profile.overrides)) {
+    throw new Error(`${filePath} must contain an "overrides" object`);
+  }
+  return profile;
+}
+
+/**
+ * List the profiles in a directory
+ * @param {string} dir - Profiles directory
+ * @returns {Array} - [{ name, description, path }]
+ */
+function listProfiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file)))
+    .map(file => {
+      const filePath = path.join(dir, file);
+      try {
+        const profile = readProfile(filePath);
+        return { name: path.basename(file, path.extname(file)), description: profile.description || '', path: filePath };
+      } catch (error) {
+        return { name: path.basename(file, path.extname(file)), description: `Unreadable: ${error.message}`, path: filePath };
+      }
+    });
+}
+
+/**
+ * Get a value by dotted path
+ * @param {Object} root - Object to read
+ * @param {string} dottedPath - Path such as SELL_CRITERIA.STOP_LOSS
+ * @returns {*} - Value, or undefined
+ */
+function getPath(root, dottedPath) {
+  return dottedPath.split('.').reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), root);
+}
+
+/**
+ * Check a configuration for invalid or contradictory values
+ * @param {Object} botConfig - BOT_CONFIG (with BUY_CRITERIA and SELL_CRITERIA)
+ * @param {Object} taConfig - TA_CONFIG
+ * @returns {Array} - Problems found (empty if valid)
+ */
+function validateConfig(botConfig, taConfig) {
+  const errors = [];
+  const root = { ...botConfig, TA_CONFIG: taConfig };
+
+  // Ranges and allowed values
+  Object.entries(RANGES).forEach(([keyPath, range]) => {
+    const value = getPath(root, keyPath);
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${keyPath} must be a number (got ${JSON.stringify(value)})`);
+      return;
+    }
+    if (range.integer && !Number.isInteger(value)) errors.push(`${keyPath} must be a whole number (got ${value})`);
+    if (range.gt !== undefined && !(value > range.gt)) errors.push(`${keyPath} must be greater than ${range.gt} (got ${value})`);
+    if (range.gte !== undefined && !(value >= range.gte)) errors.push(`${keyPath} must be at least ${range.gte} (got ${value})`);
+    if (range.lt !== undefined && !(value < range.lt)) errors.push(`${keyPath} must be less than ${range.lt} (got ${value})`);
+    if (range.lte !== undefined && !(value <= range.lte)) errors.push(`${keyPath} must be at most ${range.lte} (got ${value})`);
+  });
+  Object.entries(ENUMS).forEach(([keyPath, allowed]) => {
+    const value = getPath(root, keyPath);
+    if (value !== undefined && !allowed.includes(value)) {
+      errors.push(`${keyPath} must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+  });
+
+  // Buy scoring: the threshold must be reachable
+  const buy = botConfig.BUY_CRITERIA;
+  const weights = Object.entries(buy.SCORE_WEIGHTS || {});
+  weights.filter(([, weight]) => !(weight >= 0)).forEach(([name, weight]) =>
+    errors.push(`BUY_CRITERIA.SCORE_WEIGHTS.${name} must be at least 0 (got ${weight})`));
+  const totalWeight = weights.reduce((sum, [, weight]) => sum + (weight > 0 ? weight : 0), 0);
+  if (buy.SCORING_ENABLED && buy.MIN_TOTAL_SCORE > totalWeight) {
+    errors.push(`BUY_CRITERIA.MIN_TOTAL_SCORE (${buy.MIN_TOTAL_SCORE}) is higher than the SCORE_WEIGHTS add up to (${totalWeight})`);
+  }
+
+  // Tiered profit taking: sell at most the whole position, below the final profit target
+  const sell = botConfig.SELL_CRITERIA;
+  const tiered = sell.TIERED_PROFIT_TAKING;
+  if (tiered?.ENABLED) {
+    const tiers = Array.isArray(tiered.TIERS) ? tiered.TIERS : [];
+    tiers.forEach((tier, i) => {
+      if (!(tier.PERCENT > 0)) errors.push(`SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS[${i}].PERCENT must be greater than 0`);
+      if (!(tier.POSITION_PERCENT > 0 && tier.POSITION_PERCENT <= 100)) {
+        errors.push(`SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS[${i}].POSITION_PERCENT must be between 0 and 100`);
+      }
+      if (tier.PERCENT >= sell.PROFIT_TARGET) {
+        errors.push(`SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS[${i}].PERCENT (${tier.PERCENT}%) must be below PROFIT_TARGET (${sell.PROFIT_TARGET}%)`);
+      }
+    });
+    const totalPercent = tiers.reduce((sum, tier) => sum + (tier.POSITION_PERCENT || 0), 0);
+    if (totalPercent > 100) {
+      errors.push(`SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS sell ${totalPercent}% of the position, more than 100%`);
+    }
+    if (new Set(tiers.map(tier => tier.PERCENT)).size !== tiers.length) {
+      errors.push('SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS must have different PERCENT values');
+    }
+  }
+  (sell.TRAILING_STOP?.DYNAMIC_ATR_MULTIPLIERS || []).forEach((level, i) => {
+    if (!(level.MULTIPLIER > 0)) errors.push(`SELL_CRITERIA.TRAILING_STOP.DYNAMIC_ATR_MULTIPLIERS[${i}].MULTIPLIER must be greater than 0`);
+  });
+
+  // Pairs that must be in order
+  const ordered = [
+    ['POSITION_SIZING.MIN_AMOUNT_SOL', 'POSITION_SIZING.MAX_AMOUNT_SOL'],
+    ['POSITION_SIZING.SCORE_SCALING.MIN_MULTIPLIER', 'POSITION_SIZING.SCORE_SCALING.MAX_MULTIPLIER'],
+    ['ONCHAIN_RISK.TOP10_SAFE_PERCENT', 'ONCHAIN_RISK.TOP10_MAX_PERCENT'],
+    ['TA_CONFIG.RSI_OVERSOLD', 'TA_CONFIG.RSI_OVERBOUGHT'],
+    ['TA_CONFIG.MACD_FAST_PERIOD', 'TA_CONFIG.MACD_SLOW_PERIOD']
+  ];
+  ordered.forEach(([lowPath, highPath]) => {
+    const low = getPath(root, lowPath);
+    const high = getPath(root, highPath);
+    if (typeof low === 'number' && typeof high === 'number' && low > high) {
+      errors.push(`${lowPath} (${low}) must not be greater than ${highPath} (${high})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Overlay the profile and environment onto config objects and validate the result
+ * @param {Object} botConfig - BOT_CONFIG to modify
+ * @param {Object} taConfig - TA_CONFIG to modify
+ * @param {Object} env - Environment (process.env)
+ * @returns {Array} - Problems found
+ */
+function buildConfig(botConfig, taConfig, env) {
+  const errors = [];
+  state.warnings = [];
+
+  const apply = (overrides, fromEnv) => {
+    const { TA_CONFIG: taOverrides, ...botOverrides } = overrides;
+    applyOverrides(botConfig, botOverrides, '', errors, fromEnv);
+    if (taOverrides !== undefined) {
+      if (isPlainObject(taOverrides)) {
+        applyOverrides(taConfig, taOverrides, 'TA_CONFIG.', errors, fromEnv);
+      } else {
+        errors.push('TA_CONFIG must be set key by key');
+      }
+    }
+  };
+
+  // The profile is chosen by the defaults or the environment, before either is applied
+  const environment = envOverrides(env);
+  const profile = typeof environment.PROFILE === 'string' && environment.PROFILE ? environment.PROFILE : botConfig.PROFILE;
+  state.profilePath = null;
+  if (profile) {
+    const profilePath = resolveProfilePath(profile, botConfig.PROFILES_DIR);
+    if (!profilePath) {
+      errors.push(`Profile "${profile}" not found in ${botConfig.PROFILES_DIR} (${PROFILE_EXTENSIONS.join(', ')})`);
+    } else {
+      try {
+        apply(readProfile(profilePath).overrides, false);
+        state.profilePath = profilePath;
+      } catch (error) {
+        errors.push(`Profile ${profilePath}: ${error.message}`);
+      }
+    }
+  }
+
+  apply(environment, true);
+  botConfig.PROFILE = profile || null;
+
+  return [...errors, ...validateConfig(botConfig, taConfig)];
+}
+
+/**
+ * Apply the active profile and ACE_* environment overrides to the config at startup
+ * @param {Object} botConfig - BOT_CONFIG
+ * @param {Object} taConfig - TA_CONFIG
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @throws {ConfigError} - If the result is invalid
+ */
+function loadConfig(botConfig, taConfig, env = process.env) {
+  state.defaults = { BOT_CONFIG: clone(botConfig), TA_CONFIG: clone(taConfig) };
+  const errors = buildConfig(botConfig, taConfig, env);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  // The logger isn't loaded yet (it reads this config)
+  state.warnings.forEach(warning => console.warn(`Config: ${warning}`));
+}
+
+/**
+ * Change the loaded config at runtime, e.g. to redirect paper mode's storage
+ * The change is reapplied to every reloaded profile, so the settings it owns aren't reported as changed.
+ * @param {Object} botConfig - Live BOT_CONFIG
+ * @param {Function} adjust - Function that updates a BOT_CONFIG in place
+ */
+function adjustConfig(botConfig, adjust) {
+  adjust(botConfig);
+  state.adjustments.push(adjust);
+}
+
+/**
+ * Replace the contents of a config object in place, so existing references see the change
+ * @param {Object} target - Object to update
+ * @param {Object} source - New contents
+ */
+function replaceContents(target, source) {
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, clone(source));
+}
+
+/**
+ * Re-read the active profile and apply changed strategy parameters
+ * Other changed settings are reported as needing a restart.
+ * @param {Object} botConfig - Live BOT_CONFIG
+ * @param {Object} taConfig - Live TA_CONFIG
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object} - { success, applied, restartRequired, errors }
+ */
+function reloadConfig(botConfig, taConfig, env = process.env) {
+  // Required here: logger.js loads config.js, which loads this module
+  const logger = require('./logger');
+
+  const candidate = clone(state.defaults.BOT_CONFIG);
+  const candidateTa = clone(state.defaults.TA_CONFIG);
+  const errors = buildConfig(candidate, candidateTa, env);
+  if (errors.length > 0) {
+    logger.warn(`Config profile not reloaded, keeping the current settings:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    return { success: false, applied: [], restartRequired: [], errors };
+  }
+  state.adjustments.forEach(adjust => adjust(candidate));
+
+  const changed = Object.keys(candidate).filter(key => JSON.stringify(candidate[key]) !== JSON.stringify(botConfig[key]));
+  const applied = changed.filter(key => RELOADABLE_KEYS.includes(key));
+  const restartRequired = changed.filter(key => !RELOADABLE_KEYS.includes(key));
+  if (JSON.stringify(candidateTa) !== JSON.stringify(taConfig)) restartRequired.push('TA_CONFIG');
+
+  applied.forEach(key => {
+    if (isPlainObject(botConfig[key])) {
+      replaceContents(botConfig[key], candidate[key]);
+    } else {
+      botConfig[key] = candidate[key];
+    }
+  });
+
+  if (applied.length > 0) {
+    logger.info(`Config profile reloaded: ${applied.join(', ')} updated`);
+  }
+  if (restartRequired.length > 0) {
+    logger.warn(`Config profile changes to ${restartRequired.join(', ')} take effect after a restart`);
+  }
+  return { success: true, applied, restartRequired, errors: [] };
+}
+
+/**
+ * Watch the active profile file and reload it when it changes
+ * @param {Object} botConfig - Live BOT_CONFIG
+ * @param {Object} taConfig - Live TA_CONFIG
+ * @returns {boolean} - True if a profile is being watched
+ */
+function watchConfig(botConfig, taConfig) {
+  const logger = require('./logger');
+  if (state.watchedPath) return true;
+  if (!state.profilePath) {
+    logger.debug('No config profile active, hot reload disabled');
+    return false;
+  }
+
+  const profilePath = state.profilePath;
+  fs.watchFile(profilePath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    logger.info(`Config profile ${profilePath} changed, reloading...`);
+    try {
+      reloadConfig(botConfig, taConfig);
+    } catch (error) {
+      logger.error(`Error reloading config profile: ${error.message}`);
+    }
+  });
+  state.watchedPath = state.profilePath;
+  logger.info(`Watching config profile ${profilePath} for changes`);
+  return true;
+}
+
+/**
+ * Stop watching the active profile file
+ */
+function unwatchConfig() {
+  if (!state.watchedPath) return;
+  fs.unwatchFile(state.watchedPath);
+  state.watchedPath = null;
+}
+
+module.exports = {
+  ConfigError,
+  EXIT_CODE,
+  RELOADABLE_KEYS,
+  loadConfig,
+  validateConfig,
+  reloadConfig,
+  adjustConfig,
+  watchConfig,
+  unwatchConfig,
+  listProfiles
+};
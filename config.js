@@ -1,6 +1,7 @@
 // config.js - Configuration settings for the Solana Memecoin Trading Bot
 
 require('dotenv').config();
+const { loadConfig, EXIT_CODE: CONFIG_EXIT_CODE } = require('./config-profiles');
 
 // Bot operation settings
 const BOT_CONFIG = {
@@ -12,23 +13,156 @@ const BOT_CONFIG = {
   MAX_POSITIONS: 1, // Maximum number of concurrent positions
   POSITION_CHECK_INTERVAL_SECONDS: 7, // How often to check positions (in seconds)
 
+  // Strategy settings
+  STRATEGY: 'momentum-score', // Entry/exit strategy from strategies/ (see strategies/index.js)
+  PROFILE: null, // Config profile applied over these defaults (env ACE_PROFILE, see config-profiles.js)
+  PROFILES_DIR: './profiles', // Config profiles: JSON or YAML files, e.g. written by simulation/optimizer.js
+
   // Token filtering settings
   MIN_LIQUIDITY_USD: 20000, // Minimum liquidity in USD
   MIN_VOLUME_USD: 20000, // Minimum 24h volume in USD
-  MIN_SCORE: 60, // Minimum score (0-100) for buy consideration
 
   // Blacklist settings
   BLACKLIST_ENABLED: true, // Enable token blacklist feature
   BLACKLIST_FILE: './data/blacklist.json', // File to store blacklisted tokens
 
+  // Position store settings
+  POSITIONS_FILE: './data/positions.json', // File to persist open positions across restarts
+
+  // Market data recorder settings
+  MARKET_DATA_MODE: process.env.MARKET_DATA_MODE || 'live', // live, record (save raw API responses) or replay (serve saved responses)
+  MARKET_DATA_DIR: './data/recordings', // Directory for recorded API responses
+  MARKET_DATA_REPLAY_PATH: process.env.MARKET_DATA_REPLAY_PATH, // Recording file or directory to replay (defaults to MARKET_DATA_DIR)
+
+  // Risk governor settings (see risk.js)
+  RISK_LIMITS: {
+    ENABLED: true, // Pause new entries when a limit is hit
+    MAX_DAILY_LOSS_SOL: 0.25, // Max realized + unrealized loss per UTC day
+    MAX_CONSECUTIVE_LOSSES: 4, // Max losing sells in a row
+    MAX_DRAWDOWN_PERCENT: 20, // Max drop of equity from its peak
+    FORCE_EXIT: false, // Also sell all open positions when a limit is hit
+    COOLDOWN_MINUTES: 120 // Resume automatically after this long (0 = manual reset only)
+  },
+  RISK_STATE_FILE: './data/risk-state.json', // File to persist risk governor state across restarts
+
+  // Pre-trade honeypot and sellability checks (see safety.js)
+  SAFETY_CHECKS: {
+    ENABLED: true, // Run the checks before every buy
+    MAX_ROUND_TRIP_LOSS_PERCENT: 15, // Max loss when quoting a buy and selling it straight back
+    MAX_PRICE_IMPACT_PERCENT: 10, // Max price impact of the reverse (sell) quote
+    MAX_TRANSFER_FEE_PERCENT: 0, // Max Token-2022 transfer fee
+    REJECT_MINT_AUTHORITY: true, // Reject tokens whose supply can still be minted
+    REJECT_FREEZE_AUTHORITY: true, // Reject tokens whose accounts can still be frozen
+    MIN_LP_BURNED_PERCENT: 90, // Min share of LP tokens burned (Raydium AMM v4 pools only)
+    REJECT_UNKNOWN_LP_STATUS: false, // Reject tokens whose LP status can't be read
+    AUTO_BLACKLIST: true // Blacklist tokens that definitely fail a check
+  },
+
+  // On-chain token risk analysis (see onchain.js)
+  ONCHAIN_RISK: {
+    ENABLED: true, // Analyze mint authorities and holder concentration of final tokens
+    MAX_RISK_SCORE: 70, // Drop tokens rated above this (0 = low risk, 100 = high risk)
+    TOP10_SAFE_PERCENT: 20, // Top 10 holder share (excluding pool vaults) that adds no risk
+    TOP10_MAX_PERCENT: 60, // Top 10 holder share that adds the full concentration weight
+    DEV_MAX_PERCENT: 10, // Dev wallet share that adds the full dev weight
+    CACHE_MINUTES: 10, // How long an analysis is reused
+    WEIGHTS: { // Risk points per factor (total: 100)
+      MINT_AUTHORITY: 30,
+      FREEZE_AUTHORITY: 20,
+      TOP10_CONCENTRATION: 30,
+      DEV_SHARE: 20
+    }
+  },
+
+  // Local HTTP control API (see control-api.js)
+  CONTROL_API: {
+    ENABLED: process.env.CONTROL_API_ENABLED === 'true', // Start the API with the bot
+    HOST: process.env.CONTROL_API_HOST || '127.0.0.1', // Keep on localhost unless behind a proxy
+    PORT: parseInt(process.env.CONTROL_API_PORT, 10) || 8787,
+    TOKEN: process.env.CONTROL_API_TOKEN // Bearer token required on every request
+  },
+
+  // Terminal dashboard (see dashboard.js, or start with `npm run dashboard`)
+  DASHBOARD: {
+    ENABLED: process.env.DASHBOARD === 'true', // Full-screen dashboard instead of scrolling output
+    REFRESH_SECONDS: 5, // Redraw interval between position monitoring ticks
+    BALANCE_REFRESH_SECONDS: 30, // How often the wallet balance is refreshed
+    TRADES_SHOWN: 8, // Number of recent trades shown
+    LOG_LINES: 8 // Number of captured log lines shown
+  },
+
+  // SOL/USD price feed (see price-oracle.js)
+  SOL_PRICE: {
+    REFRESH_SECONDS: 30, // How often the background feed refreshes the price
+    MAX_AGE_SECONDS: 120, // Refresh on demand when the cached price is older than this
+    FALLBACK_USD: 150, // Used only until a price has ever been fetched
+    CACHE_FILE: './data/sol-price.json' // Last known price, kept across restarts
+  },
+
+  // Trade journal (see journal.js, or query it with journal-cli.js)
+  JOURNAL: {
+    ENABLED: true, // Keep one lifecycle record per position
+    FILE: './data/trade-journal.jsonl', // Closed trades, one JSON record per line
+    OPEN_FILE: './data/trade-journal-open.json' // Records of open positions, kept across restarts
+  },
+
   // Trade execution settings
   BUY_AMOUNT_SOL: 0.08, // Amount of SOL to use per trade
   SLIPPAGE_BPS: 500, // Slippage tolerance in basis points (5%)
 
-  // Exit settings
-  PROFIT_TARGET_PERCENT: 15, // Take profit at 15% gain
-  STOP_LOSS_PERCENT: 7, // Stop loss at 7% loss
-  TRAILING_STOP_ATR_MULTIPLIER: 2.5, // Trailing stop at 2.5 * ATR
+  // Check of every swap's order before it is signed (see quote-guard.js)
+  QUOTE_GUARD: {
+    ENABLED: true, // Abort swaps whose order breaks a limit below
+    MAX_BUY_PRICE_IMPACT_PERCENT: 5, // Max price impact of a buy order
+    MAX_BUY_DEVIATION_PERCENT: 10, // Max by which a buy order's price may exceed DexScreener's priceUsd
+    MAX_SELL_PRICE_IMPACT_PERCENT: 25, // Max price impact of a sell order
+    MAX_SELL_DEVIATION_PERCENT: 30 // Max by which a sell order's price may fall short of DexScreener's priceUsd
+  },
+
+  // Following sent swaps until they land (see tx-tracker.js)
+  TX_TRACKER: {
+    POLL_INTERVAL_MS: 2000, // Time between signature status checks
+    TIMEOUT_SECONDS: 120 // Give up on a transaction still unseen after this long, even if its blockhash is valid
+  },
+
+  // Retry ladder of sells (see exit-executor.js)
+  SELL_RETRY: {
+    MAX_ATTEMPTS: 3, // Attempts of a sell before it waits for the next position check
+    EMERGENCY_MAX_ATTEMPTS: 10, // Attempts of an emergency exit (stop loss, holder decrease, risk governor force exit)
+    EMERGENCY_MAX_SECONDS: 300, // Hard time limit of an emergency exit
+    EMERGENCY_OVERRIDES_QUOTE_GUARD: true, // Emergency exits still sell when the order's price is off the market price
+    SLIPPAGE_STEP_BPS: 500, // Slippage tolerance added per retry
+    MAX_SLIPPAGE_BPS: 3000, // Highest slippage tolerance of a retry
+    PRIORITY_FEE_LAMPORTS: 1000000, // Max priority fee of the first retry (retries go through the Swap API)
+    PRIORITY_FEE_MULTIPLIER: 2, // Growth of the max priority fee per retry
+    MAX_PRIORITY_FEE_LAMPORTS: 10000000, // Highest max priority fee of a retry
+    MIN_CHUNK_PERCENT: 12.5, // Smallest chunk a sell that fails on size is split into, as a share of the amount
+    RETRY_DELAY_MS: 1000 // Pause between attempts
+  },
+
+  // Position sizing settings (see sizing.js)
+  POSITION_SIZING: {
+    METHOD: 'fixed', // fixed (BUY_AMOUNT_SOL), percent-equity, volatility or score
+    EQUITY_PERCENT: 5, // percent-equity: share of wallet equity per trade
+    RISK_PER_TRADE_PERCENT: 1, // volatility: share of equity risked per trade
+    ATR_STOP_MULTIPLE: 2.5, // volatility: stop distance in ATRs the risk budget is based on
+    SCORE_SCALING: {
+      SCORE_FLOOR: 60, // score: score at which MIN_MULTIPLIER applies
+      MIN_MULTIPLIER: 0.5, // score: multiplier of BUY_AMOUNT_SOL at SCORE_FLOOR
+      MAX_MULTIPLIER: 2.0 // score: multiplier of BUY_AMOUNT_SOL at a score of 100
+    },
+    MIN_AMOUNT_SOL: 0.02, // Skip the trade if the size ends up below this
+    MAX_AMOUNT_SOL: 0.5, // Never spend more than this per trade
+    MAX_LIQUIDITY_PERCENT: 1 // Never spend more than this share of pool liquidity
+  },
+
+  // Paper trading (--mode paper): the live trading pipeline against a virtual wallet (see src/services/paper.js)
+  PAPER: {
+    STARTING_BALANCE_SOL: 10, // Virtual SOL balance of a new paper wallet
+    SLIPPAGE_BPS: 100, // Modeled slippage between the quote and the fill, in basis points
+    FEE_LAMPORTS: 105000, // Modeled network + priority fee per swap
+    DATA_DIR: './data/paper' // Virtual wallet, positions, journal and risk state of paper runs
+  },
 
   // Wallet settings
   MINIMUM_SOL_BALANCE: 0.001, // Minimum SOL needed for transactions
@@ -75,7 +209,7 @@ const TA_CONFIG = {
 // Buy criteria
 const BUY_CRITERIA = {
   // Traditional criteria (used for individual checks)
-  MIN_SCORE: 60,
+  MIN_SCORE: 60,                 // Minimum token score (0-100) for buy consideration
   MIN_PRICE_CHANGE_5M: 2,
   MIN_PRICE_CHANGE_1H: 0,
   MAX_RSI: 70,
@@ -85,6 +219,7 @@ const BUY_CRITERIA = {
   // Scoring system parameters
   SCORING_ENABLED: true,         // Enable scoring-based system
   MIN_TOTAL_SCORE: 60,           // Minimum total score required to buy (out of 100)
+  RISK_PENALTY: 0.2,             // Points subtracted per point of on-chain risk score
 
   // Scoring weights for each criterion (total: 100)
   SCORE_WEIGHTS: {
@@ -145,6 +280,14 @@ const SELL_CRITERIA = {
 BOT_CONFIG.BUY_CRITERIA = BUY_CRITERIA;
 BOT_CONFIG.SELL_CRITERIA = SELL_CRITERIA;
 
+// Apply the active profile and ACE_* environment overrides, then reject invalid values
+try {
+  loadConfig(BOT_CONFIG, TA_CONFIG);
+} catch (error) {
+  console.error(error.message);
+  process.exit(CONFIG_EXIT_CODE);
+}
+
 module.exports = {
   BOT_CONFIG,
   TA_CONFIG,
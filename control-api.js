@@ -0,0 +1,275 @@
+// control-api.js - Local HTTP control API for the Solana Memecoin Trading Bot
+//
+// Endpoints (all require "Authorization: Bearer <CONTROL_API_TOKEN>"):
+//   GET    /status                      Bot status (positions, risk governor, pause state, config)
+//   GET    /positions                   Open positions
+//   GET    /trades?limit=20             Most recent trades, newest first
+//   GET    /blacklist                   Blacklisted token addresses
+//   POST   /blacklist                   Add a token: { "tokenAddress": "...", "symbol": "..." }
+//   DELETE /blacklist/:tokenAddress     Remove a token
+//   POST   /trading/pause               Pause new entries: { "reason": "..." }
+//   POST   /trading/resume              Resume new entries
+//   POST   /positions/:tokenAddress/sell  Sell a position in full
+//   POST   /cycle                       Run an analysis cycle now
+//   POST   /risk/reset                  Reset the risk governor
+
+const http = require('http');
+const crypto = require('crypto');
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+const trading = require('./trading');
+const { getBlacklist, addToBlacklist, removeFromBlacklist } = require('./blacklist');
+const { resetRiskGovernor } = require('./risk');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Running server instance
+let server = null;
+
+/**
+ * Error with an HTTP status code
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Compare the request's bearer token with the configured one in constant time
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} token - Configured token
+ * @returns {boolean} - Whether the request is authorized
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body ({} if empty)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new HttpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Build the route table
+ * @param {Object} controller - Functions provided by main.js
+ * @param {Function} controller.getBotStatus - Returns the bot status
+ * @param {Function} controller.runCycle - Runs an analysis cycle and returns the analyzed tokens
+ * @returns {Array} - Routes: { method, pattern, handler(params, body, query) }
+ */
+function buildRoutes(controller) {
+  return [
+    {
+      method: 'GET',
+      pattern: /^\/status$/,
+      handler: () => controller.getBotStatus()
+    },
+    {
+      method: 'GET',
+      pattern: /^\/positions$/,
+      handler: () => trading.getCurrentPositions()
+    },
+    {
+      method: 'GET',
+      pattern: /^\/trades$/,
+      handler: (params, body, query) => {
+        const limit = parseInt(query.get('limit'), 10);
+        return trading.getRecentTrades(limit > 0 ? limit : undefined);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/blacklist$/,
+      handler: () => getBlacklist()
+    },
+    {
+      method: 'POST',
+      pattern: /^\/blacklist$/,
+      handler: async (params, body) => {
+        if (!body.tokenAddress) throw new HttpError(400, 'tokenAddress is required');
+        const added = await addToBlacklist(body.tokenAddress, body.symbol);
+        return { added, tokenAddress: body.tokenAddress };
+      }
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/blacklist\/([^/]+)$/,
+      handler: async ([tokenAddress]) => {
+        const removed = await removeFromBlacklist(tokenAddress);
+        if (!removed) throw new HttpError(404, 'Token is not blacklisted');
+        return { removed, tokenAddress };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/trading\/pause$/,
+      handler: (params, body) => trading.pauseTrading(body.reason || 'paused via control API')
+    },
+    {
+      method: 'POST',
+      pattern: /^\/trading\/resume$/,
+      handler: () => trading.resumeTrading()
+    },
+    {
+      method: 'POST',
+      pattern: /^\/positions\/([^/]+)\/sell$/,
+      handler: async ([tokenAddress]) => {
+        const result = await trading.forceSellPosition(tokenAddress);
+        if (result.reason === 'no_position') throw new HttpError(404, 'No open position for this token');
+        if (result.reason === 'trading_not_started') throw new HttpError(409, 'Trading is not running');
+        return result;
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/cycle$/,
+      handler: async () => {
+        const tokens = await controller.runCycle();
+        if (tokens === null) throw new HttpError(409, 'Bot is not running or a cycle is already in progress');
+        return { tokens: tokens.map(token => ({ symbol: token.symbol, tokenAddress: token.tokenAddress, score: token.score })) };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/risk\/reset$/,
+      handler: () => resetRiskGovernor('reset via control API')
+    }
+  ];
+}
+
+/**
+ * Start the control API
+ * @param {Object} controller - Functions provided by main.js (see buildRoutes)
+ * @param {Object} [settings] - API settings (defaults to BOT_CONFIG.CONTROL_API)
+ * @returns {Promise<http.Server|null>} - Server, or null if disabled or misconfigured
+ */
+async function startControlApi(controller, settings = BOT_CONFIG.CONTROL_API) {
+  if (!settings.ENABLED || server) return server;
+
+  if (!settings.TOKEN) {
+    logger.error('Control API is enabled but CONTROL_API_TOKEN is not set. Not starting it.');
+    return null;
+  }
+  if (!['127.0.0.1', 'localhost', '::1'].includes(settings.HOST)) {
+    logger.warn(`Control API is bound to ${settings.HOST}, which may be reachable from other machines`);
+  }
+
+  const routes = buildRoutes(controller);
+
+  const instance = http.createServer(async (req, res) => {
+    try {
+      if (!isAuthorized(req, settings.TOKEN)) {
+        throw new HttpError(401, 'Unauthorized');
+      }
+
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (error) {
+        throw new HttpError(400, 'Malformed request URL');
+      }
+
+      const pathMatches = routes
+        .map(route => ({ route, match: url.pathname.match(route.pattern) }))
+        .filter(({ match }) => match);
+      if (pathMatches.length === 0) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      const matched = pathMatches.find(({ route }) => route.method === req.method);
+      if (!matched) {
+        throw new HttpError(405, 'Method not allowed');
+      }
+
+      let params;
+      try {
+        params = matched.match.slice(1).map(decodeURIComponent);
+      } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        throw new HttpError(400, 'Malformed URL encoding in path');
+      }
+      const body = ['POST', 'DELETE'].includes(req.method) ? await readBody(req) : {};
+      logger.info(`Control API: ${req.method} ${url.pathname}`);
+
+      const data = await matched.route.handler(params, body, url.searchParams);
+      sendJson(res, 200, { success: true, data });
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        logger.error(`Control API error on ${req.method} ${req.url}: ${error.message}`);
+      }
+      sendJson(res, status, { success: false, error: error.message });
+    }
+  });
+
+  try {
+    await new Promise((resolve, reject) => {
+      instance.once('error', reject);
+      instance.listen(settings.PORT, settings.HOST, resolve);
+    });
+  } catch (error) {
+    logger.error(`Failed to start control API on ${settings.HOST}:${settings.PORT}: ${error.message}`);
+    return null;
+  }
+
+  server = instance;
+  logger.info(`Control API listening on http://${settings.HOST}:${settings.PORT}`);
+  return server;
+}
+
+/**
+ * Stop the control API
+ * @returns {Promise<void>}
+ */
+async function stopControlApi() {
+  if (!server) return;
+  const instance = server;
+  server = null;
+  await new Promise(resolve => instance.close(() => resolve()));
+  logger.info('Control API stopped.');
+}
+
+module.exports = {
+  startControlApi,
+  stopControlApi
+};
@@ -0,0 +1,302 @@
+// dashboard.js - Full-screen terminal dashboard for the Solana Memecoin Trading Bot
+//
+// Shows open positions, the last analysis cycle's funnel, wallet balance, risk state
+// and the latest trades, redrawn on every position monitoring tick. While it runs,
+// console output is captured and the last lines are shown at the bottom.
+
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+const trading = require('./trading');
+const { getLastFunnel } = require('./TA');
+const { getSolPriceStatus } = require('./price-oracle');
+
+// ANSI sequences
+const ENTER_ALT_SCREEN = '\x1b[?1049h';
+const EXIT_ALT_SCREEN = '\x1b[?1049l';
+const HIDE_CURSOR = '\x1b[?25l';
+const SHOW_CURSOR = '\x1b[?25h';
+const CLEAR_SCREEN = '\x1b[H\x1b[2J';
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Dashboard state
+const state = {
+  running: false,
+  services: null,
+  balanceSol: null,
+  balanceUpdatedAt: null,
+  logLines: [],
+  refreshTimer: null,
+  balanceTimer: null,
+  originalConsole: null
+};
+
+/**
+ * Format a number with a sign
+ * @param {number} value - Value to format
+ * @param {number} decimals - Decimal places
+ * @returns {string} - Formatted value
+ */
+function signed(value, decimals = 2) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}`;
+}
+
+/**
+ * Color a value green when positive and red when negative
+ * @param {number} value - Value deciding the color
+ * @param {string} text - Text to color
+ * @returns {string} - Colored text
+ */
+function colorByValue(value, text) {
+  return value >= 0 ? chalk.green(text) : chalk.red(text);
+}
+
+/**
+ * Format a price with precision suited to memecoin prices
+ * @param {number} price - Price in USD
+ * @returns {string} - Formatted price
+ */
+function formatPrice(price) {
+  if (typeof price !== 'number') return 'N/A';
+  return `$${price < 0.01 ? price.toPrecision(4) : price.toFixed(4)}`;
+}
+
+/**
+ * Keep a captured console line for the log panel
+ * @param {Array} args - console.log arguments
+ */
+function captureLine(args) {
+  const text = args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+  text.replace(ANSI_PATTERN, '').split('\n').filter(line => line.trim()).forEach(line => {
+    state.logLines.push(line);
+  });
+  const maxLines = BOT_CONFIG.DASHBOARD.LOG_LINES;
+  if (state.logLines.length > maxLines) {
+    state.logLines.splice(0, state.logLines.length - maxLines);
+  }
+}
+
+/**
+ * Refresh the wallet balance
+ * @returns {Promise<void>}
+ */
+async function refreshBalance() {
+  const { connection, wallet } = state.services || {};
+  if (!connection || !wallet) return;
+
+  try {
+    const lamports = await connection.getBalance(wallet.publicKey);
+    state.balanceSol = lamports / 1000000000;
+    state.balanceUpdatedAt = Date.now();
+  } catch (error) {
+    logger.debug(`Dashboard balance refresh failed: ${error.message}`);
+  }
+}
+
+/**
+ * Header with wallet, entry state and risk governor summary
+ * @returns {string} - Rendered section
+ */
+function renderHeader() {
+  const mode = state.services?.mode || 'unknown';
+  const pause = trading.getPauseState();
+  const risk = trading.getRiskStatus();
+  const balance = state.balanceSol !== null ? `${state.balanceSol.toFixed(4)} SOL` : 'N/A';
+  const solPrice = getSolPriceStatus();
+
+  let entries = chalk.green('OPEN');
+  if (pause.paused) {
+    entries = chalk.yellow(`PAUSED (${pause.reason})`);
+  } else if (risk.paused) {
+    entries = chalk.red(`RISK PAUSE (${risk.reason})`);
+  }
+
+  return [
+    `${chalk.bold.blue('A.C.E Dashboard')}  ${chalk.dim(new Date().toLocaleString())}  Mode: ${chalk.cyan(mode.toUpperCase())}`,
+    `Wallet: ${chalk.cyan(balance)}  SOL: ${chalk.cyan(`$${solPrice.priceUsd.toFixed(2)}`)}${solPrice.stale ? chalk.yellow(' (stale)') : ''}  Entries: ${entries}`,
+    `Daily PnL: ${colorByValue(risk.dailyPnlSol, `${signed(risk.dailyPnlSol, 4)} SOL`)}  ` +
+      `Session realized: ${colorByValue(risk.sessionRealizedSol, `${signed(risk.sessionRealizedSol, 4)} SOL`)}  ` +
+      `Drawdown: ${risk.drawdownPercent.toFixed(2)}%  Loss streak: ${risk.consecutiveLosses}`
+  ].join('\n');
+}
+
+/**
+ * Open positions table
+ * @returns {string} - Rendered section
+ */
+function renderPositions() {
+  const positions = trading.getCurrentPositions();
+  const title = chalk.bold(`Open Positions (${positions.length}/${BOT_CONFIG.MAX_POSITIONS})`);
+  if (positions.length === 0) {
+    return `${title}\n${chalk.dim('No open positions')}`;
+  }
+
+  const table = new Table({
+    head: ['Symbol', 'Entry', 'Price', 'P/L', 'Size', 'Trailing Stop', 'Held'],
+    style: { head: ['cyan'] }
+  });
+
+  positions.forEach(pos => {
+    const stop = pos.trailingStop
+      ? `${formatPrice(pos.trailingStop.price)} (${pos.trailingStop.distance.toFixed(2)}% away)`
+      : 'N/A';
+    const heldMinutes = Math.round((Date.now() - new Date(pos.entryTime).getTime()) / 60000);
+
+    table.push([
+      chalk.bold(pos.symbol),
+      formatPrice(pos.entryPrice),
+      formatPrice(pos.currentPrice),
+      colorByValue(pos.profitLoss, `${signed(pos.profitLoss)}%`),
+      pos.amountSol ? `${pos.amountSol.toFixed(4)} SOL` : 'N/A',
+      stop,
+      `${heldMinutes}m`
+    ]);
+  });
+
+  return `${title}\n${table.toString()}`;
+}
+
+/**
+ * Funnel of the last analysis cycle
+ * @returns {string} - Rendered section
+ */
+function renderFunnel() {
+  const funnel = getLastFunnel();
+  const title = chalk.bold('Last Analysis Cycle');
+  if (!funnel) {
+    return `${title}\n${chalk.dim('No analysis cycle yet')}`;
+  }
+
+  const stages = [
+    ['Boosted', funnel.boosted],
+    ['Trending', funnel.trending],
+    ['Candidates', funnel.candidates],
+    ['Analyzed', funnel.analyzed],
+    ['Final', funnel.final]
+  ].map(([name, count]) => `${name} ${chalk.yellow(count)}`).join(chalk.dim(' → '));
+
+  return `${title} ${chalk.dim(`(${new Date(funnel.timestamp).toLocaleTimeString()}, ${(funnel.durationMs / 1000).toFixed(1)}s)`)}\n${stages}`;
+}
+
+/**
+ * Latest trades table
+ * @returns {string} - Rendered section
+ */
+function renderTrades() {
+  const trades = trading.getRecentTrades(BOT_CONFIG.DASHBOARD.TRADES_SHOWN);
+  const title = chalk.bold('Recent Trades');
+  if (trades.length === 0) {
+    return `${title}\n${chalk.dim('No trades yet')}`;
+  }
+
+  const table = new Table({
+    head: ['Time', 'Action', 'Symbol', 'Price', 'P/L', 'PnL (SOL)', 'Reason'],
+    style: { head: ['cyan'] }
+  });
+
+  trades.forEach(trade => {
+    const profitLoss = typeof trade.profitLoss === 'number' ? colorByValue(trade.profitLoss, `${signed(trade.profitLoss)}%`) : '';
+    const pnlSol = typeof trade.pnlSol === 'number' ? colorByValue(trade.pnlSol, signed(trade.pnlSol, 4)) : '';
+    table.push([
+      new Date(trade.timestamp).toLocaleTimeString(),
+      trade.action === 'BUY' ? chalk.green(trade.action) : chalk.red(trade.action),
+      trade.symbol,
+      formatPrice(trade.price),
+      profitLoss,
+      pnlSol,
+      (trade.reason || '').slice(0, 40)
+    ]);
+  });
+
+  return `${title}\n${table.toString()}`;
+}
+
+/**
+ * Tail of captured console output
+ * @returns {string} - Rendered section
+ */
+function renderLog() {
+  const width = (process.stdout.columns || 120) - 1;
+  const lines = state.logLines.map(line => chalk.dim(line.slice(0, width)));
+  return `${chalk.bold('Log')}\n${lines.join('\n')}`;
+}
+
+/**
+ * Redraw the dashboard
+ */
+function render() {
+  if (!state.running) return;
+
+  const screen = [
+    renderHeader(),
+    renderPositions(),
+    renderFunnel(),
+    renderTrades(),
+    renderLog(),
+    chalk.dim('Press Ctrl+C to stop the bot.')
+  ].join('\n\n');
+
+  process.stdout.write(CLEAR_SCREEN + screen + '\n');
+}
+
+/**
+ * Take over the terminal and start redrawing
+ * @param {Object} services - Initialized services (connection, wallet, walletInfo, mode)
+ */
+function startDashboard(services) {
+  if (state.running) return;
+  if (!process.stdout.isTTY) {
+    logger.warn('Dashboard needs an interactive terminal. Continuing with line-by-line output.');
+    return;
+  }
+
+  state.running = true;
+  state.services = services;
+  state.balanceSol = services.walletInfo?.balance ?? null;
+
+  // Capture console output so it doesn't scroll the screen
+  state.originalConsole = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    console[method] = (...args) => captureLine(args);
+  });
+  logger.setSpinnersEnabled(false);
+
+  process.stdout.write(ENTER_ALT_SCREEN + HIDE_CURSOR);
+  process.once('exit', stopDashboard); // Never leave the terminal in the alternate screen
+
+  trading.tradingEvents.on('tick', render);
+  trading.tradingEvents.on('trade', render);
+  process.stdout.on('resize', render);
+
+  // Redraw between monitoring ticks too (clock, balance, funnel when no positions are open)
+  state.refreshTimer = setInterval(render, BOT_CONFIG.DASHBOARD.REFRESH_SECONDS * 1000);
+  state.balanceTimer = setInterval(() => refreshBalance().then(render), BOT_CONFIG.DASHBOARD.BALANCE_REFRESH_SECONDS * 1000);
+
+  render();
+}
+
+/**
+ * Restore the terminal
+ */
+function stopDashboard() {
+  if (!state.running) return;
+  state.running = false;
+
+  clearInterval(state.refreshTimer);
+  clearInterval(state.balanceTimer);
+  trading.tradingEvents.off('tick', render);
+  trading.tradingEvents.off('trade', render);
+  process.stdout.off('resize', render);
+
+  Object.assign(console, state.originalConsole);
+  logger.setSpinnersEnabled(true);
+
+  process.stdout.write(SHOW_CURSOR + EXIT_ALT_SCREEN);
+}
+
+module.exports = {
+  startDashboard,
+  stopDashboard,
+  refreshDashboard: render
+};
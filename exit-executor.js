@@ -0,0 +1,126 @@
+// exit-executor.js - Sell retry ladder for the Solana Memecoin Trading Bot
+//
+// A sell that fails is tried again right away instead of waiting for the next monitoring tick.
+// Each retry raises the slippage tolerance and the priority fee (retries go through the Swap
+// API, which takes one), and a sell whose route fails on size is split into smaller chunks.
+// Emergency exits (stop loss, holder decrease, risk governor force exit) get more attempts and
+// keep going until everything is sold or their attempt or time limit is hit.
+
+const { BOT_CONFIG } = require('./config');
+const { QuoteRejectedError, guardOrder } = require('./quote-guard');
+const { TX_STATUS, swapAndConfirm } = require('./tx-tracker');
+const logger = require('./logger');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Failures a smaller amount may get past: no route for the size, thin liquidity, too much price impact
+const SIZE_FAILURE = /route|liquidity|price impact|too large/i;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Slippage tolerance and priority fee of a rung of the ladder
+ * @param {number} step - Escalation step (0 for the first attempt)
+ * @param {number} baseSlippageBps - Slippage tolerance of the first attempt
+ * @param {Object} [settings] - Ladder settings (defaults to BOT_CONFIG.SELL_RETRY)
+ * @returns {Object} - { slippageBps, priorityFeeLamports }; priorityFeeLamports is null on the first
+ * step, which goes through Ultra and its own priority fee
+ */
+function ladderStep(step, baseSlippageBps, settings = BOT_CONFIG.SELL_RETRY) {
+  if (step === 0) {
+    return { slippageBps: baseSlippageBps, priorityFeeLamports: null };
+  }
+  return {
+    slippageBps: Math.max(baseSlippageBps, Math.min(settings.MAX_SLIPPAGE_BPS, baseSlippageBps + step * settings.SLIPPAGE_STEP_BPS)),
+    priorityFeeLamports: Math.min(
+      settings.MAX_PRIORITY_FEE_LAMPORTS,
+      Math.round(settings.PRIORITY_FEE_LAMPORTS * Math.pow(settings.PRIORITY_FEE_MULTIPLIER, step - 1))
+    )
+  };
+}
+
+/**
+ * Sell a token amount for SOL through the retry ladder
+ * @param {JupiterService} jupiterService - Jupiter service instance
+ * @param {Object} exit - What to sell
+ * @param {string} exit.tokenAddress - Token mint address
+ * @param {string} exit.symbol - Token symbol, for logging
+ * @param {number} exit.rawAmount - Amount to sell in raw units
+ * @param {Object} exit.quoteContext - Sell context for the quote guard (see quote-guard.js); its slippageBps is the first attempt's
+ * @param {boolean} [exit.emergency] - Emergency exit: more attempts, a time limit, and the quote guard may be overridden
+ * @param {Object} [settings] - Ladder settings (defaults to BOT_CONFIG.SELL_RETRY)
+ * @returns {Promise<Object>} - { complete, soldRaw, legs, attempts, error } where legs are the confirmed
+ * swaps ({ signature, order, landing, rawAmount, attempt, slippageBps, priorityFeeLamports }) and error the last failure
+ */
+async function executeExit(jupiterService, exit, settings = BOT_CONFIG.SELL_RETRY) {
+  const maxAttempts = exit.emergency ? settings.EMERGENCY_MAX_ATTEMPTS : settings.MAX_ATTEMPTS;
+  const deadline = exit.emergency ? Date.now() + settings.EMERGENCY_MAX_SECONDS * 1000 : Infinity;
+  const minChunk = Math.max(1, Math.floor(exit.rawAmount * settings.MIN_CHUNK_PERCENT / 100));
+  const result = { complete: false, soldRaw: 0, legs: [], attempts: 0, error: null };
+
+  let remaining = exit.rawAmount;
+  let chunk = exit.rawAmount;
+  let step = 0;
+  let guarded = true;
+
+  while (remaining > 0 && result.attempts < maxAttempts && Date.now() < deadline) {
+    result.attempts++;
+    const amount = Math.min(chunk, remaining);
+    const { slippageBps, priorityFeeLamports } = ladderStep(step, exit.quoteContext.slippageBps, settings);
+    logger.info(`Sell attempt ${result.attempts}/${maxAttempts} for ${exit.symbol}${exit.emergency ? ' (emergency)' : ''}: ` +
+      `${amount}${amount < remaining ? ` of ${remaining}` : ''} raw units, ${slippageBps / 100}% slippage` +
+      (priorityFeeLamports ? `, priority fee up to ${priorityFeeLamports} lamports` : '') +
+      (guarded ? '' : ', quote guard overridden'));
+
+    // An emergency exit's attempt waits for its transaction no longer than the time the exit has left
+    const trackOptions = exit.emergency
+      ? { timeoutSeconds: Math.min(BOT_CONFIG.TX_TRACKER.TIMEOUT_SECONDS, Math.max(1, (deadline - Date.now()) / 1000)) }
+      : {};
+
+    try {
+      const swap = await swapAndConfirm(jupiterService, exit.tokenAddress, SOL_MINT, amount, {
+        slippageBps,
+        priorityFeeLamports,
+        checkOrder: guarded ? guardOrder({ ...exit.quoteContext, slippageBps }) : null
+      }, exit.tokenAddress, trackOptions);
+
+      result.legs.push({ ...swap, rawAmount: amount, attempt: result.attempts, slippageBps, priorityFeeLamports });
+      result.soldRaw += amount;
+      remaining -= amount;
+      logger.info(`Sell attempt ${result.attempts} for ${exit.symbol} confirmed: ${swap.signature}`);
+      continue;
+    } catch (error) {
+      result.error = error.message;
+      logger.warn(`Sell attempt ${result.attempts} for ${exit.symbol} failed: ${error.message}`);
+
+      // A sell that may still land is not retried, the retry could sell tokens it already sold
+      if (error.landing?.status === TX_STATUS.UNKNOWN) break;
+
+      if (SIZE_FAILURE.test(error.message) && chunk > minChunk) {
+        chunk = Math.max(minChunk, Math.floor(chunk / 2));
+        logger.info(`Route failed on size, selling ${exit.symbol} in chunks of ${chunk} raw units`);
+      } else if (error instanceof QuoteRejectedError) {
+        // The order's price is off the market: a normal sell waits for the next position check,
+        // an emergency exit takes the price it can get
+        if (!exit.emergency || !settings.EMERGENCY_OVERRIDES_QUOTE_GUARD) break;
+        guarded = false;
+      } else {
+        step++;
+      }
+    }
+
+    if (remaining > 0) await sleep(settings.RETRY_DELAY_MS);
+  }
+
+  result.complete = remaining <= 0;
+  if (!result.complete) {
+    logger.warn(`Sell of ${exit.symbol} incomplete after ${result.attempts} attempt(s): ` +
+      `${result.soldRaw} of ${exit.rawAmount} raw units sold${result.error ? ` (${result.error})` : ''}`);
+  }
+  return result;
+}
+
+module.exports = {
+  executeExit,
+  ladderStep
+};
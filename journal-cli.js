@@ -0,0 +1,121 @@
+// journal-cli.js - Command-line utility to query and export the trade journal
+
+const { queryJournal, exportJournalCsv } = require('./journal');
+
+// Parse command-line arguments
+const args = process.argv.slice(2);
+const command = args[0]?.toLowerCase();
+
+/**
+ * Read --name value options from the arguments
+ * @param {Array} argv - Arguments after the command
+ * @returns {Object} - Filter for queryJournal
+ */
+function parseFilter(argv) {
+  const filter = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].startsWith('--') ? argv[i].slice(2) : null;
+    if (!name) continue;
+    const value = argv[++i];
+    if (name === 'limit') {
+      filter.limit = parseInt(value, 10);
+    } else if (['status', 'symbol', 'token', 'reason', 'from', 'to'].includes(name)) {
+      const key = { token: 'tokenAddress', reason: 'exitReason' }[name] || name;
+      filter[key] = value;
+    }
+  }
+  return filter;
+}
+
+/**
+ * Format a number with a sign, or a dash if missing
+ * @param {number|null} value - Value to format
+ * @param {number} decimals - Decimal places
+ * @returns {string} - Formatted value
+ */
+function signed(value, decimals) {
+  if (typeof value !== 'number') return '-';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}`;
+}
+
+async function main() {
+  try {
+    switch (command) {
+      case 'list': {
+        const filter = parseFilter(args.slice(1));
+        const records = await queryJournal({ limit: 20, ...filter });
+        console.log('\nTrade Journal:');
+        console.log('--------------');
+        if (records.length === 0) {
+          console.log('No trades found');
+          break;
+        }
+        records.forEach(record => {
+          const held = record.holdTimeSeconds !== null ? `${Math.round(record.holdTimeSeconds / 60)}m` : 'open';
+          console.log(`${record.openedAt}  ${record.symbol.padEnd(10)} ${record.status.padEnd(6)} ` +
+            `spent ${record.entry.solSpent ?? record.entry.amountSol} SOL, ${record.exits.length} sell(s), ` +
+            `PnL ${signed(record.totals.realizedPnlSol, 4)} SOL (${signed(record.totals.realizedPnlPercent, 2)}%), ` +
+            `held ${held}${record.exitReason ? `, ${record.exitReason}` : ''}  [${record.id}]`);
+        });
+        console.log(`\nTotal: ${records.length} trades`);
+        break;
+      }
+
+      case 'show': {
+        const id = args[1];
+        if (!id) {
+          console.error('Error: Record id or token address is required');
+          showUsage();
+          process.exit(1);
+        }
+        const record = (await queryJournal()).find(r => r.id === id || r.tokenAddress === id);
+        if (!record) {
+          console.log(`No journal record found for ${id}`);
+          process.exit(1);
+        }
+        console.log(JSON.stringify(record, null, 2));
+        break;
+      }
+
+      case 'export': {
+        const filePath = args[1];
+        if (!filePath) {
+          console.error('Error: Output file is required');
+          showUsage();
+          process.exit(1);
+        }
+        const count = await exportJournalCsv(filePath, parseFilter(args.slice(2)));
+        console.log(`Exported ${count} trades to ${filePath}`);
+        break;
+      }
+
+      default:
+        showUsage();
+        break;
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function showUsage() {
+  console.log('\nTrade Journal');
+  console.log('-------------');
+  console.log('Usage:');
+  console.log('  node journal-cli.js list [filters]');
+  console.log('  node journal-cli.js show <record-id|token-address>');
+  console.log('  node journal-cli.js export <file.csv> [filters]');
+  console.log('\nFilters:');
+  console.log('  --status open|closed  --symbol <symbol>  --token <token-address>');
+  console.log('  --reason <text>  --from <date>  --to <date>  --limit <n>');
+  console.log('\nExamples:');
+  console.log('  node journal-cli.js list --status closed --limit 50');
+  console.log('  node journal-cli.js export ./data/trades.csv --from 2024-05-01');
+}
+
+// Run the main function
+main().catch(error => {
+  console.error(`Fatal error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,412 @@
+// journal.js - Trade journal for the Solana Memecoin Trading Bot
+//
+// Keeps one record per position that ties the buy, every partial sell and the final
+// exit together. SOL amounts come from the wallet's balance changes in each swap
+// transaction, so they include fees, and fills are compared with the amounts Jupiter quoted.
+// Records of open positions live in JOURNAL.OPEN_FILE; once a position closes its
+// record is appended to JOURNAL.FILE (one JSON record per line).
+
+const fs = require('fs').promises;
+const path = require('path');
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+
+const CSV_COLUMNS = [
+  'id', 'symbol', 'tokenAddress', 'strategy', 'status', 'openedAt', 'closedAt', 'holdTimeSeconds',
+  'entryPrice', 'solSpent', 'tokensReceived', 'entryFeeSol', 'entrySlippagePercent', 'tokenScore', 'entryScore',
+  'scoreDetails', 'exits', 'tokensSold', 'solReceived', 'exitFeesSol', 'avgExitSlippagePercent',
+  'realizedPnlSol', 'realizedPnlPercent', 'realizedPnlUsd', 'pnlSource', 'exitReason', 'entryTx'
+];
+
+// Records of open positions by token address
+const openRecords = new Map();
+
+let loaded = false;
+
+// Pending write chain so overlapping writes are applied in order
+let writeQueue = Promise.resolve();
+
+/**
+ * Round a number for storage
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} - Rounded value, or null if not a number
+ */
+function round(value, decimals = 9) {
+  if (typeof value !== 'number' || !isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Slippage of a fill against its quote
+ * @param {number|null} quoted - Quoted output amount
+ * @param {number|null} actual - Received output amount
+ * @returns {number|null} - Percent received below the quote (negative if better than quoted)
+ */
+function slippagePercent(quoted, actual) {
+  if (!(quoted > 0) || typeof actual !== 'number') return null;
+  return round(((quoted - actual) / quoted) * 100, 4);
+}
+
+/**
+ * Load the records of open positions saved by a previous run
+ * @returns {Promise<void>}
+ */
+async function loadOpenRecords() {
+  if (loaded) return;
+  loaded = true;
+
+  try {
+    const data = JSON.parse(await fs.readFile(BOT_CONFIG.JOURNAL.OPEN_FILE, 'utf8'));
+    (Array.isArray(data.records) ? data.records : []).forEach(record => {
+      if (!openRecords.has(record.tokenAddress)) {
+        openRecords.set(record.tokenAddress, record);
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error loading open journal records: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Save the records of open positions
+ * Writes to a temporary file first so a crash never leaves a half-written file
+ * @returns {Promise<void>}
+ */
+function saveOpenRecords() {
+  const snapshot = JSON.stringify({
+    updatedAt: new Date().toISOString(),
+    records: Array.from(openRecords.values())
+  }, null, 2);
+
+  writeQueue = writeQueue.then(async () => {
+    try {
+      const file = BOT_CONFIG.JOURNAL.OPEN_FILE;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot);
+      await fs.rename(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error(`Error saving open journal records: ${error.message}`);
+    }
+  });
+  return writeQueue;
+}
+
+/**
+ * Append a closed record to the journal file
+ * @param {Object} record - Closed journal record
+ * @returns {Promise<void>}
+ */
+function appendClosedRecord(record) {
+  const line = `${JSON.stringify(record)}\n`;
+
+  writeQueue = writeQueue.then(async () => {
+    try {
+      const file = BOT_CONFIG.JOURNAL.FILE;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, line);
+    } catch (error) {
+      logger.error(`Error writing trade journal: ${error.message}`);
+    }
+  });
+  return writeQueue;
+}
+
+/**
+ * Start the record of a new position
+ * @param {Object} position - Position data (tokenAddress, symbol, poolAddress, entryTime)
+ * @param {Object} entry - Buy fill details
+ * @param {number} entry.price - Execution price in USD
+ * @param {number} entry.costBasisPrice - Entry price of the position: swap and fees per token, in USD
+ * @param {number} entry.marketPrice - Market price the buy decision was based on
+ * @param {number} entry.amountSol - SOL the swap was sized for
+ * @param {number|null} entry.solSpent - SOL the wallet actually spent, fees and token account rent included
+ * @param {number} entry.tokensReceived - Tokens received
+ * @param {number|null} entry.quotedTokens - Tokens the order quoted
+ * @param {Object|null} entry.quote - Order summary (price, deviation from market, impact, route; see quote-guard.js)
+ * @param {number|null} entry.feeSol - Network fee of the swap transaction, priority fee included
+ * @param {number|null} entry.priorityFeeSol - Part of the fee paid above the base fee
+ * @param {number|null} entry.rentSol - Rent deposited into accounts the swap opened
+ * @param {string} entry.txSignature - Swap transaction signature
+ * @param {number} entry.tokenScore - Analysis score of the token
+ * @param {number|null} entry.entryScore - Strategy entry score
+ * @param {Object|null} entry.scoreDetails - Strategy entry score breakdown
+ * @param {string} entry.sizing - Position sizing reason
+ * @param {number} entry.solPriceUsd - SOL price at entry
+ * @returns {Promise<Object|null>} - The new record, or null if the journal is disabled
+ */
+async function openJournalRecord(position, entry) {
+  if (!BOT_CONFIG.JOURNAL.ENABLED) return null;
+  await loadOpenRecords();
+
+  const record = {
+    id: `${position.tokenAddress.slice(0, 8)}-${position.entryTime}`,
+    tokenAddress: position.tokenAddress,
+    symbol: position.symbol,
+    poolAddress: position.poolAddress,
+    strategy: BOT_CONFIG.STRATEGY,
+    status: 'open',
+    openedAt: new Date(position.entryTime).toISOString(),
+    closedAt: null,
+    holdTimeSeconds: null,
+    exitReason: null,
+    entry: {
+      ...entry,
+      solSpent: round(entry.solSpent),
+      feeSol: round(entry.feeSol),
+      priorityFeeSol: round(entry.priorityFeeSol),
+      rentSol: round(entry.rentSol),
+      slippagePercent: slippagePercent(entry.quotedTokens, entry.tokensReceived)
+    },
+    exits: [],
+    totals: {
+      tokensSold: 0,
+      solReceived: 0,
+      feesSol: round(entry.feeSol) || 0,
+      realizedPnlSol: null,
+      realizedPnlPercent: null,
+      realizedPnlUsd: null,
+      pnlSource: null
+    }
+  };
+
+  openRecords.set(position.tokenAddress, record);
+  await saveOpenRecords();
+  logger.debug(`Opened journal record ${record.id} for ${record.symbol}`);
+  return record;
+}
+
+/**
+ * Add a sell (partial or full) to a position's record
+ * @param {string} tokenAddress - Token address of the position
+ * @param {Object} exit - Sell fill details
+ * @param {number} exit.price - Execution price in USD
+ * @param {number} exit.marketPrice - Market price the sell decision was based on
+ * @param {number} exit.tokensSold - Tokens sold
+ * @param {number|null} exit.quotedSol - SOL the order quoted
+ * @param {Object|null} exit.quote - Order summary (price, deviation from market, impact, route; see quote-guard.js)
+ * @param {number|null} exit.solReceived - SOL the wallet actually received, fees deducted
+ * @param {number|null} exit.feeSol - Network fee of the swap transaction, priority fee included
+ * @param {number|null} exit.priorityFeeSol - Part of the fee paid above the base fee
+ * @param {number|null} exit.rentSol - Rent deposited into accounts the swap opened, less rent refunded
+ * @param {number} exit.pnlSol - Realized PnL in SOL as estimated from prices
+ * @param {string} exit.reason - Sell reason
+ * @param {number} exit.sellPercentage - Percentage of the position the sell was for
+ * @param {string} exit.txSignature - Swap transaction signature
+ * @returns {Promise<Object|null>} - Updated record, or null if the position has none
+ */
+async function recordJournalExit(tokenAddress, exit) {
+  if (!BOT_CONFIG.JOURNAL.ENABLED) return null;
+  await loadOpenRecords();
+
+  const record = openRecords.get(tokenAddress);
+  if (!record) {
+    logger.debug(`No open journal record for ${tokenAddress}, not recording sell`);
+    return null;
+  }
+
+  // Gross SOL out of the swap (before the fee) is what the quote compares against
+  const grossSol = typeof exit.solReceived === 'number' ? exit.solReceived + (exit.feeSol || 0) : null;
+  record.exits.push({
+    time: new Date().toISOString(),
+    ...exit,
+    solReceived: round(exit.solReceived),
+    feeSol: round(exit.feeSol),
+    priorityFeeSol: round(exit.priorityFeeSol),
+    rentSol: round(exit.rentSol),
+    pnlSol: round(exit.pnlSol),
+    slippagePercent: slippagePercent(exit.quotedSol, grossSol)
+  });
+
+  record.totals.tokensSold = round(record.totals.tokensSold + (exit.tokensSold || 0));
+  record.totals.solReceived = round(record.totals.solReceived + (exit.solReceived || 0));
+  record.totals.feesSol = round(record.totals.feesSol + (exit.feeSol || 0));
+
+  await saveOpenRecords();
+  return record;
+}
+
+/**
+ * Close a position's record and move it to the journal file
+ * Realized PnL comes from measured SOL flows when every fill was measured, and from
+ * the price-based estimates otherwise.
+ * @param {string} tokenAddress - Token address of the position
+ * @param {string} reason - Why the position closed
+ * @returns {Promise<Object|null>} - Closed record, or null if the position has none
+ */
+async function closeJournalRecord(tokenAddress, reason) {
+  if (!BOT_CONFIG.JOURNAL.ENABLED) return null;
+  await loadOpenRecords();
+
+  const record = openRecords.get(tokenAddress);
+  if (!record) return null;
+
+  const closedAt = new Date();
+  const { entry, exits, totals } = record;
+  const measured = typeof entry.solSpent === 'number' && exits.length > 0 &&
+    exits.every(exit => typeof exit.solReceived === 'number');
+  const costSol = typeof entry.solSpent === 'number' ? entry.solSpent : entry.amountSol;
+
+  totals.pnlSource = measured ? 'measured' : 'estimated';
+  totals.realizedPnlSol = measured
+    ? round(totals.solReceived - entry.solSpent)
+    : round(exits.reduce((sum, exit) => sum + (exit.pnlSol || 0), 0));
+  totals.realizedPnlPercent = costSol > 0 ? round((totals.realizedPnlSol / costSol) * 100, 4) : null;
+  const solPriceUsd = exits.length > 0 ? exits[exits.length - 1].solPriceUsd : entry.solPriceUsd;
+  totals.realizedPnlUsd = solPriceUsd ? round(totals.realizedPnlSol * solPriceUsd, 4) : null;
+
+  Object.assign(record, {
+    status: 'closed',
+    closedAt: closedAt.toISOString(),
+    holdTimeSeconds: Math.round((closedAt.getTime() - new Date(record.openedAt).getTime()) / 1000),
+    exitReason: reason
+  });
+
+  openRecords.delete(tokenAddress);
+  await appendClosedRecord(record);
+  await saveOpenRecords();
+
+  logger.info(`Journal: closed ${record.symbol} after ${record.holdTimeSeconds}s, ` +
+    `PnL ${totals.realizedPnlSol >= 0 ? '+' : ''}${totals.realizedPnlSol} SOL (${totals.pnlSource}): ${reason}`);
+  return record;
+}
+
+/**
+ * Read all closed records from the journal file
+ * @returns {Promise<Array>} - Closed records, oldest first
+ */
+async function readClosedRecords() {
+  let data;
+  try {
+    data = await fs.readFile(BOT_CONFIG.JOURNAL.FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error reading trade journal: ${error.message}`);
+    }
+    return [];
+  }
+
+  return data.split('\n').filter(line => line.trim()).reduce((records, line, index) => {
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`Skipping unreadable trade journal line ${index + 1}`);
+    }
+    return records;
+  }, []);
+}
+
+/**
+ * Query journal records
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.status] - open or closed
+ * @param {string} [filter.symbol] - Token symbol (case-insensitive)
+ * @param {string} [filter.tokenAddress] - Token address
+ * @param {string} [filter.exitReason] - Text the exit reason must contain (case-insensitive)
+ * @param {string|number|Date} [filter.from] - Earliest entry time
+ * @param {string|number|Date} [filter.to] - Latest entry time
+ * @param {number} [filter.limit] - Maximum number of records
+ * @returns {Promise<Array>} - Matching records, newest first
+ */
+async function queryJournal(filter = {}) {
+  await loadOpenRecords();
+
+  const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+  const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+  const symbol = filter.symbol?.toLowerCase();
+  const exitReason = filter.exitReason?.toLowerCase();
+
+  const records = [
+    ...(filter.status === 'open' ? [] : await readClosedRecords()),
+    ...(filter.status === 'closed' ? [] : Array.from(openRecords.values()))
+  ].filter(record => {
+    const openedAt = new Date(record.openedAt).getTime();
+    return openedAt >= from && openedAt <= to &&
+      (!symbol || record.symbol?.toLowerCase() === symbol) &&
+      (!filter.tokenAddress || record.tokenAddress === filter.tokenAddress) &&
+      (!exitReason || (record.exitReason || '').toLowerCase().includes(exitReason));
+  }).sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt));
+
+  return filter.limit > 0 ? records.slice(0, filter.limit) : records;
+}
+
+/**
+ * Flatten a record into a CSV row
+ * @param {Object} record - Journal record
+ * @returns {Object} - Row values by column
+ */
+function toRow(record) {
+  const slippages = record.exits.map(exit => exit.slippagePercent).filter(value => typeof value === 'number');
+  return {
+    id: record.id,
+    symbol: record.symbol,
+    tokenAddress: record.tokenAddress,
+    strategy: record.strategy,
+    status: record.status,
+    openedAt: record.openedAt,
+    closedAt: record.closedAt,
+    holdTimeSeconds: record.holdTimeSeconds,
+    entryPrice: record.entry.price,
+    solSpent: record.entry.solSpent,
+    tokensReceived: record.entry.tokensReceived,
+    entryFeeSol: record.entry.feeSol,
+    entrySlippagePercent: record.entry.slippagePercent,
+    tokenScore: record.entry.tokenScore,
+    entryScore: record.entry.entryScore,
+    scoreDetails: record.entry.scoreDetails ? JSON.stringify(record.entry.scoreDetails) : null,
+    exits: record.exits.length,
+    tokensSold: record.totals.tokensSold,
+    solReceived: record.totals.solReceived,
+    exitFeesSol: round(record.exits.reduce((sum, exit) => sum + (exit.feeSol || 0), 0)),
+    avgExitSlippagePercent: slippages.length > 0 ? round(slippages.reduce((a, b) => a + b, 0) / slippages.length, 4) : null,
+    realizedPnlSol: record.totals.realizedPnlSol,
+    realizedPnlPercent: record.totals.realizedPnlPercent,
+    realizedPnlUsd: record.totals.realizedPnlUsd,
+    pnlSource: record.totals.pnlSource,
+    exitReason: record.exitReason,
+    entryTx: record.entry.txSignature
+  };
+}
+
+/**
+ * Escape a value for CSV
+ * @param {*} value - Value to escape
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export journal records as CSV, one row per trade
+ * @param {string} filePath - CSV file to write
+ * @param {Object} [filter] - Filter options (see queryJournal)
+ * @returns {Promise<number>} - Number of rows written
+ */
+async function exportJournalCsv(filePath, filter = {}) {
+  const records = await queryJournal(filter);
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...records.map(record => {
+      const row = toRow(record);
+      return CSV_COLUMNS.map(column => csvField(row[column])).join(',');
+    })
+  ];
+
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, `${lines.join('\n')}\n`);
+  return records.length;
+}
+
+module.exports = {
+  openJournalRecord,
+  recordJournalExit,
+  closeJournalRecord,
+  queryJournal,
+  exportJournalCsv
+};
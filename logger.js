@@ -14,6 +14,9 @@ const { BOT_CONFIG } = require('./config');
 // Spinner for loading animations
 let spinner = null;
 
+// Whether spinners are drawn (disabled while the dashboard owns the screen)
+let spinnersEnabled = true;
+
 // Create a fallback spinner in case ora doesn't work
 const fallbackSpinner = {
   start: (text) => {
@@ -63,7 +66,7 @@ const LOG_LEVELS = {
 };
 
 // Current log level from config
-const CURRENT_LOG_LEVEL_VALUE = LOG_LEVELS[BOT_CONFIG.LOG_LEVEL?.toUpperCase()]?.value || LOG_LEVELS.INFO.value;
+const CURRENT_LOG_LEVEL_VALUE = LOG_LEVELS[BOT_CONFIG.LOG_LEVEL?.toUpperCase()]?.value ?? LOG_LEVELS.INFO.value;
 
 // Configure Winston format
 const logFormat = format.printf(({ timestamp, level, message }) => {
@@ -129,7 +132,9 @@ const logger = winston.createLogger({
 });
 
 /**
- * Clear all log files on startup
+ * Clear all log files when the bot starts
+ * Called by startBot rather than on load, so tools that only read data (report, journal queries)
+ * don't wipe the logs of a bot running next to them.
  */
 function clearLogFiles() {
   const clearSpinner = createSpinner('Clearing log files...').start();
@@ -145,15 +150,10 @@ function clearLogFiles() {
       'monitor.log'
     ];
 
-    // Delete each log file
+    // Empty each log file (or create it); truncated rather than deleted since the
+    // file transports already hold them open
     logFiles.forEach(file => {
-      const filePath = path.join(logDir, file);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      } else {
-        // Create empty file if it doesn't exist
-        fs.writeFileSync(filePath, '');
-      }
+      fs.writeFileSync(path.join(logDir, file), '');
     });
 
     clearSpinner.succeed('Log files cleared successfully.');
@@ -162,9 +162,6 @@ function clearLogFiles() {
   }
 }
 
-// Clear log files on startup
-clearLogFiles();
-
 /**
  * Log to the detailed log file
  * @param {string} message - Message to log
@@ -220,12 +217,24 @@ function logAnalyzed(data) {
   fs.appendFileSync(path.join(logDir, 'analyzed.log'), logEntry);
 }
 
+/**
+ * SOL price to use for PnL conversions
+ * @param {number} [solPriceUsd] - Price recorded with the trade, if any
+ * @returns {number} - SOL price in USD
+ */
+function resolveSolPrice(solPriceUsd) {
+  if (solPriceUsd > 0) return solPriceUsd;
+  // Required lazily since the price oracle itself logs through this module
+  return require('./price-oracle').getCachedSolPrice();
+}
+
 /**
  * Log trade data to the trades log file
  * @param {Object} tradeDetails - Details of the trade
  */
 function logTrade(tradeDetails) {
   const { action, symbol, price, amount, profitLoss, txSignature, reason } = tradeDetails;
+  const solPrice = resolveSolPrice(tradeDetails.solPriceUsd);
 
   // Calculate PNL in USD and SOL if we have the necessary data
   let pnlUsd = 'N/A';
@@ -245,9 +254,7 @@ function logTrade(tradeDetails) {
     // Format with + sign for positive values and 2 decimal places
     pnlUsd = pnlUsdValue > 0 ? `+$${pnlUsdValue.toFixed(2)}` : `-$${Math.abs(pnlUsdValue).toFixed(2)}`;
 
-    // Calculate SOL value based on current SOL price (approximately $150 per SOL)
-    // Note: In a production environment, you would fetch the actual SOL price
-    const solPrice = 150; // Approximate SOL price in USD
+    // Convert to SOL at the SOL price recorded with the trade
     const pnlSolValue = pnlUsdValue / solPrice;
 
     // Format SOL value with + sign for positive values and 6 decimal places (SOL has 9 decimals)
@@ -259,6 +266,7 @@ function logTrade(tradeDetails) {
                   `  Price: $${price}\n` +
                   `  Amount: ${amount}\n` +
                   `  Profit/Loss: ${profitLoss ? (profitLoss > 0 ? '+' : '') + profitLoss.toFixed(2) + '%' : 'N/A'} (${pnlUsd}) (${pnlSol})\n` +
+                  `  SOL Price: $${solPrice.toFixed(2)}\n` +
                   `  Reason: ${reason || 'N/A'}\n` +
                   `  Transaction: ${txSignature || 'N/A'}\n\n`;
 
@@ -275,6 +283,7 @@ function logTrade(tradeDetails) {
  */
 function logWallet(walletData) {
   const { balance, positions, totalPnl, totalPnlUsd, totalPnlSol, timestamp } = walletData;
+  const solPrice = resolveSolPrice(walletData.solPriceUsd);
 
   // Format the wallet data
   const positionsStr = positions.length > 0
@@ -288,8 +297,7 @@ function logWallet(walletData) {
         const pnlUsdValue = currentValue - entryValue;
         pnlUsd = pnlUsdValue > 0 ? `+$${pnlUsdValue.toFixed(2)}` : `-$${Math.abs(pnlUsdValue).toFixed(2)}`;
 
-        // Calculate SOL value based on current SOL price (approximately $150 per SOL)
-        const solPrice = 150; // Approximate SOL price in USD
+        // Convert to SOL at the current SOL price
         const pnlSolValue = pnlUsdValue / solPrice;
         pnlSol = pnlSolValue > 0 ? `+${pnlSolValue.toFixed(6)} SOL` : `-${Math.abs(pnlSolValue).toFixed(6)} SOL`;
       }
@@ -414,7 +422,19 @@ function formatConsoleMessage(level, message) {
  */
 function startSpinner(text) {
   if (spinner) spinner.stop();
-  spinner = createSpinner(text).start();
+  spinner = spinnersEnabled ? createSpinner(text).start() : null;
+}
+
+/**
+ * Enable or disable spinners
+ * @param {boolean} enabled - Whether spinners should be drawn
+ */
+function setSpinnersEnabled(enabled) {
+  spinnersEnabled = enabled;
+  if (!enabled && spinner) {
+    spinner.stop();
+    spinner = null;
+  }
 }
 
 /**
@@ -597,6 +617,7 @@ function error(message, error) {
  */
 function trade(tradeDetails) {
   const { action, symbol, price, amount, profitLoss, txSignature, reason } = tradeDetails;
+  const solPrice = resolveSolPrice(tradeDetails.solPriceUsd);
 
   // Calculate PNL in USD and SOL if we have the necessary data
   let pnlUsd = 'N/A';
@@ -617,9 +638,7 @@ function trade(tradeDetails) {
     // Format with + sign for positive values and 2 decimal places
     pnlUsd = pnlUsdValue > 0 ? `+$${pnlUsdValue.toFixed(2)}` : `-$${Math.abs(pnlUsdValue).toFixed(2)}`;
 
-    // Calculate SOL value based on current SOL price (approximately $150 per SOL)
-    // Note: In a production environment, you would fetch the actual SOL price
-    const solPrice = 150; // Approximate SOL price in USD
+    // Convert to SOL at the SOL price recorded with the trade
     pnlSolValue = pnlUsdValue / solPrice;
 
     // Format SOL value with + sign for positive values and 6 decimal places (SOL has 9 decimals)
@@ -669,6 +688,7 @@ function trade(tradeDetails) {
     ['Profit/Loss %', plText],
     ['Profit/Loss $', plUsdText],
     ['Profit/Loss SOL', plSolText],
+    ['SOL Price', `$${solPrice.toFixed(2)}`],
     ['Reason', reason || 'N/A'],
     ['Transaction', txSignature ? chalk.blue(txSignature) : chalk.grey('N/A')]
   );
@@ -691,6 +711,7 @@ function trade(tradeDetails) {
       totalPnl: profitLoss,
       totalPnlUsd: pnlUsdValue,
       totalPnlSol: pnlSolValue,
+      solPriceUsd: solPrice,
       timestamp: getESTTimestamp()
     });
   }
@@ -818,6 +839,7 @@ module.exports = {
   updateSpinner,
   succeedSpinner,
   failSpinner,
+  setSpinnersEnabled,
   displayBox,
   displayBanner,
   clearLogFiles
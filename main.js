@@ -5,13 +5,20 @@ const fs = require('fs').promises;
 const chalk = require('chalk');
 const Table = require('cli-table3');
 const { initializeConnection, initializeWallet, checkWalletBalance, initializeMode } = require('./wallet');
-const { MODES } = require('./mode');
+const { MODES, executesTrades } = require('./mode');
 const { performTA } = require('./TA');
 const trading = require('./trading');
 const { DexScreenerService } = require('./src/services/dexscreener');
-const { BOT_CONFIG } = require('./config');
+const { BOT_CONFIG, TA_CONFIG } = require('./config');
+const { watchConfig, unwatchConfig, adjustConfig } = require('./config-profiles');
 const logger = require('./logger');
 const { initializeBlacklist } = require('./blacklist');
+const { flushRecordings } = require('./src/services/recorder');
+const { resetRiskGovernor } = require('./risk');
+const { startControlApi, stopControlApi } = require('./control-api');
+const { startDashboard, stopDashboard, refreshDashboard } = require('./dashboard');
+const { startSolPriceFeed, stopSolPriceFeed, getSolPriceStatus } = require('./price-oracle');
+const { usePaperStorage, createPaperConnection, createPaperWallet, getPaperWalletInfo } = require('./src/services/paper');
 
 // Display welcome banner
 logger.displayBanner('A.C.E', 'blue');
@@ -21,30 +28,46 @@ logger.displayBox('Augmented Coin Engine', 'Welcome', 'info');
 let isRunning = false;
 let analysisInterval = null;
 let currentServices = null; // Store services globally for status reporting
+let cycleInProgress = false; // Whether an analysis cycle is running (cycles are skipped rather than overlapped)
+let lastCycleError = null; // Error of the most recent cycle, null if it completed
+let logsCleared = false; // Log files are cleared on the first start of the process, not on restarts
 const ANALYSIS_INTERVAL = BOT_CONFIG.ANALYSIS_INTERVAL_MINUTES * 60 * 1000; // Convert minutes to milliseconds
 
 /**
  * Initialize all required services and connections
+ * @param {Object} options - Startup options
+ * @param {string} [options.mode] - Operating mode, skips the interactive prompt
  * @returns {Object} Initialized services and connections
  */
-async function initialize() {
+async function initialize(options = {}) {
   // Start initialization with banner and spinner
   logger.startSpinner('Initializing A.C.E...');
 
   try {
     // Initialize wallet and connection
-    logger.updateSpinner('Connecting to Solana mainnet-beta...');
+    logger.updateSpinner(`Connecting to Solana ${BOT_CONFIG.NETWORK}...`);
     const connection = initializeConnection();
-    logger.succeedSpinner('✓ Successfully connected to Solana mainnet-beta');
-    logger.logUser('Successfully connected to Solana mainnet-beta network');
-
-    logger.startSpinner('Initializing wallet...');
-    const wallet = initializeWallet();
-    logger.succeedSpinner('Wallet initialized successfully');
-    logger.logUser('Wallet initialized successfully');
+    logger.succeedSpinner(`✓ Successfully connected to Solana ${BOT_CONFIG.NETWORK}`);
+    logger.logUser(`Successfully connected to Solana ${BOT_CONFIG.NETWORK} network`);
+
+    // Paper trading runs on a virtual wallet: no wallet key and no on-chain balance check
+    let wallet;
+    let walletInfo;
+    if (options.mode === MODES.PAPER) {
+      logger.startSpinner('Loading paper wallet...');
+      wallet = createPaperWallet();
+      walletInfo = await getPaperWalletInfo(wallet.publicKey);
+      logger.succeedSpinner('Paper wallet loaded');
+      logger.logUser('Paper wallet loaded');
+    } else {
+      logger.startSpinner('Initializing wallet...');
+      wallet = initializeWallet();
+      logger.succeedSpinner('Wallet initialized successfully');
+      logger.logUser('Wallet initialized successfully');
 
-    logger.startSpinner('Checking wallet balance...');
-    const walletInfo = await checkWalletBalance(wallet);
+      logger.startSpinner('Checking wallet balance...');
+      walletInfo = await checkWalletBalance(wallet);
+    }
     logger.succeedSpinner(`Wallet public key: ${walletInfo.publicKey}\nWallet balance: ${walletInfo.balance} SOL`);
     logger.logUser(`Wallet public key: ${walletInfo.publicKey}\nWallet balance: ${walletInfo.balance} SOL`);
 
@@ -86,12 +109,25 @@ async function initialize() {
     }
 
     // Initialize bot mode
-    const mode = await initializeMode(walletInfo.balance);
+    const mode = await initializeMode(walletInfo.balance, options.mode);
 
     // Display mode in a box
     const modeColor = mode === MODES.TRADING ? 'success' : 'info';
     logger.displayBox(`Bot is running in ${mode.toUpperCase()} mode`, 'Mode', modeColor);
 
+    // Keep paper positions, journal and risk state apart from live trading, and
+    // answer wallet balance queries from the virtual wallet
+    let serviceConnection = connection;
+    if (mode === MODES.PAPER) {
+      adjustConfig(BOT_CONFIG, usePaperStorage);
+      serviceConnection = createPaperConnection(connection, wallet.publicKey);
+      // Paper mode picked at the prompt: report the virtual balance rather than the real one
+      if (options.mode !== MODES.PAPER) {
+        walletInfo = await getPaperWalletInfo(wallet.publicKey);
+      }
+      logger.info(`Paper trading with a virtual wallet, state kept in ${BOT_CONFIG.PAPER.DATA_DIR}`);
+    }
+
     // Initialize services
     logger.startSpinner('Initializing services...');
     const dexService = new DexScreenerService();
@@ -101,7 +137,7 @@ async function initialize() {
     logger.succeedSpinner('Services initialized successfully');
 
     return {
-      connection,
+      connection: serviceConnection,
       wallet,
       walletInfo,
       mode,
@@ -152,6 +188,13 @@ async function monitorPositions(services) {
  * @param {Object} services - Initialized services and connections
  */
 async function runCycle(services) {
+  // A cycle triggered through the control API must not overlap the scheduled one
+  if (cycleInProgress) {
+    logger.info('Previous analysis cycle still running, skipping this one');
+    return [];
+  }
+  cycleInProgress = true;
+
   try {
     const startTime = Date.now();
     logger.infoUser(`Starting Analysis Cycle`);
@@ -167,9 +210,9 @@ async function runCycle(services) {
       // Re-check position count after monitoring (in case positions were closed)
       const updatedPositionCount = trading.getOpenPositionsCount();
 
-      // If we still have any open positions, don't look for new opportunities
-      if (updatedPositionCount > 0) {
-        logger.info(`Currently have ${updatedPositionCount} open position(s). Not looking for new opportunities.`);
+      // If every position slot is taken, don't look for new opportunities
+      if (updatedPositionCount >= BOT_CONFIG.MAX_POSITIONS) {
+        logger.info(`Currently have ${updatedPositionCount}/${BOT_CONFIG.MAX_POSITIONS} open position(s). Not looking for new opportunities.`);
         const duration = Date.now() - startTime;
         logger.info(`Analysis Cycle Completed in ${chalk.cyan(duration + 'ms')}`);
         return [];
@@ -178,7 +221,7 @@ async function runCycle(services) {
 
     // Perform technical analysis to find trading opportunities
     logger.startSpinner('Performing technical analysis...');
-    const analyzedTokens = await performTA(services.dexService);
+    const analyzedTokens = await performTA(services.dexService, services.connection);
     logger.succeedSpinner('Technical analysis completed.');
 
     // Log analysis results with enhanced formatting
@@ -192,7 +235,7 @@ async function runCycle(services) {
     logger.info(`Analysis Cycle Completed in ${chalk.cyan(duration + 'ms')}`);
 
     // Execute trading strategy if in trading mode
-    if (services.mode === MODES.TRADING && BOT_CONFIG.TRADING_ENABLED) {
+    if (executesTrades(services.mode) && BOT_CONFIG.TRADING_ENABLED) {
       logger.startSpinner('Executing trading strategy...');
       const result = await trading.executeTradingStrategy(analyzedTokens, services);
 
@@ -221,7 +264,7 @@ async function runCycle(services) {
       // Log potential trades that would have been made
       if (analyzedTokens.length > 0) {
         const potentialTrades = analyzedTokens
-          .filter(token => token.score > BOT_CONFIG.MIN_SCORE)
+          .filter(token => token.score > BOT_CONFIG.BUY_CRITERIA.MIN_SCORE)
           .slice(0, 5);
 
         if (potentialTrades.length > 0) {
@@ -234,38 +277,63 @@ async function runCycle(services) {
     }
 
     logger.info(`Analysis Cycle Completed in ${duration}ms`);
+    refreshDashboard();
     logger.logUser(`Analysis completed in ${duration}ms. Found ${analyzedTokens.length} tokens${analyzedTokens.length > 0 ? ', top: ' + analyzedTokens.slice(0, 3).map(t => t.symbol).join(', ') : ''}`);
+    lastCycleError = null;
     return analyzedTokens;
   } catch (error) {
     logger.error(`Cycle Error: ${error.message}`, error);
+    lastCycleError = error;
     return [];
+  } finally {
+    cycleInProgress = false;
   }
 }
 
 /**
  * Start the bot's main loop
+ * @param {Object} options - Startup options
+ * @param {string} [options.mode] - Operating mode, skips the interactive prompt
+ * @param {boolean} [options.once] - Run a single analysis cycle, then stop
+ * @param {boolean} [options.dashboard] - Show the full-screen dashboard
+ * @returns {Object} - Result of starting (or, with once, of the single cycle)
  */
-async function startBot() {
+async function startBot(options = {}) {
   if (isRunning) {
     logger.warn('Bot is already running.');
     return { success: false, reason: 'already_running' };
   }
 
+  if (!logsCleared) {
+    logger.clearLogFiles();
+    logsCleared = true;
+  }
+
   try {
     // Initialize all services
     logger.infoUser('Initializing A.C.E services...');
-    const services = await initialize();
+    const services = await initialize(options);
     currentServices = services; // Store services globally
     isRunning = true;
+    startTime = Date.now();
+
+    // Keep the SOL price used for PnL conversions up to date
+    startSolPriceFeed();
+
+    // Apply edits to the active config profile's strategy parameters without a restart
+    if (!options.once) {
+      watchConfig(BOT_CONFIG, TA_CONFIG);
+    }
 
     // Create log directory if it doesn't exist
     const logDir = BOT_CONFIG.LOG_DIR || './logs';
     await fs.mkdir(logDir, { recursive: true }).catch(() => {});
 
     // Display bot configuration in a box
-    const isTradingEnabled = services.mode === MODES.TRADING && BOT_CONFIG.TRADING_ENABLED;
+    const isTradingEnabled = executesTrades(services.mode) && BOT_CONFIG.TRADING_ENABLED;
     const configMessage = [
       `Network: ${chalk.cyan(BOT_CONFIG.NETWORK)}`,
+      `Profile: ${chalk.cyan(BOT_CONFIG.PROFILE || 'default')}`,
       `Trading Enabled: ${isTradingEnabled ? chalk.green('YES') : chalk.red('NO')}`,
       `Analysis Interval: ${chalk.cyan(BOT_CONFIG.ANALYSIS_INTERVAL_MINUTES + ' minutes')}`,
       `Max Positions: ${chalk.cyan(BOT_CONFIG.MAX_POSITIONS.toString())}`,
@@ -274,6 +342,45 @@ async function startBot() {
 
     logger.displayBox(configMessage, 'Bot Configuration', 'info');
 
+    // Resume monitoring of positions saved by a previous run
+    if (isTradingEnabled) {
+      logger.startSpinner('Restoring saved positions...');
+      const restoreResult = await trading.executeTradingStrategy([], services);
+      if (restoreResult.success) {
+        logger.succeedSpinner(`Restored ${chalk.yellow(trading.getOpenPositionsCount())} open position(s)`);
+      } else {
+        logger.failSpinner(`Failed to restore positions: ${restoreResult.reason}`);
+      }
+    }
+
+    // A single cycle for cron jobs and scripts: no control API, dashboard or schedule
+    if (options.once) {
+      logger.startSpinner('Running single analysis cycle...');
+      const tokens = await runCycle(services);
+      const cycleError = lastCycleError;
+      if (cycleError) {
+        logger.failSpinner(`Analysis cycle failed: ${cycleError.message}`);
+      } else {
+        logger.succeedSpinner(`Analysis found ${chalk.yellow(tokens.length)} tokens`);
+      }
+      await stopBot();
+
+      return cycleError
+        ? { success: false, reason: 'cycle_failed', error: cycleError.message }
+        : { success: true, message: 'Single cycle completed', tokens: tokens.length };
+    }
+
+    // Start the control API if enabled
+    await startControlApi({
+      getBotStatus,
+      runCycle: async () => (isRunning && currentServices && !cycleInProgress ? runCycle(currentServices) : null)
+    });
+
+    // Switch to the full-screen dashboard if requested
+    if (BOT_CONFIG.DASHBOARD.ENABLED || options.dashboard || process.argv.includes('--dashboard')) {
+      startDashboard(services);
+    }
+
     // Run first cycle immediately
     logger.startSpinner('Running initial analysis cycle...');
     const initialTokens = await runCycle(services);
@@ -287,13 +394,15 @@ async function startBot() {
     // Display success message
     logger.displayBox(`Bot is now running in ${chalk.bold(services.mode.toUpperCase())} mode\nPress Ctrl+C to stop the bot.`, 'Bot Started', 'success');
 
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      logger.info('Received shutdown signal (Ctrl+C)');
+    // Handle graceful shutdown (Ctrl+C, or systemd/Docker stopping the service)
+    const shutdown = async signal => {
+      logger.info(`Received shutdown signal (${signal})`);
       await stopBot();
       logger.info('Exiting process...');
       process.exit(0);
-    });
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
 
     return { success: true, message: 'Bot started successfully' };
   } catch (error) {
@@ -317,6 +426,9 @@ async function stopBot() {
     return { success: true, message: 'Bot was not running' };
   }
 
+  // Give the terminal back before printing the shutdown summary
+  stopDashboard();
+
   logger.startSpinner('Stopping bot...');
 
   // Clear the analysis interval
@@ -350,7 +462,7 @@ async function stopBot() {
         ]);
       });
 
-      logger.warn(`Bot stopped with ${positions.length} open positions. These will need to be managed manually.`);
+      logger.warn(`Bot stopped with ${positions.length} open positions. They are saved and will resume monitoring on the next start.`);
       logger.info(posTable.toString());
     }
   } catch (error) {
@@ -358,6 +470,13 @@ async function stopBot() {
     logger.error('Error stopping trading activities', error);
   }
 
+  // Make sure recorded market data is fully written
+  await flushRecordings();
+
+  await stopControlApi();
+  stopSolPriceFeed();
+  unwatchConfig();
+
   isRunning = false;
   currentServices = null; // Clear services reference
 
@@ -393,14 +512,18 @@ async function main() {
 function getBotStatus() {
   // Get the current mode if the bot is running
   const currentMode = isRunning && currentServices ? currentServices.mode : null;
-  const isTradingEnabled = currentMode === MODES.TRADING && BOT_CONFIG.TRADING_ENABLED;
+  const isTradingEnabled = executesTrades(currentMode) && BOT_CONFIG.TRADING_ENABLED;
 
   return {
     isRunning,
     uptime: isRunning ? Date.now() - startTime : 0,
     positions: trading.getCurrentPositions(),
+    risk: trading.getRiskStatus(),
+    entries: trading.getPauseState(),
+    solPrice: getSolPriceStatus(),
     config: {
       network: BOT_CONFIG.NETWORK,
+      profile: BOT_CONFIG.PROFILE,
       tradingEnabled: isTradingEnabled,
       analysisInterval: BOT_CONFIG.ANALYSIS_INTERVAL_MINUTES,
       maxPositions: BOT_CONFIG.MAX_POSITIONS,
@@ -414,7 +537,6 @@ let startTime = 0;
 
 // Run the bot if this file is executed directly
 if (require.main === module) {
-  startTime = Date.now();
   main();
 }
 
@@ -424,5 +546,6 @@ module.exports = {
   stopBot,
   runCycle,
   monitorPositions,
-  getBotStatus
+  getBotStatus,
+  resetRiskGovernor
 };
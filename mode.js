@@ -6,17 +6,46 @@ const logger = require('./logger');
 // Constants
 const MODES = {
     TRADING: 'trading',
-    MONITORING: 'monitoring'
+    MONITORING: 'monitoring',
+    PAPER: 'paper'
 };
 
 /**
- * Get mode selection from user
+ * Whether a mode runs the trading pipeline (live, or against the paper wallet)
+ * @param {string} mode - Operating mode
+ * @returns {boolean} Whether trades are executed
+ */
+function executesTrades(mode) {
+    return mode === MODES.TRADING || mode === MODES.PAPER;
+}
+
+/**
+ * Get mode selection from user, or use the mode requested on the command line
  * @param {number} balance - Current wallet balance
  * @param {number} minimumBalance - Minimum required balance for transactions
  * @param {number} buyAmount - Amount of SOL used for each trade
+ * @param {string} [requestedMode] - Mode passed with --mode (skips the prompt)
  * @returns {Promise<string>} Selected mode
  */
-async function selectMode(balance, minimumBalance, buyAmount) {
+async function selectMode(balance, minimumBalance, buyAmount, requestedMode = null) {
+    if (requestedMode && !Object.values(MODES).includes(requestedMode)) {
+        throw new Error(`Invalid mode "${requestedMode}". Must be one of: ${Object.values(MODES).join(', ')}`);
+    }
+
+    // Monitoring and paper trading don't need any balance
+    if (requestedMode === MODES.MONITORING || requestedMode === MODES.PAPER) {
+        return requestedMode;
+    }
+
+    // An explicitly requested trading mode fails rather than silently monitoring
+    if (requestedMode === MODES.TRADING && balance < Math.max(minimumBalance, buyAmount)) {
+        throw new Error(`Insufficient balance (${balance} SOL) for trading mode. Minimum required: ${Math.max(minimumBalance, buyAmount)} SOL`);
+    }
+
+    if (requestedMode) {
+        return requestedMode;
+    }
+
     // If balance is below minimum for transactions, force monitoring mode
     if (balance < minimumBalance) {
         logger.warn(`\nInsufficient balance (${balance} SOL) for any operations.`);
@@ -33,7 +62,13 @@ async function selectMode(balance, minimumBalance, buyAmount) {
         return MODES.MONITORING;
     }
 
-    // Always ask user for mode selection
+    // Without a terminal there is nobody to answer the prompt (systemd, Docker, scripts)
+    if (!process.stdin.isTTY) {
+        logger.warn('No terminal available for mode selection, starting in monitoring mode. Use --mode to choose.');
+        return MODES.MONITORING;
+    }
+
+    // Ask user for mode selection
     const { mode } = await inquirer.prompt([
         {
             type: 'list',
@@ -44,6 +79,10 @@ async function selectMode(balance, minimumBalance, buyAmount) {
                     name: 'Trading Mode (Buy & Sell tokens automatically)',
                     value: MODES.TRADING
                 },
+                {
+                    name: 'Paper Trading Mode (Trade automatically with a virtual wallet)',
+                    value: MODES.PAPER
+                },
                 {
                     name: 'Monitoring Mode (Watch market without trading)',
                     value: MODES.MONITORING
@@ -57,5 +96,6 @@ async function selectMode(balance, minimumBalance, buyAmount) {
 
 module.exports = {
     MODES,
+    executesTrades,
     selectMode
 };
\ No newline at end of file
@@ -0,0 +1,168 @@
+// onchain.js - On-chain token risk analysis for the Solana Memecoin Trading Bot
+
+const { PublicKey } = require('@solana/web3.js');
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+
+// Raydium AMM v4 pools keep their vault addresses in the pool account
+const RAYDIUM_AMM_V4_PROGRAM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const RAYDIUM_AMM_V4_AUTHORITY = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+const RAYDIUM_AMM_V4_BASE_VAULT_OFFSET = 336;
+const RAYDIUM_AMM_V4_QUOTE_VAULT_OFFSET = 368;
+const RAYDIUM_AMM_V4_SIZE = 752;
+
+// Cached results by token address
+const riskCache = new Map();
+
+/**
+ * Find the token vault addresses of a pool
+ * @param {Object} connection - Solana connection
+ * @param {string} poolAddress - Pool address
+ * @returns {Promise<Set>} - Vault addresses (empty if the pool layout is unknown)
+ */
+async function getPoolVaults(connection, poolAddress) {
+  const vaults = new Set();
+  if (!poolAddress) return vaults;
+
+  try {
+    const pool = await connection.getAccountInfo(new PublicKey(poolAddress));
+    if (pool && pool.owner.toBase58() === RAYDIUM_AMM_V4_PROGRAM && pool.data.length >= RAYDIUM_AMM_V4_SIZE) {
+      [RAYDIUM_AMM_V4_BASE_VAULT_OFFSET, RAYDIUM_AMM_V4_QUOTE_VAULT_OFFSET].forEach(offset => {
+        vaults.add(new PublicKey(pool.data.subarray(offset, offset + 32)).toBase58());
+      });
+    }
+  } catch (error) {
+    logger.debug(`Failed to read pool account ${poolAddress}: ${error.message}`);
+  }
+
+  return vaults;
+}
+
+/**
+ * Scale a value between two thresholds to 0-1
+ * @param {number} value - Value to scale
+ * @param {number} low - Value that maps to 0
+ * @param {number} high - Value that maps to 1
+ * @returns {number} - Scaled value
+ */
+function scale(value, low, high) {
+  if (high <= low) return value > low ? 1 : 0;
+  return Math.min(1, Math.max(0, (value - low) / (high - low)));
+}
+
+/**
+ * Analyze a token's mint and holder distribution
+ * Reads the SPL mint, the largest token accounts and the pool vaults, and rates the rug risk from 0 (low) to 100 (high).
+ * Pool vaults are excluded from holder concentration. Wallets holding the mint or freeze authority count as dev wallets.
+ * @param {Object} token - Token data (tokenAddress, poolAddress, symbol)
+ * @param {Object} connection - Solana connection
+ * @param {Object} [settings] - Risk settings (defaults to BOT_CONFIG.ONCHAIN_RISK)
+ * @returns {Promise<Object|null>} - Risk analysis, or null if the mint couldn't be read
+ */
+async function analyzeTokenRisk(token, connection, settings = BOT_CONFIG.ONCHAIN_RISK) {
+  const cached = riskCache.get(token.tokenAddress);
+  if (cached && Date.now() - cached.timestamp < settings.CACHE_MINUTES * 60000) {
+    return cached;
+  }
+
+  try {
+    const mint = new PublicKey(token.tokenAddress);
+    const [mintAccount, largestAccounts, poolVaults] = await Promise.all([
+      connection.getParsedAccountInfo(mint),
+      connection.getTokenLargestAccounts(mint),
+      getPoolVaults(connection, token.poolAddress)
+    ]);
+
+    const mintInfo = mintAccount?.value?.data?.parsed?.info;
+    if (!mintInfo) {
+      logger.warn(`No mint account found for ${token.symbol} (${token.tokenAddress})`);
+      return null;
+    }
+
+    const decimals = mintInfo.decimals;
+    const supply = Number(mintInfo.supply) / Math.pow(10, decimals);
+    const accounts = largestAccounts?.value || [];
+
+    // Resolve the owners of the largest accounts to spot pool vaults and dev wallets
+    const ownerInfos = accounts.length > 0
+      ? await connection.getMultipleParsedAccounts(accounts.map(account => account.address))
+      : { value: [] };
+    const devWallets = new Set([mintInfo.mintAuthority, mintInfo.freezeAuthority].filter(Boolean));
+
+    let poolAmount = 0;
+    let devAmount = 0;
+    const holderAmounts = [];
+
+    accounts.forEach((account, index) => {
+      const address = account.address.toBase58();
+      const owner = ownerInfos.value[index]?.data?.parsed?.info?.owner;
+      const amount = account.uiAmount || 0;
+
+      if (poolVaults.has(address) || owner === token.poolAddress || owner === RAYDIUM_AMM_V4_AUTHORITY) {
+        poolAmount += amount;
+        return;
+      }
+      if (devWallets.has(owner)) {
+        devAmount += amount;
+      }
+      holderAmounts.push(amount);
+    });
+
+    const percentOfSupply = amount => (supply > 0 ? (amount / supply) * 100 : 0);
+    const top10Percent = percentOfSupply(holderAmounts.slice(0, 10).reduce((sum, amount) => sum + amount, 0));
+    const devPercent = percentOfSupply(devAmount);
+    const largestHolderPercent = percentOfSupply(holderAmounts[0] || 0);
+
+    // Rate each risk factor against its weight
+    const weights = settings.WEIGHTS;
+    const reasons = [];
+    let riskScore = 0;
+
+    if (mintInfo.mintAuthority) {
+      riskScore += weights.MINT_AUTHORITY;
+      reasons.push('mint authority set');
+    }
+    if (mintInfo.freezeAuthority) {
+      riskScore += weights.FREEZE_AUTHORITY;
+      reasons.push('freeze authority set');
+    }
+
+    const concentrationRisk = scale(top10Percent, settings.TOP10_SAFE_PERCENT, settings.TOP10_MAX_PERCENT);
+    if (concentrationRisk > 0) {
+      riskScore += concentrationRisk * weights.TOP10_CONCENTRATION;
+      reasons.push(`top 10 holders own ${top10Percent.toFixed(1)}%`);
+    }
+
+    const devRisk = scale(devPercent, 0, settings.DEV_MAX_PERCENT);
+    if (devRisk > 0) {
+      riskScore += devRisk * weights.DEV_SHARE;
+      reasons.push(`dev wallets own ${devPercent.toFixed(1)}%`);
+    }
+
+    const analysis = {
+      tokenAddress: token.tokenAddress,
+      riskScore: Math.round(Math.min(100, riskScore) * 10) / 10,
+      reasons,
+      mintAuthority: mintInfo.mintAuthority || null,
+      freezeAuthority: mintInfo.freezeAuthority || null,
+      supply,
+      decimals,
+      top10Percent,
+      devPercent,
+      largestHolderPercent,
+      poolPercent: percentOfSupply(poolAmount),
+      timestamp: Date.now()
+    };
+
+    riskCache.set(token.tokenAddress, analysis);
+    logger.debug(`On-chain risk for ${token.symbol}: ${analysis.riskScore}/100${reasons.length ? ` (${reasons.join(', ')})` : ''}`);
+    return analysis;
+  } catch (error) {
+    logger.error(`Error analyzing on-chain risk for ${token.symbol}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  analyzeTokenRisk
+};
@@ -0,0 +1,65 @@
+// positions.js - Durable position store for the Solana Memecoin Trading Bot
+
+const fs = require('fs').promises;
+const path = require('path');
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+
+// Pending write chain so overlapping saves are applied in order
+let writeQueue = Promise.resolve();
+
+/**
+ * Load stored positions from the position store file
+ * @returns {Promise<Array>} - Stored positions (empty if the store doesn't exist yet)
+ */
+async function loadPositions() {
+  try {
+    const data = await fs.readFile(BOT_CONFIG.POSITIONS_FILE, 'utf8');
+    const store = JSON.parse(data);
+    const storedPositions = Array.isArray(store.positions) ? store.positions : [];
+    logger.info(`Loaded ${storedPositions.length} positions from position store`);
+    return storedPositions;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    logger.error(`Error loading position store: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Write a snapshot of the store to disk
+ * Writes to a temporary file first so a crash never leaves a half-written store
+ * @param {string} snapshot - Serialized store contents
+ */
+async function writeSnapshot(snapshot) {
+  try {
+    const file = BOT_CONFIG.POSITIONS_FILE;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, snapshot);
+    await fs.rename(`${file}.tmp`, file);
+  } catch (error) {
+    logger.error(`Error saving position store: ${error.message}`);
+  }
+}
+
+/**
+ * Save the given positions to the position store file
+ * @param {Array} positions - All currently open positions
+ * @returns {Promise<void>} - Resolves once this snapshot is on disk
+ */
+function savePositions(positions) {
+  const snapshot = JSON.stringify({
+    updatedAt: new Date().toISOString(),
+    positions
+  }, null, 2);
+
+  writeQueue = writeQueue.then(() => writeSnapshot(snapshot));
+  return writeQueue;
+}
+
+module.exports = {
+  loadPositions,
+  savePositions
+};
@@ -0,0 +1,190 @@
+// price-oracle.js - Live SOL/USD price feed for the Solana Memecoin Trading Bot
+//
+// Prices come from the Jupiter Price API, with the DexScreener SOL/USDC pool as a
+// fallback. The last known price is cached in memory and on disk so PnL conversions
+// always have a value, even right after a restart or while both APIs are down.
+
+const fs = require('fs').promises;
+const path = require('path');
+const JupiterService = require('./src/services/jupiter');
+const { DexScreenerService } = require('./src/services/dexscreener');
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const SOL_USDC_POOL = '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2'; // Raydium SOL/USDC
+
+// Last known price
+const state = {
+  priceUsd: null,
+  source: null,
+  updatedAt: null
+};
+
+let loaded = false;
+let feedInterval = null;
+let refreshInFlight = null;
+let defaultJupiterService = null;
+let dexService = null;
+
+/**
+ * Load the last known price saved by a previous run
+ * @returns {Promise<void>}
+ */
+async function loadCachedPrice() {
+  if (loaded) return;
+  loaded = true;
+
+  try {
+    const data = JSON.parse(await fs.readFile(BOT_CONFIG.SOL_PRICE.CACHE_FILE, 'utf8'));
+    if (!state.priceUsd && data.priceUsd > 0) {
+      Object.assign(state, data);
+      logger.debug(`Loaded cached SOL price $${state.priceUsd} (${state.source})`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Error loading cached SOL price: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Save the last known price
+ * @returns {Promise<void>}
+ */
+async function saveCachedPrice() {
+  try {
+    const file = BOT_CONFIG.SOL_PRICE.CACHE_FILE;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(state, null, 2));
+  } catch (error) {
+    logger.warn(`Error saving cached SOL price: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch the SOL price from Jupiter
+ * @param {JupiterService} jupiterService - Jupiter service instance
+ * @returns {Promise<number|null>} - Price in USD, or null if unavailable
+ */
+async function fetchJupiterPrice(jupiterService) {
+  try {
+    const priceData = await jupiterService.getPrice(SOL_MINT);
+    const price = parseFloat(priceData?.data?.[SOL_MINT]?.price);
+    return price > 0 ? price : null;
+  } catch (error) {
+    logger.debug(`Jupiter SOL price fetch failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch the SOL price from the DexScreener SOL/USDC pool
+ * @returns {Promise<number|null>} - Price in USD, or null if unavailable
+ */
+async function fetchDexScreenerPrice() {
+  dexService = dexService || new DexScreenerService();
+  const pair = await dexService.getPairData('solana', SOL_USDC_POOL);
+  return pair && pair.baseToken?.address === SOL_MINT && pair.priceUsd > 0 ? pair.priceUsd : null;
+}
+
+/**
+ * Fetch a fresh SOL price and update the cache
+ * Concurrent callers share one request.
+ * @param {JupiterService} [jupiterService] - Jupiter service instance
+ * @returns {Promise<number|null>} - Fresh price, or null if every source failed
+ */
+function refreshSolPrice(jupiterService) {
+  if (refreshInFlight) return refreshInFlight;
+
+  refreshInFlight = (async () => {
+    await loadCachedPrice();
+
+    let source = 'jupiter';
+    defaultJupiterService = defaultJupiterService || new JupiterService();
+    let price = await fetchJupiterPrice(jupiterService || defaultJupiterService);
+    if (!price) {
+      source = 'dexscreener';
+      price = await fetchDexScreenerPrice();
+    }
+
+    if (!price) {
+      logger.warn(`Failed to fetch SOL price, using last known $${getCachedSolPrice()}`);
+      return null;
+    }
+
+    Object.assign(state, { priceUsd: price, source, updatedAt: Date.now() });
+    await saveCachedPrice();
+    return price;
+  })().finally(() => {
+    refreshInFlight = null;
+  });
+
+  return refreshInFlight;
+}
+
+/**
+ * Get the SOL price, refreshing it if the cached value is older than MAX_AGE_SECONDS
+ * @param {JupiterService} [jupiterService] - Jupiter service instance
+ * @returns {Promise<number>} - Price in USD (last known or FALLBACK_USD if no source answers)
+ */
+async function getSolPriceUsd(jupiterService) {
+  await loadCachedPrice();
+  const maxAge = BOT_CONFIG.SOL_PRICE.MAX_AGE_SECONDS * 1000;
+  if (!state.updatedAt || Date.now() - state.updatedAt > maxAge) {
+    await refreshSolPrice(jupiterService);
+  }
+  return getCachedSolPrice();
+}
+
+/**
+ * Get the last known SOL price without fetching
+ * @returns {number} - Price in USD (FALLBACK_USD if no price has been fetched yet)
+ */
+function getCachedSolPrice() {
+  return state.priceUsd || BOT_CONFIG.SOL_PRICE.FALLBACK_USD;
+}
+
+/**
+ * Keep the price fresh in the background
+ * @param {JupiterService} [jupiterService] - Jupiter service instance
+ */
+function startSolPriceFeed(jupiterService) {
+  if (feedInterval) return;
+  refreshSolPrice(jupiterService);
+  feedInterval = setInterval(() => refreshSolPrice(jupiterService), BOT_CONFIG.SOL_PRICE.REFRESH_SECONDS * 1000);
+  feedInterval.unref();
+}
+
+/**
+ * Stop the background feed
+ */
+function stopSolPriceFeed() {
+  if (feedInterval) {
+    clearInterval(feedInterval);
+    feedInterval = null;
+  }
+}
+
+/**
+ * Get the current price and where it came from
+ * @returns {Object} - { priceUsd, source, updatedAt, stale }
+ */
+function getSolPriceStatus() {
+  const maxAge = BOT_CONFIG.SOL_PRICE.MAX_AGE_SECONDS * 1000;
+  return {
+    priceUsd: getCachedSolPrice(),
+    source: state.source || 'fallback',
+    updatedAt: state.updatedAt,
+    stale: !state.updatedAt || Date.now() - state.updatedAt > maxAge
+  };
+}
+
+module.exports = {
+  getSolPriceUsd,
+  getCachedSolPrice,
+  refreshSolPrice,
+  startSolPriceFeed,
+  stopSolPriceFeed,
+  getSolPriceStatus
+};
@@ -0,0 +1,155 @@
+// quote-guard.js - Pre-trade quote check for the Solana Memecoin Trading Bot
+//
+// Every swap's Ultra order is inspected before it is signed: the price the order implies
+// is compared with the DexScreener priceUsd the trade decision was based on, and its price
+// impact and slippage tolerance with the QUOTE_GUARD limits. Only deviations against us
+// count (paying more on a buy, receiving less on a sell). A rejected order is never sent.
+
+const { BOT_CONFIG } = require('./config');
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+class QuoteRejectedError extends Error {
+  /**
+   * @param {Array} reasons - Limits the order broke
+   * @param {Object} quote - Quote summary from describeQuote
+   */
+  constructor(reasons, quote) {
+    super(`Quote rejected: ${reasons.join('; ')}`);
+    this.name = 'QuoteRejectedError';
+    this.reasons = reasons;
+    this.quote = quote;
+  }
+}
+
+/**
+ * Round a number for the quote summary
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Significant decimals to keep
+ * @returns {number|null} - Rounded value, or null
+ */
+function round(value, decimals = 4) {
+  return typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(decimals)) : null;
+}
+
+/**
+ * Read an order's price impact in percent
+ * @param {Object} order - Ultra order (or quote) response
+ * @returns {number|null} - Price impact in percent, or null if the order has none
+ */
+function priceImpactPercent(order) {
+  // priceImpactPct is a fraction (0.01 = 1%)
+  const impact = parseFloat(order.priceImpactPct);
+  return Number.isFinite(impact) ? Math.abs(impact) * 100 : null;
+}
+
+/**
+ * Summarize an order: the USD price it implies, its deviation from the market price, impact and route
+ * @param {Object} order - Ultra order (or quote) response
+ * @param {Object} context - Trade context
+ * @param {string} context.side - 'buy' (SOL to token) or 'sell' (token to SOL)
+ * @param {number} context.marketPriceUsd - DexScreener priceUsd the decision was based on
+ * @param {number} context.decimals - Token mint decimals
+ * @param {number} context.solPriceUsd - SOL price in USD
+ * @returns {Object} - Quote summary
+ */
+function describeQuote(order, context) {
+  const scale = Math.pow(10, context.decimals);
+  const inAmount = Number(order.inAmount);
+  const outAmount = Number(order.outAmount);
+
+  // USD per token implied by the order's amounts
+  let priceUsd = null;
+  if (inAmount > 0 && outAmount > 0 && context.solPriceUsd > 0) {
+    priceUsd = context.side === 'buy'
+      ? (inAmount / LAMPORTS_PER_SOL) * context.solPriceUsd / (outAmount / scale)
+      : (outAmount / LAMPORTS_PER_SOL) * context.solPriceUsd / (inAmount / scale);
+  }
+
+  // Positive when the order is worse than the market price
+  let deviationPercent = null;
+  if (priceUsd !== null && context.marketPriceUsd > 0) {
+    deviationPercent = context.side === 'buy'
+      ? (priceUsd / context.marketPriceUsd - 1) * 100
+      : (1 - priceUsd / context.marketPriceUsd) * 100;
+  }
+
+  const impact = priceImpactPercent(order);
+
+  return {
+    side: context.side,
+    inAmount: order.inAmount,
+    outAmount: order.outAmount,
+    priceUsd: round(priceUsd, 12),
+    marketPriceUsd: context.marketPriceUsd,
+    deviationPercent: round(deviationPercent),
+    priceImpactPercent: round(impact),
+    slippageBps: typeof order.slippageBps === 'number' ? order.slippageBps : null,
+    route: Array.isArray(order.routePlan)
+      ? order.routePlan.map(step => step.swapInfo?.label).filter(Boolean)
+      : []
+  };
+}
+
+/**
+ * Check an order against the QUOTE_GUARD limits
+ * @param {Object} order - Ultra order (or quote) response
+ * @param {Object} context - Trade context (see describeQuote), plus context.slippageBps, the requested tolerance
+ * @param {Object} [settings] - Limits (defaults to BOT_CONFIG.QUOTE_GUARD)
+ * @returns {Object} - { passed, reasons, quote }
+ */
+function inspectOrder(order, context, settings = BOT_CONFIG.QUOTE_GUARD) {
+  const quote = describeQuote(order, context);
+  const reasons = [];
+
+  if (!settings.ENABLED) {
+    return { passed: true, reasons, quote };
+  }
+
+  if (!(Number(order.outAmount) > 0)) {
+    reasons.push('order has no output amount');
+  }
+
+  const maxImpact = context.side === 'buy' ? settings.MAX_BUY_PRICE_IMPACT_PERCENT : settings.MAX_SELL_PRICE_IMPACT_PERCENT;
+  if (quote.priceImpactPercent !== null && quote.priceImpactPercent > maxImpact) {
+    reasons.push(`price impact ${quote.priceImpactPercent.toFixed(2)}% (max ${maxImpact}%)`);
+  }
+
+  // A buy whose price can't be compared (unknown decimals, market or SOL price) is refused;
+  // a sell still goes through, getting out matters more than its price
+  const maxDeviation = context.side === 'buy' ? settings.MAX_BUY_DEVIATION_PERCENT : settings.MAX_SELL_DEVIATION_PERCENT;
+  if (quote.deviationPercent === null && context.side === 'buy') {
+    reasons.push('price deviation could not be checked (missing token decimals, market price or SOL price)');
+  } else if (quote.deviationPercent !== null && quote.deviationPercent > maxDeviation) {
+    reasons.push(`order price $${quote.priceUsd} is ${quote.deviationPercent.toFixed(2)}% ` +
+      `${context.side === 'buy' ? 'above' : 'below'} the market price $${context.marketPriceUsd} (max ${maxDeviation}%)`);
+  }
+
+  if (quote.slippageBps !== null && context.slippageBps && quote.slippageBps > context.slippageBps) {
+    reasons.push(`slippage tolerance ${quote.slippageBps} bps (max ${context.slippageBps} bps)`);
+  }
+
+  return { passed: reasons.length === 0, reasons, quote };
+}
+
+/**
+ * Build an order check for JupiterService.executeUltraSwapWithOrder that aborts before signing
+ * @param {Object} context - Trade context (see inspectOrder)
+ * @returns {Function} - Check that throws a QuoteRejectedError for an order that fails
+ */
+function guardOrder(context) {
+  return order => {
+    const inspection = inspectOrder(order, context);
+    if (!inspection.passed) {
+      throw new QuoteRejectedError(inspection.reasons, inspection.quote);
+    }
+  };
+}
+
+module.exports = {
+  QuoteRejectedError,
+  priceImpactPercent,
+  describeQuote,
+  inspectOrder,
+  guardOrder
+};
@@ -0,0 +1,494 @@
+// report.js - Performance analytics report for the Solana Memecoin Trading Bot
+//
+// Reads the trade history of the live bot (the trade journal, see journal.js) or of a
+// backtest (the results file written by simulation/backtest.js), computes PnL, profit
+// factor, expectancy, Sharpe/Sortino on per-trade returns, max drawdown and win rates
+// by exit reason, entry score and hour of day, and renders them as terminal tables and
+// a static HTML file.
+//
+// Usage: node report.js [journal .jsonl or backtest .json file] [--from <date>] [--to <date>]
+//                       [--balance <SOL>] [--out <file.html>]
+
+const fs = require('fs').promises;
+const path = require('path');
+const Table = require('cli-table3');
+const chalk = require('chalk');
+const { BOT_CONFIG } = require('./config');
+const { queryJournal } = require('./journal');
+
+const SCORE_BUCKET_SIZE = 10;
+
+/**
+ * Short name of an exit reason, without the details in parentheses
+ * @param {string} reason - Exit reason
+ * @returns {string} - Reason category
+ */
+function reasonCategory(reason) {
+  return (reason || 'Unknown').replace(/\s*\(.*$/, '').trim() || 'Unknown';
+}
+
+/**
+ * Hour of day a trade was entered, in the same timezone as the logs
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {number} - Hour (0-23, EST)
+ */
+function entryHour(timestamp) {
+  const hour = new Date(timestamp).toLocaleString('en-US', { timeZone: 'America/New_York', hour: '2-digit', hour12: false });
+  return parseInt(hour, 10) % 24;
+}
+
+/**
+ * Turn journal records into completed trades
+ * @param {Array} records - Journal records (see journal.js)
+ * @returns {Object} - { trades, openPartialPnlSol, openTrades }
+ */
+function fromJournalRecords(records) {
+  const closed = records.filter(record => record.status === 'closed');
+  const open = records.filter(record => record.status !== 'closed');
+
+  const trades = closed.map(record => {
+    const costSol = typeof record.entry.solSpent === 'number' ? record.entry.solSpent : record.entry.amountSol;
+    const pnlSol = record.totals.realizedPnlSol || 0;
+    const lastExit = record.exits[record.exits.length - 1];
+    const solPriceUsd = lastExit?.solPriceUsd || record.entry.solPriceUsd || null;
+    const exitSlippages = record.exits.map(exit => exit.slippagePercent).filter(value => typeof value === 'number');
+    return {
+      symbol: record.symbol,
+      tokenAddress: record.tokenAddress,
+      openedAt: new Date(record.openedAt).getTime(),
+      closedAt: new Date(record.closedAt).getTime(),
+      holdTimeSeconds: record.holdTimeSeconds,
+      costSol,
+      pnlSol,
+      returnPercent: typeof record.totals.realizedPnlPercent === 'number'
+        ? record.totals.realizedPnlPercent
+        : (costSol > 0 ? (pnlSol / costSol) * 100 : 0),
+      pnlUsd: typeof record.totals.realizedPnlUsd === 'number' ? record.totals.realizedPnlUsd : (solPriceUsd ? pnlSol * solPriceUsd : null),
+      exitReason: record.exitReason,
+      entryScore: typeof record.entry.entryScore === 'number' ? record.entry.entryScore : record.entry.tokenScore,
+      scoreDetails: record.entry.scoreDetails || null,
+      // Round-trip slippage against the quotes: entry plus the average of the exits
+      slippagePercent: typeof record.entry.slippagePercent === 'number' || exitSlippages.length > 0
+        ? (record.entry.slippagePercent || 0) + mean(exitSlippages)
+        : null
+    };
+  });
+
+  // Partial sells of positions that are still open are realized too
+  const openPartialPnlSol = open.reduce((sum, record) =>
+    sum + record.exits.reduce((exitSum, exit) => exitSum + (exit.pnlSol || 0), 0), 0);
+
+  return { trades, openPartialPnlSol, openTrades: open.length };
+}
+
+/**
+ * Turn backtest buy/sell fills into completed trades
+ * Each BUY starts a trade; the SELLs of the same token until the next BUY belong to it.
+ * @param {Array} fills - Trades from a backtest result
+ * @param {Object} settings - Backtest settings
+ * @returns {Object} - { trades, openPartialPnlSol, openTrades }
+ */
+function fromBacktestTrades(fills, settings = {}) {
+  const openTrades = new Map();
+  const trades = [];
+
+  const finish = trade => {
+    trades.push({
+      ...trade,
+      holdTimeSeconds: (trade.closedAt - trade.openedAt) / 1000,
+      returnPercent: trade.costSol > 0 ? (trade.pnlSol / trade.costSol) * 100 : 0,
+      pnlUsd: settings.solPriceUsd ? trade.pnlSol * settings.solPriceUsd : null
+    });
+  };
+
+  [...fills].sort((a, b) => a.timestamp - b.timestamp).forEach(fill => {
+    if (fill.action === 'BUY') {
+      if (openTrades.has(fill.tokenAddress)) finish(openTrades.get(fill.tokenAddress));
+      const score = parseFloat((fill.reason || '').match(/Score: ([\d.]+)/)?.[1]);
+      openTrades.set(fill.tokenAddress, {
+        symbol: fill.symbol,
+        tokenAddress: fill.tokenAddress,
+        openedAt: fill.timestamp,
+        closedAt: fill.timestamp,
+        costSol: fill.solSpent,
+        pnlSol: 0,
+        exitReason: null,
+        entryScore: typeof fill.entryScore === 'number' ? fill.entryScore : (isNaN(score) ? null : score),
+        scoreDetails: fill.scoreDetails || null,
+        slippagePercent: typeof settings.slippageBps === 'number' ? (settings.slippageBps / 100) * 2 : null
+      });
+      return;
+    }
+
+    const trade = openTrades.get(fill.tokenAddress);
+    if (!trade) return;
+    trade.pnlSol += fill.pnlSol || 0;
+    trade.closedAt = fill.timestamp;
+    trade.exitReason = fill.reason;
+  });
+
+  // Backtests close everything at the end, so any trade left has all its sells
+  openTrades.forEach(finish);
+
+  return { trades, openPartialPnlSol: 0, openTrades: 0 };
+}
+
+/**
+ * Load the trade history to report on
+ * @param {string} [source] - Journal (.jsonl) or backtest result (.json) file; the live journal if omitted
+ * @param {Object} [filter] - { from, to } entry time range
+ * @returns {Promise<Object>} - { label, trades, openPartialPnlSol, openTrades, startingBalanceSol }
+ */
+async function loadTradeHistory(source, filter = {}) {
+  let history;
+  let startingBalanceSol = null;
+
+  if (!source || source.endsWith('.jsonl')) {
+    const records = source
+      ? (await fs.readFile(source, 'utf8')).split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      : await queryJournal();
+    history = fromJournalRecords(records);
+  } else {
+    const result = JSON.parse(await fs.readFile(source, 'utf8'));
+    if (!Array.isArray(result.trades)) {
+      throw new Error(`${source} is not a trade journal or backtest result`);
+    }
+    history = fromBacktestTrades(result.trades, result.settings);
+    startingBalanceSol = result.settings?.startingBalanceSol || null;
+  }
+
+  const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+  const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+  history.trades = history.trades
+    .filter(trade => trade.openedAt >= from && trade.openedAt <= to)
+    .sort((a, b) => a.closedAt - b.closedAt);
+
+  return {
+    label: source || BOT_CONFIG.JOURNAL.FILE,
+    startingBalanceSol,
+    ...history
+  };
+}
+
+/**
+ * Mean of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} - Mean (0 if empty)
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Win rate, PnL and average return of a group of trades
+ * @param {Array} trades - Trades in the group
+ * @returns {Object} - Group statistics
+ */
+function summarizeGroup(trades) {
+  const wins = trades.filter(trade => trade.pnlSol > 0).length;
+  return {
+    trades: trades.length,
+    wins,
+    winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+    pnlSol: trades.reduce((sum, trade) => sum + trade.pnlSol, 0),
+    avgReturnPercent: mean(trades.map(trade => trade.returnPercent))
+  };
+}
+
+/**
+ * Group trades and summarize each group
+ * @param {Array} trades - Trades
+ * @param {Function} keyOf - Returns the group key of a trade
+ * @returns {Array} - [{ key, ...group statistics }] sorted by key
+ */
+function groupBy(trades, keyOf) {
+  const groups = new Map();
+  trades.forEach(trade => {
+    const key = keyOf(trade);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(trade);
+  });
+  return Array.from(groups.entries())
+    .map(([key, group]) => ({ key, ...summarizeGroup(group) }))
+    .sort((a, b) => String(a.key).localeCompare(String(b.key), undefined, { numeric: true }));
+}
+
+/**
+ * Compute performance metrics for a trade history
+ * Sharpe and Sortino are per trade (mean return over its deviation), not annualized.
+ * @param {Object} history - Result of loadTradeHistory
+ * @param {Object} [options] - { startingBalanceSol } to express drawdown in percent
+ * @returns {Object} - Performance metrics
+ */
+function computeMetrics(history, options = {}) {
+  const { trades } = history;
+  const startingBalanceSol = options.startingBalanceSol || history.startingBalanceSol || null;
+  const returns = trades.map(trade => trade.returnPercent);
+  const wins = trades.filter(trade => trade.pnlSol > 0);
+  const losses = trades.filter(trade => trade.pnlSol <= 0);
+
+  const closedPnlSol = trades.reduce((sum, trade) => sum + trade.pnlSol, 0);
+  const pricedTrades = trades.filter(trade => typeof trade.pnlUsd === 'number');
+  const grossProfitSol = wins.reduce((sum, trade) => sum + trade.pnlSol, 0);
+  const grossLossSol = Math.abs(losses.reduce((sum, trade) => sum + trade.pnlSol, 0));
+
+  // Per-trade return risk
+  const avgReturn = mean(returns);
+  const stdDev = returns.length > 1
+    ? Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - avgReturn, 2), 0) / (returns.length - 1))
+    : 0;
+  const downsideDev = returns.length > 0
+    ? Math.sqrt(mean(returns.map(r => Math.pow(Math.min(0, r), 2))))
+    : 0;
+
+  // Drawdown of cumulative closed-trade PnL, in trade close order
+  let cumulative = 0;
+  let peak = 0;
+  let maxDrawdownSol = 0;
+  let maxDrawdownPercent = 0;
+  const equityCurve = trades.map(trade => {
+    cumulative += trade.pnlSol;
+    peak = Math.max(peak, cumulative);
+    maxDrawdownSol = Math.max(maxDrawdownSol, peak - cumulative);
+    if (startingBalanceSol) {
+      maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - cumulative) / (startingBalanceSol + peak)) * 100);
+    }
+    return { timestamp: trade.closedAt, pnlSol: cumulative };
+  });
+
+  const scoreBucket = trade => {
+    if (typeof trade.entryScore !== 'number') return 'Unknown';
+    const low = Math.floor(trade.entryScore / SCORE_BUCKET_SIZE) * SCORE_BUCKET_SIZE;
+    return `${low}-${low + SCORE_BUCKET_SIZE - 1}`;
+  };
+
+  return {
+    label: history.label,
+    generatedAt: new Date().toISOString(),
+    trades: trades.length,
+    openTrades: history.openTrades,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+    closedPnlSol,
+    realizedPnlSol: closedPnlSol + history.openPartialPnlSol,
+    closedPnlUsd: pricedTrades.length > 0 ? pricedTrades.reduce((sum, trade) => sum + trade.pnlUsd, 0) : null,
+    grossProfitSol,
+    grossLossSol,
+    profitFactor: grossLossSol > 0 ? grossProfitSol / grossLossSol : (grossProfitSol > 0 ? Infinity : 0),
+    expectancySol: trades.length > 0 ? closedPnlSol / trades.length : 0,
+    expectancyPercent: avgReturn,
+    avgWinPercent: mean(wins.map(trade => trade.returnPercent)),
+    avgLossPercent: mean(losses.map(trade => trade.returnPercent)),
+    sharpe: stdDev > 0 ? avgReturn / stdDev : 0,
+    sortino: downsideDev > 0 ? avgReturn / downsideDev : 0,
+    maxDrawdownSol,
+    maxDrawdownPercent: startingBalanceSol ? maxDrawdownPercent : null,
+    startingBalanceSol,
+    avgHoldTimeSeconds: mean(trades.map(trade => trade.holdTimeSeconds || 0)),
+    byExitReason: groupBy(trades, trade => reasonCategory(trade.exitReason)),
+    byScore: groupBy(trades, scoreBucket),
+    byHour: groupBy(trades, trade => entryHour(trade.openedAt)),
+    equityCurve
+  };
+}
+
+/**
+ * Format a number with a sign
+ * @param {number|null} value - Value to format
+ * @param {number} decimals - Decimal places
+ * @returns {string} - Formatted value
+ */
+function signed(value, decimals = 2) {
+  if (typeof value !== 'number') return 'N/A';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}`;
+}
+
+/**
+ * Summary rows shared by the terminal and HTML reports
+ * @param {Object} metrics - Result of computeMetrics
+ * @returns {Array} - [label, value] pairs
+ */
+function summaryRows(metrics) {
+  return [
+    ['Closed Trades', `${metrics.trades} (${metrics.openTrades} still open)`],
+    ['Win Rate', `${metrics.winRate.toFixed(2)}% (${metrics.wins} W / ${metrics.losses} L)`],
+    ['Closed PnL', `${signed(metrics.closedPnlSol, 4)} SOL${metrics.closedPnlUsd !== null ? ` (${metrics.closedPnlUsd >= 0 ? '+' : '-'}$${Math.abs(metrics.closedPnlUsd).toFixed(2)})` : ''}`],
+    ['Realized PnL', `${signed(metrics.realizedPnlSol, 4)} SOL (incl. partial sells of open positions)`],
+    ['Profit Factor', metrics.profitFactor === Infinity ? '∞' : metrics.profitFactor.toFixed(2)],
+    ['Expectancy', `${signed(metrics.expectancySol, 4)} SOL / ${signed(metrics.expectancyPercent)}% per trade`],
+    ['Avg Win / Avg Loss', `${signed(metrics.avgWinPercent)}% / ${signed(metrics.avgLossPercent)}%`],
+    ['Sharpe (per trade)', metrics.sharpe.toFixed(2)],
+    ['Sortino (per trade)', metrics.sortino.toFixed(2)],
+    ['Max Drawdown', `${metrics.maxDrawdownSol.toFixed(4)} SOL${metrics.maxDrawdownPercent !== null ? ` (${metrics.maxDrawdownPercent.toFixed(2)}%)` : ''}`],
+    ['Avg Hold Time', `${(metrics.avgHoldTimeSeconds / 60).toFixed(1)} min`]
+  ];
+}
+
+/**
+ * Group rows shared by the terminal and HTML reports
+ * @param {Array} groups - Group statistics
+ * @returns {Array} - Rows of [key, trades, win rate, PnL, avg return]
+ */
+function groupRows(groups) {
+  return groups.map(group => [
+    String(group.key),
+    String(group.trades),
+    `${group.winRate.toFixed(1)}%`,
+    signed(group.pnlSol, 4),
+    `${signed(group.avgReturnPercent)}%`
+  ]);
+}
+
+const GROUP_SECTIONS = [
+  ['byExitReason', 'Exit Reason'],
+  ['byScore', 'Entry Score'],
+  ['byHour', 'Hour (EST)']
+];
+
+/**
+ * Print the report as terminal tables
+ * @param {Object} metrics - Result of computeMetrics
+ */
+function printReport(metrics) {
+  const summaryTable = new Table({ style: { head: ['cyan'] } });
+  summaryRows(metrics).forEach(([label, value]) => summaryTable.push({ [label]: value }));
+
+  console.log(chalk.bold(`\nPerformance Report: ${metrics.label}`));
+  console.log(summaryTable.toString());
+
+  GROUP_SECTIONS.forEach(([key, title]) => {
+    const table = new Table({
+      head: [title, 'Trades', 'Win Rate', 'PnL (SOL)', 'Avg Return'],
+      style: { head: ['cyan'] }
+    });
+    groupRows(metrics[key]).forEach(row => table.push(row));
+    console.log(chalk.bold(`\nBy ${title}`));
+    console.log(table.toString());
+  });
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+/**
+ * Render an HTML table
+ * @param {Array} head - Header cells
+ * @param {Array} rows - Rows of cells
+ * @returns {string} - HTML
+ */
+function htmlTable(head, rows) {
+  const headHtml = head.length > 0 ? `<tr>${head.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr>` : '';
+  const rowsHtml = rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n${headHtml}\n${rowsHtml}\n</table>`;
+}
+
+/**
+ * Render the cumulative PnL curve as an inline SVG
+ * @param {Array} equityCurve - [{ timestamp, pnlSol }]
+ * @returns {string} - SVG markup (empty if there is nothing to draw)
+ */
+function equitySvg(equityCurve) {
+  if (equityCurve.length < 2) return '';
+  const width = 800;
+  const height = 200;
+  const values = [0, ...equityCurve.map(point => point.pnlSol)];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const x = i => (i / (values.length - 1)) * width;
+  const y = value => height - ((value - min) / range) * height;
+  const points = values.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" height="${height}">` +
+    `<line x1="0" y1="${y(0).toFixed(1)}" x2="${width}" y2="${y(0).toFixed(1)}" stroke="#999" stroke-dasharray="4"/>` +
+    `<polyline fill="none" stroke="#2a7" stroke-width="2" points="${points}"/></svg>`;
+}
+
+/**
+ * Render the report as a static HTML page
+ * @param {Object} metrics - Result of computeMetrics
+ * @returns {string} - HTML document
+ */
+function renderHtml(metrics) {
+  const sections = GROUP_SECTIONS.map(([key, title]) =>
+    `<h2>By ${escapeHtml(title)}</h2>\n${htmlTable([title, 'Trades', 'Win Rate', 'PnL (SOL)', 'Avg Return'], groupRows(metrics[key]))}`
+  ).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>A.C.E Performance Report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: left; }
+th { background: #f0f4f8; }
+</style>
+</head>
+<body>
+<h1>A.C.E Performance Report</h1>
+<p>Source: ${escapeHtml(metrics.label)}<br>Generated: ${escapeHtml(metrics.generatedAt)}</p>
+${htmlTable([], summaryRows(metrics))}
+<h2>Cumulative Closed PnL (SOL)</h2>
+${equitySvg(metrics.equityCurve)}
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Parse command-line flags of the form --name value
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - { source, flags }
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { source: positional[0], flags };
+}
+
+async function main() {
+  const { source, flags } = parseArgs(process.argv.slice(2));
+
+  const history = await loadTradeHistory(source, { from: flags.from, to: flags.to });
+  const metrics = computeMetrics(history, { startingBalanceSol: parseFloat(flags.balance) || null });
+  printReport(metrics);
+
+  const outFile = flags.out || path.join(BOT_CONFIG.LOG_DIR || './logs', 'reports', `report-${Date.now()}.html`);
+  await fs.mkdir(path.dirname(outFile), { recursive: true });
+  await fs.writeFile(outFile, renderHtml(metrics));
+  console.log(`\nHTML report written to ${outFile}`);
+}
+
+// Only run the report if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Report failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+// Export functions for programmatic use
+module.exports = {
+  loadTradeHistory,
+  fromBacktestTrades,
+  computeMetrics,
+  printReport,
+  renderHtml
+};
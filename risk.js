@@ -0,0 +1,268 @@
+// risk.js - Risk governor (circuit breaker) for the Solana Memecoin Trading Bot
+
+const fs = require('fs').promises;
+const path = require('path');
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+
+// Governor state (persisted so a restart doesn't clear a tripped breaker)
+const state = {
+  day: null, // UTC day (YYYY-MM-DD) the daily counters belong to
+  dailyRealizedSol: 0, // Realized PnL since the start of the day (or the last reset)
+  sessionRealizedSol: 0, // Realized PnL since the governor was first initialized
+  unrealizedSol: 0, // Unrealized PnL of open positions at the last monitoring tick
+  consecutiveLosses: 0, // Losing sells in a row
+  startingEquitySol: 0, // Equity the drawdown is measured against
+  peakPnlSol: 0, // Highest session PnL (realized + unrealized) seen so far
+  tripped: false, // Whether new entries are paused
+  tripReason: null,
+  trippedAt: null,
+  resumeAt: null, // When the cooldown ends (null = manual reset only)
+  forceExitPending: false // Whether open positions should be sold
+};
+
+let initialized = false;
+
+// Pending write chain so overlapping saves are applied in order
+let writeQueue = Promise.resolve();
+
+/**
+ * Current UTC day
+ * @returns {string} - Day in YYYY-MM-DD format
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Save the governor state to disk
+ * @returns {Promise<void>}
+ */
+function saveState() {
+  const snapshot = JSON.stringify(state, null, 2);
+  writeQueue = writeQueue.then(async () => {
+    try {
+      const file = BOT_CONFIG.RISK_STATE_FILE;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot);
+      await fs.rename(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error(`Error saving risk governor state: ${error.message}`);
+    }
+  });
+  return writeQueue;
+}
+
+/**
+ * Start a new day's counters if the UTC day changed
+ */
+function rollDay() {
+  const day = today();
+  if (state.day !== day) {
+    state.day = day;
+    state.dailyRealizedSol = 0;
+  }
+}
+
+/**
+ * Session PnL (realized + unrealized)
+ * @returns {number} - PnL in SOL
+ */
+function sessionPnl() {
+  return state.sessionRealizedSol + state.unrealizedSol;
+}
+
+/**
+ * Current drawdown from the equity peak
+ * @returns {number} - Drawdown in percent (0 if starting equity is unknown)
+ */
+function drawdownPercent() {
+  if (!state.startingEquitySol) return 0;
+  const peakEquity = state.startingEquitySol + state.peakPnlSol;
+  const equity = state.startingEquitySol + sessionPnl();
+  return peakEquity > 0 ? Math.max(0, ((peakEquity - equity) / peakEquity) * 100) : 0;
+}
+
+/**
+ * Trip the breaker
+ * @param {string} reason - Which limit was hit
+ */
+function trip(reason) {
+  const limits = BOT_CONFIG.RISK_LIMITS;
+  state.tripped = true;
+  state.tripReason = reason;
+  state.trippedAt = Date.now();
+  state.resumeAt = limits.COOLDOWN_MINUTES > 0 ? Date.now() + limits.COOLDOWN_MINUTES * 60000 : null;
+  state.forceExitPending = !!limits.FORCE_EXIT;
+
+  const resumeText = state.resumeAt ? `until ${new Date(state.resumeAt).toLocaleString()}` : 'until manually reset';
+  logger.error(`Risk governor tripped: ${reason}. New entries paused ${resumeText}.`);
+  logger.logUser(`Risk governor tripped: ${reason}. New entries paused ${resumeText}.${state.forceExitPending ? ' Open positions will be closed.' : ''}`);
+}
+
+/**
+ * Check all limits and trip the breaker if one is exceeded
+ */
+function checkLimits() {
+  const limits = BOT_CONFIG.RISK_LIMITS;
+  if (!limits.ENABLED || state.tripped) return;
+
+  if (limits.MAX_DAILY_LOSS_SOL && state.dailyRealizedSol + state.unrealizedSol <= -limits.MAX_DAILY_LOSS_SOL) {
+    trip(`Daily loss limit reached (${(state.dailyRealizedSol + state.unrealizedSol).toFixed(4)} SOL, limit -${limits.MAX_DAILY_LOSS_SOL} SOL)`);
+  } else if (limits.MAX_CONSECUTIVE_LOSSES && state.consecutiveLosses >= limits.MAX_CONSECUTIVE_LOSSES) {
+    trip(`${state.consecutiveLosses} consecutive losing trades (limit ${limits.MAX_CONSECUTIVE_LOSSES})`);
+  } else if (limits.MAX_DRAWDOWN_PERCENT && drawdownPercent() >= limits.MAX_DRAWDOWN_PERCENT) {
+    trip(`Drawdown from equity peak ${drawdownPercent().toFixed(2)}% (limit ${limits.MAX_DRAWDOWN_PERCENT}%)`);
+  }
+}
+
+/**
+ * Load persisted state and set the equity the drawdown is measured against
+ * Only runs once per process; later calls are no-ops
+ * @param {number} startingEquitySol - Current wallet equity in SOL
+ * @returns {Promise<void>}
+ */
+async function initializeRiskGovernor(startingEquitySol) {
+  if (initialized) return;
+  initialized = true;
+
+  try {
+    const data = await fs.readFile(BOT_CONFIG.RISK_STATE_FILE, 'utf8');
+    Object.assign(state, JSON.parse(data));
+    logger.info(`Loaded risk governor state${state.tripped ? ` (tripped: ${state.tripReason})` : ''}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error loading risk governor state: ${error.message}`);
+    }
+  }
+
+  if (!state.startingEquitySol && startingEquitySol > 0) {
+    state.startingEquitySol = startingEquitySol;
+  }
+  rollDay();
+  await saveState();
+}
+
+/**
+ * Record a completed trade
+ * @param {Object} trade - Trade details (SELL trades need pnlSol)
+ */
+function recordTrade(trade) {
+  if (trade.action !== 'SELL' || typeof trade.pnlSol !== 'number') return;
+
+  rollDay();
+  state.dailyRealizedSol += trade.pnlSol;
+  state.sessionRealizedSol += trade.pnlSol;
+  state.consecutiveLosses = trade.pnlSol < 0 ? state.consecutiveLosses + 1 : 0;
+  state.peakPnlSol = Math.max(state.peakPnlSol, sessionPnl());
+
+  checkLimits();
+  saveState();
+}
+
+/**
+ * Update the unrealized PnL of all open positions
+ * @param {number} unrealizedSol - Unrealized PnL in SOL
+ */
+function updateUnrealizedPnl(unrealizedSol) {
+  rollDay();
+  state.unrealizedSol = unrealizedSol;
+  state.peakPnlSol = Math.max(state.peakPnlSol, sessionPnl());
+
+  checkLimits();
+  saveState();
+}
+
+/**
+ * Reset the breaker and the counters that tripped it
+ * @param {string} reason - Why the governor is being reset
+ * @returns {Object} - Governor status after the reset
+ */
+function resetRiskGovernor(reason = 'manual reset') {
+  state.tripped = false;
+  state.tripReason = null;
+  state.trippedAt = null;
+  state.resumeAt = null;
+  state.forceExitPending = false;
+  state.consecutiveLosses = 0;
+  state.dailyRealizedSol = 0;
+  state.peakPnlSol = sessionPnl();
+
+  logger.info(`Risk governor reset (${reason}). New entries allowed.`);
+  logger.logUser(`Risk governor reset (${reason}). New entries allowed.`);
+  saveState();
+  return getRiskStatus();
+}
+
+/**
+ * Whether new positions may be opened
+ * Ends the cooldown if it has expired
+ * @returns {boolean} - True if entries are allowed
+ */
+function canOpenPositions() {
+  if (!BOT_CONFIG.RISK_LIMITS.ENABLED) return true;
+
+  rollDay();
+  if (state.tripped && state.resumeAt && Date.now() >= state.resumeAt) {
+    resetRiskGovernor('cooldown expired');
+  }
+  return !state.tripped;
+}
+
+/**
+ * Whether open positions should be force-exited
+ * @returns {boolean} - True if a tripped breaker requested a force exit
+ */
+function shouldForceExit() {
+  return state.tripped && state.forceExitPending;
+}
+
+/**
+ * Mark the force exit as done once all positions are closed
+ */
+function completeForceExit() {
+  if (state.forceExitPending) {
+    state.forceExitPending = false;
+    saveState();
+  }
+}
+
+/**
+ * Get the current governor status
+ * @returns {Object} - Limits, counters and breaker state
+ */
+function getRiskStatus() {
+  const limits = BOT_CONFIG.RISK_LIMITS;
+  return {
+    enabled: limits.ENABLED,
+    paused: state.tripped,
+    reason: state.tripReason,
+    trippedAt: state.trippedAt,
+    resumeAt: state.resumeAt,
+    forceExitPending: state.forceExitPending,
+    dailyPnlSol: state.dailyRealizedSol + state.unrealizedSol,
+    dailyRealizedSol: state.dailyRealizedSol,
+    sessionRealizedSol: state.sessionRealizedSol,
+    unrealizedSol: state.unrealizedSol,
+    consecutiveLosses: state.consecutiveLosses,
+    drawdownPercent: drawdownPercent(),
+    limits: {
+      maxDailyLossSol: limits.MAX_DAILY_LOSS_SOL,
+      maxConsecutiveLosses: limits.MAX_CONSECUTIVE_LOSSES,
+      maxDrawdownPercent: limits.MAX_DRAWDOWN_PERCENT,
+      forceExit: limits.FORCE_EXIT,
+      cooldownMinutes: limits.COOLDOWN_MINUTES
+    }
+  };
+}
+
+module.exports = {
+  initializeRiskGovernor,
+  recordTrade,
+  updateUnrealizedPnl,
+  resetRiskGovernor,
+  canOpenPositions,
+  shouldForceExit,
+  completeForceExit,
+  getRiskStatus
+};
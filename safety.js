@@ -0,0 +1,223 @@
+// safety.js - Pre-trade honeypot and sellability checks for the Solana Memecoin Trading Bot
+
+const { PublicKey } = require('@solana/web3.js');
+const { BOT_CONFIG } = require('./config');
+const { addToBlacklist } = require('./blacklist');
+const { priceImpactPercent } = require('./quote-guard');
+const logger = require('./logger');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Raydium AMM v4 pool layout (only pool type whose LP status we can read directly)
+const RAYDIUM_AMM_V4_PROGRAM = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const RAYDIUM_AMM_V4_LP_MINT_OFFSET = 464;
+const RAYDIUM_AMM_V4_LP_RESERVE_OFFSET = 720;
+const RAYDIUM_AMM_V4_SIZE = 752;
+
+/**
+ * Build a check result
+ * @param {string} name - Check name
+ * @param {boolean} passed - Whether the check passed
+ * @param {string} detail - Human-readable detail
+ * @param {boolean} conclusive - Whether a failure is certain (as opposed to data being unavailable)
+ * @returns {Object} - Check result
+ */
+function result(name, passed, detail, conclusive = true) {
+  return { name, passed, detail, conclusive };
+}
+
+/**
+ * Quote the buy and the reverse sell and measure what a round trip would cost
+ * A token that can't be quoted back to SOL, or loses most of its value on the way, is treated as a honeypot.
+ * @param {Object} token - Token data
+ * @param {number} amountLamports - Expected buy size in lamports
+ * @param {Object} jupiterService - JupiterService instance
+ * @param {Object} settings - SAFETY_CHECKS settings
+ * @returns {Promise<Array>} - Check results
+ */
+async function checkRoundTrip(token, amountLamports, jupiterService, settings) {
+  let buyQuote;
+  try {
+    buyQuote = await jupiterService.getQuote(SOL_MINT, token.tokenAddress, amountLamports);
+  } catch (error) {
+    return [result('buy route', false, `Buy quote failed: ${error.message}`, false)];
+  }
+  if (!buyQuote?.outAmount || buyQuote.outAmount === '0') {
+    return [result('buy route', false, 'No buy route found', false)];
+  }
+
+  let sellQuote;
+  try {
+    sellQuote = await jupiterService.getQuote(token.tokenAddress, SOL_MINT, buyQuote.outAmount);
+  } catch (error) {
+    // Jupiter answers with a 4xx when there is no route at all
+    const noRoute = Boolean(error.response && error.response.status >= 400 && error.response.status < 500);
+    return [result('sell route', false, `Sell quote failed: ${error.response?.data?.error || error.message}`, noRoute)];
+  }
+  if (!sellQuote?.outAmount || sellQuote.outAmount === '0') {
+    return [result('sell route', false, 'No sell route found (possible honeypot)')];
+  }
+
+  const checks = [result('sell route', true, 'Sell route found')];
+
+  const sellImpactPercent = priceImpactPercent(sellQuote) ?? 0;
+  checks.push(result(
+    'price impact',
+    sellImpactPercent <= settings.MAX_PRICE_IMPACT_PERCENT,
+    `Sell price impact ${sellImpactPercent.toFixed(2)}% (max ${settings.MAX_PRICE_IMPACT_PERCENT}%)`
+  ));
+
+  const solBack = Number(sellQuote.outAmount);
+  const roundTripLossPercent = (1 - solBack / amountLamports) * 100;
+  checks.push(result(
+    'round trip',
+    roundTripLossPercent <= settings.MAX_ROUND_TRIP_LOSS_PERCENT,
+    `Round trip loss ${roundTripLossPercent.toFixed(2)}% (max ${settings.MAX_ROUND_TRIP_LOSS_PERCENT}%)`
+  ));
+
+  return checks;
+}
+
+/**
+ * Check mint authority, freeze authority and Token-2022 transfer fees
+ * @param {Object} token - Token data
+ * @param {Object} connection - Solana connection
+ * @param {Object} settings - SAFETY_CHECKS settings
+ * @returns {Promise<Array>} - Check results
+ */
+async function checkMint(token, connection, settings) {
+  let info;
+  try {
+    const account = await connection.getParsedAccountInfo(new PublicKey(token.tokenAddress));
+    info = account?.value?.data?.parsed?.info;
+  } catch (error) {
+    return [result('mint account', false, `Failed to read mint account: ${error.message}`, false)];
+  }
+  if (!info) {
+    return [result('mint account', false, 'Mint account not found or not a token mint', false)];
+  }
+
+  const checks = [];
+
+  if (settings.REJECT_MINT_AUTHORITY) {
+    checks.push(result(
+      'mint authority',
+      !info.mintAuthority,
+      info.mintAuthority ? `Mint authority still set (${info.mintAuthority})` : 'Mint authority revoked'
+    ));
+  }
+
+  if (settings.REJECT_FREEZE_AUTHORITY) {
+    checks.push(result(
+      'freeze authority',
+      !info.freezeAuthority,
+      info.freezeAuthority ? `Freeze authority still set (${info.freezeAuthority})` : 'Freeze authority revoked'
+    ));
+  }
+
+  // Token-2022 transfer fee acts as a tax on every transfer
+  const feeConfig = (info.extensions || []).find(ext => ext.extension === 'transferFeeConfig');
+  if (feeConfig) {
+    const feeBps = Math.max(
+      feeConfig.state?.newerTransferFee?.transferFeeBasisPoints || 0,
+      feeConfig.state?.olderTransferFee?.transferFeeBasisPoints || 0
+    );
+    checks.push(result(
+      'transfer fee',
+      feeBps / 100 <= settings.MAX_TRANSFER_FEE_PERCENT,
+      `Transfer fee ${(feeBps / 100).toFixed(2)}% (max ${settings.MAX_TRANSFER_FEE_PERCENT}%)`
+    ));
+  }
+
+  return checks;
+}
+
+/**
+ * Check how much of the pool's LP supply has been burned
+ * Only Raydium AMM v4 pools are supported; other pools report an unknown status.
+ * @param {Object} token - Token data with poolAddress
+ * @param {Object} connection - Solana connection
+ * @param {Object} settings - SAFETY_CHECKS settings
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkLiquidityLock(token, connection, settings) {
+  const unknown = detail => result('LP lock', !settings.REJECT_UNKNOWN_LP_STATUS, detail, false);
+
+  if (!token.poolAddress) {
+    return unknown('LP status unknown (no pool address)');
+  }
+
+  try {
+    const pool = await connection.getAccountInfo(new PublicKey(token.poolAddress));
+    if (!pool || pool.owner.toBase58() !== RAYDIUM_AMM_V4_PROGRAM || pool.data.length < RAYDIUM_AMM_V4_SIZE) {
+      return unknown('LP status unknown (unsupported pool type)');
+    }
+
+    const lpMint = new PublicKey(pool.data.subarray(RAYDIUM_AMM_V4_LP_MINT_OFFSET, RAYDIUM_AMM_V4_LP_MINT_OFFSET + 32));
+    const lpReserve = Number(pool.data.readBigUInt64LE(RAYDIUM_AMM_V4_LP_RESERVE_OFFSET));
+    const supply = await connection.getTokenSupply(lpMint);
+    const lpSupply = Number(supply.value.amount);
+
+    if (!lpReserve) {
+      return unknown('LP status unknown (empty LP reserve)');
+    }
+
+    // LP tokens that were burned leave the mint supply but stay counted in the pool's reserve
+    const burnedPercent = Math.min(100, Math.max(0, (1 - lpSupply / lpReserve) * 100));
+    return result(
+      'LP lock',
+      burnedPercent >= settings.MIN_LP_BURNED_PERCENT,
+      `${burnedPercent.toFixed(2)}% of LP burned (min ${settings.MIN_LP_BURNED_PERCENT}%)`
+    );
+  } catch (error) {
+    return unknown(`LP status unknown (${error.message})`);
+  }
+}
+
+/**
+ * Run all pre-trade safety checks for a token
+ * @param {Object} token - Token data (tokenAddress, poolAddress, symbol)
+ * @param {number} amountSol - Expected buy size in SOL
+ * @param {Object} jupiterService - JupiterService instance
+ * @param {Object} connection - Solana connection
+ * @param {Object} [settings] - Safety settings (defaults to BOT_CONFIG.SAFETY_CHECKS)
+ * @returns {Promise<Object>} - { safe, reasons, checks }
+ */
+async function checkTokenSafety(token, amountSol, jupiterService, connection, settings = BOT_CONFIG.SAFETY_CHECKS) {
+  if (!settings.ENABLED) {
+    return { safe: true, reasons: [], checks: [] };
+  }
+
+  const amountLamports = Math.floor(amountSol * 1000000000);
+  const [roundTrip, mint, liquidityLock] = await Promise.all([
+    checkRoundTrip(token, amountLamports, jupiterService, settings),
+    checkMint(token, connection, settings),
+    checkLiquidityLock(token, connection, settings)
+  ]);
+
+  const checks = [...roundTrip, ...mint, liquidityLock];
+  const failed = checks.filter(check => !check.passed);
+  const reasons = failed.map(check => check.detail);
+
+  checks.forEach(check => {
+    logger.debug(`Safety check ${check.name} for ${token.symbol}: ${check.passed ? 'passed' : 'failed'} - ${check.detail}`);
+  });
+
+  if (failed.length === 0) {
+    logger.info(`${token.symbol} passed pre-trade safety checks`);
+    return { safe: true, reasons, checks };
+  }
+
+  logger.warn(`${token.symbol} failed pre-trade safety checks: ${reasons.join('; ')}`);
+
+  // Only blacklist on definite failures, not when data was unavailable
+  if (settings.AUTO_BLACKLIST && failed.some(check => check.conclusive)) {
+    await addToBlacklist(token.tokenAddress, token.symbol);
+  }
+
+  return { safe: false, reasons, checks };
+}
+
+module.exports = {
+  checkTokenSafety
+};
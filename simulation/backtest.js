@@ -0,0 +1,611 @@
+//backtest.js
+
+/**
+ * Offline Historical Backtesting Engine
+ *
+ * Replays stored GeckoTerminal OHLCV candles (the same shape fetchOHLCV returns)
+ * and DexScreener-style pair snapshots through the real decision pipeline:
+ * calculateIndicators and calculateScore from TA.js, and the entry/exit rules
+ * of the configured strategy (strategies/). A virtual clock steps through the recorded
+ * snapshots so only data that existed at each moment is visible. No network
+ * access is made.
+ *
+ * Dataset format (one JSON file per token, or an array of them in one file):
+ * {
+ *   "tokenAddress": "...", "poolAddress": "...", "symbol": "...",
+ *   "ohlcv": [{ "timestamp": 1714000000, "open": 0.1, "high": 0.1, "low": 0.1, "close": 0.1, "volume": 100 }],
+ *   "snapshots": [{ "timestamp": 1714003600000, "priceUsd": 0.1, "priceChange": {...}, "txns": {...}, "volume": {...}, "liquidity": 50000 }]
+ * }
+ * Candle timestamps are unix seconds (as GeckoTerminal returns them), snapshot timestamps are milliseconds.
+ * If a token has no snapshots, one is synthesized at the close of every candle.
+ *
+ * Market data recordings (market-*.jsonl.gz, see src/services/recorder.js) are read as well: their
+ * DexScreener pair responses become snapshots and their hourly GeckoTerminal OHLCV responses candles.
+ *
+ * Usage: node simulation/backtest.js <dataset file, recording or directory> [--balance 10] [--sol-price 150]
+ *                                    [--slippage-bps 100] [--fee-sol 0.0001] [--strategy name] [--out <file>]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Table = require('cli-table3');
+const chalk = require('chalk');
+
+// Import from existing codebase
+const { calculateIndicators, calculateScore } = require('../TA');
+const { getStrategy } = require('../strategies');
+const { BOT_CONFIG } = require('../config');
+const { readRecordingFile } = require('../src/services/recorder');
+
+// Default backtest settings
+const DEFAULT_OPTIONS = {
+  startingBalanceSol: 10, // Virtual wallet balance in SOL
+  buyAmountSol: BOT_CONFIG.BUY_AMOUNT_SOL, // SOL spent per entry
+  maxPositions: BOT_CONFIG.MAX_POSITIONS, // Maximum concurrent positions
+  solPriceUsd: 150, // SOL/USD used to convert between SOL and token USD prices
+  slippageBps: 100, // Modeled slippage applied against each fill (1%)
+  feeSol: 0.0001, // Network + priority fee charged per swap
+  strategy: BOT_CONFIG.STRATEGY, // Strategy to evaluate entries and exits with
+  strategyContext: {} // Strategy context overrides (e.g. buyCriteria, sellCriteria)
+};
+
+const ENTRY_CANDLES = 100; // Same window fetchOHLCV returns for analysis
+const EXIT_CANDLES = 20; // Same window getCurrentTokenData uses for monitoring
+const DEFAULT_CANDLE_SECONDS = 3600; // Hourly candles
+const RECORDING_EXTENSION = '.jsonl.gz';
+
+// Recorded GeckoTerminal OHLCV request for a pool's hourly candles (the ones analysis and monitoring use)
+const HOURLY_OHLCV_URL = /\/pools\/([^/]+)\/ohlcv\/hour\?aggregate=1(&|$)/;
+
+// Transaction counts of a pair that recorded none for a window
+const NO_TXNS = {
+  m5: { buys: 0, sells: 0 },
+  h1: { buys: 0, sells: 0 },
+  h6: { buys: 0, sells: 0 },
+  h24: { buys: 0, sells: 0 }
+};
+
+/**
+ * Get the pairs of a recorded DexScreener response
+ * /token-pairs returns an array of pairs, /latest/dex/pairs an object with pairs (or pair)
+ * @param {any} data - Recorded response
+ * @returns {Array} - Pairs
+ */
+function recordedPairs(data) {
+  if (Array.isArray(data)) return data;
+  return data?.pairs || (data?.pair ? [data.pair] : []);
+}
+
+/**
+ * Build datasets from market data recordings
+ * Every recorded DexScreener pair becomes a snapshot of its token at the time it was recorded, and
+ * the hourly OHLCV responses recorded for the token's pool are merged into its candles (a later
+ * response replaces a candle that was still open). Tokens without candles are left out.
+ * @param {Array} records - Records from readRecordingFile, of one or more sessions
+ * @returns {Array} - Datasets
+ */
+function datasetsFromRecordings(records) {
+  const tokens = new Map();
+  const poolCandles = new Map();
+
+  for (const record of [...records].sort((a, b) => a.ts - b.ts)) {
+    if (record.source === 'dexscreener') {
+      for (const pair of recordedPairs(record.data)) {
+        const tokenAddress = pair?.baseToken?.address;
+        const priceUsd = parseFloat(pair?.priceUsd);
+        if (!tokenAddress || !pair.pairAddress || !(priceUsd > 0)) continue;
+        if (pair.chainId && pair.chainId !== 'solana') continue;
+
+        // A token is followed through the first pool it was recorded in, as the bot does
+        if (!tokens.has(tokenAddress)) {
+          tokens.set(tokenAddress, {
+            tokenAddress,
+            poolAddress: pair.pairAddress,
+            symbol: pair.baseToken.symbol,
+            name: pair.baseToken.name,
+            snapshots: new Map()
+          });
+        }
+        const token = tokens.get(tokenAddress);
+        if (token.poolAddress !== pair.pairAddress) continue;
+
+        token.snapshots.set(record.ts, {
+          timestamp: record.ts,
+          priceUsd,
+          priceChange: pair.priceChange || {},
+          txns: { ...NO_TXNS, ...pair.txns },
+          volume: pair.volume || {},
+          liquidity: pair.liquidity?.usd || 0,
+          marketCap: pair.marketCap || pair.fdv || 0
+        });
+      }
+    } else if (record.source === 'gecko') {
+      const match = HOURLY_OHLCV_URL.exec(record.url);
+      const list = record.data?.data?.attributes?.ohlcv_list;
+      if (!match || !Array.isArray(list)) continue;
+
+      if (!poolCandles.has(match[1])) poolCandles.set(match[1], new Map());
+      const candles = poolCandles.get(match[1]);
+      list.forEach(([timestamp, open, high, low, close, volume]) => {
+        candles.set(timestamp, { timestamp, open, high, low, close, volume });
+      });
+    }
+  }
+
+  return [...tokens.values()]
+    .filter(token => poolCandles.has(token.poolAddress))
+    .map(token => ({
+      tokenAddress: token.tokenAddress,
+      poolAddress: token.poolAddress,
+      symbol: token.symbol,
+      name: token.name,
+      ohlcv: [...poolCandles.get(token.poolAddress).values()],
+      snapshots: [...token.snapshots.values()]
+    }));
+}
+
+/**
+ * Load datasets from a JSON file, a market data recording, or a directory of them
+ * The recordings of a directory are combined, so a token recorded over several sessions is one dataset.
+ * @param {string} source - Dataset file, recording or directory
+ * @returns {Promise<Array>} - Datasets
+ */
+async function loadDatasets(source) {
+  const stat = await fs.stat(source);
+  const files = stat.isDirectory()
+    ? (await fs.readdir(source))
+      .filter(f => f.endsWith('.json') || f.endsWith(RECORDING_EXTENSION))
+      .sort()
+      .map(f => path.join(source, f))
+    : [source];
+
+  const datasets = [];
+  const records = [];
+  for (const file of files) {
+    if (file.endsWith(RECORDING_EXTENSION)) {
+      records.push(...readRecordingFile(file));
+      continue;
+    }
+    const content = JSON.parse(await fs.readFile(file, 'utf8'));
+    datasets.push(...(Array.isArray(content) ? content : [content]));
+  }
+  if (records.length > 0) {
+    datasets.push(...datasetsFromRecordings(records));
+  }
+  return datasets;
+}
+
+/**
+ * Infer the candle duration from the spacing between candles
+ * @param {Array} candles - Candles sorted by timestamp
+ * @returns {number} - Candle duration in seconds
+ */
+function inferCandleSeconds(candles) {
+  let smallest = Infinity;
+  for (let i = 1; i < candles.length; i++) {
+    const gap = candles[i].timestamp - candles[i - 1].timestamp;
+    if (gap > 0 && gap < smallest) smallest = gap;
+  }
+  return Number.isFinite(smallest) ? smallest : DEFAULT_CANDLE_SECONDS;
+}
+
+/**
+ * Percentage change between two prices
+ * @param {number} from - Earlier price
+ * @param {number} to - Later price
+ * @returns {number} - Change in percent (0 if undefined)
+ */
+function percentChange(from, to) {
+  return from > 0 ? ((to - from) / from) * 100 : 0;
+}
+
+/**
+ * Build snapshots from candle closes when a dataset has none
+ * @param {Array} candles - Candles sorted by timestamp
+ * @param {number} candleSeconds - Candle duration in seconds
+ * @returns {Array} - Synthesized snapshots
+ */
+function synthesizeSnapshots(candles, candleSeconds) {
+  const barsPerHour = Math.max(1, Math.round(3600 / candleSeconds));
+  return candles.map((candle, i) => {
+    const closeAt = (i - barsPerHour >= 0) ? candles[i - barsPerHour].close : candles[0].open;
+    const closeAt6h = (i - 6 * barsPerHour >= 0) ? candles[i - 6 * barsPerHour].close : candles[0].open;
+    const closeAt24h = (i - 24 * barsPerHour >= 0) ? candles[i - 24 * barsPerHour].close : candles[0].open;
+    return {
+      timestamp: (candle.timestamp + candleSeconds) * 1000,
+      priceUsd: candle.close,
+      priceChange: {
+        m5: 0,
+        h1: percentChange(closeAt, candle.close),
+        h6: percentChange(closeAt6h, candle.close),
+        h24: percentChange(closeAt24h, candle.close)
+      },
+      volume: { m5: 0, h1: candle.volume, h6: 0, h24: 0 }
+    };
+  });
+}
+
+/**
+ * Normalize a dataset: sort candles/snapshots and fill in missing snapshots
+ * @param {Object} dataset - Raw dataset
+ * @returns {Object} - Prepared dataset
+ */
+function prepareDataset(dataset) {
+  const candles = [...(dataset.ohlcv || [])].sort((a, b) => a.timestamp - b.timestamp);
+  const candleSeconds = dataset.candleSeconds || inferCandleSeconds(candles);
+  const snapshots = (dataset.snapshots && dataset.snapshots.length > 0)
+    ? [...dataset.snapshots].sort((a, b) => a.timestamp - b.timestamp)
+    : synthesizeSnapshots(candles, candleSeconds);
+
+  return {
+    tokenAddress: dataset.tokenAddress,
+    poolAddress: dataset.poolAddress,
+    symbol: dataset.symbol || dataset.tokenAddress?.slice(0, 6),
+    name: dataset.name || dataset.symbol || '',
+    candles,
+    candleSeconds,
+    snapshots,
+    snapshotIndex: new Map(snapshots.map(snapshot => [snapshot.timestamp, snapshot]))
+  };
+}
+
+/**
+ * Get the candles that had closed at the given virtual time
+ * @param {Object} dataset - Prepared dataset
+ * @param {number} now - Virtual time in milliseconds
+ * @param {number} limit - Maximum number of most recent candles to return
+ * @returns {Array} - Closed candles, oldest first
+ */
+function visibleCandles(dataset, now, limit) {
+  const closed = dataset.candles.filter(c => (c.timestamp + dataset.candleSeconds) * 1000 <= now);
+  return closed.slice(-limit);
+}
+
+/**
+ * Build the token object the live pipeline would have produced at this moment
+ * @param {Object} dataset - Prepared dataset
+ * @param {Object} snapshot - Pair snapshot at the current virtual time
+ * @param {number} now - Virtual time in milliseconds
+ * @returns {Object} - Token data with indicators and score
+ */
+function buildEntryToken(dataset, snapshot, now) {
+  const ohlcv = visibleCandles(dataset, now, ENTRY_CANDLES);
+  const token = {
+    source: 'backtest',
+    tokenAddress: dataset.tokenAddress,
+    poolAddress: dataset.poolAddress,
+    symbol: dataset.symbol,
+    name: dataset.name,
+    priceUsd: snapshot.priceUsd,
+    volume24h: snapshot.volume?.h24 || 0,
+    liquidity: typeof snapshot.liquidity === 'object' ? (snapshot.liquidity?.usd || 0) : (snapshot.liquidity || 0),
+    marketCap: snapshot.marketCap || 0,
+    priceChange: { m5: 0, h1: 0, h6: 0, h24: 0, ...snapshot.priceChange },
+    txns: snapshot.txns || {
+      m5: { buys: 0, sells: 0 },
+      h1: { buys: 0, sells: 0 },
+      h6: { buys: 0, sells: 0 },
+      h24: { buys: 0, sells: 0 }
+    },
+    volume: snapshot.volume,
+    isBoosted: snapshot.isBoosted || false,
+    uptrendScore: snapshot.uptrendScore,
+    holders: { totalHolders: 0 },
+    historicalHolders: { result: [] },
+    snipers: { result: [] },
+    holderChange24h: snapshot.holderChange24h ?? 0,
+    indicators: { hour: calculateIndicators(ohlcv) }
+  };
+
+  const score = calculateScore(token);
+  token.score = score.normalized;
+  token.rawScore = score.raw;
+  return token;
+}
+
+/**
+ * Build the current data object monitoring would have fetched at this moment
+ * @param {Object} dataset - Prepared dataset
+ * @param {Object} snapshot - Pair snapshot at the current virtual time
+ * @param {number} now - Virtual time in milliseconds
+ * @returns {Object} - Current token data with indicators
+ */
+function buildCurrentData(dataset, snapshot, now) {
+  const ohlcv = visibleCandles(dataset, now, EXIT_CANDLES);
+  return {
+    ...snapshot,
+    indicators: { hour: ohlcv.length > 0 ? calculateIndicators(ohlcv) : {} },
+    holderChange24h: snapshot.holderChange24h ?? 0
+  };
+}
+
+/**
+ * Run a backtest over the given datasets
+ * @param {Array} rawDatasets - Token datasets (see module header for format)
+ * @param {Object} options - Backtest options (see DEFAULT_OPTIONS)
+ * @returns {Object} - Trade list, equity curve and summary statistics
+ */
+function runBacktest(rawDatasets, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const datasets = rawDatasets.map(prepareDataset).filter(d => d.tokenAddress && d.snapshots.length > 0);
+  const slippage = settings.slippageBps / 10000;
+  const strategy = getStrategy(settings.strategy);
+
+  // Virtual wallet state
+  let cashSol = settings.startingBalanceSol;
+  const positions = new Map();
+  const lastPrices = new Map();
+  const trades = [];
+  const equityCurve = [];
+
+  // Virtual clock: every distinct snapshot time across all tokens
+  const timeline = [...new Set(datasets.flatMap(d => d.snapshots.map(s => s.timestamp)))].sort((a, b) => a - b);
+
+  const sell = (dataset, position, price, now, reason, sellPercentage) => {
+    const amount = sellPercentage >= 100 ? position.amount : position.amount * (sellPercentage / 100);
+    const fillPrice = price * (1 - slippage);
+    const proceedsSol = (amount * fillPrice) / settings.solPriceUsd - settings.feeSol;
+    const costSol = position.costSol * (amount / position.amount);
+
+    cashSol += proceedsSol;
+    position.costSol -= costSol;
+    position.amount -= amount;
+
+    trades.push({
+      action: 'SELL',
+      tokenAddress: dataset.tokenAddress,
+      symbol: dataset.symbol,
+      timestamp: now,
+      price: fillPrice,
+      amount,
+      solReceived: proceedsSol,
+      profitLoss: ((fillPrice - position.entryPrice) / position.entryPrice) * 100,
+      pnlSol: proceedsSol - costSol,
+      holdTime: (now - position.entryTime) / 1000,
+      reason
+    });
+
+    if (sellPercentage >= 100 || position.amount <= 0) {
+      positions.delete(dataset.tokenAddress);
+    }
+  };
+
+  for (const now of timeline) {
+    // 1. Monitor open positions
+    for (const dataset of datasets) {
+      const position = positions.get(dataset.tokenAddress);
+      const snapshot = dataset.snapshotIndex.get(now);
+      if (!position || !snapshot || !snapshot.priceUsd) continue;
+
+      const currentData = buildCurrentData(dataset, snapshot, now);
+      if (currentData.priceUsd > position.highestPrice) {
+        position.highestPrice = currentData.priceUsd;
+      }
+
+      const decision = strategy.evaluateExit(position, currentData, settings.strategyContext);
+      if (decision.sell) {
+        sell(dataset, position, currentData.priceUsd, now, decision.reason, decision.sellPercentage || 100);
+      }
+    }
+
+    // 2. Look for new entries while below the position limit
+    for (const dataset of datasets) {
+      if (positions.size >= settings.maxPositions) break;
+      if (positions.has(dataset.tokenAddress)) continue;
+
+      const snapshot = dataset.snapshotIndex.get(now);
+      if (!snapshot || !snapshot.priceUsd) continue;
+      if (cashSol < settings.buyAmountSol + settings.feeSol) continue;
+
+      const token = buildEntryToken(dataset, snapshot, now);
+      const entryDecision = strategy.evaluateEntry(token, settings.strategyContext);
+      if (!entryDecision.buy) continue;
+
+      const fillPrice = token.priceUsd * (1 + slippage);
+      const amount = (settings.buyAmountSol * settings.solPriceUsd) / fillPrice;
+      const costSol = settings.buyAmountSol + settings.feeSol;
+      cashSol -= costSol;
+
+      positions.set(dataset.tokenAddress, {
+        tokenAddress: dataset.tokenAddress,
+        symbol: dataset.symbol,
+        poolAddress: dataset.poolAddress,
+        entryPrice: fillPrice,
+        entryTime: now,
+        highestPrice: fillPrice,
+        amount,
+        costSol,
+        entryScore: entryDecision.score,
+        scoreDetails: entryDecision.scoreDetails
+      });
+
+      trades.push({
+        action: 'BUY',
+        tokenAddress: dataset.tokenAddress,
+        symbol: dataset.symbol,
+        timestamp: now,
+        price: fillPrice,
+        amount,
+        solSpent: costSol,
+        entryScore: entryDecision.score,
+        scoreDetails: entryDecision.scoreDetails,
+        reason: `Score: ${token.score.toFixed(2)}/100, RSI: ${token.indicators.hour?.rsi?.toFixed(2) || 'N/A'}`
+      });
+    }
+
+    // 3. Mark the portfolio to market
+    for (const dataset of datasets) {
+      const snapshot = dataset.snapshotIndex.get(now);
+      if (snapshot?.priceUsd) lastPrices.set(dataset.tokenAddress, snapshot.priceUsd);
+    }
+    const positionsValueSol = Array.from(positions.values()).reduce((sum, pos) =>
+      sum + (pos.amount * (lastPrices.get(pos.tokenAddress) || pos.entryPrice)) / settings.solPriceUsd, 0);
+    equityCurve.push({ timestamp: now, equity: cashSol + positionsValueSol, openPositions: positions.size });
+  }
+
+  // Close anything still open at the last known price
+  const endTime = timeline[timeline.length - 1];
+  for (const dataset of datasets) {
+    const position = positions.get(dataset.tokenAddress);
+    if (position) {
+      sell(dataset, position, lastPrices.get(dataset.tokenAddress) || position.entryPrice, endTime, 'End of backtest', 100);
+    }
+  }
+  if (equityCurve.length > 0) {
+    equityCurve.push({ timestamp: endTime, equity: cashSol, openPositions: 0 });
+  }
+
+  return {
+    settings,
+    trades,
+    equityCurve,
+    summary: summarize(trades, equityCurve, settings)
+  };
+}
+
+/**
+ * Compute summary statistics for a backtest
+ * @param {Array} trades - Executed trades
+ * @param {Array} equityCurve - Equity points over time
+ * @param {Object} settings - Backtest settings
+ * @returns {Object} - Summary statistics
+ */
+function summarize(trades, equityCurve, settings) {
+  const exits = trades.filter(t => t.action === 'SELL');
+  const entries = trades.filter(t => t.action === 'BUY');
+  const wins = exits.filter(t => t.pnlSol > 0);
+  const endingBalance = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : settings.startingBalanceSol;
+
+  // Maximum peak-to-trough decline of the equity curve
+  let peak = settings.startingBalanceSol;
+  let maxDrawdownPercent = 0;
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - point.equity) / peak) * 100);
+  }
+
+  return {
+    startingBalance: settings.startingBalanceSol,
+    endingBalance,
+    totalPnlSol: endingBalance - settings.startingBalanceSol,
+    totalReturnPercent: ((endingBalance - settings.startingBalanceSol) / settings.startingBalanceSol) * 100,
+    entries: entries.length,
+    exits: exits.length,
+    wins: wins.length,
+    winRate: exits.length > 0 ? (wins.length / exits.length) * 100 : 0,
+    avgProfitLoss: exits.length > 0 ? exits.reduce((sum, t) => sum + t.profitLoss, 0) / exits.length : 0,
+    avgHoldTime: exits.length > 0 ? exits.reduce((sum, t) => sum + t.holdTime, 0) / exits.length : 0,
+    maxDrawdownPercent
+  };
+}
+
+/**
+ * Print backtest results to the console
+ * @param {Object} result - Result of runBacktest
+ */
+function printResults(result) {
+  const { trades, summary } = result;
+
+  const tradeTable = new Table({
+    head: ['Time', 'Action', 'Symbol', 'Price', 'P/L %', 'P/L SOL', 'Reason'],
+    style: { head: ['cyan'] }
+  });
+  trades.forEach(t => {
+    const pl = t.action === 'SELL'
+      ? (t.profitLoss > 0 ? chalk.green(`+${t.profitLoss.toFixed(2)}%`) : chalk.red(`${t.profitLoss.toFixed(2)}%`))
+      : '';
+    tradeTable.push([
+      new Date(t.timestamp).toISOString(),
+      t.action,
+      t.symbol,
+      `$${t.price.toFixed(8)}`,
+      pl,
+      t.action === 'SELL' ? t.pnlSol.toFixed(6) : '',
+      t.reason
+    ]);
+  });
+
+  const summaryTable = new Table({ style: { head: ['cyan'] } });
+  summaryTable.push(
+    { 'Starting Balance': `${summary.startingBalance.toFixed(4)} SOL` },
+    { 'Ending Balance': `${summary.endingBalance.toFixed(4)} SOL` },
+    { 'Total P/L': `${summary.totalPnlSol.toFixed(6)} SOL (${summary.totalReturnPercent.toFixed(2)}%)` },
+    { 'Entries / Exits': `${summary.entries} / ${summary.exits}` },
+    { 'Win Rate': `${summary.winRate.toFixed(2)}%` },
+    { 'Avg P/L per Exit': `${summary.avgProfitLoss.toFixed(2)}%` },
+    { 'Avg Hold Time': `${(summary.avgHoldTime / 60).toFixed(1)} min` },
+    { 'Max Drawdown': `${summary.maxDrawdownPercent.toFixed(2)}%` }
+  );
+
+  console.log('\nTrades:');
+  console.log(tradeTable.toString());
+  console.log('\nSummary:');
+  console.log(summaryTable.toString());
+}
+
+/**
+ * Parse command-line flags of the form --name value
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - Dataset source and backtest options
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const options = {};
+  if (flags.balance) options.startingBalanceSol = parseFloat(flags.balance);
+  if (flags['buy-amount']) options.buyAmountSol = parseFloat(flags['buy-amount']);
+  if (flags['max-positions']) options.maxPositions = parseInt(flags['max-positions'], 10);
+  if (flags['sol-price']) options.solPriceUsd = parseFloat(flags['sol-price']);
+  if (flags['slippage-bps']) options.slippageBps = parseFloat(flags['slippage-bps']);
+  if (flags['fee-sol']) options.feeSol = parseFloat(flags['fee-sol']);
+  if (flags.strategy) options.strategy = flags.strategy;
+
+  return { source: positional[0], out: flags.out, options };
+}
+
+async function main() {
+  const { source, out, options } = parseArgs(process.argv.slice(2));
+  if (!source) {
+    console.log('Usage: node simulation/backtest.js <dataset file, recording or directory> [--balance 10] [--buy-amount 0.08]');
+    console.log('       [--max-positions 1] [--sol-price 150] [--slippage-bps 100] [--fee-sol 0.0001] [--strategy name] [--out <file>]');
+    process.exit(1);
+  }
+
+  const datasets = await loadDatasets(source);
+  console.log(`Loaded ${datasets.length} token datasets from ${source}`);
+
+  const result = runBacktest(datasets, options);
+  printResults(result);
+
+  const outFile = out || path.join(BOT_CONFIG.LOG_DIR || './logs', 'backtest', `backtest-${Date.now()}.json`);
+  await fs.mkdir(path.dirname(outFile), { recursive: true });
+  await fs.writeFile(outFile, JSON.stringify(result, null, 2));
+  console.log(`\nFull results written to ${outFile}`);
+}
+
+// Only run the backtest if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Backtest failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+// Export functions for programmatic use
+module.exports = {
+  loadDatasets,
+  datasetsFromRecordings,
+  prepareDataset,
+  runBacktest,
+  summarize,
+  printResults
+};
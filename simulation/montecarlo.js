@@ -0,0 +1,304 @@
+//montecarlo.js
+
+/**
+ * Monte Carlo Robustness Analysis
+ *
+ * Replays the trade returns of a trade journal (live, or a backtest result) in
+ * thousands of random orders to show how much of the result was luck of the
+ * sequence. Each run either bootstraps trades (draws with replacement) or
+ * shuffles them, and re-draws each trade's round-trip slippage from the
+ * slippage seen in the history. Every simulated trade stakes BUY_AMOUNT_SOL
+ * (or what is left of the balance), and a run is ruined once the balance can
+ * no longer pay for a trade.
+ *
+ * Reports percentiles of final equity and max drawdown, the chance of ending at
+ * a loss and the risk of ruin, and the same for a range of starting balances to
+ * help size the bankroll before running a new configuration live.
+ *
+ * Usage: node simulation/montecarlo.js [journal .jsonl or backtest .json file] [--balance 10]
+ *          [--buy-amount 0.08] [--runs 10000] [--trades <n>] [--method bootstrap|shuffle]
+ *          [--slippage-mult 1] [--slippage-bps 0] [--ruin <SOL>] [--seed 1] [--from <date>] [--to <date>] [--out <file>]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Table = require('cli-table3');
+const chalk = require('chalk');
+
+// Import from existing codebase
+const { createRandom } = require('./utils');
+const { loadTradeHistory } = require('../report');
+const { BOT_CONFIG } = require('../config');
+
+// Default simulation settings
+const DEFAULT_OPTIONS = {
+  startingBalanceSol: 10, // Bankroll each run starts with
+  buyAmountSol: BOT_CONFIG.BUY_AMOUNT_SOL, // SOL staked per trade
+  runs: 10000, // Number of simulated trade sequences
+  trades: null, // Trades per run (defaults to the number of trades in the history)
+  method: 'bootstrap', // bootstrap (draw with replacement) or shuffle (reorder the same trades)
+  slippageMultiplier: 1, // Scales the re-drawn slippage, e.g. 2 to stress test worse fills
+  slippageBps: 0, // Extra round-trip slippage per trade, on top of the re-drawn slippage
+  ruinBalanceSol: null, // Balance counted as ruin (defaults to BUY_AMOUNT_SOL + MINIMUM_SOL_BALANCE)
+  seed: 1 // Random seed, so runs can be repeated
+};
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+const BANKROLL_MULTIPLES = [5, 10, 25, 50, 100]; // Starting balances tried, in multiples of the buy amount
+
+/**
+ * Value at a percentile of a sorted list
+ * @param {Array} sorted - Numbers sorted ascending
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} - Value
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round((percentile / 100) * (sorted.length - 1))));
+  return sorted[index];
+}
+
+/**
+ * Split trades into slippage-free returns and the slippage pool to re-draw from
+ * @param {Array} trades - Completed trades (see report.js loadTradeHistory)
+ * @returns {Object} - { returns, slippages } in percent
+ */
+function prepareSamples(trades) {
+  const slippages = trades.map(trade => trade.slippagePercent).filter(value => typeof value === 'number');
+  return {
+    // Add the slippage a trade paid back, so a different slippage can be drawn for it
+    returns: trades.map(trade => trade.returnPercent + (trade.slippagePercent || 0)),
+    slippages: slippages.length > 0 ? slippages : [0]
+  };
+}
+
+/**
+ * Draw the trade order of one run
+ * @param {number} tradeCount - Number of trades in the history
+ * @param {Object} settings - Simulation settings
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Trade indices in the order they are replayed
+ */
+function randomOrder(tradeCount, settings, random) {
+  if (settings.method === 'shuffle') {
+    // Fisher-Yates shuffle of the trade indices
+    const order = Array.from({ length: tradeCount }, (_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+  return Array.from({ length: settings.trades || tradeCount }, () => Math.floor(random() * tradeCount));
+}
+
+/**
+ * Simulate one trade sequence
+ * @param {Object} samples - Result of prepareSamples
+ * @param {Object} settings - Simulation settings
+ * @param {number} startingBalanceSol - Bankroll to start with
+ * @param {Function} random - Random number generator
+ * @param {Array} [order] - Trade indices to replay instead of a random order
+ * @returns {Object} - { finalBalance, maxDrawdownSol, maxDrawdownPercent, ruined }
+ */
+function simulateRun(samples, settings, startingBalanceSol, random, order = null) {
+  const sequence = order || randomOrder(samples.returns.length, settings, random);
+
+  let balance = startingBalanceSol;
+  let peak = balance;
+  let maxDrawdownSol = 0;
+  let maxDrawdownPercent = 0;
+  let ruined = false;
+
+  for (const index of sequence) {
+    if (balance < settings.ruinBalanceSol) {
+      ruined = true;
+      break;
+    }
+
+    const slippage = samples.slippages[Math.floor(random() * samples.slippages.length)];
+    const returnPercent = samples.returns[index] - slippage * settings.slippageMultiplier - settings.slippageBps / 100;
+    const stake = Math.min(settings.buyAmountSol, balance);
+    // A trade can lose at most its stake
+    balance += Math.max(-stake, stake * (returnPercent / 100));
+
+    peak = Math.max(peak, balance);
+    maxDrawdownSol = Math.max(maxDrawdownSol, peak - balance);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - balance) / peak) * 100);
+  }
+
+  return { finalBalance: balance, maxDrawdownSol, maxDrawdownPercent, ruined: ruined || balance < settings.ruinBalanceSol };
+}
+
+/**
+ * Run the simulation for one starting balance and summarize it
+ * @param {Object} samples - Result of prepareSamples
+ * @param {Object} settings - Simulation settings
+ * @param {number} startingBalanceSol - Bankroll to start with
+ * @returns {Object} - Distribution statistics
+ */
+function simulateBalance(samples, settings, startingBalanceSol) {
+  const random = createRandom(settings.seed);
+  const runs = Array.from({ length: settings.runs }, () => simulateRun(samples, settings, startingBalanceSol, random));
+
+  const finals = runs.map(run => run.finalBalance).sort((a, b) => a - b);
+  const drawdowns = runs.map(run => run.maxDrawdownSol).sort((a, b) => a - b);
+  const drawdownPercents = runs.map(run => run.maxDrawdownPercent).sort((a, b) => a - b);
+  const byPercentile = sorted => Object.fromEntries(PERCENTILES.map(p => [p, percentileOf(sorted, p)]));
+
+  return {
+    startingBalanceSol,
+    finalBalance: byPercentile(finals),
+    maxDrawdownSol: byPercentile(drawdowns),
+    maxDrawdownPercent: byPercentile(drawdownPercents),
+    meanFinalBalance: finals.reduce((sum, value) => sum + value, 0) / finals.length,
+    lossProbability: (runs.filter(run => run.finalBalance < startingBalanceSol - 1e-9).length / runs.length) * 100,
+    riskOfRuin: (runs.filter(run => run.ruined).length / runs.length) * 100
+  };
+}
+
+/**
+ * Run a Monte Carlo analysis of a trade history
+ * @param {Array} trades - Completed trades (see report.js loadTradeHistory)
+ * @param {Object} options - Simulation options (see DEFAULT_OPTIONS)
+ * @returns {Object} - { settings, historical, distribution, bankroll }
+ */
+function runMonteCarlo(trades, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (settings.ruinBalanceSol === null) {
+    settings.ruinBalanceSol = settings.buyAmountSol + BOT_CONFIG.MINIMUM_SOL_BALANCE;
+  }
+  if (trades.length === 0) {
+    throw new Error('No completed trades to simulate');
+  }
+
+  const samples = prepareSamples(trades);
+
+  // The sequence as it actually happened, with the same stake and balance rules
+  const historical = simulateRun(
+    { returns: trades.map(trade => trade.returnPercent), slippages: [0] },
+    { ...settings, slippageMultiplier: 0, slippageBps: 0 },
+    settings.startingBalanceSol,
+    () => 0,
+    trades.map((_, i) => i)
+  );
+
+  const bankroll = BANKROLL_MULTIPLES
+    .map(multiple => multiple * settings.buyAmountSol)
+    .map(balance => simulateBalance(samples, settings, balance));
+
+  return {
+    settings,
+    tradesInHistory: trades.length,
+    historical,
+    distribution: simulateBalance(samples, settings, settings.startingBalanceSol),
+    bankroll
+  };
+}
+
+/**
+ * Print Monte Carlo results to the console
+ * @param {Object} result - Result of runMonteCarlo
+ * @param {string} label - Trade history source
+ */
+function printMonteCarlo(result, label) {
+  const { settings, distribution, historical } = result;
+  const tradesPerRun = settings.method === 'shuffle' ? result.tradesInHistory : (settings.trades || result.tradesInHistory);
+
+  console.log(chalk.bold(`\nMonte Carlo: ${label}`));
+  console.log(`${settings.runs} runs of ${tradesPerRun} trades (${settings.method}), ` +
+    `${settings.startingBalanceSol} SOL bankroll, ${settings.buyAmountSol} SOL per trade, ` +
+    `ruin below ${settings.ruinBalanceSol.toFixed(4)} SOL`);
+
+  const table = new Table({
+    head: ['', ...PERCENTILES.map(p => `P${p}`)],
+    style: { head: ['cyan'] }
+  });
+  table.push(
+    { 'Final Balance (SOL)': PERCENTILES.map(p => distribution.finalBalance[p].toFixed(4)) },
+    { 'Max Drawdown (SOL)': PERCENTILES.map(p => distribution.maxDrawdownSol[p].toFixed(4)) },
+    { 'Max Drawdown (%)': PERCENTILES.map(p => `${distribution.maxDrawdownPercent[p].toFixed(2)}%`) }
+  );
+  console.log(table.toString());
+
+  const ruin = distribution.riskOfRuin > 0 ? chalk.red(`${distribution.riskOfRuin.toFixed(2)}%`) : chalk.green('0.00%');
+  console.log(`Mean final balance: ${distribution.meanFinalBalance.toFixed(4)} SOL, ` +
+    `chance of a loss: ${distribution.lossProbability.toFixed(2)}%, risk of ruin: ${ruin}`);
+  console.log(`Historical order: ${historical.finalBalance.toFixed(4)} SOL final, ` +
+    `${historical.maxDrawdownSol.toFixed(4)} SOL (${historical.maxDrawdownPercent.toFixed(2)}%) max drawdown`);
+
+  const bankrollTable = new Table({
+    head: ['Bankroll (SOL)', 'Median Final', 'P95 Drawdown', 'Chance of Loss', 'Risk of Ruin'],
+    style: { head: ['cyan'] }
+  });
+  result.bankroll.forEach(row => {
+    bankrollTable.push([
+      row.startingBalanceSol.toFixed(4),
+      row.finalBalance[50].toFixed(4),
+      `${row.maxDrawdownSol[95].toFixed(4)} (${row.maxDrawdownPercent[95].toFixed(2)}%)`,
+      `${row.lossProbability.toFixed(2)}%`,
+      `${row.riskOfRuin.toFixed(2)}%`
+    ]);
+  });
+  console.log('\nBankroll sizing:');
+  console.log(bankrollTable.toString());
+}
+
+/**
+ * Parse command-line flags of the form --name value
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - Trade history source, filter, output file and simulation options
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const options = {};
+  if (flags.balance) options.startingBalanceSol = parseFloat(flags.balance);
+  if (flags['buy-amount']) options.buyAmountSol = parseFloat(flags['buy-amount']);
+  if (flags.runs) options.runs = parseInt(flags.runs, 10);
+  if (flags.trades) options.trades = parseInt(flags.trades, 10);
+  if (flags.method) options.method = flags.method;
+  if (flags['slippage-mult']) options.slippageMultiplier = parseFloat(flags['slippage-mult']);
+  if (flags['slippage-bps']) options.slippageBps = parseFloat(flags['slippage-bps']);
+  if (flags.ruin) options.ruinBalanceSol = parseFloat(flags.ruin);
+  if (flags.seed) options.seed = parseInt(flags.seed, 10);
+
+  return { source: positional[0], filter: { from: flags.from, to: flags.to }, out: flags.out, options };
+}
+
+async function main() {
+  const { source, filter, out, options } = parseArgs(process.argv.slice(2));
+
+  const history = await loadTradeHistory(source, filter);
+  const result = runMonteCarlo(history.trades, options);
+  printMonteCarlo(result, history.label);
+
+  if (out) {
+    await fs.mkdir(path.dirname(path.resolve(out)), { recursive: true });
+    await fs.writeFile(out, JSON.stringify(result, null, 2));
+    console.log(`\nFull results written to ${out}`);
+  }
+}
+
+// Only run the simulation if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Monte Carlo failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+// Export functions for programmatic use
+module.exports = {
+  runMonteCarlo,
+  printMonteCarlo
+};
@@ -0,0 +1,561 @@
+//optimizer.js
+
+/**
+ * Parameter Optimizer with Walk-Forward Testing
+ *
+ * Searches BUY_CRITERIA, SELL_CRITERIA and TRAILING_STOP values by running the
+ * backtester (backtest.js) over recorded market data. The recorded time range is
+ * split into walk-forward folds: each fold searches on an in-sample window and
+ * scores the winner on the following out-of-sample window, which the search
+ * never saw. Fold winners are then ranked by their mean score over every
+ * out-of-sample window after their in-sample data, and the best are written as
+ * config profiles to BOT_CONFIG.PROFILES_DIR together with those metrics.
+ *
+ * Search methods:
+ *   grid     - Every combination of the selected parameters (limited by --evals)
+ *   random   - Uniform random combinations
+ *   bayesian - Random start, then Tree-structured Parzen Estimator style sampling
+ *              that favors values common in the best quarter of results so far
+ *
+ * Objectives: return (total return %), calmar (return / max drawdown),
+ *             sharpe (per-trade Sharpe ratio, see report.js)
+ *
+ * Usage: node simulation/optimizer.js <dataset file, recording or directory> [--method bayesian] [--objective calmar]
+ *          [--evals 50] [--folds 3] [--window rolling|anchored] [--params PATH,PATH] [--min-trades 3]
+ *          [--seed 1] [--top 3] [--name optimized] [--balance 10] [--sol-price 150] [--slippage-bps 100]
+ *          [--fee-sol 0.0001] [--strategy name] [--out <file>]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Table = require('cli-table3');
+const chalk = require('chalk');
+
+// Import from existing codebase
+const { loadDatasets, prepareDataset, runBacktest } = require('./backtest');
+const { createRandom } = require('./utils');
+const { fromBacktestTrades, computeMetrics } = require('../report');
+const { BOT_CONFIG } = require('../config');
+const logger = require('../logger');
+
+// Tunable parameters: config path, lowest and highest value, step between values
+const PARAMETER_SPACE = [
+  { path: 'BUY_CRITERIA.MIN_TOTAL_SCORE', min: 40, max: 80, step: 5 },
+  { path: 'BUY_CRITERIA.MIN_SCORE', min: 40, max: 80, step: 5 },
+  { path: 'BUY_CRITERIA.MIN_PRICE_CHANGE_5M', min: 0.5, max: 5, step: 0.5 },
+  { path: 'BUY_CRITERIA.MAX_RSI', min: 55, max: 85, step: 5 },
+  { path: 'BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M', min: 1.1, max: 2.0, step: 0.1 },
+  { path: 'SELL_CRITERIA.PROFIT_TARGET', min: 20, max: 150, step: 10 },
+  { path: 'SELL_CRITERIA.STOP_LOSS', min: -20, max: -3, step: 1 },
+  { path: 'SELL_CRITERIA.TRAILING_STOP.PERCENT', min: 1, max: 10, step: 1 }
+];
+
+// Default optimizer settings
+const DEFAULT_OPTIONS = {
+  method: 'bayesian', // grid, random or bayesian
+  objective: 'calmar', // return, calmar or sharpe
+  maxEvaluations: 50, // Backtests per fold
+  folds: 3, // Walk-forward folds
+  window: 'rolling', // rolling (fixed-size in-sample) or anchored (in-sample grows from the start)
+  params: PARAMETER_SPACE.map(p => p.path), // Parameters to tune
+  minTrades: 3, // Results with fewer entries score as -Infinity
+  seed: 1, // Random seed, so runs can be repeated
+  top: 3, // Profiles to write
+  name: 'optimized', // Profile name prefix
+  backtest: {} // Backtest options (see backtest.js DEFAULT_OPTIONS)
+};
+
+const BAYESIAN_CANDIDATES = 24; // Candidates sampled per Bayesian step
+const GOOD_FRACTION = 0.25; // Share of results treated as "good" by the Parzen estimator
+
+/**
+ * List the values a parameter can take
+ * @param {Object} param - Entry of PARAMETER_SPACE
+ * @returns {Array} - Values from min to max
+ */
+function valuesOf(param) {
+  const values = [];
+  for (let i = 0; param.min + i * param.step <= param.max + 1e-9; i++) {
+    values.push(Math.round((param.min + i * param.step) * 1e6) / 1e6);
+  }
+  return values;
+}
+
+/**
+ * Set a dotted path on an object, creating nested objects as needed
+ * @param {Object} target - Object to modify
+ * @param {string} dottedPath - Path such as SELL_CRITERIA.TRAILING_STOP.PERCENT
+ * @param {*} value - Value to set
+ */
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Turn a parameter set into config overrides, e.g. { SELL_CRITERIA: { STOP_LOSS: -9 } }
+ * @param {Object} params - Values by config path
+ * @returns {Object} - Nested overrides
+ */
+function toOverrides(params) {
+  const overrides = {};
+  Object.entries(params).forEach(([dottedPath, value]) => setPath(overrides, dottedPath, value));
+  return overrides;
+}
+
+/**
+ * Build the strategy context a parameter set is backtested with
+ * @param {Object} params - Values by config path
+ * @returns {Object} - { buyCriteria, sellCriteria }
+ */
+function toStrategyContext(params) {
+  const criteria = JSON.parse(JSON.stringify({
+    BUY_CRITERIA: BOT_CONFIG.BUY_CRITERIA,
+    SELL_CRITERIA: BOT_CONFIG.SELL_CRITERIA
+  }));
+  Object.entries(params).forEach(([dottedPath, value]) => setPath(criteria, dottedPath, value));
+  return { buyCriteria: criteria.BUY_CRITERIA, sellCriteria: criteria.SELL_CRITERIA };
+}
+
+/**
+ * Score a backtest result
+ * @param {Object} result - Result of runBacktest
+ * @param {string} objective - return, calmar or sharpe
+ * @param {number} minTrades - Minimum entries for the result to count
+ * @returns {number} - Score (higher is better), -Infinity if there were too few trades
+ */
+function scoreResult(result, objective, minTrades) {
+  const { summary } = result;
+  if (summary.entries < minTrades) return -Infinity;
+
+  switch (objective) {
+    case 'return':
+      return summary.totalReturnPercent;
+    case 'sharpe':
+      return computeMetrics({ label: 'optimizer', ...fromBacktestTrades(result.trades, result.settings) }).sharpe;
+    case 'calmar':
+    default:
+      return summary.totalReturnPercent / Math.max(summary.maxDrawdownPercent, 1);
+  }
+}
+
+/**
+ * Split the recorded time range into walk-forward windows
+ * @param {Array} prepared - Prepared datasets
+ * @param {number} folds - Number of folds
+ * @param {string} window - rolling or anchored
+ * @returns {Array} - [{ inSample: { start, end }, outOfSample: { start, end } }]
+ */
+function walkForwardWindows(prepared, folds, window) {
+  const times = prepared.flatMap(d => d.snapshots.map(s => s.timestamp));
+  if (times.length === 0) return [];
+
+  const start = Math.min(...times);
+  const end = Math.max(...times) + 1;
+  const segment = (end - start) / (folds + 1);
+
+  return Array.from({ length: folds }, (_, i) => ({
+    inSample: { start: window === 'anchored' ? start : start + i * segment, end: start + (i + 1) * segment },
+    outOfSample: { start: start + (i + 1) * segment, end: start + (i + 2) * segment }
+  }));
+}
+
+/**
+ * Cut prepared datasets down to a time window
+ * Candles before the window are kept so indicators have their usual history.
+ * @param {Array} prepared - Prepared datasets
+ * @param {Object} range - { start, end } in milliseconds
+ * @returns {Array} - Datasets in the backtest input format
+ */
+function sliceDatasets(prepared, range) {
+  return prepared.map(dataset => ({
+    tokenAddress: dataset.tokenAddress,
+    poolAddress: dataset.poolAddress,
+    symbol: dataset.symbol,
+    name: dataset.name,
+    candleSeconds: dataset.candleSeconds,
+    ohlcv: dataset.candles.filter(c => c.timestamp * 1000 < range.end),
+    snapshots: dataset.snapshots.filter(s => s.timestamp >= range.start && s.timestamp < range.end)
+  })).filter(dataset => dataset.snapshots.length > 0);
+}
+
+/**
+ * Search the parameter space on one set of datasets
+ * @param {Array} datasets - Datasets to backtest on
+ * @param {Array} space - Parameters to tune (entries of PARAMETER_SPACE)
+ * @param {Object} settings - Optimizer settings
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Evaluations sorted best first: [{ params, score, summary }]
+ */
+function search(datasets, space, settings, random) {
+  const valueLists = space.map(valuesOf);
+  const evaluated = new Map();
+
+  const evaluate = indices => {
+    const key = indices.join(',');
+    if (evaluated.has(key)) return;
+    const params = {};
+    space.forEach((param, i) => { params[param.path] = valueLists[i][indices[i]]; });
+    const result = runBacktest(datasets, { ...settings.backtest, strategyContext: toStrategyContext(params) });
+    evaluated.set(key, {
+      indices,
+      params,
+      score: scoreResult(result, settings.objective, settings.minTrades),
+      summary: result.summary
+    });
+  };
+
+  const randomIndices = () => valueLists.map(values => Math.floor(random() * values.length));
+
+  if (settings.method === 'grid') {
+    const combinations = valueLists.reduce((count, values) => count * values.length, 1);
+    if (combinations > settings.maxEvaluations) {
+      throw new Error(`Grid has ${combinations} combinations, more than --evals ${settings.maxEvaluations}; ` +
+        'narrow --params or raise --evals');
+    }
+    const walk = (prefix) => {
+      if (prefix.length === valueLists.length) return evaluate(prefix);
+      valueLists[prefix.length].forEach((_, i) => walk([...prefix, i]));
+    };
+    walk([]);
+  } else if (settings.method === 'random') {
+    for (let i = 0; i < settings.maxEvaluations * 3 && evaluated.size < settings.maxEvaluations; i++) {
+      evaluate(randomIndices());
+    }
+  } else {
+    // Tree-structured Parzen Estimator: favor values dense in the best results and sparse in the rest
+    const startup = Math.min(settings.maxEvaluations, Math.max(5, Math.round(settings.maxEvaluations / 4)));
+    for (let i = 0; i < startup * 3 && evaluated.size < startup; i++) {
+      evaluate(randomIndices());
+    }
+
+    const density = (value, points, p) => {
+      const bandwidth = Math.max(1, valueLists[p].length / 10);
+      const kernel = points.reduce((sum, point) => sum + Math.exp(-0.5 * Math.pow((value - point[p]) / bandwidth, 2)), 0);
+      return (1 + kernel) / (valueLists[p].length + points.length);
+    };
+
+    let stalls = 0;
+    while (evaluated.size < settings.maxEvaluations && stalls < 20) {
+      const ranked = [...evaluated.values()].sort((a, b) => b.score - a.score);
+      const goodCount = Math.max(1, Math.ceil(ranked.length * GOOD_FRACTION));
+      const good = ranked.slice(0, goodCount).map(e => e.indices);
+      const bad = ranked.slice(goodCount).map(e => e.indices);
+
+      let best = null;
+      let bestRatio = -Infinity;
+      for (let c = 0; c < BAYESIAN_CANDIDATES; c++) {
+        // Perturb a good point by up to two steps per parameter
+        const base = good[Math.floor(random() * good.length)];
+        const candidate = base.map((index, p) => {
+          if (random() < 0.1) return Math.floor(random() * valueLists[p].length);
+          const shifted = index + Math.round((random() - 0.5) * 4);
+          return Math.min(valueLists[p].length - 1, Math.max(0, shifted));
+        });
+        if (evaluated.has(candidate.join(','))) continue;
+
+        const ratio = candidate.reduce((sum, value, p) =>
+          sum + Math.log(density(value, good, p)) - Math.log(density(value, bad, p)), 0);
+        if (ratio > bestRatio) {
+          best = candidate;
+          bestRatio = ratio;
+        }
+      }
+
+      if (best) {
+        evaluate(best);
+        stalls = 0;
+      } else {
+        stalls++;
+      }
+    }
+  }
+
+  return [...evaluated.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Run a walk-forward optimization
+ * @param {Array} rawDatasets - Token datasets (see backtest.js for the format)
+ * @param {Object} options - Optimizer options (see DEFAULT_OPTIONS)
+ * @returns {Object} - { settings, folds, ranking }
+ */
+function optimize(rawDatasets, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const space = settings.params.map(name => {
+    const param = PARAMETER_SPACE.find(p => p.path === name);
+    if (!param) {
+      throw new Error(`Unknown parameter ${name}. Available: ${PARAMETER_SPACE.map(p => p.path).join(', ')}`);
+    }
+    return param;
+  });
+
+  const prepared = rawDatasets.map(prepareDataset).filter(d => d.tokenAddress && d.snapshots.length > 0);
+  const windows = walkForwardWindows(prepared, settings.folds, settings.window);
+  if (windows.length === 0) {
+    throw new Error('No snapshots to optimize on');
+  }
+  const random = createRandom(settings.seed);
+
+  // 1. Search each in-sample window and test the winner on the window after it
+  const folds = windows.map((window, i) => {
+    logger.info(`Fold ${i + 1}/${windows.length}: ${settings.method} search over ${space.length} parameters`);
+    const evaluations = search(sliceDatasets(prepared, window.inSample), space, settings, random);
+    const best = evaluations[0];
+
+    const outOfSample = runBacktest(sliceDatasets(prepared, window.outOfSample), {
+      ...settings.backtest,
+      strategyContext: toStrategyContext(best.params)
+    });
+
+    return {
+      ...window,
+      evaluations: evaluations.length,
+      params: best.params,
+      inSampleScore: best.score,
+      inSampleSummary: best.summary,
+      outOfSampleScore: scoreResult(outOfSample, settings.objective, settings.minTrades),
+      outOfSampleSummary: outOfSample.summary
+    };
+  });
+
+  // 2. Rank fold winners on every out-of-sample window that starts after their in-sample data
+  const seen = new Set();
+  const ranking = [];
+  folds.forEach((fold, i) => {
+    const key = JSON.stringify(fold.params);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const outOfSample = windows.slice(i).map(window => {
+      const result = runBacktest(sliceDatasets(prepared, window.outOfSample), {
+        ...settings.backtest,
+        strategyContext: toStrategyContext(fold.params)
+      });
+      return {
+        ...window.outOfSample,
+        score: scoreResult(result, settings.objective, settings.minTrades),
+        summary: result.summary
+      };
+    });
+
+    const scored = outOfSample.filter(o => Number.isFinite(o.score));
+    ranking.push({
+      fold: i + 1,
+      params: fold.params,
+      inSampleScore: fold.inSampleScore,
+      outOfSample,
+      meanOutOfSampleScore: scored.length > 0 ? scored.reduce((sum, o) => sum + o.score, 0) / scored.length : -Infinity,
+      meanOutOfSampleReturn: outOfSample.reduce((sum, o) => sum + o.summary.totalReturnPercent, 0) / outOfSample.length
+    });
+  });
+  ranking.sort((a, b) => b.meanOutOfSampleScore - a.meanOutOfSampleScore);
+
+  return { settings, folds, ranking };
+}
+
+/**
+ * Write the best ranked parameter sets as config profiles
+ * @param {Object} result - Result of optimize
+ * @param {string} source - Dataset source, recorded in the profile
+ * @returns {Promise<Array>} - Written file paths
+ */
+async function writeProfiles(result, source) {
+  const { settings, ranking } = result;
+  const dir = BOT_CONFIG.PROFILES_DIR || './profiles';
+  const stamp = new Date().toISOString().slice(0, 10);
+  await fs.mkdir(dir, { recursive: true });
+
+  const files = [];
+  for (const [i, entry] of ranking.slice(0, settings.top).entries()) {
+    const name = `${settings.name}-${stamp}-${i + 1}`;
+    const profile = {
+      name,
+      description: `Rank ${i + 1} of a ${settings.method} walk-forward optimization (${settings.objective})`,
+      createdAt: new Date().toISOString(),
+      overrides: toOverrides(entry.params),
+      optimization: {
+        source,
+        method: settings.method,
+        objective: settings.objective,
+        folds: settings.folds,
+        window: settings.window,
+        seed: settings.seed,
+        fold: entry.fold,
+        inSampleScore: finiteOrNull(entry.inSampleScore),
+        meanOutOfSampleScore: finiteOrNull(entry.meanOutOfSampleScore),
+        meanOutOfSampleReturn: entry.meanOutOfSampleReturn,
+        outOfSample: entry.outOfSample.map(o => ({
+          start: new Date(o.start).toISOString(),
+          end: new Date(o.end).toISOString(),
+          score: finiteOrNull(o.score),
+          summary: o.summary
+        }))
+      }
+    };
+
+    const filePath = path.join(dir, `${name}.json`);
+    await fs.writeFile(filePath, JSON.stringify(profile, null, 2));
+    files.push(filePath);
+  }
+  return files;
+}
+
+/**
+ * Replace -Infinity (too few trades) with null for output
+ * @param {number} value - Score
+ * @returns {number|null} - Score or null
+ */
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Format a score for display
+ * @param {number} value - Score
+ * @returns {string} - Formatted score
+ */
+function formatScore(value) {
+  return Number.isFinite(value) ? value.toFixed(2) : chalk.dim('too few trades');
+}
+
+/**
+ * Format a parameter set for display
+ * @param {Object} params - Values by config path
+ * @returns {string} - One line per parameter
+ */
+function formatParams(params) {
+  return Object.entries(params).map(([name, value]) => `${name.split('.').slice(1).join('.')}: ${value}`).join('\n');
+}
+
+/**
+ * Print optimizer results to the console
+ * @param {Object} result - Result of optimize
+ */
+function printOptimization(result) {
+  const day = timestamp => new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+
+  const foldTable = new Table({
+    head: ['Fold', 'In-Sample', 'Out-of-Sample', 'Evals', 'IS Score', 'OOS Score', 'OOS Return', 'OOS Entries', 'Parameters'],
+    style: { head: ['cyan'] }
+  });
+  result.folds.forEach((fold, i) => {
+    foldTable.push([
+      i + 1,
+      `${day(fold.inSample.start)}\n${day(fold.inSample.end)}`,
+      `${day(fold.outOfSample.start)}\n${day(fold.outOfSample.end)}`,
+      fold.evaluations,
+      formatScore(fold.inSampleScore),
+      formatScore(fold.outOfSampleScore),
+      `${fold.outOfSampleSummary.totalReturnPercent.toFixed(2)}%`,
+      fold.outOfSampleSummary.entries,
+      formatParams(fold.params)
+    ]);
+  });
+
+  const rankTable = new Table({
+    head: ['Rank', 'From Fold', 'OOS Windows', 'Mean OOS Score', 'Mean OOS Return'],
+    style: { head: ['cyan'] }
+  });
+  result.ranking.forEach((entry, i) => {
+    rankTable.push([
+      i + 1,
+      entry.fold,
+      entry.outOfSample.length,
+      formatScore(entry.meanOutOfSampleScore),
+      `${entry.meanOutOfSampleReturn.toFixed(2)}%`
+    ]);
+  });
+
+  console.log(`\nWalk-forward folds (${result.settings.method}, objective: ${result.settings.objective}):`);
+  console.log(foldTable.toString());
+  console.log('\nRanking by out-of-sample score:');
+  console.log(rankTable.toString());
+}
+
+/**
+ * Parse command-line flags of the form --name value
+ * @param {Array} args - Command-line arguments
+ * @returns {Object} - Dataset source, output file and optimizer options
+ */
+function parseArgs(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const options = { backtest: {} };
+  if (flags.method) options.method = flags.method;
+  if (flags.objective) options.objective = flags.objective;
+  if (flags.evals) options.maxEvaluations = parseInt(flags.evals, 10);
+  if (flags.folds) options.folds = parseInt(flags.folds, 10);
+  if (flags.window) options.window = flags.window;
+  if (flags.params) options.params = flags.params.split(',').map(p => p.trim());
+  if (flags['min-trades']) options.minTrades = parseInt(flags['min-trades'], 10);
+  if (flags.seed) options.seed = parseInt(flags.seed, 10);
+  if (flags.top) options.top = parseInt(flags.top, 10);
+  if (flags.name) options.name = flags.name;
+  if (flags.balance) options.backtest.startingBalanceSol = parseFloat(flags.balance);
+  if (flags['buy-amount']) options.backtest.buyAmountSol = parseFloat(flags['buy-amount']);
+  if (flags['max-positions']) options.backtest.maxPositions = parseInt(flags['max-positions'], 10);
+  if (flags['sol-price']) options.backtest.solPriceUsd = parseFloat(flags['sol-price']);
+  if (flags['slippage-bps']) options.backtest.slippageBps = parseFloat(flags['slippage-bps']);
+  if (flags['fee-sol']) options.backtest.feeSol = parseFloat(flags['fee-sol']);
+  if (flags.strategy) options.backtest.strategy = flags.strategy;
+
+  return { source: positional[0], out: flags.out, options };
+}
+
+async function main() {
+  const { source, out, options } = parseArgs(process.argv.slice(2));
+  if (!source) {
+    console.log('Usage: node simulation/optimizer.js <dataset file, recording or directory> [--method grid|random|bayesian]');
+    console.log('       [--objective return|calmar|sharpe] [--evals 50] [--folds 3] [--window rolling|anchored]');
+    console.log('       [--params PATH,PATH] [--min-trades 3] [--seed 1] [--top 3] [--name optimized] [--out <file>]');
+    console.log('       plus the backtest options --balance, --buy-amount, --max-positions, --sol-price,');
+    console.log('       --slippage-bps, --fee-sol and --strategy');
+    console.log(`\nParameters: ${PARAMETER_SPACE.map(p => p.path).join(', ')}`);
+    process.exit(1);
+  }
+
+  const datasets = await loadDatasets(source);
+  console.log(`Loaded ${datasets.length} token datasets from ${source}`);
+
+  const result = optimize(datasets, options);
+  printOptimization(result);
+
+  const profiles = await writeProfiles(result, source);
+  profiles.forEach(file => console.log(`Profile written to ${file}`));
+
+  const outFile = out || path.join(BOT_CONFIG.LOG_DIR || './logs', 'optimizer', `optimizer-${Date.now()}.json`);
+  await fs.mkdir(path.dirname(outFile), { recursive: true });
+  await fs.writeFile(outFile, JSON.stringify(result, (key, value) => (value === -Infinity ? null : value), 2));
+  console.log(`\nFull results written to ${outFile}`);
+}
+
+// Only run the optimizer if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Optimization failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+// Export functions for programmatic use
+module.exports = {
+  PARAMETER_SPACE,
+  optimize,
+  writeProfiles,
+  printOptimization
+};
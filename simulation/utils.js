@@ -7,6 +7,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { getCachedSolPrice } = require('../price-oracle');
 
 // Ensure simulation logs directory exists and clear log files
 async function ensureLogDirectory() {
@@ -49,9 +50,13 @@ async function logTrade(tradeDetails) {
   // Note: We don't call ensureLogDirectory() here as it's called once at startup
 
   const timestamp = getESTTimestamp();
+  const solPrice = tradeDetails.solPriceUsd || getCachedSolPrice();
+  const pnlSol = typeof tradeDetails.pnlSol === 'number'
+    ? ` (${tradeDetails.pnlSol > 0 ? '+' : ''}${tradeDetails.pnlSol.toFixed(6)} SOL, $${(tradeDetails.pnlSol * solPrice).toFixed(2)})`
+    : '';
   const logEntry = `[${timestamp} EST] ${tradeDetails.action} ${tradeDetails.symbol} | ${tradeDetails.reason || ''}\n` +
-                  `  Price: ${tradeDetails.price} | Amount: ${tradeDetails.amount}\n` +
-                  `  Profit/Loss: ${tradeDetails.profitLoss ? (tradeDetails.profitLoss > 0 ? '+' : '') + tradeDetails.profitLoss.toFixed(2) + '%' : 'N/A'}\n` +
+                  `  Price: ${tradeDetails.price} | Amount: ${tradeDetails.amount} | SOL Price: $${solPrice.toFixed(2)}\n` +
+                  `  Profit/Loss: ${tradeDetails.profitLoss ? (tradeDetails.profitLoss > 0 ? '+' : '') + tradeDetails.profitLoss.toFixed(2) + '%' : 'N/A'}${pnlSol}\n` +
                   `  Transaction: ${tradeDetails.txSignature || 'N/A'}\n\n`;
 
   try {
@@ -158,6 +163,22 @@ function generateRandomString(length = 8) {
   return result;
 }
 
+/**
+ * Create a seeded random number generator (mulberry32), so simulations can be repeated
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Handle API errors with fallback values
  * @param {Function} apiCall - Async function to call
@@ -179,6 +200,7 @@ module.exports = {
   updateStats,
   logSimulationStats,
   generateRandomString,
+  createRandom,
   withFallback,
   ensureLogDirectory,
   getESTTimestamp
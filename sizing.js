@@ -0,0 +1,153 @@
+// sizing.js - Position sizing for the Solana Memecoin Trading Bot
+
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+
+// Supported sizing methods
+const SIZING_METHODS = {
+  FIXED: 'fixed', // Always BUY_AMOUNT_SOL
+  PERCENT_EQUITY: 'percent-equity', // A fixed share of wallet equity
+  VOLATILITY: 'volatility', // Risk a fixed share of equity per ATR-based stop distance
+  SCORE: 'score' // BUY_AMOUNT_SOL scaled by the token score
+};
+
+/**
+ * Base size for the fixed method
+ * @returns {number} - Size in SOL
+ */
+function fixedSize() {
+  return BOT_CONFIG.BUY_AMOUNT_SOL;
+}
+
+/**
+ * Size as a percentage of wallet equity
+ * @param {Object} settings - POSITION_SIZING settings
+ * @param {number} equitySol - Wallet equity in SOL
+ * @returns {number} - Size in SOL
+ */
+function percentEquitySize(settings, equitySol) {
+  return equitySol * (settings.EQUITY_PERCENT / 100);
+}
+
+/**
+ * Volatility-targeted size
+ * Risks RISK_PER_TRADE_PERCENT of equity if price moves ATR_STOP_MULTIPLE ATRs against the position,
+ * so tokens with a wide ATR relative to price get smaller positions.
+ * @param {Object} settings - POSITION_SIZING settings
+ * @param {Object} token - Token data with indicators
+ * @param {number} equitySol - Wallet equity in SOL
+ * @returns {number|null} - Size in SOL, or null if ATR is unavailable
+ */
+function volatilitySize(settings, token, equitySol) {
+  const atr = token.indicators?.hour?.atr;
+  if (!atr || !token.priceUsd) {
+    return null;
+  }
+
+  const stopDistance = (atr * settings.ATR_STOP_MULTIPLE) / token.priceUsd; // Fraction of price
+  const riskBudgetSol = equitySol * (settings.RISK_PER_TRADE_PERCENT / 100);
+  return riskBudgetSol / stopDistance;
+}
+
+/**
+ * Score-scaled size
+ * Interpolates the fixed size between MIN_MULTIPLIER (at SCORE_FLOOR) and MAX_MULTIPLIER (at a score of 100).
+ * @param {Object} settings - POSITION_SIZING settings
+ * @param {Object} token - Token data with score
+ * @returns {number} - Size in SOL
+ */
+function scoreSize(settings, token) {
+  const { SCORE_FLOOR, MIN_MULTIPLIER, MAX_MULTIPLIER } = settings.SCORE_SCALING;
+  const progress = Math.min(1, Math.max(0, ((token.score || 0) - SCORE_FLOOR) / (100 - SCORE_FLOOR)));
+  return fixedSize() * (MIN_MULTIPLIER + progress * (MAX_MULTIPLIER - MIN_MULTIPLIER));
+}
+
+/**
+ * Calculate how much SOL to spend on a new position
+ * @param {Object} token - Token data (priceUsd, liquidity, score, indicators)
+ * @param {Object} context - Sizing context
+ * @param {number} context.equitySol - Wallet equity in SOL (free SOL plus capital in open positions)
+ * @param {number} context.availableSol - SOL available to spend right now
+ * @param {number} [context.slotBudgetSol] - Capital allotted to one position slot
+ * @param {number} [context.solPriceUsd] - SOL price in USD, needed for the liquidity cap
+ * @param {Object} [settings] - Sizing settings (defaults to BOT_CONFIG.POSITION_SIZING)
+ * @returns {Object} - { amountSol, method, reason } (amountSol is 0 if the trade should be skipped)
+ */
+function calculatePositionSize(token, context, settings = BOT_CONFIG.POSITION_SIZING) {
+  const method = settings.METHOD || SIZING_METHODS.FIXED;
+  const notes = [];
+
+  let amountSol;
+  switch (method) {
+    case SIZING_METHODS.PERCENT_EQUITY:
+      amountSol = percentEquitySize(settings, context.equitySol);
+      break;
+    case SIZING_METHODS.VOLATILITY:
+      amountSol = volatilitySize(settings, token, context.equitySol);
+      if (amountSol === null) {
+        amountSol = fixedSize();
+        notes.push('no ATR, using fixed size');
+      }
+      break;
+    case SIZING_METHODS.SCORE:
+      amountSol = scoreSize(settings, token);
+      break;
+    case SIZING_METHODS.FIXED:
+      amountSol = fixedSize();
+      break;
+    default:
+      logger.warn(`Unknown position sizing method "${method}", using fixed size`);
+      amountSol = fixedSize();
+  }
+
+  // Min/max caps
+  if (settings.MAX_AMOUNT_SOL && amountSol > settings.MAX_AMOUNT_SOL) {
+    amountSol = settings.MAX_AMOUNT_SOL;
+    notes.push('max cap');
+  }
+  if (settings.MIN_AMOUNT_SOL && amountSol < settings.MIN_AMOUNT_SOL) {
+    amountSol = settings.MIN_AMOUNT_SOL;
+    notes.push('min size');
+  }
+
+  // Liquidity cap: never take more than a set share of the pool
+  if (settings.MAX_LIQUIDITY_PERCENT && context.solPriceUsd && token.liquidity > 0) {
+    const liquidityCapSol = (token.liquidity * (settings.MAX_LIQUIDITY_PERCENT / 100)) / context.solPriceUsd;
+    if (amountSol > liquidityCapSol) {
+      amountSol = liquidityCapSol;
+      notes.push(`liquidity cap (${settings.MAX_LIQUIDITY_PERCENT}% of $${Math.round(token.liquidity)})`);
+    }
+  }
+
+  // Slot cap: leave capital for the other position slots
+  if (context.slotBudgetSol && amountSol > context.slotBudgetSol) {
+    amountSol = context.slotBudgetSol;
+    notes.push('slot budget');
+  }
+
+  // Never spend more than is available
+  if (context.availableSol !== undefined && amountSol > context.availableSol) {
+    amountSol = Math.max(0, context.availableSol);
+    notes.push('available balance');
+  }
+
+  // Skip if the caps pushed the size below the minimum
+  if (settings.MIN_AMOUNT_SOL && amountSol < settings.MIN_AMOUNT_SOL) {
+    return {
+      amountSol: 0,
+      method,
+      reason: `Size ${amountSol.toFixed(4)} SOL below minimum ${settings.MIN_AMOUNT_SOL} SOL (${notes.join(', ')})`
+    };
+  }
+
+  return {
+    amountSol,
+    method,
+    reason: notes.length > 0 ? `${method} (${notes.join(', ')})` : method
+  };
+}
+
+module.exports = {
+  SIZING_METHODS,
+  calculatePositionSize
+};
@@ -2,13 +2,14 @@
 
 const axios = require('axios');
 const rateLimit = require('axios-rate-limit');
+const { recordable } = require('./recorder');
 
 // DexScreener API settings
 const DEX_API_BASE_URL = 'https://api.dexscreener.com';
 const http = rateLimit(axios.create(), { maxRequests: 60, perMilliseconds: 60000 }); // 60 req/min
 
 // API call with error handling
-const apiCall = async (url) => {
+const fetchData = async (url) => {
   try {
     const response = await http.get(url);
     return response.data;
@@ -18,6 +19,9 @@ const apiCall = async (url) => {
   }
 };
 
+// API call routed through the market data recorder
+const apiCall = (url) => recordable('dexscreener', url, () => fetchData(url));
+
 class DexScreenerService {
   async getBoostedSolanaTokens() {
     try {
@@ -1,13 +1,14 @@
 //gecko.js
 
 const axios = require('axios');
+const { recordable } = require('./recorder');
 
 // GeckoTerminal API settings
 const BASE_URL = 'https://api.geckoterminal.com/api/v2';
 const HEADERS = { Accept: 'application/json;version=20230302' };
 
 // Enhanced API call with rate limiting and exponential backoff
-const apiCall = async (url, retries = 5) => {
+const fetchData = async (url, retries = 5) => {
   for (let i = 0; i < retries; i++) {
     try {
       const response = await axios.get(url, { headers: HEADERS });
@@ -26,6 +27,9 @@ const apiCall = async (url, retries = 5) => {
   }
 };
 
+// API call routed through the market data recorder
+const apiCall = (url, retries = 5) => recordable('gecko', url, () => fetchData(url, retries));
+
 // Fetch new pools from GeckoTerminal
 const fetchNewPools = async (network = 'solana', pages = 5, applyFilters = false) => {
   const pools = [];
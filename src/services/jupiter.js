@@ -4,7 +4,8 @@
 const axios = require('axios');
 const { Connection, PublicKey, VersionedTransaction } = require('@solana/web3.js');
 const Bottleneck = require('bottleneck');
-// bs58 and Transaction are no longer needed after removing Trigger and Recurring API methods
+const bs58 = require('bs58');
+// Transaction is no longer needed after removing Trigger and Recurring API methods
 
 // Constants
 const JUPITER_API = 'https://api.jup.ag';
@@ -75,18 +76,40 @@ class JupiterService {
     }
   }
 
-  async createOrder(inputMint, outputMint, amount) {
+  async createOrder(inputMint, outputMint, amount, slippageBps = null) {
     /**
      * Create an unsigned swap order
+     * @param {number} [slippageBps] - Slippage tolerance in basis points (Ultra picks one if omitted)
      * @returns {Object} Order details including transaction and requestId
      */
+    const params = {
+      inputMint,
+      outputMint,
+      amount,
+      taker: this.userPublicKey.toBase58(),
+    };
+    if (slippageBps) params.slippageBps = slippageBps;
+
+    const response = await limiter.schedule(() =>
+      axios.get(`${JUPITER_API}/ultra/v1/order`, { params })
+    );
+    return response.data;
+  }
+
+  async getQuote(inputMint, outputMint, amount) {
+    /**
+     * Get a quote without building a transaction (order without a taker)
+     * @param {string} inputMint - Input token mint address
+     * @param {string} outputMint - Output token mint address
+     * @param {number|string} amount - Amount to swap in raw units
+     * @returns {Object} Quote details including inAmount, outAmount and priceImpactPct
+     */
     const response = await limiter.schedule(() =>
       axios.get(`${JUPITER_API}/ultra/v1/order`, {
         params: {
           inputMint,
           outputMint,
           amount,
-          taker: this.userPublicKey.toBase58(),
         },
       })
     );
@@ -122,16 +145,41 @@ class JupiterService {
      * @param {number} amount - Amount to swap in raw units
      * @returns {string} Transaction signature
      */
+    const { signature } = await this.executeUltraSwapWithOrder(inputMint, outputMint, amount);
+    return signature;
+  }
+
+  async executeUltraSwapWithOrder(inputMint, outputMint, amount, options = {}) {
+    /**
+     * Execute a swap using Ultra API and return the order it was built from
+     * If the swap fails after the order was created, the order is attached to the error as error.order.
+     * If it fails after signing, the transaction may still land: error.signature, error.blockhash and
+     * error.lastValidBlockHeight are attached so it can be tracked (see tx-tracker.js).
+     * @param {string} inputMint - Input token mint address
+     * @param {string} outputMint - Output token mint address
+     * @param {number} amount - Amount to swap in raw units
+     * @param {Object} [options] - Swap options
+     * @param {number} [options.slippageBps] - Slippage tolerance in basis points
+     * @param {Function} [options.checkOrder] - Called with the order before signing; throw to abort the swap
+     * @returns {Object} { signature, order, blockhash, lastValidBlockHeight } where order holds the quoted inAmount and outAmount
+     */
+    let orderResponse = null;
+    let sent = null;
     try {
       console.log(`Creating Ultra swap order: ${inputMint} → ${outputMint}, amount: ${amount}`);
 
       // Step 1: Create the order
-      const orderResponse = await this.createOrder(inputMint, outputMint, amount);
+      orderResponse = await this.createOrder(inputMint, outputMint, amount, options.slippageBps);
 
       if (!orderResponse.transaction) {
         throw new Error(`Failed to create order: No transaction returned. Response: ${JSON.stringify(orderResponse)}`);
       }
 
+      // Let the caller inspect the quote before anything is signed
+      if (options.checkOrder) {
+        await options.checkOrder(orderResponse);
+      }
+
       // Step 2: Deserialize and sign the transaction
       const transactionBuffer = Buffer.from(orderResponse.transaction, 'base64');
       const transaction = VersionedTransaction.deserialize(transactionBuffer);
@@ -139,19 +187,106 @@ class JupiterService {
       // Step 3: Sign the transaction
       transaction.sign([this.wallet]);
 
+      // The signature is known before sending, so the transaction can be tracked even if execution errors
+      sent = {
+        // Handle bs58 encoding properly (handle both CommonJS and ES module versions)
+        signature: (bs58.default || bs58).encode(transaction.signatures[0]),
+        blockhash: transaction.message.recentBlockhash,
+        lastValidBlockHeight: typeof orderResponse.lastValidBlockHeight === 'number' ? orderResponse.lastValidBlockHeight : null
+      };
+
       // Step 4: Execute the order
-      // Handle bs58 encoding properly (handle both CommonJS and ES module versions)
       const executeResponse = await this.executeOrder(transaction, orderResponse.requestId);
 
       // Step 5: Check for success and return the signature
       if (executeResponse.status === 'Success') {
         console.log(`Ultra swap successful: ${executeResponse.signature}`);
-        return executeResponse.signature;
+        return { ...sent, signature: executeResponse.signature || sent.signature, order: orderResponse };
       } else {
         throw new Error(`Ultra swap failed: ${executeResponse.error || JSON.stringify(executeResponse)}`);
       }
     } catch (error) {
       console.error(`Ultra swap execution failed: ${error.message}`);
+      error.order = orderResponse;
+      if (sent) {
+        error.signature = sent.signature;
+        error.blockhash = sent.blockhash;
+        error.lastValidBlockHeight = sent.lastValidBlockHeight;
+      }
+      throw error;
+    }
+  }
+
+  // --- Swap API ---
+  async executeSwapWithPriorityFee(inputMint, outputMint, amount, options = {}) {
+    /**
+     * Execute a swap through the Swap API, which unlike Ultra takes a priority fee, and return the quote it was built from
+     * Errors carry error.order, and error.signature, error.blockhash and error.lastValidBlockHeight once the
+     * transaction was signed, as for executeUltraSwapWithOrder.
+     * @param {string} inputMint - Input token mint address
+     * @param {string} outputMint - Output token mint address
+     * @param {number} amount - Amount to swap in raw units
+     * @param {Object} [options] - Swap options
+     * @param {number} [options.slippageBps] - Slippage tolerance in basis points
+     * @param {number} [options.priorityFeeLamports] - Max priority fee in lamports (DEFAULT_PRIORITY_FEE if omitted)
+     * @param {Function} [options.checkOrder] - Called with the quote before signing; throw to abort the swap
+     * @returns {Object} { signature, order, blockhash, lastValidBlockHeight } where order is the quote
+     */
+    let quote = null;
+    let sent = null;
+    try {
+      console.log(`Creating swap with priority fee: ${inputMint} → ${outputMint}, amount: ${amount}`);
+
+      const quoteResponse = await limiter.schedule(() =>
+        axios.get(`${JUPITER_API}/swap/v1/quote`, {
+          params: { inputMint, outputMint, amount, slippageBps: options.slippageBps || DEFAULT_SLIPPAGE_BPS }
+        })
+      );
+      quote = quoteResponse.data;
+      if (!quote || !quote.outAmount) {
+        throw new Error(`Failed to get quote: ${JSON.stringify(quote)}`);
+      }
+
+      if (options.checkOrder) {
+        await options.checkOrder(quote);
+      }
+
+      const swapResponse = await limiter.schedule(() =>
+        axios.post(`${JUPITER_API}/swap/v1/swap`, {
+          quoteResponse: quote,
+          userPublicKey: this.userPublicKey.toBase58(),
+          dynamicComputeUnitLimit: true,
+          prioritizationFeeLamports: options.priorityFeeLamports
+            ? { priorityLevelWithMaxLamports: { maxLamports: options.priorityFeeLamports, priorityLevel: 'veryHigh' } }
+            : DEFAULT_PRIORITY_FEE
+        })
+      );
+      const { swapTransaction, lastValidBlockHeight } = swapResponse.data;
+
+      const transaction = VersionedTransaction.deserialize(Buffer.from(swapTransaction, 'base64'));
+      transaction.sign([this.wallet]);
+      sent = {
+        signature: (bs58.default || bs58).encode(transaction.signatures[0]),
+        blockhash: transaction.message.recentBlockhash,
+        lastValidBlockHeight: typeof lastValidBlockHeight === 'number' ? lastValidBlockHeight : null
+      };
+
+      // Landing is left to the caller (see tx-tracker.js), so preflight and RPC retries are kept short
+      await this.connection.sendRawTransaction(transaction.serialize(), { skipPreflight: true, maxRetries: 2 });
+      console.log(`Swap sent: ${sent.signature}`);
+      return { ...sent, order: quote };
+    } catch (error) {
+      // Route errors come back in the response body
+      if (error.response?.data) {
+        error.message = `${error.message}: ${JSON.stringify(error.response.data)}`;
+      }
+      console.error(`Swap execution failed: ${error.message}`);
+      error.order = quote;
+      if (sent) {
+        error.signature = sent.signature;
+        error.blockhash = sent.blockhash;
+        error.lastValidBlockHeight = sent.lastValidBlockHeight;
+      }
       throw error;
     }
   }
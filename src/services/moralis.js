@@ -2,6 +2,7 @@
 
 require('dotenv').config();
 const axios = require('axios');
+const { recordable } = require('./recorder');
 
 const MORALIS_API_KEY = process.env.MORALIS_API_KEY;
 const BASE_URL = 'https://solana-gateway.moralis.io';
@@ -9,7 +10,7 @@ const DEEP_INDEX_URL = 'https://deep-index.moralis.io/api/v2.2';
 const HEADERS = { 'accept': 'application/json', 'X-API-Key': MORALIS_API_KEY };
 
 // Moralis Token API Endpoints with error handling
-async function apiCall(url, fallback = {}) {
+async function fetchData(url, fallback = {}) {
   try {
     const response = await axios.get(url, { headers: HEADERS });
     return response.data || fallback;
@@ -19,6 +20,11 @@ async function apiCall(url, fallback = {}) {
   }
 }
 
+// API call routed through the market data recorder
+async function apiCall(url, fallback = {}) {
+  return await recordable('moralis', url, () => fetchData(url, fallback));
+}
+
 async function getTokenHolders(tokenAddress) {
   return await apiCall(`${BASE_URL}/token/mainnet/holders/${tokenAddress}`, {});
 }
@@ -0,0 +1,429 @@
+//paper.js
+
+/**
+ * Paper trading execution for the Solana Memecoin Trading Bot
+ *
+ * PaperJupiterService is a drop-in JupiterService for trading.js: quotes and prices
+ * come from the real Jupiter API, but swaps are filled against the current quote
+ * with modeled slippage and fees, and settle in a virtual wallet instead of on chain.
+ * Its connection answers wallet balance and transaction queries from the virtual
+ * wallet and forwards everything else (mint, pool and holder reads) to Solana, so the
+ * paper and live modes run the exact same trading pipeline.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { PublicKey, Keypair } = require('@solana/web3.js');
+const JupiterService = require('./jupiter');
+const { BOT_CONFIG } = require('../../config');
+const logger = require('../../logger');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SOL = 1000000000;
+const SIGNATURE_PREFIX = 'PAPER_';
+const WALLET_FILE = 'wallet.json';
+
+// Virtual wallet shared by every PaperJupiterService instance (trading.js creates one per cycle)
+let wallet = null;
+
+// Fills of this session by signature, answered as confirmed transactions
+const transactions = new Map();
+
+// Pending write chain so overlapping saves are applied in order
+let writeQueue = Promise.resolve();
+
+/**
+ * Point the position store, trade journal and risk state at the paper data directory
+ * so paper runs never mix with (or get restored into) live trading state
+ * @param {Object} botConfig - BOT_CONFIG to update in place
+ */
+function usePaperStorage(botConfig = BOT_CONFIG) {
+  const dir = botConfig.PAPER.DATA_DIR;
+  botConfig.POSITIONS_FILE = path.join(dir, path.basename(botConfig.POSITIONS_FILE));
+  botConfig.RISK_STATE_FILE = path.join(dir, path.basename(botConfig.RISK_STATE_FILE));
+  botConfig.JOURNAL.FILE = path.join(dir, path.basename(botConfig.JOURNAL.FILE));
+  botConfig.JOURNAL.OPEN_FILE = path.join(dir, path.basename(botConfig.JOURNAL.OPEN_FILE));
+}
+
+/**
+ * Load the virtual wallet, creating it with PAPER.STARTING_BALANCE_SOL if it doesn't exist yet
+ * @returns {Promise<Object>} - { lamports, tokens: { mint: { amount, decimals } } } with BigInt amounts
+ */
+async function loadPaperWallet() {
+  if (wallet) return wallet;
+
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(BOT_CONFIG.PAPER.DATA_DIR, WALLET_FILE), 'utf8'));
+    const tokens = {};
+    Object.entries(data.tokens || {}).forEach(([mint, token]) => {
+      tokens[mint] = { amount: BigInt(token.amount), decimals: token.decimals };
+    });
+    wallet = { lamports: BigInt(data.lamports), tokens, createdAt: data.createdAt };
+    logger.info(`Loaded paper wallet: ${(Number(wallet.lamports) / LAMPORTS_PER_SOL).toFixed(4)} SOL, ${Object.keys(tokens).length} token(s)`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error loading paper wallet, starting a new one: ${error.message}`);
+    }
+    wallet = {
+      lamports: BigInt(Math.round(BOT_CONFIG.PAPER.STARTING_BALANCE_SOL * LAMPORTS_PER_SOL)),
+      tokens: {},
+      createdAt: new Date().toISOString()
+    };
+    logger.info(`Created paper wallet with ${BOT_CONFIG.PAPER.STARTING_BALANCE_SOL} SOL`);
+    await savePaperWallet();
+  }
+  return wallet;
+}
+
+/**
+ * Create the keypair standing in for the virtual wallet
+ * It never signs, so paper trading needs no wallet key; a fresh one per session is enough
+ * since the virtual wallet is kept by file, not by address.
+ * @returns {Keypair} - Keypair whose public key identifies the paper wallet
+ */
+function createPaperWallet() {
+  return Keypair.generate();
+}
+
+/**
+ * Virtual wallet balance in the shape of wallet.js checkWalletBalance
+ * @param {PublicKey} publicKey - Public key standing in for the paper wallet
+ * @returns {Promise<Object>} - { publicKey, balance, hasMinimumBalance }
+ */
+async function getPaperWalletInfo(publicKey) {
+  const { lamports } = await loadPaperWallet();
+  const balance = Number(lamports) / LAMPORTS_PER_SOL;
+  return {
+    publicKey: publicKey.toString(),
+    balance,
+    hasMinimumBalance: balance >= BOT_CONFIG.MINIMUM_SOL_BALANCE
+  };
+}
+
+/**
+ * Write the virtual wallet to disk
+ * Writes to a temporary file first so a crash never leaves a half-written wallet
+ * @returns {Promise<void>} - Resolves once this snapshot is on disk
+ */
+function savePaperWallet() {
+  const tokens = {};
+  Object.entries(wallet.tokens).forEach(([mint, token]) => {
+    tokens[mint] = { amount: token.amount.toString(), decimals: token.decimals };
+  });
+  const snapshot = JSON.stringify({
+    updatedAt: new Date().toISOString(),
+    createdAt: wallet.createdAt,
+    lamports: wallet.lamports.toString(),
+    tokens
+  }, null, 2);
+
+  writeQueue = writeQueue.then(async () => {
+    try {
+      const file = path.join(BOT_CONFIG.PAPER.DATA_DIR, WALLET_FILE);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot);
+      await fs.rename(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error(`Error saving paper wallet: ${error.message}`);
+    }
+  });
+  return writeQueue;
+}
+
+/**
+ * Convert a raw token amount to a UI amount
+ * @param {BigInt} amount - Raw amount
+ * @param {number} decimals - Mint decimals
+ * @returns {number} - UI amount
+ */
+function toUiAmount(amount, decimals) {
+  return Number(amount) / Math.pow(10, decimals);
+}
+
+/**
+ * Apply the modeled slippage to a quoted output amount
+ * @param {string|number} outAmount - Quoted output in raw units
+ * @returns {BigInt} - Filled output in raw units
+ */
+function applySlippage(outAmount) {
+  return (BigInt(outAmount) * BigInt(10000 - BOT_CONFIG.PAPER.SLIPPAGE_BPS)) / 10000n;
+}
+
+/**
+ * Build a parsed token account as returned by getParsedTokenAccountsByOwner
+ * @param {string} mint - Token mint
+ * @param {Object} token - Virtual wallet token ({ amount, decimals })
+ * @param {PublicKey} owner - Wallet public key
+ * @returns {Object} - Parsed token account
+ */
+function parsedTokenAccount(mint, token, owner) {
+  return {
+    pubkey: owner,
+    account: {
+      data: {
+        parsed: {
+          info: {
+            mint,
+            owner: owner.toString(),
+            tokenAmount: {
+              amount: token.amount.toString(),
+              decimals: token.decimals,
+              uiAmount: toUiAmount(token.amount, token.decimals),
+              uiAmountString: String(toUiAmount(token.amount, token.decimals))
+            }
+          },
+          type: 'account'
+        },
+        program: 'spl-token'
+      }
+    }
+  };
+}
+
+/**
+ * Token balance entry of a transaction's meta
+ * @param {string} mint - Token mint
+ * @param {BigInt} amount - Raw amount
+ * @param {number} decimals - Mint decimals
+ * @param {PublicKey} owner - Wallet public key
+ * @returns {Object} - Token balance as in meta.preTokenBalances / meta.postTokenBalances
+ */
+function tokenBalance(mint, amount, decimals, owner) {
+  return {
+    accountIndex: 1,
+    mint,
+    owner: owner.toString(),
+    uiTokenAmount: { amount: amount.toString(), decimals, uiAmount: toUiAmount(amount, decimals) }
+  };
+}
+
+/**
+ * Wrap a Solana connection so the paper wallet's balances and fills are served virtually
+ * @param {Connection} connection - Real Solana connection
+ * @param {PublicKey} owner - Public key standing in for the paper wallet
+ * @returns {Proxy} - Connection with the same interface
+ */
+function createPaperConnection(connection, owner) {
+  const isOwner = key => key && key.toString() === owner.toString();
+  const isPaper = signature => typeof signature === 'string' && signature.startsWith(SIGNATURE_PREFIX);
+  const status = signature => (transactions.has(signature)
+    ? { slot: 0, confirmations: null, err: null, confirmationStatus: 'finalized' }
+    : null);
+
+  const overrides = {
+    async getBalance(publicKey, ...args) {
+      if (!isOwner(publicKey)) return connection.getBalance(publicKey, ...args);
+      return Number((await loadPaperWallet()).lamports);
+    },
+
+    async getParsedTokenAccountsByOwner(ownerKey, filter, ...args) {
+      if (!isOwner(ownerKey)) return connection.getParsedTokenAccountsByOwner(ownerKey, filter, ...args);
+      const { tokens } = await loadPaperWallet();
+      const mint = filter?.mint?.toString();
+      const value = Object.entries(tokens)
+        .filter(([tokenMint]) => !mint || tokenMint === mint)
+        .map(([tokenMint, token]) => parsedTokenAccount(tokenMint, token, owner));
+      return { context: { slot: 0 }, value };
+    },
+
+    async getTransaction(signature, ...args) {
+      if (!isPaper(signature)) return connection.getTransaction(signature, ...args);
+      const fill = transactions.get(signature);
+      return fill
+        ? { slot: 0, blockTime: Math.floor(fill.time / 1000), transaction: { signatures: [signature], message: { staticAccountKeys: fill.accountKeys } }, meta: fill.meta }
+        : null;
+    },
+
+    async getSignatureStatus(signature, ...args) {
+      if (!isPaper(signature)) return connection.getSignatureStatus(signature, ...args);
+      return { context: { slot: 0 }, value: status(signature) };
+    },
+
+    async getSignatureStatuses(signatures, ...args) {
+      if (!signatures.some(isPaper)) return connection.getSignatureStatuses(signatures, ...args);
+      const live = signatures.filter(signature => !isPaper(signature));
+      const liveStatuses = live.length > 0 ? (await connection.getSignatureStatuses(live, ...args)).value : [];
+      return {
+        context: { slot: 0 },
+        value: signatures.map(signature => (isPaper(signature) ? status(signature) : liveStatuses[live.indexOf(signature)]))
+      };
+    }
+  };
+
+  return new Proxy(connection, {
+    get(target, property) {
+      if (property === 'paper') return true;
+      if (property in overrides) return overrides[property];
+      const value = target[property];
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+class PaperJupiterService extends JupiterService {
+  constructor(connection, wallet) {
+    /**
+     * @param {Connection} connection - Solana RPC connection (used for reads only)
+     * @param {Keypair} wallet - Keypair whose public key stands in for the paper wallet (never signs)
+     */
+    super(connection, wallet);
+    if (!this.connection.paper) {
+      this.connection = createPaperConnection(this.connection, this.userPublicKey);
+    }
+    this.paper = true;
+  }
+
+  async getWalletInfo() {
+    /**
+     * Virtual wallet balance in the shape of wallet.js checkWalletBalance
+     * @returns {Object} { publicKey, balance, hasMinimumBalance }
+     */
+    return getPaperWalletInfo(this.userPublicKey);
+  }
+
+  async getBalances() {
+    /**
+     * Virtual wallet balances in the shape of the Ultra balances endpoint
+     * @returns {Object} Token balances in format { tokens: [...] }
+     */
+    const { lamports, tokens } = await loadPaperWallet();
+    return {
+      tokens: [
+        { symbol: 'SOL', mint: SOL_MINT, uiAmount: Number(lamports) / LAMPORTS_PER_SOL, amount: lamports.toString(), isFrozen: false },
+        ...Object.entries(tokens).map(([mint, token]) => ({
+          symbol: mint,
+          mint,
+          uiAmount: toUiAmount(token.amount, token.decimals),
+          amount: token.amount.toString(),
+          isFrozen: false
+        }))
+      ]
+    };
+  }
+
+  async getDecimals(mint) {
+    /**
+     * Read a mint's decimals from the chain
+     * @param {string} mint - Token mint address
+     * @returns {number} Decimals
+     */
+    const held = wallet?.tokens[mint];
+    if (held) return held.decimals;
+
+    const account = await this.connection.getParsedAccountInfo(new PublicKey(mint));
+    const decimals = account?.value?.data?.parsed?.info?.decimals;
+    if (typeof decimals !== 'number') {
+      throw new Error(`Could not read decimals of ${mint}`);
+    }
+    return decimals;
+  }
+
+  async executeUltraSwapWithOrder(inputMint, outputMint, amount, options = {}) {
+    /**
+     * Fill a swap against the current Ultra quote in the virtual wallet
+     * The output is the quoted outAmount less PAPER.SLIPPAGE_BPS, and every swap pays
+     * PAPER.FEE_LAMPORTS. Fails like a live swap (with error.order) when the wallet is short.
+     * @param {string} inputMint - Input token mint address
+     * @param {string} outputMint - Output token mint address
+     * @param {number} amount - Amount to swap in raw units
+     * @param {Object} [options] - Swap options, as for JupiterService (checkOrder runs before the fill)
+     * @returns {Object} { signature, order, blockhash, lastValidBlockHeight } where order holds the quoted
+     * inAmount and outAmount; fills carry no blockhash and are confirmed as soon as they are made
+     */
+    let order = null;
+    try {
+      const paperWallet = await loadPaperWallet();
+      order = await this.getQuote(inputMint, outputMint, amount);
+      if (!order || !order.outAmount || BigInt(order.outAmount) <= 0n) {
+        throw new Error(`No quote available: ${order?.error || order?.errorMessage || JSON.stringify(order)}`);
+      }
+      if (options.checkOrder) {
+        await options.checkOrder(order);
+      }
+
+      const fee = BigInt(BOT_CONFIG.PAPER.FEE_LAMPORTS);
+      const filled = applySlippage(order.outAmount);
+      const preLamports = paperWallet.lamports;
+      let tokenMint;
+      let preTokens;
+      let decimals;
+
+      if (inputMint === SOL_MINT) {
+        // Buy: spend SOL, receive tokens
+        tokenMint = outputMint;
+        decimals = await this.getDecimals(outputMint);
+        const spend = BigInt(Math.floor(Number(amount)));
+        if (paperWallet.lamports < spend + fee) {
+          throw new Error(`Insufficient paper SOL balance: ${Number(paperWallet.lamports) / LAMPORTS_PER_SOL} SOL`);
+        }
+        preTokens = paperWallet.tokens[tokenMint]?.amount || 0n;
+        paperWallet.lamports -= spend + fee;
+        paperWallet.tokens[tokenMint] = { amount: preTokens + filled, decimals };
+      } else {
+        // Sell: spend tokens, receive SOL
+        tokenMint = inputMint;
+        const held = paperWallet.tokens[tokenMint];
+        preTokens = held?.amount || 0n;
+        decimals = held?.decimals ?? await this.getDecimals(inputMint);
+        let spend = BigInt(Math.floor(Number(amount)));
+        // Raw amounts computed from UI amounts can overshoot the balance by rounding
+        if (spend > preTokens && preTokens > 0n && spend - preTokens <= spend / 1000000n) {
+          spend = preTokens;
+        }
+        if (spend > preTokens) {
+          throw new Error(`Insufficient paper token balance: ${toUiAmount(preTokens, decimals)} of ${tokenMint}`);
+        }
+        if (paperWallet.lamports + filled < fee) {
+          throw new Error(`Insufficient paper SOL balance for fees: ${Number(paperWallet.lamports) / LAMPORTS_PER_SOL} SOL`);
+        }
+        paperWallet.lamports += filled - fee;
+        if (preTokens - spend > 0n) {
+          held.amount = preTokens - spend;
+        } else {
+          delete paperWallet.tokens[tokenMint];
+        }
+      }
+
+      const signature = `${SIGNATURE_PREFIX}${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+      const postTokens = paperWallet.tokens[tokenMint]?.amount || 0n;
+      transactions.set(signature, {
+        time: Date.now(),
+        accountKeys: [this.userPublicKey],
+        meta: {
+          err: null,
+          fee: Number(fee),
+          preBalances: [Number(preLamports)],
+          postBalances: [Number(paperWallet.lamports)],
+          preTokenBalances: [tokenBalance(tokenMint, preTokens, decimals, this.userPublicKey)],
+          postTokenBalances: [tokenBalance(tokenMint, postTokens, decimals, this.userPublicKey)]
+        }
+      });
+      await savePaperWallet();
+
+      logger.info(`Paper swap filled: ${inputMint.slice(0, 8)}... → ${outputMint.slice(0, 8)}..., quoted ${order.outAmount}, filled ${filled} (${signature})`);
+      return { signature, order, blockhash: null, lastValidBlockHeight: null };
+    } catch (error) {
+      logger.error(`Paper swap failed: ${error.message}`);
+      error.order = order;
+      throw error;
+    }
+  }
+
+  async executeSwapWithPriorityFee(inputMint, outputMint, amount, options = {}) {
+    /**
+     * Fill a swap like executeUltraSwapWithOrder; the priority fee is not modeled
+     * @returns {Object} { signature, order, blockhash, lastValidBlockHeight }
+     */
+    return this.executeUltraSwapWithOrder(inputMint, outputMint, amount, options);
+  }
+}
+
+module.exports = {
+  PaperJupiterService,
+  createPaperConnection,
+  usePaperStorage,
+  loadPaperWallet,
+  createPaperWallet,
+  getPaperWalletInfo
+};
@@ -0,0 +1,172 @@
+//recorder.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { BOT_CONFIG } = require('../../config');
+
+// Market data modes
+const MARKET_DATA_MODES = {
+  LIVE: 'live', // Call the APIs normally
+  RECORD: 'record', // Call the APIs and write every raw response to disk
+  REPLAY: 'replay' // Serve recorded responses instead of calling the APIs
+};
+
+const mode = BOT_CONFIG.MARKET_DATA_MODE || MARKET_DATA_MODES.LIVE;
+
+// Recording state
+let recordingFile = null;
+let writeQueue = Promise.resolve();
+
+// Replay state: "source url" -> recorded responses in order, plus a read cursor per key
+let replayIndex = null;
+const replayCursors = new Map();
+
+/**
+ * Get the file this session records to, creating the recordings directory if needed
+ * Files are named after the session start time, e.g. market-2024-05-01T12-00-00-000Z.jsonl.gz
+ * @returns {string} - Recording file path
+ */
+function getRecordingFile() {
+  if (!recordingFile) {
+    fs.mkdirSync(BOT_CONFIG.MARKET_DATA_DIR, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    recordingFile = path.join(BOT_CONFIG.MARKET_DATA_DIR, `market-${stamp}.jsonl.gz`);
+  }
+  return recordingFile;
+}
+
+/**
+ * Append one response to the recording file
+ * Each line is written as its own gzip member so a crash never corrupts earlier records
+ * @param {string} source - API the response came from (dexscreener, gecko, moralis)
+ * @param {string} url - Requested URL
+ * @param {any} data - Raw response data
+ */
+function writeRecord(source, url, data) {
+  const line = JSON.stringify({ ts: Date.now(), source, url, data }) + '\n';
+  const chunk = zlib.gzipSync(line);
+
+  writeQueue = writeQueue
+    .then(() => fs.promises.appendFile(getRecordingFile(), chunk))
+    .catch(error => console.error(`Failed to record market data: ${error.message}`));
+}
+
+/**
+ * Read all records from a compressed JSONL recording file
+ * @param {string} file - Recording file path
+ * @returns {Array} - Records in the order they were written
+ */
+function readRecordingFile(file) {
+  const content = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8');
+  return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Strip the query string from a URL
+ * Used as a fallback key for requests whose query contains the current date
+ * @param {string} url - URL
+ * @returns {string} - URL without its query string
+ */
+function urlPath(url) {
+  return url.split('?')[0];
+}
+
+/**
+ * Load recordings for replay
+ * Uses MARKET_DATA_REPLAY_PATH (a file or directory), or every recording in MARKET_DATA_DIR
+ * @returns {Map} - Recorded responses keyed by source and URL
+ */
+function loadReplayIndex() {
+  if (replayIndex) return replayIndex;
+
+  replayIndex = new Map();
+  const source = BOT_CONFIG.MARKET_DATA_REPLAY_PATH || BOT_CONFIG.MARKET_DATA_DIR;
+
+  let files = [];
+  try {
+    files = fs.statSync(source).isDirectory()
+      ? fs.readdirSync(source).filter(f => f.endsWith('.jsonl.gz')).sort().map(f => path.join(source, f))
+      : [source];
+  } catch (error) {
+    console.error(`Failed to open market data recordings at ${source}: ${error.message}`);
+    return replayIndex;
+  }
+
+  const records = files.flatMap(readRecordingFile).sort((a, b) => a.ts - b.ts);
+  for (const record of records) {
+    for (const key of [`${record.source} ${record.url}`, `${record.source} ${urlPath(record.url)}`]) {
+      if (!replayIndex.has(key)) replayIndex.set(key, []);
+      replayIndex.get(key).push(record.data);
+    }
+  }
+
+  console.log(`Loaded ${records.length} recorded responses from ${files.length} file(s) for replay`);
+  return replayIndex;
+}
+
+/**
+ * Get the next recorded response for a request
+ * Responses for the same URL are served in recorded order; the last one repeats once they run out
+ * @param {string} source - API the request is for
+ * @param {string} url - Requested URL
+ * @returns {any} - Recorded response, or null if nothing was recorded for it
+ */
+function replayResponse(source, url) {
+  const index = loadReplayIndex();
+  const key = index.has(`${source} ${url}`) ? `${source} ${url}` : `${source} ${urlPath(url)}`;
+  const responses = index.get(key);
+  if (!responses) {
+    console.error(`No recorded ${source} response for ${url}`);
+    return null;
+  }
+
+  const cursor = replayCursors.get(key) || 0;
+  replayCursors.set(key, cursor + 1);
+  return responses[Math.min(cursor, responses.length - 1)];
+}
+
+/**
+ * Run an API request through the recorder
+ * In live mode the request runs as usual, in record mode its response is also written to disk,
+ * and in replay mode the recorded response is returned without touching the network.
+ * @param {string} source - API the request is for (dexscreener, gecko, moralis)
+ * @param {string} url - Requested URL
+ * @param {Function} request - Async function performing the real request
+ * @returns {Promise<any>} - Response data
+ */
+async function recordable(source, url, request) {
+  if (mode === MARKET_DATA_MODES.REPLAY) {
+    return replayResponse(source, url);
+  }
+
+  const data = await request();
+  if (mode === MARKET_DATA_MODES.RECORD) {
+    writeRecord(source, url, data);
+  }
+  return data;
+}
+
+/**
+ * Check whether market data is being replayed from disk
+ * @returns {boolean} - True in replay mode
+ */
+function isReplaying() {
+  return mode === MARKET_DATA_MODES.REPLAY;
+}
+
+/**
+ * Wait until all pending records are on disk
+ * @returns {Promise<void>}
+ */
+function flushRecordings() {
+  return writeQueue;
+}
+
+module.exports = {
+  MARKET_DATA_MODES,
+  recordable,
+  isReplaying,
+  flushRecordings,
+  readRecordingFile
+};
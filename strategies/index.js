@@ -0,0 +1,70 @@
+// strategies/index.js - Strategy registry for the Solana Memecoin Trading Bot
+//
+// A strategy is a module exporting:
+//   name         - Unique strategy name used in BOT_CONFIG.STRATEGY
+//   description  - Short human-readable summary
+//   evaluateEntry(token, ctx)          -> { buy: boolean, score: number|null, scoreDetails: Object|null }
+//   evaluateExit(position, data, ctx)  -> { sell: boolean, reason?, sellPercentage?, tier?, emergency? }
+//                                         (emergency exits are retried harder, see exit-executor.js)
+//
+// ctx carries optional overrides so the same strategy can be run with different
+// parameters (e.g. by the backtester): { buyCriteria, sellCriteria }.
+// Strategies fall back to BOT_CONFIG.BUY_CRITERIA / SELL_CRITERIA when not given.
+
+const { BOT_CONFIG } = require('../config');
+const logger = require('../logger');
+
+const DEFAULT_STRATEGY = 'momentum-score';
+
+// Registered strategies by name
+const strategies = new Map();
+
+// Unknown strategy names already warned about
+const warnedNames = new Set();
+
+/**
+ * Register a strategy
+ * @param {Object} strategy - Strategy module
+ */
+function registerStrategy(strategy) {
+  if (!strategy?.name || typeof strategy.evaluateEntry !== 'function' || typeof strategy.evaluateExit !== 'function') {
+    throw new Error('Strategy must have a name, evaluateEntry and evaluateExit');
+  }
+  strategies.set(strategy.name, strategy);
+}
+
+/**
+ * Get a strategy by name
+ * Falls back to the default strategy if the name is unknown
+ * @param {string} name - Strategy name (defaults to BOT_CONFIG.STRATEGY)
+ * @returns {Object} - Strategy module
+ */
+function getStrategy(name = BOT_CONFIG.STRATEGY || DEFAULT_STRATEGY) {
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    if (!warnedNames.has(name)) {
+      warnedNames.add(name);
+      logger.warn(`Unknown strategy "${name}", using ${DEFAULT_STRATEGY}`);
+    }
+    return strategies.get(DEFAULT_STRATEGY);
+  }
+  return strategy;
+}
+
+/**
+ * List all registered strategies
+ * @returns {Array} - Strategy names and descriptions
+ */
+function listStrategies() {
+  return Array.from(strategies.values()).map(({ name, description }) => ({ name, description }));
+}
+
+// Built-in strategies
+registerStrategy(require('./momentum-score'));
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  registerStrategy,
+  getStrategy,
+  listStrategies
+};
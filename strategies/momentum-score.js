@@ -0,0 +1,367 @@
+// strategies/momentum-score.js - Default momentum scoring strategy
+//
+// Scores entries on token score, price momentum, MACD, RSI, breakouts, buy/sell
+// pressure and holder growth, less an on-chain risk penalty (BUY_CRITERIA), and
+// exits on tiered profit taking, profit target, stop loss, trailing stops and
+// indicator reversals (SELL_CRITERIA).
+
+const { BOT_CONFIG } = require('../config');
+const logger = require('../logger');
+
+/**
+ * Evaluate whether to enter a position in a token
+ * @param {Object} token - Token data from finalTokens
+ * @param {Object} ctx - Strategy context (see strategies/index.js)
+ * @returns {Object} - Entry decision: { buy, score, scoreDetails }
+ */
+function evaluateEntry(token, ctx = {}) {
+  const indicators = token.indicators.hour || {};
+  const BUY_CRITERIA = ctx.buyCriteria || BOT_CONFIG.BUY_CRITERIA;
+
+  // Debug logging for individual criteria
+  logger.debug(`Evaluating buy criteria for ${token.symbol}:`);
+  logger.debug(`- Score: ${token.score} (needs > ${BUY_CRITERIA.MIN_SCORE}): ${token.score > BUY_CRITERIA.MIN_SCORE}`);
+  logger.debug(`- Price Change 5m: ${token.priceChange.m5}% (needs > ${BUY_CRITERIA.MIN_PRICE_CHANGE_5M}): ${token.priceChange.m5 > BUY_CRITERIA.MIN_PRICE_CHANGE_5M}`);
+  logger.debug(`- Price Change 1h: ${token.priceChange.h1}% (needs > ${BUY_CRITERIA.MIN_PRICE_CHANGE_1H}): ${token.priceChange.h1 > BUY_CRITERIA.MIN_PRICE_CHANGE_1H}`);
+  logger.debug(`- MACD: ${indicators.macd?.MACD}, Signal: ${indicators.macd?.signal}, Histogram: ${indicators.macd?.histogram}`);
+  logger.debug(`- MACD Bullish: ${indicators.macd?.MACD > indicators.macd?.signal && indicators.macd?.histogram > 0}`);
+  logger.debug(`- RSI: ${indicators.rsi} (needs < ${BUY_CRITERIA.MAX_RSI}): ${indicators.rsi < BUY_CRITERIA.MAX_RSI}`);
+  logger.debug(`- Price vs Bollinger Upper: ${token.priceUsd} vs ${indicators.bollinger?.upper}: ${token.priceUsd > indicators.bollinger?.upper}`);
+  logger.debug(`- Tenkan-sen vs Kijun-sen: ${indicators.ichimoku?.tenkanSen} vs ${indicators.ichimoku?.kijunSen}: ${indicators.ichimoku?.tenkanSen > indicators.ichimoku?.kijunSen}`);
+  logger.debug(`- Buy/Sell Ratio 5m: ${token.txns?.m5?.buys}/${token.txns?.m5?.sells} = ${token.txns?.m5?.buys / (token.txns?.m5?.sells || 1)} (needs > ${BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M}): ${token.txns?.m5?.buys / (token.txns?.m5?.sells || 1) > BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M}`);
+  logger.debug(`- Holder Change 24h: ${token.holderChange24h} (needs >= ${BUY_CRITERIA.MIN_HOLDER_CHANGE_24H}): ${token.holderChange24h === undefined || token.holderChange24h >= BUY_CRITERIA.MIN_HOLDER_CHANGE_24H}`);
+
+  // If scoring is disabled, use traditional AND-based criteria
+  if (!BUY_CRITERIA.SCORING_ENABLED) {
+    const result = (
+      token.score > BUY_CRITERIA.MIN_SCORE && // Score above minimum
+      token.priceChange.m5 > BUY_CRITERIA.MIN_PRICE_CHANGE_5M && token.priceChange.h1 > BUY_CRITERIA.MIN_PRICE_CHANGE_1H && // Recent positive momentum
+      indicators.macd?.MACD > indicators.macd?.signal && indicators.macd?.histogram > 0 && // MACD bullish
+      indicators.rsi < BUY_CRITERIA.MAX_RSI && // RSI not overbought
+      (token.priceUsd > indicators.bollinger?.upper || // Price above upper Bollinger Band
+       indicators.ichimoku?.tenkanSen > indicators.ichimoku?.kijunSen) && // Tenkan-sen above Kijun-sen
+      token.txns?.m5?.buys / (token.txns?.m5?.sells || 1) > BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M && // Recent buy pressure
+      (token.holderChange24h === undefined || token.holderChange24h >= BUY_CRITERIA.MIN_HOLDER_CHANGE_24H) // Positive holder growth or missing data
+    );
+
+    logger.debug(`Buy criteria met (traditional): ${result}`);
+    return { buy: result, score: null, scoreDetails: null };
+  }
+
+  // Scoring-based system
+  const weights = BUY_CRITERIA.SCORE_WEIGHTS;
+  const bonus = BUY_CRITERIA.BONUS;
+  let totalScore = 0;
+  let scoreDetails = {};
+
+  // 1. Token Score (0-20 points)
+  const tokenScorePoints = token.score > BUY_CRITERIA.MIN_SCORE ?
+    weights.TOKEN_SCORE : (token.score / BUY_CRITERIA.MIN_SCORE) * weights.TOKEN_SCORE;
+  scoreDetails.tokenScore = Math.round(tokenScorePoints * 10) / 10;
+  totalScore += tokenScorePoints;
+
+  // 2. Price Momentum (0-15 points)
+  let momentumPoints = 0;
+  // 5m price change (0-7.5 points)
+  if (token.priceChange.m5 > BUY_CRITERIA.MIN_PRICE_CHANGE_5M) {
+    momentumPoints += weights.PRICE_MOMENTUM / 2;
+    // Bonus for strong 5m momentum
+    if (token.priceChange.m5 > bonus.STRONG_MOMENTUM_5M) {
+      momentumPoints += bonus.BONUS_POINTS;
+    }
+  } else if (token.priceChange.m5 > 0) {
+    // Partial points for positive but below threshold
+    momentumPoints += (token.priceChange.m5 / BUY_CRITERIA.MIN_PRICE_CHANGE_5M) * (weights.PRICE_MOMENTUM / 2);
+  }
+
+  // 1h price change (0-7.5 points)
+  if (token.priceChange.h1 > BUY_CRITERIA.MIN_PRICE_CHANGE_1H) {
+    momentumPoints += weights.PRICE_MOMENTUM / 2;
+  } else if (token.priceChange.h1 > -2) { // Allow slightly negative 1h if not too bad
+    // Scale from -2% to 0%: -2% = 0 points, 0% = half points
+    momentumPoints += ((token.priceChange.h1 + 2) / 2) * (weights.PRICE_MOMENTUM / 4);
+  }
+
+  scoreDetails.momentum = Math.round(momentumPoints * 10) / 10;
+  totalScore += momentumPoints;
+
+  // 3. MACD (0-15 points)
+  let macdPoints = 0;
+  if (indicators.macd?.MACD > indicators.macd?.signal && indicators.macd?.histogram > 0) {
+    macdPoints = weights.MACD;
+    // Bonus for strong histogram
+    if (indicators.macd?.histogram > 0.00001) { // Adjust threshold as needed
+      macdPoints += bonus.BONUS_POINTS / 2;
+    }
+  } else if (indicators.macd?.histogram > 0) {
+    // Partial points for positive histogram even if MACD < signal
+    macdPoints = weights.MACD / 2;
+  } else if (indicators.macd?.MACD > indicators.macd?.signal) {
+    // Partial points for MACD > signal even if histogram negative
+    macdPoints = weights.MACD / 3;
+  }
+  scoreDetails.macd = Math.round(macdPoints * 10) / 10;
+  totalScore += macdPoints;
+
+  // 4. RSI (0-10 points)
+  let rsiPoints = 0;
+  if (indicators.rsi < BUY_CRITERIA.MAX_RSI) {
+    // More points for RSI in the sweet spot (40-60)
+    if (indicators.rsi >= 40 && indicators.rsi <= 60) {
+      rsiPoints = weights.RSI;
+    } else {
+      rsiPoints = weights.RSI * 0.8; // 80% of points for non-optimal RSI
+    }
+  } else if (indicators.rsi < BUY_CRITERIA.MAX_RSI + 10) {
+    // Partial points for slightly overbought
+    rsiPoints = weights.RSI * (1 - ((indicators.rsi - BUY_CRITERIA.MAX_RSI) / 10));
+  }
+  scoreDetails.rsi = Math.round(rsiPoints * 10) / 10;
+  totalScore += rsiPoints;
+
+  // 5. Price Breakout (0-15 points)
+  let breakoutPoints = 0;
+  const priceAboveBB = token.priceUsd > indicators.bollinger?.upper;
+  const ichimokuBullish = indicators.ichimoku?.tenkanSen > indicators.ichimoku?.kijunSen;
+
+  if (priceAboveBB && ichimokuBullish) {
+    // Both signals are bullish
+    breakoutPoints = weights.PRICE_BREAKOUT + (bonus.BONUS_POINTS / 2);
+  } else if (priceAboveBB) {
+    breakoutPoints = weights.PRICE_BREAKOUT * 0.8; // 80% for BB breakout
+  } else if (ichimokuBullish) {
+    breakoutPoints = weights.PRICE_BREAKOUT * 0.7; // 70% for Ichimoku signal
+  } else if (token.priceUsd > indicators.bollinger?.middle) {
+    // Partial points for price above middle BB
+    breakoutPoints = weights.PRICE_BREAKOUT * 0.4;
+  }
+  scoreDetails.breakout = Math.round(breakoutPoints * 10) / 10;
+  totalScore += breakoutPoints;
+
+  // 6. Buy/Sell Ratio (0-15 points)
+  let buySellPoints = 0;
+  const buySellRatio = token.txns?.m5?.buys / (token.txns?.m5?.sells || 1);
+
+  if (buySellRatio > BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M) {
+    buySellPoints = weights.BUY_SELL_RATIO;
+    // Bonus for exceptionally high buy/sell ratio
+    if (buySellRatio > bonus.HIGH_BUY_SELL_RATIO) {
+      buySellPoints += bonus.BONUS_POINTS;
+    }
+  } else if (buySellRatio > 1.0) {
+    // Partial points for positive but below threshold
+    buySellPoints = (buySellRatio - 1) / (BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M - 1) * weights.BUY_SELL_RATIO;
+  }
+  scoreDetails.buySellRatio = Math.round(buySellPoints * 10) / 10;
+  totalScore += buySellPoints;
+
+  // 7. Holder Growth (0-10 points)
+  let holderPoints = 0;
+  if (token.holderChange24h === undefined) {
+    // If holder data is missing, award partial points
+    holderPoints = weights.HOLDER_GROWTH * 0.5;
+  } else if (token.holderChange24h >= BUY_CRITERIA.MIN_HOLDER_CHANGE_24H) {
+    holderPoints = weights.HOLDER_GROWTH;
+    // Bonus for strong holder growth
+    if (token.holderChange24h > 5) { // 5% growth
+      holderPoints += bonus.BONUS_POINTS / 2;
+    }
+  } else if (token.holderChange24h > -2) {
+    // Partial points for slightly negative holder change
+    holderPoints = (token.holderChange24h + 2) / 2 * weights.HOLDER_GROWTH * 0.5;
+  }
+  scoreDetails.holderGrowth = Math.round(holderPoints * 10) / 10;
+  totalScore += holderPoints;
+
+  // 8. On-chain risk penalty
+  if (token.onchainRisk && BUY_CRITERIA.RISK_PENALTY) {
+    const riskPenalty = token.onchainRisk.riskScore * BUY_CRITERIA.RISK_PENALTY;
+    scoreDetails.riskPenalty = -Math.round(riskPenalty * 10) / 10;
+    totalScore -= riskPenalty;
+  }
+
+  // Round total score to one decimal place
+  totalScore = Math.round(totalScore * 10) / 10;
+
+  // Log detailed scoring breakdown
+  logger.debug('Scoring breakdown:');
+  logger.debug(`- Token Score: ${scoreDetails.tokenScore}/${weights.TOKEN_SCORE}`);
+  logger.debug(`- Price Momentum: ${scoreDetails.momentum}/${weights.PRICE_MOMENTUM}`);
+  logger.debug(`- MACD: ${scoreDetails.macd}/${weights.MACD}`);
+  logger.debug(`- RSI: ${scoreDetails.rsi}/${weights.RSI}`);
+  logger.debug(`- Price Breakout: ${scoreDetails.breakout}/${weights.PRICE_BREAKOUT}`);
+  logger.debug(`- Buy/Sell Ratio: ${scoreDetails.buySellRatio}/${weights.BUY_SELL_RATIO}`);
+  logger.debug(`- Holder Growth: ${scoreDetails.holderGrowth}/${weights.HOLDER_GROWTH}`);
+  if (scoreDetails.riskPenalty !== undefined) {
+    logger.debug(`- On-Chain Risk Penalty: ${scoreDetails.riskPenalty} (risk ${token.onchainRisk.riskScore}/100)`);
+  }
+  logger.debug(`Total Score: ${totalScore}/100 (Threshold: ${BUY_CRITERIA.MIN_TOTAL_SCORE})`);
+
+  const result = totalScore >= BUY_CRITERIA.MIN_TOTAL_SCORE;
+  logger.debug(`Buy criteria met (scoring): ${result}`);
+  return { buy: result, score: totalScore, scoreDetails };
+}
+
+/**
+ * Evaluate whether to exit (part of) a position
+ * @param {Object} position - Position data
+ * @param {Object} currentData - Current token data
+ * @param {Object} ctx - Strategy context (see strategies/index.js)
+ * @returns {Object} - Sell decision with reason
+ */
+function evaluateExit(position, currentData, ctx = {}) {
+  const indicators = currentData.indicators.hour || {};
+  const currentPrice = currentData.priceUsd;
+  const entryPrice = position.entryPrice;
+  const profitPercent = ((currentPrice - entryPrice) / entryPrice) * 100; // Convert to percentage
+  const highestPrice = position.highestPrice;
+  const SELL_CRITERIA = ctx.sellCriteria || BOT_CONFIG.SELL_CRITERIA;
+
+  // Enhanced trailing stop calculation
+  // 1. Dynamic ATR Multiplier based on profit level
+  let atrMultiplier = SELL_CRITERIA.TRAILING_STOP?.ATR_MULTIPLIER || 2.5; // Default if not configured
+
+  // Find the appropriate multiplier based on profit level
+  if (SELL_CRITERIA.TRAILING_STOP?.DYNAMIC_ATR_MULTIPLIERS) {
+    // Sort multipliers by profit percent (highest first)
+    const sortedMultipliers = [...SELL_CRITERIA.TRAILING_STOP.DYNAMIC_ATR_MULTIPLIERS]
+      .sort((a, b) => b.PROFIT_PERCENT - a.PROFIT_PERCENT);
+
+    // Find the first multiplier where profit is >= the threshold
+    for (const level of sortedMultipliers) {
+      if (profitPercent >= level.PROFIT_PERCENT) {
+        atrMultiplier = level.MULTIPLIER;
+        break;
+      }
+    }
+  }
+
+  // 2. Calculate ATR-based trailing stop
+  const atrTrailingStop = highestPrice - (atrMultiplier * (indicators.atr || 0));
+
+  // 3. Calculate percentage-based trailing stop
+  const trailingStopPercent = SELL_CRITERIA.TRAILING_STOP?.PERCENT || 3.0;
+  const percentTrailingStop = highestPrice * (1 - (trailingStopPercent / 100));
+
+  // 4. Use the maximum of the two stops if configured, otherwise use ATR-based
+  let trailingStopPrice;
+  if (SELL_CRITERIA.TRAILING_STOP?.USE_MAX_STOP) {
+    trailingStopPrice = Math.max(atrTrailingStop, percentTrailingStop);
+    // Log which stop is being used
+    if (atrTrailingStop > percentTrailingStop) {
+      logger.debug(`Using ATR-based trailing stop: ${atrTrailingStop.toFixed(8)} (ATR multiplier: ${atrMultiplier})`);
+    } else {
+      logger.debug(`Using percentage-based trailing stop: ${percentTrailingStop.toFixed(8)} (${trailingStopPercent}% below highest price)`);
+    }
+  } else {
+    trailingStopPrice = atrTrailingStop;
+    logger.debug(`Using ATR-based trailing stop: ${atrTrailingStop.toFixed(8)} (ATR multiplier: ${atrMultiplier})`);
+  }
+
+  // Initialize tiered profit taking if not already set
+  if (!position.tiers) {
+    position.tiers = [];
+    if (SELL_CRITERIA.TIERED_PROFIT_TAKING && SELL_CRITERIA.TIERED_PROFIT_TAKING.ENABLED) {
+      // Copy tiers from config to avoid modifying the original
+      position.tiers = SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS.map(tier => ({
+        percent: tier.PERCENT,
+        positionPercent: tier.POSITION_PERCENT,
+        executed: false
+      }));
+    }
+  }
+
+  // Check for tiered profit taking
+  if (SELL_CRITERIA.TIERED_PROFIT_TAKING && SELL_CRITERIA.TIERED_PROFIT_TAKING.ENABLED) {
+    // Sort tiers by profit percent (highest first) to check higher tiers first
+    const sortedTiers = [...position.tiers].sort((a, b) => b.percent - a.percent);
+
+    for (const tier of sortedTiers) {
+      if (!tier.executed && profitPercent >= tier.percent) {
+        // Mark this tier as executed
+        tier.executed = true;
+
+        // Update the position's tiers
+        position.tiers = position.tiers.map(t =>
+          t.percent === tier.percent ? tier : t
+        );
+
+        return {
+          sell: true,
+          reason: `Tiered profit taking (${tier.percent}%)`,
+          tier: tier,
+          sellPercentage: tier.positionPercent
+        };
+      }
+    }
+  }
+
+  // Check traditional sell conditions
+  if (profitPercent >= SELL_CRITERIA.PROFIT_TARGET) {
+    return {
+      sell: true,
+      reason: `Profit target reached (${SELL_CRITERIA.PROFIT_TARGET}%)`,
+      sellPercentage: 100 // Sell all remaining
+    };
+  }
+
+  if (profitPercent <= SELL_CRITERIA.STOP_LOSS) {
+    return {
+      sell: true,
+      reason: `Stop loss triggered (${SELL_CRITERIA.STOP_LOSS}%)`,
+      sellPercentage: 100, // Sell all
+      emergency: true
+    };
+  }
+
+  if (currentPrice < trailingStopPrice && highestPrice > entryPrice) {
+    // Calculate how much the price dropped from the highest point
+    const dropPercent = ((highestPrice - currentPrice) / highestPrice) * 100;
+
+    // Determine which type of trailing stop was triggered
+    let stopType = "ATR-based";
+    if (SELL_CRITERIA.TRAILING_STOP?.USE_MAX_STOP && percentTrailingStop > atrTrailingStop) {
+      stopType = "percentage-based";
+    }
+
+    return {
+      sell: true,
+      reason: `Trailing stop triggered (${stopType}, ${dropPercent.toFixed(2)}% drop from high of $${highestPrice.toFixed(8)})`,
+      sellPercentage: 100 // Sell all
+    };
+  }
+
+  if (indicators.rsi > SELL_CRITERIA.MAX_RSI) {
+    return {
+      sell: true,
+      reason: `RSI overbought (>${SELL_CRITERIA.MAX_RSI})`,
+      sellPercentage: 100 // Sell all
+    };
+  }
+
+  if (currentPrice < indicators.bollinger?.middle) {
+    return {
+      sell: true,
+      reason: 'Price below Bollinger middle band',
+      sellPercentage: 100 // Sell all
+    };
+  }
+
+  if (currentData.holderChange24h < SELL_CRITERIA.MIN_HOLDER_CHANGE_24H) {
+    return {
+      sell: true,
+      reason: 'Significant holder decrease',
+      sellPercentage: 100, // Sell all
+      emergency: true
+    };
+  }
+
+  return { sell: false };
+}
+
+module.exports = {
+  name: 'momentum-score',
+  description: 'Weighted momentum/indicator score for entries, tiered profit taking and trailing stops for exits',
+  evaluateEntry,
+  evaluateExit
+};
@@ -5,7 +5,10 @@ const fs = require('fs').promises;
 const path = require('path');
 const { DexScreenerService } = require('./src/services/dexscreener');
 const { initializeBlacklist, isBlacklisted } = require('./blacklist');
-const { simulateTrading } = require('./simulation/simulator');
+const { BOT_CONFIG } = require('./config');
+const { MODES } = require('./mode');
+const { usePaperStorage } = require('./src/services/paper');
+const { executeTradingStrategy, stopTrading } = require('./trading');
 
 // Create sample tokens for testing, including blacklisted ones
 async function createTestTokens() {
@@ -109,11 +112,13 @@ async function testBlacklist() {
   // Initialize DexScreener service
   const dexService = new DexScreenerService();
   
-  // Run simulation with test tokens
-  console.log('\nRunning simulation with test tokens...');
-  const result = await simulateTrading(testTokens, dexService);
+  // Run the trading pipeline in paper mode with test tokens
+  console.log('\nRunning paper trading with test tokens...');
+  usePaperStorage(BOT_CONFIG);
+  const result = await executeTradingStrategy(testTokens, { mode: MODES.PAPER, dexService });
+  await stopTrading();
   
-  console.log(`\nSimulation result: ${result.success ? 'Success' : 'Failed'}`);
+  console.log(`\nPaper trading result: ${result.success ? 'Success' : 'Failed'}`);
   console.log(`Positions opened: ${result.positionsOpened || 0}`);
   
   if (result.positions && result.positions.length > 0) {
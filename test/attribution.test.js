@@ -0,0 +1,72 @@
+// test/attribution.test.js - Tests for the buy score attribution
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeAttribution } = require('../attribution');
+
+const WEIGHTS = {
+  TOKEN_SCORE: 20,
+  PRICE_MOMENTUM: 15,
+  MACD: 15,
+  RSI: 10,
+  PRICE_BREAKOUT: 15,
+  BUY_SELL_RATIO: 15,
+  HOLDER_GROWTH: 10
+};
+
+// 20 trades whose return rises with momentum points and falls with MACD points
+const TRADES = Array.from({ length: 20 }, (_, i) => ({
+  pnlSol: (i * 2 - 19) / 100,
+  returnPercent: i * 2 - 19,
+  entryScore: 60 + i,
+  scoreDetails: { momentum: i, macd: 19 - i, rsi: 10, holderGrowth: i === 0 || i === 19 ? 10 : 5 }
+}));
+
+/**
+ * Find a component in an attribution analysis
+ * @param {Object} analysis - Result of analyzeAttribution
+ * @param {string} key - Score breakdown key
+ * @returns {Object} - Component
+ */
+function component(analysis, key) {
+  return analysis.components.find(c => c.key === key);
+}
+
+test('components that rise with returns are predictive, ones that fall are inverse', () => {
+  const analysis = analyzeAttribution(TRADES, WEIGHTS);
+
+  const momentum = component(analysis, 'momentum');
+  assert.equal(momentum.verdict, 'predictive');
+  assert.ok(Math.abs(momentum.corrReturn - 1) < 1e-9);
+  assert.equal(momentum.weight, 15);
+  assert.equal(momentum.winRateHigh, 100);
+  assert.equal(momentum.winRateLow, (1 / 11) * 100); // The median trade is a winner and counts as low
+  assert.equal(momentum.avgPointsWinners, 14.5);
+  assert.equal(momentum.avgPointsLosers, 4.5);
+
+  assert.equal(component(analysis, 'macd').verdict, 'inverse');
+});
+
+test('components without variation or clear correlation are called out', () => {
+  const analysis = analyzeAttribution(TRADES, WEIGHTS);
+
+  assert.equal(component(analysis, 'rsi').verdict, 'no variation');
+  assert.equal(component(analysis, 'rsi').corrReturn, null);
+  assert.equal(component(analysis, 'holderGrowth').verdict, 'no signal');
+});
+
+test('components scored in too few trades are not judged', () => {
+  const analysis = analyzeAttribution(TRADES.slice(0, 10), WEIGHTS);
+
+  assert.equal(component(analysis, 'momentum').verdict, 'too few trades');
+  assert.equal(component(analysis, 'riskPenalty').trades, 0);
+  assert.equal(component(analysis, 'riskPenalty').weight, null);
+});
+
+test('trades without a score breakdown are left out', () => {
+  const analysis = analyzeAttribution([...TRADES, { pnlSol: 1, returnPercent: 100, entryScore: 99 }], WEIGHTS);
+
+  assert.equal(analysis.trades, 20);
+  assert.equal(analysis.entryScore.trades, 20);
+  assert.ok(Math.abs(analysis.entryScore.corrReturn - 1) < 1e-9);
+});
@@ -0,0 +1,163 @@
+// test/backtest.test.js - Tests for the offline backtesting engine
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { registerStrategy } = require('../strategies');
+const { datasetsFromRecordings, prepareDataset, runBacktest, summarize } = require('../simulation/backtest');
+
+const HOUR = 3600;
+const START = 1714000000; // Unix seconds
+
+// Buys at or below 1 USD and sells everything at or above 2 USD
+registerStrategy({
+  name: 'test-threshold',
+  description: 'Fixed price thresholds for tests',
+  evaluateEntry: token => ({ buy: token.priceUsd <= 1, score: 50, scoreDetails: null }),
+  evaluateExit: (position, data) => (data.priceUsd >= 2
+    ? { sell: true, reason: 'Target reached', sellPercentage: 100 }
+    : { sell: false })
+});
+
+/**
+ * Build a dataset of hourly candles closing at the given prices
+ * @param {string} tokenAddress - Token address
+ * @param {Array<number>} closes - Close price of each candle
+ * @returns {Object} - Dataset without snapshots
+ */
+function candleDataset(tokenAddress, closes) {
+  return {
+    tokenAddress,
+    symbol: tokenAddress.toUpperCase(),
+    ohlcv: closes.map((close, i) => ({
+      timestamp: START + i * HOUR,
+      open: i > 0 ? closes[i - 1] : close,
+      high: close,
+      low: close,
+      close,
+      volume: 1000
+    }))
+  };
+}
+
+const OPTIONS = {
+  strategy: 'test-threshold',
+  startingBalanceSol: 10,
+  buyAmountSol: 1,
+  maxPositions: 1,
+  solPriceUsd: 100,
+  slippageBps: 0,
+  feeSol: 0
+};
+
+test('prepareDataset sorts candles and synthesizes a snapshot at each candle close', () => {
+  const raw = candleDataset('tok', [1, 2, 3]);
+  raw.ohlcv.reverse();
+  const dataset = prepareDataset(raw);
+
+  assert.deepEqual(dataset.candles.map(c => c.close), [1, 2, 3]);
+  assert.equal(dataset.candleSeconds, HOUR);
+  assert.deepEqual(dataset.snapshots.map(s => s.timestamp), [1, 2, 3].map(i => (START + i * HOUR) * 1000));
+  assert.equal(dataset.snapshots[1].priceUsd, 2);
+  assert.equal(dataset.snapshots[1].priceChange.h1, 100);
+});
+
+test('prepareDataset keeps recorded snapshots in time order', () => {
+  const raw = candleDataset('tok', [1, 2]);
+  raw.snapshots = [{ timestamp: 2000, priceUsd: 2 }, { timestamp: 1000, priceUsd: 1 }];
+  const dataset = prepareDataset(raw);
+
+  assert.deepEqual(dataset.snapshots.map(s => s.timestamp), [1000, 2000]);
+  assert.equal(dataset.snapshotIndex.get(2000).priceUsd, 2);
+});
+
+test('runBacktest buys, sells at the target and books the profit', () => {
+  const { trades, summary } = runBacktest([candleDataset('tok', [1, 1.5, 2, 3])], OPTIONS);
+
+  assert.deepEqual(trades.map(t => t.action), ['BUY', 'SELL']);
+  assert.equal(trades[0].amount, 100); // 1 SOL at 100 USD/SOL buys 100 tokens at 1 USD
+  assert.equal(trades[1].reason, 'Target reached');
+  assert.equal(trades[1].profitLoss, 100);
+  assert.equal(trades[1].pnlSol, 1);
+  assert.equal(summary.endingBalance, 11);
+  assert.equal(summary.winRate, 100);
+});
+
+test('runBacktest charges slippage and fees on both fills', () => {
+  const { trades } = runBacktest([candleDataset('tok', [1, 2])], { ...OPTIONS, slippageBps: 100, feeSol: 0.01 });
+  const [buy, sell] = trades;
+
+  assert.equal(buy.price, 1.01);
+  assert.equal(buy.solSpent, 1.01);
+  assert.equal(sell.price, 2 * 0.99);
+  assert.ok(Math.abs(sell.solReceived - ((buy.amount * 1.98) / 100 - 0.01)) < 1e-9);
+});
+
+test('runBacktest closes positions still open at the end', () => {
+  const { trades, equityCurve } = runBacktest([candleDataset('tok', [1, 1.5])], OPTIONS);
+
+  assert.equal(trades[trades.length - 1].reason, 'End of backtest');
+  assert.equal(trades[trades.length - 1].price, 1.5);
+  assert.equal(equityCurve[equityCurve.length - 1].openPositions, 0);
+  assert.equal(equityCurve[equityCurve.length - 1].equity, 10.5);
+});
+
+test('runBacktest respects the position limit', () => {
+  const datasets = [candleDataset('aaa', [1, 1, 1]), candleDataset('bbb', [1, 1, 1])];
+
+  const single = runBacktest(datasets, OPTIONS);
+  assert.deepEqual([...new Set(single.trades.filter(t => t.action === 'BUY').map(t => t.tokenAddress))], ['aaa']);
+
+  const double = runBacktest(datasets, { ...OPTIONS, maxPositions: 2 });
+  assert.equal(double.trades.filter(t => t.action === 'BUY').length, 2);
+});
+
+test('summarize measures the deepest drawdown from the running peak', () => {
+  const curve = [{ equity: 10 }, { equity: 12 }, { equity: 9 }, { equity: 11 }];
+  const summary = summarize([], curve, { startingBalanceSol: 10 });
+
+  assert.equal(summary.maxDrawdownPercent, 25);
+  assert.equal(summary.totalPnlSol, 1);
+  assert.equal(summary.winRate, 0);
+});
+
+test('datasetsFromRecordings follows each token through the first pool it was recorded in', () => {
+  const pair = (pairAddress, priceUsd, extra = {}) => ({
+    chainId: 'solana',
+    pairAddress,
+    baseToken: { address: 'tok', symbol: 'TOK', name: 'Token' },
+    priceUsd: String(priceUsd),
+    ...extra
+  });
+  const ohlcvUrl = pool => `https://api.geckoterminal.com/api/v2/networks/solana/pools/${pool}/ohlcv/hour?aggregate=1`;
+  const ohlcv = list => ({ data: { attributes: { ohlcv_list: list } } });
+  const records = [
+    { ts: START + HOUR, source: 'dexscreener', url: 'pairs', data: { pairs: [pair('pool1', 1.2, { txns: { m5: { buys: 3, sells: 1 } } }), pair('pool2', 5)] } },
+    { ts: START, source: 'dexscreener', url: 'pairs', data: { pair: pair('pool1', 1) } },
+    { ts: START, source: 'dexscreener', url: 'pairs', data: [{ ...pair('pool3', 1), chainId: 'ethereum', baseToken: { address: 'eth' } }] },
+    { ts: START, source: 'gecko', url: ohlcvUrl('pool1'), data: ohlcv([[START, 1, 1, 1, 1, 10]]) },
+    { ts: START + HOUR, source: 'gecko', url: ohlcvUrl('pool1'), data: ohlcv([[START, 1, 1.3, 1, 1.2, 25], [START + HOUR, 1.2, 1.2, 1.2, 1.2, 5]]) },
+    { ts: START, source: 'gecko', url: `${ohlcvUrl('pool2').split('?')[0]}?aggregate=4`, data: ohlcv([[START, 9, 9, 9, 9, 9]]) }
+  ];
+
+  const datasets = datasetsFromRecordings(records);
+
+  assert.equal(datasets.length, 1); // The Ethereum pair is skipped
+  const [dataset] = datasets;
+  assert.equal(dataset.poolAddress, 'pool1');
+  assert.deepEqual(dataset.snapshots.map(s => [s.timestamp, s.priceUsd]), [[START, 1], [START + HOUR, 1.2]]);
+  assert.deepEqual(dataset.snapshots[1].txns.m5, { buys: 3, sells: 1 });
+  assert.deepEqual(dataset.snapshots[1].txns.h1, { buys: 0, sells: 0 });
+  // The later response replaces the candle that was still open
+  assert.deepEqual(dataset.ohlcv.map(c => [c.timestamp, c.close, c.volume]), [[START, 1.2, 25], [START + HOUR, 1.2, 5]]);
+});
+
+test('datasetsFromRecordings leaves out tokens without candles', () => {
+  const records = [{
+    ts: START,
+    source: 'dexscreener',
+    url: 'pairs',
+    data: { pairs: [{ chainId: 'solana', pairAddress: 'pool', baseToken: { address: 'tok' }, priceUsd: '1' }] }
+  }];
+
+  assert.deepEqual(datasetsFromRecordings(records), []);
+});
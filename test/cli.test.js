@@ -0,0 +1,88 @@
+// test/cli.test.js - Tests for the command-line entry point
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES, parseArgs, applyRunFlags } = require('../cli');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-cli-'));
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Run the CLI in a child process
+ * @param {Array} args - Command-line arguments
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Object} - spawnSync result
+ */
+function runCli(args, env = {}) {
+  return spawnSync(process.execPath, [CLI, ...args], {
+    cwd: tmpDir,
+    env: { ...process.env, ...env },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+}
+
+test('parseArgs reads the command, valued flags and switches', () => {
+  assert.deepEqual(parseArgs([]), { command: 'run', flags: {} });
+  assert.deepEqual(parseArgs(['run', '--mode', 'paper', '--once', '--buy-amount=0.05']), {
+    command: 'run',
+    flags: { mode: 'paper', once: true, 'buy-amount': '0.05' }
+  });
+  assert.deepEqual(parseArgs(['--dashboard', 'profiles']), { command: 'profiles', flags: { dashboard: true } });
+});
+
+test('parseArgs rejects unknown flags, missing values and extra arguments', () => {
+  assert.throws(() => parseArgs(['run', '--nope']), /Unknown flag: --nope/);
+  assert.throws(() => parseArgs(['run', '--mode']), /--mode requires a value/);
+  assert.throws(() => parseArgs(['run', '--profile', '--once']), /--profile requires a value/);
+  assert.throws(() => parseArgs(['run', 'extra']), /Unexpected argument: extra/);
+});
+
+test('applyRunFlags sets the environment overrides of the flags', () => {
+  const env = {};
+  applyRunFlags({ mode: 'paper', profile: 'aggressive', 'buy-amount': '0.05', 'max-positions': '2', 'log-level': 'debug', once: true }, env);
+
+  assert.deepEqual(env, {
+    ACE_PROFILE: 'aggressive',
+    ACE_BUY_AMOUNT_SOL: '0.05',
+    ACE_MAX_POSITIONS: '2',
+    ACE_LOG_LEVEL: 'debug'
+  });
+});
+
+test('applyRunFlags rejects invalid amounts and position limits', () => {
+  assert.throws(() => applyRunFlags({ 'buy-amount': '0' }, {}), /--buy-amount must be a positive number of SOL \(got "0"\)/);
+  assert.throws(() => applyRunFlags({ 'buy-amount': 'lots' }, {}), /--buy-amount must be a positive number/);
+  assert.throws(() => applyRunFlags({ 'max-positions': '1.5' }, {}), /--max-positions must be a whole number of at least 1/);
+  assert.throws(() => applyRunFlags({ 'max-positions': '0' }, {}), /--max-positions must be a whole number of at least 1/);
+});
+
+test('the CLI exits with the documented codes', () => {
+  const help = runCli(['help']);
+  assert.equal(help.status, EXIT_CODES.OK);
+  assert.match(help.stdout, /Usage/);
+
+  const usage = runCli(['run', '--nope']);
+  assert.equal(usage.status, EXIT_CODES.USAGE);
+  assert.match(usage.stderr, /Error: Unknown flag: --nope/);
+  assert.equal(runCli(['launch']).status, EXIT_CODES.USAGE);
+
+  const config = runCli(['profiles'], { ACE_PROFILE: 'missing', ACE_PROFILES_DIR: tmpDir });
+  assert.equal(config.status, EXIT_CODES.CONFIG);
+  assert.match(config.stderr, /Profile "missing" not found/);
+});
+
+test('the profiles command lists the profiles directory', () => {
+  fs.writeFileSync(path.join(tmpDir, 'calm.json'), JSON.stringify({ description: 'Fewer trades', overrides: {} }));
+
+  const result = runCli(['profiles'], { ACE_PROFILES_DIR: tmpDir });
+
+  assert.equal(result.status, EXIT_CODES.OK);
+  assert.match(result.stdout, /calm\s+Fewer trades/);
+});
@@ -0,0 +1,173 @@
+// test/config-profiles.test.js - Tests for config profiles, environment overrides and validation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BOT_CONFIG, TA_CONFIG } = require('../config');
+const {
+  ConfigError,
+  EXIT_CODE,
+  loadConfig,
+  validateConfig,
+  reloadConfig,
+  adjustConfig,
+  listProfiles
+} = require('../config-profiles');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-config-'));
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Fresh copies of the default config, reading profiles from the temp directory
+ * @returns {Object} - { botConfig, taConfig }
+ */
+function freshConfig() {
+  const botConfig = structuredClone(BOT_CONFIG);
+  botConfig.PROFILE = null;
+  botConfig.PROFILES_DIR = tmpDir;
+  return { botConfig, taConfig: structuredClone(TA_CONFIG) };
+}
+
+/**
+ * Write a profile into the temp directory
+ * @param {string} file - File name
+ * @param {Object} overrides - Profile overrides
+ * @returns {string} - Profile path
+ */
+function writeProfile(file, overrides) {
+  const filePath = path.join(tmpDir, file);
+  fs.writeFileSync(filePath, JSON.stringify({ name: path.parse(file).name, description: 'Test profile', overrides }));
+  return filePath;
+}
+
+/**
+ * Load a config, returning the ConfigError messages if it is rejected
+ * @param {Object} env - Environment
+ * @returns {Object} - { botConfig, taConfig, errors }
+ */
+function load(env) {
+  const { botConfig, taConfig } = freshConfig();
+  try {
+    loadConfig(botConfig, taConfig, env);
+    return { botConfig, taConfig, errors: [] };
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return { botConfig, taConfig, errors: error.errors };
+  }
+}
+
+test('the shipped defaults are valid', () => {
+  assert.deepEqual(validateConfig(BOT_CONFIG, TA_CONFIG), []);
+  assert.equal(EXIT_CODE, 78);
+});
+
+test('validateConfig reports out of range and contradictory values', () => {
+  const { botConfig, taConfig } = freshConfig();
+  botConfig.MAX_POSITIONS = 1.5;
+  botConfig.LOG_LEVEL = 'verbose';
+  botConfig.BUY_CRITERIA.SCORING_ENABLED = true;
+  botConfig.BUY_CRITERIA.MIN_TOTAL_SCORE = 100;
+  botConfig.BUY_CRITERIA.SCORE_WEIGHTS = { a: 40, b: 40 };
+  botConfig.SELL_CRITERIA.TIERED_PROFIT_TAKING = {
+    ENABLED: true,
+    TIERS: [{ PERCENT: 20, POSITION_PERCENT: 60 }, { PERCENT: 20, POSITION_PERCENT: 60 }]
+  };
+  taConfig.RSI_OVERSOLD = 80;
+  taConfig.RSI_OVERBOUGHT = 70;
+
+  const errors = validateConfig(botConfig, taConfig);
+
+  assert.ok(errors.includes('MAX_POSITIONS must be a whole number (got 1.5)'));
+  assert.ok(errors.includes('LOG_LEVEL must be one of error, warn, info, debug (got "verbose")'));
+  assert.ok(errors.includes('BUY_CRITERIA.MIN_TOTAL_SCORE (100) is higher than the SCORE_WEIGHTS add up to (80)'));
+  assert.ok(errors.includes('SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS sell 120% of the position, more than 100%'));
+  assert.ok(errors.includes('SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS must have different PERCENT values'));
+  assert.ok(errors.includes('TA_CONFIG.RSI_OVERSOLD (80) must not be greater than TA_CONFIG.RSI_OVERBOUGHT (70)'));
+});
+
+test('environment variables override the profile and are converted to the setting type', () => {
+  writeProfile('env-test.json', { MAX_POSITIONS: 2, SELL_CRITERIA: { PROFIT_TARGET: 40 } });
+
+  const { botConfig, taConfig, errors } = load({
+    ACE_PROFILE: 'env-test',
+    ACE_MAX_POSITIONS: '3',
+    ACE_SELL_CRITERIA__TRAILING_STOP__PERCENT: '4',
+    ACE_TA_CONFIG__RSI_PERIOD: '10',
+    ACE_SELL_CRITERIA__TIERED_PROFIT_TAKING__TIERS: '[{"PERCENT":20,"POSITION_PERCENT":50}]'
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(botConfig.PROFILE, 'env-test');
+  assert.equal(botConfig.MAX_POSITIONS, 3);
+  assert.equal(botConfig.SELL_CRITERIA.PROFIT_TARGET, 40);
+  assert.equal(botConfig.SELL_CRITERIA.TRAILING_STOP.PERCENT, 4);
+  assert.deepEqual(botConfig.SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS, [{ PERCENT: 20, POSITION_PERCENT: 50 }]);
+  assert.equal(taConfig.RSI_PERIOD, 10);
+});
+
+test('unknown environment variables are warned about and ignored', t => {
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+
+  const { errors } = load({ ACE_NOT_A_SETTING: '1', ACE_SELL_CRITERIA__NOPE: '2' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'Config: ACE_NOT_A_SETTING is not a known setting, ignoring it',
+    'Config: ACE_SELL_CRITERIA__NOPE is not a known setting, ignoring it'
+  ]);
+});
+
+test('invalid overrides stop the config from loading', () => {
+  writeProfile('bad.json', { NOT_A_SETTING: 1, PROFIT_TARGET_PERCENT: 50 });
+
+  assert.deepEqual(load({ ACE_PROFILE: 'bad', ACE_MAX_POSITIONS: 'two', ACE_BUY_AMOUNT_SOL: '-1' }).errors, [
+    'NOT_A_SETTING is not a known setting',
+    'PROFIT_TARGET_PERCENT was removed; set SELL_CRITERIA.PROFIT_TARGET instead',
+    'MAX_POSITIONS must be a number (got "two")',
+    'BUY_AMOUNT_SOL must be greater than 0 (got -1)'
+  ]);
+  assert.match(load({ ACE_PROFILE: 'missing' }).errors[0], /^Profile "missing" not found in /);
+});
+
+test('reloadConfig applies strategy parameters and leaves the rest for a restart', () => {
+  const profilePath = writeProfile('reload.json', { SELL_CRITERIA: { PROFIT_TARGET: 40 } });
+  const { botConfig, taConfig, errors } = load({ ACE_PROFILE: 'reload' });
+  assert.deepEqual(errors, []);
+  adjustConfig(botConfig, config => { config.POSITIONS_FILE = path.join(tmpDir, 'paper-positions.json'); });
+  const sellCriteria = botConfig.SELL_CRITERIA;
+
+  writeProfile('reload.json', { MAX_POSITIONS: 4, SELL_CRITERIA: { PROFIT_TARGET: 60 } });
+  const result = reloadConfig(botConfig, taConfig, { ACE_PROFILE: 'reload' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.applied, ['SELL_CRITERIA']);
+  assert.deepEqual(result.restartRequired, ['MAX_POSITIONS']); // Not POSITIONS_FILE, which was adjusted
+  assert.equal(botConfig.SELL_CRITERIA, sellCriteria); // Updated in place
+  assert.equal(sellCriteria.PROFIT_TARGET, 60);
+  assert.equal(botConfig.MAX_POSITIONS, BOT_CONFIG.MAX_POSITIONS);
+
+  fs.writeFileSync(profilePath, JSON.stringify({ overrides: { BUY_CRITERIA: { MAX_RSI: 150 } } }));
+  const rejected = reloadConfig(botConfig, taConfig, { ACE_PROFILE: 'reload' });
+  assert.equal(rejected.success, false);
+  assert.deepEqual(rejected.errors, ['BUY_CRITERIA.MAX_RSI must be at most 100 (got 150)']);
+  assert.equal(sellCriteria.PROFIT_TARGET, 60);
+});
+
+test('listProfiles describes the profiles in a directory', () => {
+  const dir = path.join(tmpDir, 'listed');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'calm.yaml'), 'description: Fewer trades\noverrides:\n  MAX_POSITIONS: 1\n');
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{"description": "No overrides"}');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a profile');
+
+  const profiles = listProfiles(dir).sort((a, b) => a.name.localeCompare(b.name));
+
+  assert.deepEqual(profiles.map(p => p.name), ['broken', 'calm']);
+  assert.equal(profiles[1].description, 'Fewer trades');
+  assert.match(profiles[0].description, /^Unreadable: .* must contain an "overrides" object$/);
+  assert.deepEqual(listProfiles(path.join(tmpDir, 'none')), []);
+});
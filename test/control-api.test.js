@@ -0,0 +1,122 @@
+// test/control-api.test.js - Tests for the local HTTP control API
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { BOT_CONFIG } = require('../config');
+const { startControlApi, stopControlApi } = require('../control-api');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-control-api-'));
+BOT_CONFIG.BLACKLIST_FILE = path.join(tmpDir, 'blacklist.json');
+
+const TOKEN = 'test-token';
+const TOKEN_ADDRESS = 'So11111111111111111111111111111111111111112';
+
+let port;
+
+test.before(async () => {
+  const controller = {
+    getBotStatus: () => ({ running: true }),
+    runCycle: async () => null
+  };
+  const server = await startControlApi(controller, { ENABLED: true, TOKEN, HOST: '127.0.0.1', PORT: 0 });
+  port = server.address().port;
+});
+
+test.after(async () => {
+  await stopControlApi();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Call the control API
+ * @param {string} method - HTTP method
+ * @param {string} route - Path and query
+ * @param {Object} [options] - { body, token }
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function call(method, route, { body, token = TOKEN } = {}) {
+  const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Send a raw HTTP/1.1 request, bypassing client-side URL validation
+ * @param {string} requestLine - Request line, e.g. "GET / HTTP/1.1"
+ * @param {string} [token] - Bearer token
+ * @returns {Promise<number>} - Response status code
+ */
+function rawRequest(requestLine, token = TOKEN) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.end(`${requestLine}\r\nHost: localhost\r\nAuthorization: Bearer ${token}\r\nConnection: close\r\n\r\n`);
+    });
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(parseInt(response.split(' ')[1], 10)));
+    socket.on('error', reject);
+  });
+}
+
+test('requests without the bearer token are rejected', async () => {
+  assert.equal((await call('GET', '/status', { token: 'wrong' })).status, 401);
+  assert.equal((await call('GET', '/status', { token: '' })).status, 401);
+});
+
+test('GET /status returns the controller status', async () => {
+  assert.deepEqual(await call('GET', '/status'), { status: 200, body: { success: true, data: { running: true } } });
+});
+
+test('unknown paths and methods are answered with 404 and 405', async () => {
+  assert.equal((await call('GET', '/nope')).status, 404);
+  assert.equal((await call('DELETE', '/status')).status, 405);
+});
+
+test('pause and resume toggle new entries', async () => {
+  const paused = await call('POST', '/trading/pause', { body: { reason: 'maintenance' } });
+  assert.equal(paused.body.data.paused, true);
+  assert.equal(paused.body.data.reason, 'maintenance');
+
+  const resumed = await call('POST', '/trading/resume');
+  assert.equal(resumed.body.data.paused, false);
+});
+
+test('tokens can be added to and removed from the blacklist', async () => {
+  assert.equal((await call('POST', '/blacklist', { body: {} })).status, 400);
+
+  const added = await call('POST', '/blacklist', { body: { tokenAddress: TOKEN_ADDRESS, symbol: 'SOL' } });
+  assert.equal(added.body.data.added, true);
+  assert.ok((await call('GET', '/blacklist')).body.data.includes(TOKEN_ADDRESS));
+
+  assert.equal((await call('DELETE', `/blacklist/${TOKEN_ADDRESS}`)).status, 200);
+  assert.equal((await call('DELETE', `/blacklist/${TOKEN_ADDRESS}`)).status, 404);
+});
+
+test('selling a token without a position is answered with 404', async () => {
+  assert.equal((await call('POST', `/positions/${TOKEN_ADDRESS}/sell`)).status, 404);
+});
+
+test('a cycle that cannot run is answered with 409', async () => {
+  assert.equal((await call('POST', '/cycle')).status, 409);
+});
+
+test('malformed bodies and path encodings are answered with 400', async () => {
+  assert.deepEqual(await call('POST', '/blacklist', { body: '{"tokenAddress":' }), {
+    status: 400,
+    body: { success: false, error: 'Invalid JSON body' }
+  });
+  assert.equal((await call('DELETE', '/blacklist/%E0%A4%A')).status, 400);
+});
+
+test('a malformed request line is answered with 400 and the server keeps running', async () => {
+  assert.equal(await rawRequest('GET //[ HTTP/1.1'), 400);
+  assert.equal(await rawRequest('GET //[ HTTP/1.1', 'wrong'), 401);
+  assert.equal((await call('GET', '/status')).status, 200);
+});
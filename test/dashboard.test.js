@@ -0,0 +1,80 @@
+// test/dashboard.test.js - Tests for the terminal dashboard
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BOT_CONFIG } = require('../config');
+const { startDashboard, stopDashboard, refreshDashboard } = require('../dashboard');
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Run a function with stdout posing as a terminal, collecting what the dashboard draws
+ * Other writes (e.g. the test reporter's) are passed through.
+ * @param {Function} fn - Function to run
+ * @returns {string} - Dashboard output without escape codes
+ */
+function withTerminal(fn) {
+  const { write } = process.stdout;
+  const isTTY = process.stdout.isTTY;
+  let output = '';
+
+  process.stdout.isTTY = true;
+  process.stdout.write = (chunk, ...args) => {
+    if (String(chunk).includes('\x1b[')) {
+      output += chunk;
+      return true;
+    }
+    return write.call(process.stdout, chunk, ...args);
+  };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+    process.stdout.isTTY = isTTY;
+  }
+  return output.replace(ANSI_PATTERN, '');
+}
+
+test('the dashboard is skipped without an interactive terminal', () => {
+  const { log } = console;
+  const isTTY = process.stdout.isTTY;
+  process.stdout.isTTY = false;
+  try {
+    startDashboard({ mode: 'paper' });
+    assert.equal(console.log, log);
+  } finally {
+    process.stdout.isTTY = isTTY;
+  }
+});
+
+test('the dashboard draws wallet, positions, funnel and trades', () => {
+  const output = withTerminal(() => {
+    startDashboard({ mode: 'paper', walletInfo: { balance: 1.5 } });
+    stopDashboard();
+  });
+
+  assert.match(output, /A\.C\.E Dashboard/);
+  assert.match(output, /Mode: PAPER/);
+  assert.match(output, /Wallet: 1\.5000 SOL/);
+  assert.match(output, new RegExp(`Open Positions \\(0/${BOT_CONFIG.MAX_POSITIONS}\\)`));
+  assert.match(output, /No open positions/);
+  assert.match(output, /No analysis cycle yet/);
+  assert.match(output, /No trades yet/);
+});
+
+test('console output is shown in the log panel and restored on stop', () => {
+  const { log } = console;
+  const output = withTerminal(() => {
+    startDashboard({ mode: 'live' });
+    try {
+      assert.notEqual(console.log, log);
+      console.log('\x1b[32mcaptured line\x1b[0m');
+      refreshDashboard();
+    } finally {
+      stopDashboard();
+    }
+  });
+
+  assert.equal(console.log, log);
+  assert.match(output, /Log\ncaptured line/);
+});
@@ -0,0 +1,130 @@
+// test/exit-executor.test.js - Tests for the sell retry ladder
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BOT_CONFIG } = require('../config');
+const { QuoteRejectedError } = require('../quote-guard');
+const { executeExit, ladderStep } = require('../exit-executor');
+
+BOT_CONFIG.TX_TRACKER = { POLL_INTERVAL_MS: 1, TIMEOUT_SECONDS: 5 };
+
+const SETTINGS = {
+  MAX_ATTEMPTS: 3,
+  EMERGENCY_MAX_ATTEMPTS: 5,
+  EMERGENCY_MAX_SECONDS: 30,
+  EMERGENCY_OVERRIDES_QUOTE_GUARD: true,
+  SLIPPAGE_STEP_BPS: 200,
+  MAX_SLIPPAGE_BPS: 1000,
+  PRIORITY_FEE_LAMPORTS: 100000,
+  PRIORITY_FEE_MULTIPLIER: 2,
+  MAX_PRIORITY_FEE_LAMPORTS: 500000,
+  MIN_CHUNK_PERCENT: 25,
+  RETRY_DELAY_MS: 0
+};
+
+const EXIT = {
+  tokenAddress: 'Mint11111111111111111111111111111111111111',
+  symbol: 'TEST',
+  rawAmount: 1000,
+  quoteContext: { side: 'sell', marketPriceUsd: 0.1, decimals: 6, solPriceUsd: 100, slippageBps: 100 }
+};
+
+/**
+ * Jupiter service whose swaps follow a script and always land
+ * @param {Array} script - Per swap: an Error to throw, or nothing to fill it
+ * @returns {Object} - Service with the swaps it was asked for in calls
+ */
+function scriptedService(script) {
+  const calls = [];
+  const swap = method => async (inputMint, outputMint, amount, options) => {
+    calls.push({ method, amount, slippageBps: options.slippageBps, priorityFeeLamports: options.priorityFeeLamports, guarded: Boolean(options.checkOrder) });
+    const failure = script[calls.length - 1];
+    if (failure) throw failure;
+    return { signature: `sig${calls.length}`, order: { inAmount: String(amount), outAmount: '1' }, blockhash: null, lastValidBlockHeight: null };
+  };
+
+  return {
+    calls,
+    wallet: { publicKey: 'Owner' },
+    connection: {
+      getSignatureStatuses: async () => ({ value: [{ slot: 1, err: null, confirmationStatus: 'confirmed' }] }),
+      getTransaction: async () => ({ transaction: { signatures: ['sig'], message: { staticAccountKeys: ['Owner'] } }, meta: { err: null, fee: 5000 } })
+    },
+    executeUltraSwapWithOrder: swap('ultra'),
+    executeSwapWithPriorityFee: swap('priority')
+  };
+}
+
+test('ladderStep raises slippage and priority fee up to their limits', () => {
+  assert.deepEqual(ladderStep(0, 100, SETTINGS), { slippageBps: 100, priorityFeeLamports: null });
+  assert.deepEqual(ladderStep(1, 100, SETTINGS), { slippageBps: 300, priorityFeeLamports: 100000 });
+  assert.deepEqual(ladderStep(3, 100, SETTINGS), { slippageBps: 700, priorityFeeLamports: 400000 });
+  assert.deepEqual(ladderStep(6, 100, SETTINGS), { slippageBps: 1000, priorityFeeLamports: 500000 });
+  // A base tolerance above the cap is never lowered
+  assert.equal(ladderStep(1, 1500, SETTINGS).slippageBps, 1500);
+});
+
+test('executeExit retries a failed sell up the ladder', async () => {
+  const service = scriptedService([new Error('Transaction expired'), new Error('Transaction expired')]);
+
+  const result = await executeExit(service, EXIT, SETTINGS);
+
+  assert.equal(result.complete, true);
+  assert.equal(result.attempts, 3);
+  assert.equal(result.soldRaw, 1000);
+  assert.deepEqual(service.calls.map(call => [call.method, call.slippageBps, call.priorityFeeLamports]), [
+    ['ultra', 100, null],
+    ['priority', 300, 100000],
+    ['priority', 500, 200000]
+  ]);
+  assert.deepEqual(result.legs.map(leg => [leg.signature, leg.attempt, leg.rawAmount]), [['sig3', 3, 1000]]);
+});
+
+test('executeExit splits a sell that fails on size into chunks', async () => {
+  const service = scriptedService([new Error('No route found'), new Error('Insufficient liquidity')]);
+
+  const result = await executeExit(service, EXIT, { ...SETTINGS, MAX_ATTEMPTS: 6 });
+
+  assert.equal(result.complete, true);
+  // Halved down to MIN_CHUNK_PERCENT, without escalating slippage
+  assert.deepEqual(service.calls.map(call => [call.amount, call.slippageBps]), [
+    [1000, 100], [500, 100], [250, 100], [250, 100], [250, 100], [250, 100]
+  ]);
+  assert.deepEqual(result.legs.map(leg => leg.rawAmount), [250, 250, 250, 250]);
+});
+
+test('executeExit gives up after its attempts and reports what was sold', async () => {
+  const failure = new Error('Transaction expired');
+  const normal = await executeExit(scriptedService([failure, failure, failure, failure]), EXIT, SETTINGS);
+  assert.deepEqual([normal.complete, normal.attempts, normal.soldRaw], [false, 3, 0]);
+  assert.equal(normal.error, 'Transaction expired');
+
+  const emergency = await executeExit(scriptedService(Array(10).fill(failure)), { ...EXIT, emergency: true }, SETTINGS);
+  assert.deepEqual([emergency.complete, emergency.attempts], [false, 5]);
+});
+
+test('a rejected quote ends a normal sell but not an emergency exit', async () => {
+  const rejected = () => new QuoteRejectedError(['order price is 40.00% below the market price'], {});
+
+  const normalService = scriptedService([rejected()]);
+  const normal = await executeExit(normalService, EXIT, SETTINGS);
+  assert.deepEqual([normal.complete, normal.attempts], [false, 1]);
+
+  const emergencyService = scriptedService([rejected()]);
+  const emergency = await executeExit(emergencyService, { ...EXIT, emergency: true }, SETTINGS);
+  assert.equal(emergency.complete, true);
+  assert.deepEqual(emergencyService.calls.map(call => call.guarded), [true, false]);
+  // Overriding the guard is not an escalation of slippage or fee
+  assert.equal(emergencyService.calls[1].slippageBps, 100);
+});
+
+test('executeExit does not retry a sell that may still land', async () => {
+  const unseen = new Error('Transaction sig1 unknown (not seen within 5s)');
+  unseen.landing = { status: 'unknown', signature: 'sig1' };
+  const service = scriptedService([unseen]);
+
+  const result = await executeExit(service, { ...EXIT, emergency: true }, SETTINGS);
+
+  assert.deepEqual([result.complete, result.attempts, result.soldRaw], [false, 1, 0]);
+  assert.equal(service.calls.length, 1);
+});
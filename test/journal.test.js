@@ -0,0 +1,125 @@
+// test/journal.test.js - Tests for the trade journal
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BOT_CONFIG } = require('../config');
+const journal = require('../journal');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-journal-'));
+BOT_CONFIG.JOURNAL = {
+  ENABLED: true,
+  FILE: path.join(tmpDir, 'trade-journal.jsonl'),
+  OPEN_FILE: path.join(tmpDir, 'trade-journal-open.json')
+};
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Open a record for a position bought with 1 SOL
+ * @param {string} tokenAddress - Token address
+ * @param {string} symbol - Token symbol
+ * @param {Object} [entry] - Entry fields to replace
+ * @returns {Promise<Object>} - Journal record
+ */
+function openPosition(tokenAddress, symbol, entry = {}) {
+  return journal.openJournalRecord({ tokenAddress, symbol, entryTime: Date.now() }, {
+    price: 0.001,
+    amountSol: 1,
+    solSpent: 1.002,
+    tokensReceived: 990,
+    quotedTokens: 1000,
+    feeSol: 0.00001,
+    tokenScore: 70,
+    entryScore: 65,
+    scoreDetails: { momentum: 15 },
+    solPriceUsd: 100,
+    txSignature: 'sig-buy',
+    ...entry
+  });
+}
+
+/**
+ * Build a sell fill
+ * @param {Object} fields - Fill fields to replace
+ * @returns {Object} - Exit details
+ */
+function fill(fields) {
+  return { price: 0.0012, tokensSold: 495, quotedSol: 0.6, feeSol: 0.00001, solPriceUsd: 100, reason: 'test', ...fields };
+}
+
+test('opening a record measures entry slippage against the quote and keeps it across restarts', async () => {
+  const record = await openPosition('MintOpen1', 'OPEN');
+
+  assert.equal(record.status, 'open');
+  assert.equal(record.entry.slippagePercent, 1);
+  const stored = JSON.parse(fs.readFileSync(BOT_CONFIG.JOURNAL.OPEN_FILE, 'utf8'));
+  assert.deepEqual(stored.records.map(r => r.tokenAddress), ['MintOpen1']);
+});
+
+test('measured SOL flows give the realized PnL when every fill was measured', async () => {
+  await openPosition('MintMeasured', 'MEAS');
+  await journal.recordJournalExit('MintMeasured', fill({ solReceived: 0.59999, pnlSol: 0.1 }));
+  await journal.recordJournalExit('MintMeasured', fill({ solReceived: 0.70001, pnlSol: 0.2 }));
+  const record = await journal.closeJournalRecord('MintMeasured', 'Profit target reached');
+
+  assert.equal(record.status, 'closed');
+  assert.equal(record.exitReason, 'Profit target reached');
+  assert.equal(record.totals.pnlSource, 'measured');
+  assert.equal(record.totals.solReceived, 1.3);
+  assert.equal(record.totals.realizedPnlSol, 0.298); // 1.3 received less 1.002 spent
+  assert.equal(record.totals.realizedPnlPercent, 29.7405);
+  assert.equal(record.totals.realizedPnlUsd, 29.8);
+  assert.equal(record.totals.feesSol, 0.00003);
+  // The first sell received exactly what was quoted before its fee
+  assert.equal(record.exits[0].slippagePercent, 0);
+});
+
+test('price-based estimates are used when a fill was not measured', async () => {
+  await openPosition('MintEstimated', 'EST');
+  await journal.recordJournalExit('MintEstimated', fill({ solReceived: 0.5, pnlSol: -0.05 }));
+  await journal.recordJournalExit('MintEstimated', fill({ solReceived: null, pnlSol: -0.1 }));
+  const record = await journal.closeJournalRecord('MintEstimated', 'Stop loss triggered');
+
+  assert.equal(record.totals.pnlSource, 'estimated');
+  assert.equal(record.totals.realizedPnlSol, -0.15);
+});
+
+test('sells and closes of unknown positions are ignored', async () => {
+  assert.equal(await journal.recordJournalExit('MintUnknown', fill({ solReceived: 1 })), null);
+  assert.equal(await journal.closeJournalRecord('MintUnknown', 'gone'), null);
+});
+
+test('queryJournal filters open and closed records, newest first', async () => {
+  const all = await journal.queryJournal();
+  assert.deepEqual(all.map(r => r.symbol).sort(), ['EST', 'MEAS', 'OPEN']);
+
+  assert.deepEqual((await journal.queryJournal({ status: 'open' })).map(r => r.symbol), ['OPEN']);
+  assert.deepEqual((await journal.queryJournal({ status: 'closed', exitReason: 'stop loss' })).map(r => r.symbol), ['EST']);
+  assert.deepEqual((await journal.queryJournal({ symbol: 'meas' })).map(r => r.tokenAddress), ['MintMeasured']);
+  assert.equal((await journal.queryJournal({ limit: 1 })).length, 1);
+  assert.deepEqual(await journal.queryJournal({ from: Date.now() + 60000 }), []);
+});
+
+test('exportJournalCsv writes one row per trade with escaped fields', async () => {
+  const file = path.join(tmpDir, 'export', 'trades.csv');
+  const rows = await journal.exportJournalCsv(file, { status: 'closed', symbol: 'MEAS' });
+  const [header, row] = fs.readFileSync(file, 'utf8').trim().split('\n');
+
+  assert.equal(rows, 1);
+  assert.match(header, /^id,symbol,tokenAddress,strategy,status,/);
+  assert.match(row, /,"\{""momentum"":15\}",/);
+  assert.match(row, /,0\.298,29\.7405,29\.8,measured,Profit target reached,sig-buy$/);
+});
+
+test('a disabled journal records nothing', async () => {
+  BOT_CONFIG.JOURNAL.ENABLED = false;
+  try {
+    assert.equal(await openPosition('MintDisabled', 'OFF'), null);
+  } finally {
+    BOT_CONFIG.JOURNAL.ENABLED = true;
+  }
+  assert.deepEqual(await journal.queryJournal({ tokenAddress: 'MintDisabled' }), []);
+});
@@ -0,0 +1,34 @@
+// test/mode.test.js - Tests for operating mode selection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MODES, executesTrades, selectMode } = require('../mode');
+
+test('executesTrades is true for the trading and paper modes', () => {
+  assert.equal(executesTrades(MODES.TRADING), true);
+  assert.equal(executesTrades(MODES.PAPER), true);
+  assert.equal(executesTrades(MODES.MONITORING), false);
+});
+
+test('selectMode uses the requested mode', async () => {
+  assert.equal(await selectMode(0, 0.1, 0.5, MODES.PAPER), MODES.PAPER);
+  assert.equal(await selectMode(0, 0.1, 0.5, MODES.MONITORING), MODES.MONITORING);
+  assert.equal(await selectMode(1, 0.1, 0.5, MODES.TRADING), MODES.TRADING);
+});
+
+test('selectMode rejects unknown modes and trading without the balance for it', async () => {
+  await assert.rejects(selectMode(1, 0.1, 0.5, 'yolo'), /Invalid mode "yolo". Must be one of: trading, monitoring, paper/);
+  await assert.rejects(selectMode(0.3, 0.1, 0.5, MODES.TRADING), /Insufficient balance \(0.3 SOL\) for trading mode. Minimum required: 0.5 SOL/);
+});
+
+test('selectMode falls back to monitoring without a balance or a terminal', async () => {
+  const isTTY = process.stdin.isTTY;
+  process.stdin.isTTY = false;
+  try {
+    assert.equal(await selectMode(0.05, 0.1, 0.5), MODES.MONITORING);
+    assert.equal(await selectMode(0.3, 0.1, 0.5), MODES.MONITORING);
+    assert.equal(await selectMode(1, 0.1, 0.5), MODES.MONITORING);
+  } finally {
+    process.stdin.isTTY = isTTY;
+  }
+});
@@ -0,0 +1,83 @@
+// test/montecarlo.test.js - Tests for the Monte Carlo robustness analysis
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRandom } = require('../simulation/utils');
+const { runMonteCarlo } = require('../simulation/montecarlo');
+
+const OPTIONS = { startingBalanceSol: 10, buyAmountSol: 1, runs: 200, ruinBalanceSol: 0.5, seed: 7 };
+
+/**
+ * Assert two numbers are equal within floating point error
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+/**
+ * Completed trades with the given returns
+ * @param {Array} returns - Return of each trade in percent
+ * @param {number} [slippagePercent] - Round-trip slippage of each trade
+ * @returns {Array} - Trades as loadTradeHistory returns them
+ */
+function tradesWithReturns(returns, slippagePercent) {
+  return returns.map(returnPercent => ({ returnPercent, slippagePercent }));
+}
+
+test('createRandom repeats its sequence for a seed', () => {
+  const first = createRandom(42);
+  const second = createRandom(42);
+  const values = Array.from({ length: 100 }, () => first());
+
+  assert.deepEqual(Array.from({ length: 100 }, () => second()), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  assert.notDeepEqual(Array.from({ length: 100 }, createRandom(43)), values);
+});
+
+test('runMonteCarlo replays the history in its actual order', () => {
+  const { historical, tradesInHistory } = runMonteCarlo(tradesWithReturns([10, -50, 20]), OPTIONS);
+
+  assert.equal(tradesInHistory, 3);
+  assertClose(historical.finalBalance, 9.8);
+  assertClose(historical.maxDrawdownSol, 0.5);
+  assertClose(historical.maxDrawdownPercent, (0.5 / 10.1) * 100);
+  assert.equal(historical.ruined, false);
+});
+
+test('runMonteCarlo shuffles reach the same balance when stakes stay fixed', () => {
+  const { distribution } = runMonteCarlo(tradesWithReturns([10, -50, 20]), { ...OPTIONS, method: 'shuffle' });
+
+  Object.values(distribution.finalBalance).forEach(balance => assertClose(balance, 9.8));
+  assert.equal(distribution.lossProbability, 100);
+  assert.equal(distribution.riskOfRuin, 0);
+});
+
+test('runMonteCarlo re-draws slippage and adds the extra slippage', () => {
+  const trades = tradesWithReturns([8, 8], 2);
+  const run = options => runMonteCarlo(trades, { ...OPTIONS, ...options }).distribution.finalBalance[50];
+
+  assertClose(run({ slippageMultiplier: 0 }), 10.2); // Two trades of +10% before slippage
+  assertClose(run({}), 10.16);
+  assertClose(run({ slippageBps: 300 }), 10.1);
+});
+
+test('runMonteCarlo loses at most the stake of a trade and counts ruin', () => {
+  const { historical, distribution } = runMonteCarlo(tradesWithReturns([-200, -200]), {
+    ...OPTIONS,
+    startingBalanceSol: 2,
+    ruinBalanceSol: 1.5
+  });
+
+  assertClose(historical.finalBalance, 1); // The second trade is never placed
+  assert.equal(historical.ruined, true);
+  assert.equal(distribution.riskOfRuin, 100);
+});
+
+test('runMonteCarlo is repeatable with a seed', () => {
+  const trades = tradesWithReturns([30, -20, 5, -10, 60], 1);
+
+  assert.deepEqual(runMonteCarlo(trades, OPTIONS).distribution, runMonteCarlo(trades, OPTIONS).distribution);
+  assert.throws(() => runMonteCarlo([], OPTIONS), /No completed trades to simulate/);
+});
@@ -0,0 +1,108 @@
+// test/onchain.test.js - Tests for on-chain token risk scoring
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { analyzeTokenRisk } = require('../onchain');
+
+const RAYDIUM_AMM_V4_PROGRAM = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+
+const SETTINGS = {
+  TOP10_SAFE_PERCENT: 20,
+  TOP10_MAX_PERCENT: 60,
+  DEV_MAX_PERCENT: 10,
+  CACHE_MINUTES: 10,
+  WEIGHTS: { MINT_AUTHORITY: 30, FREEZE_AUTHORITY: 20, TOP10_CONCENTRATION: 30, DEV_SHARE: 20 }
+};
+
+/**
+ * Random address
+ * @returns {PublicKey} - Public key
+ */
+function address() {
+  return Keypair.generate().publicKey;
+}
+
+/**
+ * Connection stub for a mint of 1000 tokens (0 decimals) held by the given accounts
+ * @param {Object} mintInfo - Parsed mint fields besides supply and decimals
+ * @param {Array} holders - Largest accounts: { address, owner, amount }, largest first
+ * @param {PublicKey} [vault] - Base vault of the Raydium AMM v4 pool
+ * @returns {Object} - Connection stub counting its mint reads
+ */
+function connectionFor(mintInfo, holders, vault) {
+  const connection = {
+    mintReads: 0,
+    getParsedAccountInfo: async () => {
+      connection.mintReads++;
+      return { value: { data: { parsed: { info: { supply: '1000', decimals: 0, ...mintInfo } } } } };
+    },
+    getTokenLargestAccounts: async () => ({
+      value: holders.map(holder => ({ address: holder.address, uiAmount: holder.amount }))
+    }),
+    getMultipleParsedAccounts: async () => ({
+      value: holders.map(holder => ({ data: { parsed: { info: { owner: holder.owner } } } }))
+    }),
+    getAccountInfo: async () => {
+      if (!vault) return null;
+      const data = Buffer.alloc(752);
+      vault.toBuffer().copy(data, 336);
+      address().toBuffer().copy(data, 368);
+      return { owner: RAYDIUM_AMM_V4_PROGRAM, data };
+    }
+  };
+  return connection;
+}
+
+test('a clean token with spread-out holders scores no risk', async () => {
+  const token = { symbol: 'CLEAN', tokenAddress: address().toBase58() };
+  const holders = [50, 40, 30].map(amount => ({ address: address(), owner: address().toBase58(), amount }));
+  const analysis = await analyzeTokenRisk(token, connectionFor({}, holders), SETTINGS);
+
+  assert.equal(analysis.riskScore, 0);
+  assert.deepEqual(analysis.reasons, []);
+  assert.equal(analysis.top10Percent, 12);
+  assert.equal(analysis.largestHolderPercent, 5);
+});
+
+test('authorities, concentration and dev holdings add their weights', async () => {
+  const devWallet = address().toBase58();
+  const vault = address();
+  const token = { symbol: 'RISKY', tokenAddress: address().toBase58(), poolAddress: address().toBase58() };
+  const holders = [
+    { address: vault, owner: address().toBase58(), amount: 500 }, // Pool vault, not a holder
+    { address: address(), owner: address().toBase58(), amount: 300 },
+    { address: address(), owner: devWallet, amount: 50 },
+    { address: address(), owner: address().toBase58(), amount: 50 }
+  ];
+  const analysis = await analyzeTokenRisk(token, connectionFor({ mintAuthority: devWallet }, holders, vault), SETTINGS);
+
+  // Mint authority 30, top 10 at 40% (half way to 60%) 15, dev wallets at 5% (half of 10%) 10
+  assert.equal(analysis.riskScore, 55);
+  assert.deepEqual(analysis.reasons, ['mint authority set', 'top 10 holders own 40.0%', 'dev wallets own 5.0%']);
+  assert.equal(analysis.poolPercent, 50);
+  assert.equal(analysis.largestHolderPercent, 30);
+  assert.equal(analysis.freezeAuthority, null);
+});
+
+test('analyses are cached per token', async () => {
+  const token = { symbol: 'CACHED', tokenAddress: address().toBase58() };
+  const connection = connectionFor({ freezeAuthority: address().toBase58() }, []);
+
+  const first = await analyzeTokenRisk(token, connection, SETTINGS);
+  const second = await analyzeTokenRisk(token, connection, SETTINGS);
+  assert.equal(second, first);
+  assert.equal(connection.mintReads, 1);
+
+  await analyzeTokenRisk(token, connection, { ...SETTINGS, CACHE_MINUTES: 0 });
+  assert.equal(connection.mintReads, 2);
+});
+
+test('a missing mint or failing RPC yields no analysis', async () => {
+  const token = { symbol: 'GONE', tokenAddress: address().toBase58() };
+  const missing = { ...connectionFor({}, []), getParsedAccountInfo: async () => ({ value: null }) };
+  assert.equal(await analyzeTokenRisk(token, missing, SETTINGS), null);
+
+  const failing = { ...connectionFor({}, []), getTokenLargestAccounts: async () => { throw new Error('429 Too Many Requests'); } };
+  assert.equal(await analyzeTokenRisk(token, failing, SETTINGS), null);
+});
@@ -0,0 +1,109 @@
+// test/optimizer.test.js - Tests for the walk-forward parameter optimizer
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BOT_CONFIG } = require('../config');
+const { registerStrategy } = require('../strategies');
+const { optimize, writeProfiles } = require('../simulation/optimizer');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-optimizer-'));
+BOT_CONFIG.PROFILES_DIR = tmpDir;
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Buys below the MAX_RSI being optimized and exits 10% either side of the entry
+registerStrategy({
+  name: 'test-rsi',
+  description: 'RSI entry with fixed exits for tests',
+  evaluateEntry: (token, ctx) => ({ buy: token.indicators.hour?.rsi < ctx.buyCriteria.MAX_RSI, score: 50, scoreDetails: null }),
+  evaluateExit: (position, data) => {
+    const change = (data.priceUsd - position.entryPrice) / position.entryPrice;
+    return Math.abs(change) >= 0.1 ? { sell: true, reason: change > 0 ? 'Take profit' : 'Stop loss', sellPercentage: 100 } : { sell: false };
+  }
+});
+
+/**
+ * Dataset of hourly candles following a wave
+ * @param {string} tokenAddress - Token address
+ * @param {number} phase - Phase of the wave
+ * @returns {Object} - Dataset without snapshots
+ */
+function waveDataset(tokenAddress, phase) {
+  return {
+    tokenAddress,
+    symbol: tokenAddress,
+    ohlcv: Array.from({ length: 90 }, (_, i) => {
+      const close = 1 + 0.3 * Math.sin(i / 4 + phase);
+      return { timestamp: 1714000000 + i * 3600, open: close, high: close * 1.01, low: close * 0.99, close, volume: 1000 };
+    })
+  };
+}
+
+const DATASETS = [waveDataset('AAA', 0), waveDataset('BBB', 2)];
+
+const OPTIONS = {
+  method: 'grid',
+  objective: 'return',
+  maxEvaluations: 7,
+  folds: 2,
+  params: ['BUY_CRITERIA.MAX_RSI'],
+  minTrades: 0,
+  top: 2,
+  name: 'test',
+  backtest: { strategy: 'test-rsi', startingBalanceSol: 10, buyAmountSol: 1, maxPositions: 2, solPriceUsd: 100 }
+};
+
+test('each fold searches its in-sample window and is tested on the window after it', () => {
+  const { folds, ranking } = optimize(DATASETS, OPTIONS);
+
+  assert.equal(folds.length, 2);
+  folds.forEach(fold => {
+    assert.equal(fold.evaluations, 7); // Every MAX_RSI value from 55 to 85
+    assert.equal(fold.outOfSample.start, fold.inSample.end);
+    assert.ok(fold.outOfSample.end > fold.outOfSample.start);
+    assert.ok(Number.isFinite(fold.outOfSampleScore));
+  });
+  // Rolling windows move forward, anchored ones keep the start
+  assert.ok(folds[1].inSample.start > folds[0].inSample.start);
+  const anchored = optimize(DATASETS, { ...OPTIONS, window: 'anchored' });
+  assert.equal(anchored.folds[1].inSample.start, anchored.folds[0].inSample.start);
+
+  assert.ok(ranking.length >= 1 && ranking.length <= 2);
+  for (let i = 1; i < ranking.length; i++) {
+    assert.ok(ranking[i - 1].meanOutOfSampleScore >= ranking[i].meanOutOfSampleScore);
+  }
+  // The first fold's winner is tested on both out-of-sample windows
+  const first = ranking.find(entry => entry.fold === 1);
+  assert.equal(first.outOfSample.length, 2);
+});
+
+test('random search repeats with the same seed', () => {
+  const options = { ...OPTIONS, method: 'random', maxEvaluations: 3, folds: 1 };
+  const first = optimize(DATASETS, options);
+  const second = optimize(DATASETS, options);
+
+  assert.deepEqual(second.folds.map(fold => fold.params), first.folds.map(fold => fold.params));
+  assert.ok(first.folds[0].evaluations <= 3);
+});
+
+test('invalid searches are rejected', () => {
+  assert.throws(() => optimize(DATASETS, { ...OPTIONS, params: ['BUY_CRITERIA.MAX_RSI', 'SELL_CRITERIA.TRAILING_STOP.PERCENT'] }),
+    /Grid has 70 combinations, more than --evals 7/);
+  assert.throws(() => optimize(DATASETS, { ...OPTIONS, params: ['BUY_CRITERIA.NOPE'] }), /Unknown parameter BUY_CRITERIA.NOPE/);
+  assert.throws(() => optimize([], OPTIONS), /No snapshots to optimize on/);
+});
+
+test('writeProfiles writes the best parameter sets as profiles', async () => {
+  const result = optimize(DATASETS, OPTIONS);
+  const files = await writeProfiles(result, 'waves');
+
+  assert.equal(files.length, Math.min(2, result.ranking.length));
+  const profile = JSON.parse(fs.readFileSync(files[0], 'utf8'));
+  assert.match(profile.name, /^test-\d{4}-\d{2}-\d{2}-1$/);
+  assert.deepEqual(profile.overrides, { BUY_CRITERIA: { MAX_RSI: result.ranking[0].params['BUY_CRITERIA.MAX_RSI'] } });
+  assert.equal(profile.optimization.source, 'waves');
+  assert.equal(profile.optimization.outOfSample.length, result.ranking[0].outOfSample.length);
+});
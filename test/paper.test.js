@@ -0,0 +1,152 @@
+// test/paper.test.js - Tests for paper trading against the virtual wallet
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const { BOT_CONFIG } = require('../config');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-paper-'));
+BOT_CONFIG.PAPER = { STARTING_BALANCE_SOL: 10, SLIPPAGE_BPS: 100, FEE_LAMPORTS: 5000, DATA_DIR: tmpDir };
+
+const {
+  PaperJupiterService,
+  createPaperConnection,
+  usePaperStorage,
+  createPaperWallet,
+  getPaperWalletInfo
+} = require('../src/services/paper');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_MINT = Keypair.generate().publicKey.toBase58();
+const LAMPORTS_PER_SOL = 1000000000;
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Stand-in for a Solana connection that records the calls forwarded to it
+ * @returns {Object} - Connection with a calls list
+ */
+function fakeConnection() {
+  const calls = [];
+  return {
+    calls,
+    rpcEndpoint: 'http://localhost',
+    getBalance: async publicKey => { calls.push(['getBalance', publicKey.toString()]); return 42; },
+    getParsedAccountInfo: async () => ({ value: { data: { parsed: { info: { decimals: 6 } } } } }),
+    getSignatureStatuses: async signatures => {
+      calls.push(['getSignatureStatuses', signatures]);
+      return { value: signatures.map(() => ({ confirmationStatus: 'confirmed', err: null })) };
+    }
+  };
+}
+
+/**
+ * Paper service whose quotes return a fixed output amount
+ * @param {Object} t - Test context
+ * @param {string} outAmount - Quoted output in raw units
+ * @returns {PaperJupiterService} - Service
+ */
+function paperService(t, outAmount) {
+  const service = new PaperJupiterService(fakeConnection(), createPaperWallet());
+  t.mock.method(service, 'getQuote', async (inputMint, outputMint, amount) => ({ inAmount: String(amount), outAmount }));
+  return service;
+}
+
+test('usePaperStorage moves the trading state into the paper data directory', () => {
+  const botConfig = {
+    PAPER: { DATA_DIR: tmpDir },
+    POSITIONS_FILE: './data/positions.json',
+    RISK_STATE_FILE: './data/risk-state.json',
+    JOURNAL: { FILE: './data/journal/trades.jsonl', OPEN_FILE: './data/journal/open.json' }
+  };
+
+  usePaperStorage(botConfig);
+
+  assert.equal(botConfig.POSITIONS_FILE, path.join(tmpDir, 'positions.json'));
+  assert.equal(botConfig.RISK_STATE_FILE, path.join(tmpDir, 'risk-state.json'));
+  assert.equal(botConfig.JOURNAL.FILE, path.join(tmpDir, 'trades.jsonl'));
+  assert.equal(botConfig.JOURNAL.OPEN_FILE, path.join(tmpDir, 'open.json'));
+});
+
+test('a new paper wallet starts with the configured balance', async () => {
+  const publicKey = createPaperWallet().publicKey;
+  const info = await getPaperWalletInfo(publicKey);
+
+  assert.deepEqual(info, { publicKey: publicKey.toString(), balance: 10, hasMinimumBalance: true });
+  const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'wallet.json'), 'utf8'));
+  assert.equal(saved.lamports, String(10 * LAMPORTS_PER_SOL));
+});
+
+test('buys and sells fill against the quote with slippage and fees', async t => {
+  const buyer = paperService(t, '2000000');
+  const buy = await buyer.executeUltraSwapWithOrder(SOL_MINT, TOKEN_MINT, LAMPORTS_PER_SOL);
+
+  assert.match(buy.signature, /^PAPER_/);
+  assert.equal(buy.order.outAmount, '2000000');
+  let balances = (await buyer.getBalances()).tokens;
+  assert.equal(balances[0].amount, String(9 * LAMPORTS_PER_SOL - 5000));
+  assert.deepEqual([balances[1].mint, balances[1].amount, balances[1].uiAmount], [TOKEN_MINT, '1980000', 1.98]);
+
+  // Selling part of the tokens, then a rounding overshoot of the rest
+  const seller = paperService(t, '500000000');
+  await seller.executeUltraSwapWithOrder(TOKEN_MINT, SOL_MINT, 980000);
+  await seller.executeUltraSwapWithOrder(TOKEN_MINT, SOL_MINT, 1000001);
+
+  balances = (await seller.getBalances()).tokens;
+  assert.equal(balances.length, 1);
+  assert.equal(balances[0].amount, String(9 * LAMPORTS_PER_SOL - 5000 + 2 * (495000000 - 5000)));
+  const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'wallet.json'), 'utf8'));
+  assert.equal(saved.lamports, balances[0].amount);
+  assert.deepEqual(saved.tokens, {});
+});
+
+test('fills are served as confirmed transactions with balance changes', async t => {
+  const service = paperService(t, '3000000');
+  const { signature } = await service.executeSwapWithPriorityFee(SOL_MINT, TOKEN_MINT, LAMPORTS_PER_SOL / 10);
+
+  const transaction = await service.connection.getTransaction(signature, { maxSupportedTransactionVersion: 0 });
+  assert.equal(transaction.meta.err, null);
+  assert.equal(transaction.meta.preBalances[0] - transaction.meta.postBalances[0], LAMPORTS_PER_SOL / 10 + 5000);
+  assert.equal(transaction.meta.preTokenBalances[0].uiTokenAmount.amount, '0');
+  assert.equal(transaction.meta.postTokenBalances[0].uiTokenAmount.amount, '2970000');
+  assert.equal(await service.connection.getTransaction('PAPER_unknown'), null);
+
+  const statuses = await service.connection.getSignatureStatuses([signature, 'liveSignature']);
+  assert.equal(statuses.value[0].confirmationStatus, 'finalized');
+  assert.equal(statuses.value[1].confirmationStatus, 'confirmed');
+
+  const accounts = await service.connection.getParsedTokenAccountsByOwner(service.userPublicKey, { mint: TOKEN_MINT });
+  assert.equal(accounts.value[0].account.data.parsed.info.tokenAmount.amount, '2970000');
+});
+
+test('failed paper swaps leave the wallet unchanged and carry the order', async t => {
+  const service = paperService(t, '1000');
+  const before = (await service.getBalances()).tokens;
+
+  const short = await service.executeUltraSwapWithOrder(SOL_MINT, TOKEN_MINT, 100 * LAMPORTS_PER_SOL).catch(error => error);
+  assert.match(short.message, /Insufficient paper SOL balance/);
+  assert.equal(short.order.outAmount, '1000');
+  await assert.rejects(service.executeUltraSwapWithOrder(TOKEN_MINT, SOL_MINT, 5000000), /Insufficient paper token balance/);
+  await assert.rejects(
+    service.executeUltraSwapWithOrder(SOL_MINT, TOKEN_MINT, 1000, { checkOrder: async () => { throw new Error('Quote rejected'); } }),
+    /Quote rejected/
+  );
+
+  assert.deepEqual((await service.getBalances()).tokens, before);
+});
+
+test('the paper connection forwards reads of other accounts', async () => {
+  const live = fakeConnection();
+  const owner = createPaperWallet().publicKey;
+  const other = createPaperWallet().publicKey;
+  const connection = createPaperConnection(live, owner);
+
+  assert.equal(connection.paper, true);
+  assert.equal(connection.rpcEndpoint, 'http://localhost');
+  assert.equal(await connection.getBalance(other), 42);
+  assert.equal(await connection.getBalance(owner), Number((await getPaperWalletInfo(owner)).balance * LAMPORTS_PER_SOL));
+  assert.deepEqual(live.calls, [['getBalance', other.toString()]]);
+});
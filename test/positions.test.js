@@ -0,0 +1,40 @@
+// test/positions.test.js - Tests for the durable position store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BOT_CONFIG } = require('../config');
+const { loadPositions, savePositions } = require('../positions');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-positions-'));
+BOT_CONFIG.POSITIONS_FILE = path.join(tmpDir, 'store', 'positions.json');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('loadPositions returns an empty list when the store does not exist yet', async () => {
+  assert.deepEqual(await loadPositions(), []);
+});
+
+test('savePositions writes a snapshot that loadPositions reads back', async () => {
+  const positions = [{ tokenAddress: 'MintA', symbol: 'AAA', amount: 1000, entryPrice: 0.5 }];
+  await savePositions(positions);
+
+  assert.deepEqual(await loadPositions(), positions);
+  assert.equal(fs.existsSync(`${BOT_CONFIG.POSITIONS_FILE}.tmp`), false);
+});
+
+test('overlapping saves are applied in order', async () => {
+  const first = savePositions([{ tokenAddress: 'MintA' }]);
+  const second = savePositions([{ tokenAddress: 'MintB' }]);
+  const third = savePositions([]);
+  await Promise.all([first, second, third]);
+
+  assert.deepEqual(await loadPositions(), []);
+});
+
+test('a corrupt store loads as empty instead of throwing', async () => {
+  fs.writeFileSync(BOT_CONFIG.POSITIONS_FILE, '{"positions": [');
+  assert.deepEqual(await loadPositions(), []);
+});
@@ -0,0 +1,97 @@
+// test/price-oracle.test.js - Tests for the SOL/USD price feed
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BOT_CONFIG } = require('../config');
+const { DexScreenerService } = require('../src/services/dexscreener');
+const oracle = require('../price-oracle');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-price-oracle-'));
+BOT_CONFIG.SOL_PRICE = { REFRESH_SECONDS: 30, MAX_AGE_SECONDS: 120, FALLBACK_USD: 150, CACHE_FILE: path.join(tmpDir, 'sol-price.json') };
+
+// The DexScreener fallback is served from here instead of the network
+let dexScreenerPrice = null;
+DexScreenerService.prototype.getPairData = async () => (dexScreenerPrice
+  ? { baseToken: { address: SOL_MINT }, priceUsd: dexScreenerPrice }
+  : null);
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Jupiter stub answering the Price API with the given price
+ * @param {number|null} price - SOL price, or null to fail the request
+ * @returns {Object} - JupiterService stub counting its requests
+ */
+function jupiterAt(price) {
+  const service = {
+    requests: 0,
+    getPrice: async () => {
+      service.requests++;
+      await new Promise(resolve => setImmediate(resolve));
+      if (price === null) throw new Error('Price API down');
+      return { data: { [SOL_MINT]: { price: String(price) } } };
+    }
+  };
+  return service;
+}
+
+test('the fallback price is used until a price was ever fetched', () => {
+  const status = oracle.getSolPriceStatus();
+
+  assert.equal(status.priceUsd, 150);
+  assert.equal(status.source, 'fallback');
+  assert.equal(status.stale, true);
+});
+
+test('a fresh price cached by the previous run is used without fetching', async () => {
+  fs.writeFileSync(BOT_CONFIG.SOL_PRICE.CACHE_FILE, JSON.stringify({ priceUsd: 123, source: 'jupiter', updatedAt: Date.now() }));
+  const jupiter = jupiterAt(999);
+
+  assert.equal(await oracle.getSolPriceUsd(jupiter), 123);
+  assert.equal(jupiter.requests, 0);
+  assert.equal(oracle.getSolPriceStatus().stale, false);
+});
+
+test('refreshing fetches from Jupiter and saves the price for the next run', async () => {
+  assert.equal(await oracle.refreshSolPrice(jupiterAt(140)), 140);
+
+  assert.equal(oracle.getSolPriceStatus().source, 'jupiter');
+  assert.equal(JSON.parse(fs.readFileSync(BOT_CONFIG.SOL_PRICE.CACHE_FILE, 'utf8')).priceUsd, 140);
+});
+
+test('concurrent refreshes share one request', async () => {
+  const jupiter = jupiterAt(141);
+  const prices = await Promise.all([oracle.refreshSolPrice(jupiter), oracle.refreshSolPrice(jupiter)]);
+
+  assert.deepEqual(prices, [141, 141]);
+  assert.equal(jupiter.requests, 1);
+});
+
+test('DexScreener is used when Jupiter fails', async () => {
+  dexScreenerPrice = 145;
+  assert.equal(await oracle.refreshSolPrice(jupiterAt(null)), 145);
+  assert.equal(oracle.getSolPriceStatus().source, 'dexscreener');
+});
+
+test('the last known price is kept when every source fails', async () => {
+  dexScreenerPrice = null;
+  assert.equal(await oracle.refreshSolPrice(jupiterAt(null)), null);
+  assert.equal(oracle.getCachedSolPrice(), 145);
+});
+
+test('a stale price is refreshed on demand', async () => {
+  BOT_CONFIG.SOL_PRICE.MAX_AGE_SECONDS = 0;
+  try {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const jupiter = jupiterAt(160);
+    assert.equal(await oracle.getSolPriceUsd(jupiter), 160);
+    assert.equal(jupiter.requests, 1);
+  } finally {
+    BOT_CONFIG.SOL_PRICE.MAX_AGE_SECONDS = 120;
+  }
+});
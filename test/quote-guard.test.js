@@ -0,0 +1,100 @@
+// test/quote-guard.test.js - Tests for the pre-trade quote check
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BOT_CONFIG } = require('../config');
+const {
+  QuoteRejectedError,
+  priceImpactPercent,
+  describeQuote,
+  inspectOrder,
+  guardOrder
+} = require('../quote-guard');
+
+const SETTINGS = {
+  ENABLED: true,
+  MAX_BUY_PRICE_IMPACT_PERCENT: 5,
+  MAX_BUY_DEVIATION_PERCENT: 10,
+  MAX_SELL_PRICE_IMPACT_PERCENT: 20,
+  MAX_SELL_DEVIATION_PERCENT: 30
+};
+
+// 1 SOL for 1000 tokens of 6 decimals at 150 USD/SOL: 0.15 USD per token
+const BUY_ORDER = {
+  inAmount: '1000000000',
+  outAmount: '1000000000',
+  priceImpactPct: '0.012',
+  slippageBps: 100,
+  routePlan: [{ swapInfo: { label: 'Raydium' } }, { swapInfo: { label: 'Orca' } }, { swapInfo: {} }]
+};
+const BUY_CONTEXT = { side: 'buy', marketPriceUsd: 0.14, decimals: 6, solPriceUsd: 150, slippageBps: 100 };
+
+test('priceImpactPercent converts the fraction to a percentage', () => {
+  assert.equal(priceImpactPercent({ priceImpactPct: '0.05' }), 5);
+  assert.equal(priceImpactPercent({ priceImpactPct: '-0.02' }), 2);
+  assert.equal(priceImpactPercent({}), null);
+});
+
+test('describeQuote measures how much worse than the market an order is', () => {
+  const buy = describeQuote(BUY_ORDER, BUY_CONTEXT);
+  assert.equal(buy.priceUsd, 0.15);
+  assert.equal(buy.deviationPercent, 7.1429);
+  assert.equal(buy.priceImpactPercent, 1.2);
+  assert.equal(buy.slippageBps, 100);
+  assert.deepEqual(buy.route, ['Raydium', 'Orca']);
+
+  // Selling 1000 tokens for 1 SOL is 0.15 USD per token, above the market price
+  const sell = describeQuote({ inAmount: '1000000000', outAmount: '1000000000' }, { ...BUY_CONTEXT, side: 'sell' });
+  assert.equal(sell.deviationPercent, -7.1429);
+
+  const unknown = describeQuote(BUY_ORDER, { ...BUY_CONTEXT, solPriceUsd: null });
+  assert.equal(unknown.priceUsd, null);
+  assert.equal(unknown.deviationPercent, null);
+});
+
+test('inspectOrder passes orders within the limits', () => {
+  const result = inspectOrder(BUY_ORDER, BUY_CONTEXT, SETTINGS);
+
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.reasons, []);
+});
+
+test('inspectOrder reports every limit an order breaks', () => {
+  const order = { ...BUY_ORDER, priceImpactPct: '0.08', slippageBps: 300 };
+  const result = inspectOrder(order, { ...BUY_CONTEXT, marketPriceUsd: 0.12 }, SETTINGS);
+
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.reasons, [
+    'price impact 8.00% (max 5%)',
+    'order price $0.15 is 25.00% above the market price $0.12 (max 10%)',
+    'slippage tolerance 300 bps (max 100 bps)'
+  ]);
+  assert.deepEqual(inspectOrder({ ...BUY_ORDER, outAmount: '0' }, BUY_CONTEXT, SETTINGS).reasons.slice(0, 1), ['order has no output amount']);
+  assert.equal(inspectOrder(order, BUY_CONTEXT, { ...SETTINGS, ENABLED: false }).passed, true);
+});
+
+test('inspectOrder refuses unpriceable buys but lets unpriceable sells through', () => {
+  const context = { ...BUY_CONTEXT, marketPriceUsd: 0 };
+
+  assert.deepEqual(inspectOrder(BUY_ORDER, context, SETTINGS).reasons, [
+    'price deviation could not be checked (missing token decimals, market price or SOL price)'
+  ]);
+  assert.equal(inspectOrder(BUY_ORDER, { ...context, side: 'sell' }, SETTINGS).passed, true);
+});
+
+test('guardOrder throws a QuoteRejectedError for orders that fail', t => {
+  const quoteGuard = BOT_CONFIG.QUOTE_GUARD;
+  BOT_CONFIG.QUOTE_GUARD = SETTINGS;
+  t.after(() => { BOT_CONFIG.QUOTE_GUARD = quoteGuard; });
+
+  const check = guardOrder(BUY_CONTEXT);
+  assert.doesNotThrow(() => check(BUY_ORDER));
+
+  assert.throws(() => check({ ...BUY_ORDER, priceImpactPct: '0.5' }), error => {
+    assert.ok(error instanceof QuoteRejectedError);
+    assert.equal(error.message, 'Quote rejected: price impact 50.00% (max 5%)');
+    assert.deepEqual(error.reasons, ['price impact 50.00% (max 5%)']);
+    assert.equal(error.quote.priceImpactPercent, 50);
+    return true;
+  });
+});
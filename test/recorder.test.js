@@ -0,0 +1,79 @@
+// test/recorder.test.js - Tests for the market data recorder
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { BOT_CONFIG } = require('../config');
+
+const RECORDER = require.resolve('../src/services/recorder');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-recorder-'));
+BOT_CONFIG.MARKET_DATA_DIR = tmpDir;
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Load a fresh recorder in the given market data mode (the mode is read when the module loads)
+ * @param {string} mode - Market data mode
+ * @returns {Object} - Recorder module
+ */
+function loadRecorder(mode) {
+  BOT_CONFIG.MARKET_DATA_MODE = mode;
+  delete require.cache[RECORDER];
+  return require(RECORDER);
+}
+
+test('live mode passes responses through without recording', async () => {
+  const recorder = loadRecorder('live');
+  const data = await recorder.recordable('dexscreener', 'https://api.test/pairs', async () => ({ pairs: [] }));
+
+  assert.deepEqual(data, { pairs: [] });
+  assert.equal(recorder.isReplaying(), false);
+  await recorder.flushRecordings();
+  assert.deepEqual(fs.readdirSync(tmpDir), []);
+});
+
+test('record mode writes every response to one gzip JSONL file', async () => {
+  const recorder = loadRecorder('record');
+  await recorder.recordable('dexscreener', 'https://api.test/pairs?page=1', async () => ({ page: 1 }));
+  await recorder.recordable('gecko', 'https://api.test/ohlcv', async () => [1, 2, 3]);
+  await recorder.flushRecordings();
+
+  const files = fs.readdirSync(tmpDir);
+  assert.equal(files.length, 1);
+  assert.match(files[0], /^market-.*\.jsonl\.gz$/);
+
+  const records = recorder.readRecordingFile(path.join(tmpDir, files[0]));
+  assert.deepEqual(records.map(r => [r.source, r.url, r.data]), [
+    ['dexscreener', 'https://api.test/pairs?page=1', { page: 1 }],
+    ['gecko', 'https://api.test/ohlcv', [1, 2, 3]]
+  ]);
+  assert.ok(records.every(r => typeof r.ts === 'number'));
+});
+
+test('readRecordingFile reads files made of one gzip member per line', () => {
+  const file = path.join(os.tmpdir(), `ace-recorder-members-${process.pid}.jsonl.gz`);
+  const lines = [{ source: 'a', url: 'u1', data: 1 }, { source: 'b', url: 'u2', data: 2 }];
+  fs.writeFileSync(file, Buffer.concat(lines.map(line => zlib.gzipSync(JSON.stringify(line) + '\n'))));
+
+  try {
+    assert.deepEqual(require(RECORDER).readRecordingFile(file), lines);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+test('replay mode serves recorded responses in order without calling the API', async () => {
+  const recorder = loadRecorder('replay');
+  BOT_CONFIG.MARKET_DATA_REPLAY_PATH = tmpDir;
+  const request = () => { throw new Error('API called during replay'); };
+
+  assert.equal(recorder.isReplaying(), true);
+  assert.deepEqual(await recorder.recordable('gecko', 'https://api.test/ohlcv', request), [1, 2, 3]);
+  // A query string that differs (e.g. a date) falls back to the URL path
+  assert.deepEqual(await recorder.recordable('dexscreener', 'https://api.test/pairs?page=2', request), { page: 1 });
+  assert.equal(await recorder.recordable('moralis', 'https://api.test/holders', request), null);
+});
@@ -0,0 +1,178 @@
+// test/report.test.js - Tests for the performance analytics report
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTradeHistory, fromBacktestTrades, computeMetrics, renderHtml } = require('../report');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-report-'));
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const HOUR = 3600000;
+const START = Date.UTC(2024, 4, 1, 12);
+
+/**
+ * Completed trade costing 1 SOL
+ * @param {number} index - Position in close order
+ * @param {number} pnlSol - Realized PnL in SOL
+ * @param {number} entryScore - Strategy entry score
+ * @param {string} exitReason - Exit reason
+ * @returns {Object} - Trade
+ */
+function trade(index, pnlSol, entryScore, exitReason) {
+  return {
+    symbol: `T${index}`,
+    openedAt: START + index * HOUR,
+    closedAt: START + index * HOUR + 600000,
+    holdTimeSeconds: 600,
+    costSol: 1,
+    pnlSol,
+    returnPercent: pnlSol * 100,
+    pnlUsd: pnlSol * 100,
+    exitReason,
+    entryScore
+  };
+}
+
+const HISTORY = {
+  label: 'journal <test>',
+  openPartialPnlSol: 0.1,
+  openTrades: 1,
+  trades: [
+    trade(0, 0.2, 72, 'Profit target reached (100%)'),
+    trade(1, -0.1, 65, 'Stop loss triggered (-7%)'),
+    trade(2, -0.05, 78, 'Stop loss triggered (-7%)'),
+    trade(3, 0.1, 61, 'Trailing stop triggered (percentage-based, 3.10% drop)')
+  ]
+};
+
+/**
+ * Assert a number is within rounding error of the expected value
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('computeMetrics sums PnL, profit factor and expectancy', () => {
+  const metrics = computeMetrics(HISTORY);
+
+  assert.equal(metrics.trades, 4);
+  assert.equal(metrics.winRate, 50);
+  assertClose(metrics.closedPnlSol, 0.15);
+  assertClose(metrics.realizedPnlSol, 0.25); // Partial sells of the open position count too
+  assertClose(metrics.closedPnlUsd, 15);
+  assertClose(metrics.profitFactor, 2);
+  assertClose(metrics.expectancySol, 0.0375);
+  assertClose(metrics.expectancyPercent, 3.75);
+  assert.equal(metrics.avgHoldTimeSeconds, 600);
+});
+
+test('computeMetrics measures the drawdown of cumulative PnL', () => {
+  const metrics = computeMetrics(HISTORY, { startingBalanceSol: 1 });
+
+  assertClose(metrics.maxDrawdownSol, 0.15);
+  assertClose(metrics.maxDrawdownPercent, 12.5); // 0.15 below a 1.2 SOL peak
+  assertClose(metrics.equityCurve[metrics.equityCurve.length - 1].pnlSol, 0.15);
+  assert.equal(computeMetrics(HISTORY).maxDrawdownPercent, null);
+});
+
+test('computeMetrics groups trades by exit reason and entry score', () => {
+  const metrics = computeMetrics(HISTORY);
+
+  assert.deepEqual(metrics.byExitReason.map(group => [group.key, group.trades, group.wins]), [
+    ['Profit target reached', 1, 1],
+    ['Stop loss triggered', 2, 0],
+    ['Trailing stop triggered', 1, 1]
+  ]);
+  assert.deepEqual(metrics.byScore.map(group => [group.key, group.trades]), [['60-69', 2], ['70-79', 2]]);
+  assert.equal(metrics.byHour.reduce((sum, group) => sum + group.trades, 0), 4);
+});
+
+test('computeMetrics handles an empty history', () => {
+  const metrics = computeMetrics({ trades: [], openPartialPnlSol: 0, openTrades: 0 });
+
+  assert.equal(metrics.winRate, 0);
+  assert.equal(metrics.profitFactor, 0);
+  assert.equal(metrics.sharpe, 0);
+  assert.equal(metrics.closedPnlUsd, null);
+});
+
+test('fromBacktestTrades pairs each buy with its sells', () => {
+  const { trades } = fromBacktestTrades([
+    { action: 'BUY', tokenAddress: 'A', symbol: 'A', timestamp: 1000, solSpent: 1, reason: 'Score: 71.50/100, RSI: 50' },
+    { action: 'SELL', tokenAddress: 'A', symbol: 'A', timestamp: 2000, pnlSol: 0.1, reason: 'Tiered profit taking (15%)' },
+    { action: 'SELL', tokenAddress: 'A', symbol: 'A', timestamp: 5000, pnlSol: 0.2, reason: 'Profit target reached (100%)' },
+    { action: 'BUY', tokenAddress: 'A', symbol: 'A', timestamp: 6000, solSpent: 2, entryScore: 80 },
+    { action: 'SELL', tokenAddress: 'A', symbol: 'A', timestamp: 8000, pnlSol: -0.2, reason: 'Stop loss triggered (-7%)' }
+  ], { solPriceUsd: 100, slippageBps: 100 });
+
+  assert.equal(trades.length, 2);
+  assertClose(trades[0].pnlSol, 0.3);
+  assertClose(trades[0].returnPercent, 30);
+  assert.equal(trades[0].holdTimeSeconds, 4);
+  assert.equal(trades[0].entryScore, 71.5);
+  assert.equal(trades[0].exitReason, 'Profit target reached (100%)');
+  assert.equal(trades[0].slippagePercent, 2);
+  assertClose(trades[1].pnlUsd, -20);
+  assert.equal(trades[1].entryScore, 80);
+});
+
+test('loadTradeHistory reads journal files and filters by entry time', async () => {
+  const record = (symbol, openedAt, status, pnlSol) => ({
+    symbol,
+    status,
+    openedAt: new Date(openedAt).toISOString(),
+    closedAt: status === 'closed' ? new Date(openedAt + HOUR).toISOString() : null,
+    holdTimeSeconds: 3600,
+    exitReason: status === 'closed' ? 'Stop loss triggered (-7%)' : null,
+    entry: { solSpent: 0.5, entryScore: 70, slippagePercent: 1 },
+    exits: [{ pnlSol, slippagePercent: 0.5, solPriceUsd: 100 }],
+    totals: { realizedPnlSol: status === 'closed' ? pnlSol : null, realizedPnlPercent: null, realizedPnlUsd: null }
+  });
+  const file = path.join(tmpDir, 'journal.jsonl');
+  fs.writeFileSync(file, [
+    record('OLD', START - 24 * HOUR, 'closed', 0.1),
+    record('NEW', START, 'closed', -0.05),
+    record('OPEN', START, 'open', 0.02)
+  ].map(r => JSON.stringify(r)).join('\n'));
+
+  const history = await loadTradeHistory(file, { from: START - HOUR });
+  assert.deepEqual(history.trades.map(t => t.symbol), ['NEW']);
+  assertClose(history.trades[0].returnPercent, -10);
+  assertClose(history.trades[0].pnlUsd, -5);
+  assert.equal(history.trades[0].slippagePercent, 1.5);
+  assert.equal(history.openTrades, 1);
+  assertClose(history.openPartialPnlSol, 0.02);
+});
+
+test('loadTradeHistory reads backtest results and rejects other files', async () => {
+  const file = path.join(tmpDir, 'backtest.json');
+  fs.writeFileSync(file, JSON.stringify({
+    settings: { startingBalanceSol: 5, solPriceUsd: 100 },
+    trades: [
+      { action: 'BUY', tokenAddress: 'A', symbol: 'A', timestamp: START, solSpent: 1 },
+      { action: 'SELL', tokenAddress: 'A', symbol: 'A', timestamp: START + HOUR, pnlSol: 0.4, reason: 'End of backtest' }
+    ]
+  }));
+
+  const history = await loadTradeHistory(file);
+  assert.equal(history.startingBalanceSol, 5);
+  assert.equal(history.trades.length, 1);
+
+  const other = path.join(tmpDir, 'other.json');
+  fs.writeFileSync(other, '{}');
+  await assert.rejects(loadTradeHistory(other), /is not a trade journal or backtest result/);
+});
+
+test('renderHtml escapes the report source', () => {
+  const html = renderHtml(computeMetrics(HISTORY));
+
+  assert.match(html, /Source: journal &lt;test&gt;/);
+  assert.match(html, /<h2>By Exit Reason<\/h2>/);
+  assert.match(html, /<svg/);
+});
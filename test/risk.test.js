@@ -0,0 +1,164 @@
+// test/risk.test.js - Tests for the risk governor (circuit breaker)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BOT_CONFIG } = require('../config');
+const risk = require('../risk');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-risk-'));
+BOT_CONFIG.RISK_STATE_FILE = path.join(tmpDir, 'risk-state.json');
+BOT_CONFIG.RISK_LIMITS = {
+  ENABLED: true,
+  MAX_DAILY_LOSS_SOL: 0.5,
+  MAX_CONSECUTIVE_LOSSES: 3,
+  MAX_DRAWDOWN_PERCENT: 10,
+  FORCE_EXIT: false,
+  COOLDOWN_MINUTES: 0
+};
+
+test.before(() => risk.initializeRiskGovernor(10));
+
+test.beforeEach(() => {
+  risk.resetRiskGovernor('test');
+  risk.updateUnrealizedPnl(0);
+});
+
+test.after(async () => {
+  // A write still queued would recreate the directory
+  await waitForSavedState();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Wait until the queued state writes have stored the latest trade
+ * State writes are queued in the background, and the session PnL changes with every trade.
+ * @returns {Promise<Object>} - Stored state
+ */
+async function waitForSavedState() {
+  const { sessionRealizedSol } = risk.getRiskStatus();
+  let stored = null;
+  for (let i = 0; i < 100 && stored?.sessionRealizedSol !== sessionRealizedSol; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    stored = JSON.parse(fs.readFileSync(BOT_CONFIG.RISK_STATE_FILE, 'utf8'));
+  }
+  return stored;
+}
+
+/**
+ * Record a sell with the given PnL
+ * @param {number} pnlSol - Realized PnL in SOL
+ */
+function sell(pnlSol) {
+  risk.recordTrade({ action: 'SELL', pnlSol });
+}
+
+test('a winning trade resets the losing streak', () => {
+  sell(-0.01);
+  sell(-0.01);
+  sell(0.05);
+  sell(-0.01);
+
+  assert.equal(risk.getRiskStatus().consecutiveLosses, 1);
+  assert.equal(risk.canOpenPositions(), true);
+});
+
+test('buys and trades without PnL are ignored', () => {
+  risk.recordTrade({ action: 'BUY', pnlSol: -1 });
+  risk.recordTrade({ action: 'SELL' });
+
+  assert.equal(risk.getRiskStatus().dailyRealizedSol, 0);
+});
+
+test('the losing streak limit pauses new entries', () => {
+  sell(-0.01);
+  sell(-0.01);
+  assert.equal(risk.canOpenPositions(), true);
+  sell(-0.01);
+
+  const status = risk.getRiskStatus();
+  assert.equal(status.paused, true);
+  assert.match(status.reason, /3 consecutive losing trades/);
+  assert.equal(risk.canOpenPositions(), false);
+});
+
+test('unrealized losses count toward the daily loss limit', () => {
+  sell(-0.2);
+  risk.updateUnrealizedPnl(-0.2);
+  assert.equal(risk.canOpenPositions(), true);
+  risk.updateUnrealizedPnl(-0.3);
+
+  assert.equal(risk.canOpenPositions(), false);
+  assert.match(risk.getRiskStatus().reason, /Daily loss limit reached/);
+});
+
+test('the drawdown is measured from the equity peak', () => {
+  risk.updateUnrealizedPnl(2); // Equity peaks at 12 SOL plus the realized PnL so far
+  const peak = risk.getRiskStatus();
+  assert.equal(peak.drawdownPercent, 0);
+
+  risk.updateUnrealizedPnl(0.9);
+  assert.equal(risk.canOpenPositions(), true);
+  risk.updateUnrealizedPnl(0.5);
+
+  assert.equal(risk.canOpenPositions(), false);
+  assert.match(risk.getRiskStatus().reason, /Drawdown from equity peak/);
+});
+
+test('a force exit is requested only when configured', () => {
+  sell(-0.01);
+  sell(-0.01);
+  sell(-0.01);
+  assert.equal(risk.shouldForceExit(), false);
+
+  risk.resetRiskGovernor('test');
+  BOT_CONFIG.RISK_LIMITS.FORCE_EXIT = true;
+  try {
+    sell(-0.01);
+    sell(-0.01);
+    sell(-0.01);
+    assert.equal(risk.shouldForceExit(), true);
+    risk.completeForceExit();
+    assert.equal(risk.shouldForceExit(), false);
+    assert.equal(risk.canOpenPositions(), false);
+  } finally {
+    BOT_CONFIG.RISK_LIMITS.FORCE_EXIT = false;
+  }
+});
+
+test('the breaker resumes once the cooldown expires', async () => {
+  BOT_CONFIG.RISK_LIMITS.COOLDOWN_MINUTES = 0.0002; // 12 ms
+  try {
+    sell(-0.01);
+    sell(-0.01);
+    sell(-0.01);
+    assert.equal(risk.canOpenPositions(), false);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(risk.canOpenPositions(), true);
+    assert.equal(risk.getRiskStatus().consecutiveLosses, 0);
+  } finally {
+    BOT_CONFIG.RISK_LIMITS.COOLDOWN_MINUTES = 0;
+  }
+});
+
+test('a disabled governor never pauses entries', () => {
+  BOT_CONFIG.RISK_LIMITS.ENABLED = false;
+  try {
+    sell(-1);
+    assert.equal(risk.canOpenPositions(), true);
+    assert.equal(risk.getRiskStatus().paused, false);
+  } finally {
+    BOT_CONFIG.RISK_LIMITS.ENABLED = true;
+  }
+});
+
+test('the state is persisted for the next start', async () => {
+  sell(-0.01);
+
+  const stored = await waitForSavedState();
+  assert.equal(stored.consecutiveLosses, 1);
+  assert.equal(stored.startingEquitySol, 10);
+});
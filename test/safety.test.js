@@ -0,0 +1,159 @@
+// test/safety.test.js - Tests for the pre-trade honeypot and sellability checks
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { BOT_CONFIG } = require('../config');
+const { isBlacklisted } = require('../blacklist');
+const { checkTokenSafety } = require('../safety');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ace-safety-'));
+BOT_CONFIG.BLACKLIST_FILE = path.join(tmpDir, 'blacklist.json');
+
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const RAYDIUM_AMM_V4_PROGRAM = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+
+const SETTINGS = {
+  ENABLED: true,
+  MAX_ROUND_TRIP_LOSS_PERCENT: 15,
+  MAX_PRICE_IMPACT_PERCENT: 10,
+  MAX_TRANSFER_FEE_PERCENT: 0,
+  REJECT_MINT_AUTHORITY: true,
+  REJECT_FREEZE_AUTHORITY: true,
+  MIN_LP_BURNED_PERCENT: 90,
+  REJECT_UNKNOWN_LP_STATUS: false,
+  AUTO_BLACKLIST: true
+};
+
+/**
+ * Token with fresh random mint and pool addresses
+ * @returns {Object} - Token data
+ */
+function newToken() {
+  return {
+    symbol: 'TEST',
+    tokenAddress: Keypair.generate().publicKey.toBase58(),
+    poolAddress: Keypair.generate().publicKey.toBase58()
+  };
+}
+
+/**
+ * Jupiter stub quoting the buy and the sell back to SOL
+ * @param {Object|Error} sellQuote - Sell quote to return, or error to throw
+ * @returns {Object} - JupiterService stub
+ */
+function jupiterQuoting(sellQuote) {
+  return {
+    getQuote: async (inputMint) => {
+      if (inputMint === 'So11111111111111111111111111111111111111112') {
+        return { outAmount: '1000000' };
+      }
+      if (sellQuote instanceof Error) throw sellQuote;
+      return sellQuote;
+    }
+  };
+}
+
+/**
+ * Connection stub serving a mint account and an optional Raydium AMM v4 pool
+ * @param {Object} mintInfo - Parsed mint info
+ * @param {Object} [pool] - LP reserve and LP supply of the pool
+ * @returns {Object} - Connection stub
+ */
+function connectionWith(mintInfo, pool) {
+  return {
+    getParsedAccountInfo: async () => ({ value: { data: { parsed: { info: mintInfo } } } }),
+    getAccountInfo: async () => {
+      if (!pool) return null;
+      const data = Buffer.alloc(752);
+      Keypair.generate().publicKey.toBuffer().copy(data, 464);
+      data.writeBigUInt64LE(BigInt(pool.reserve), 720);
+      return { owner: RAYDIUM_AMM_V4_PROGRAM, data };
+    },
+    getTokenSupply: async () => ({ value: { amount: String(pool.supply) } })
+  };
+}
+
+const CLEAN_MINT = { mintAuthority: null, freezeAuthority: null };
+const GOOD_SELL = { outAmount: '950000000', priceImpactPct: '0.02' };
+
+test('a sellable token with revoked authorities and burned LP passes', async () => {
+  const result = await checkTokenSafety(newToken(), 1, jupiterQuoting(GOOD_SELL), connectionWith(CLEAN_MINT, { reserve: 1000, supply: 50 }), SETTINGS);
+
+  assert.equal(result.safe, true);
+  assert.deepEqual(result.checks.map(c => c.name), ['sell route', 'price impact', 'round trip', 'mint authority', 'freeze authority', 'LP lock']);
+  assert.match(result.checks.find(c => c.name === 'LP lock').detail, /95.00% of LP burned/);
+});
+
+test('a token without a sell route is blacklisted as a honeypot', async () => {
+  const token = newToken();
+  const result = await checkTokenSafety(token, 1, jupiterQuoting({ outAmount: '0' }), connectionWith(CLEAN_MINT), SETTINGS);
+
+  assert.equal(result.safe, false);
+  assert.ok(result.reasons.includes('No sell route found (possible honeypot)'));
+  assert.equal(isBlacklisted(token.tokenAddress), true);
+});
+
+test('a heavy round trip loss or sell impact fails the token', async () => {
+  const lossy = await checkTokenSafety(newToken(), 1, jupiterQuoting({ outAmount: '800000000', priceImpactPct: '0.01' }), connectionWith(CLEAN_MINT), SETTINGS);
+  assert.deepEqual(lossy.reasons, ['Round trip loss 20.00% (max 15%)']);
+
+  const impact = await checkTokenSafety(newToken(), 1, jupiterQuoting({ outAmount: '950000000', priceImpactPct: '0.25' }), connectionWith(CLEAN_MINT), SETTINGS);
+  assert.deepEqual(impact.reasons, ['Sell price impact 25.00% (max 10%)']);
+});
+
+test('live mint and freeze authorities and transfer fees fail the token', async () => {
+  const mint = {
+    mintAuthority: 'Authority1',
+    freezeAuthority: 'Authority2',
+    extensions: [{ extension: 'transferFeeConfig', state: { newerTransferFee: { transferFeeBasisPoints: 250 } } }]
+  };
+  const result = await checkTokenSafety(newToken(), 1, jupiterQuoting(GOOD_SELL), connectionWith(mint), SETTINGS);
+
+  assert.deepEqual(result.reasons, [
+    'Mint authority still set (Authority1)',
+    'Freeze authority still set (Authority2)',
+    'Transfer fee 2.50% (max 0%)'
+  ]);
+});
+
+test('unavailable data fails the check without blacklisting', async () => {
+  const token = newToken();
+  const quoteDown = new Error('socket hang up');
+  const result = await checkTokenSafety(token, 1, jupiterQuoting(quoteDown), connectionWith(CLEAN_MINT), SETTINGS);
+
+  assert.equal(result.safe, false);
+  assert.deepEqual(result.reasons, ['Sell quote failed: socket hang up']);
+  assert.equal(result.checks[0].conclusive, false);
+  assert.equal(isBlacklisted(token.tokenAddress), false);
+});
+
+test('an unreadable LP status only fails when configured to', async () => {
+  const connection = connectionWith(CLEAN_MINT);
+
+  const lenient = await checkTokenSafety(newToken(), 1, jupiterQuoting(GOOD_SELL), connection, SETTINGS);
+  assert.equal(lenient.safe, true);
+
+  const strict = await checkTokenSafety(newToken(), 1, jupiterQuoting(GOOD_SELL), connection, { ...SETTINGS, REJECT_UNKNOWN_LP_STATUS: true });
+  assert.deepEqual(strict.reasons, ['LP status unknown (unsupported pool type)']);
+});
+
+test('disabled checks pass every token without any requests', async () => {
+  const result = await checkTokenSafety(newToken(), 1, {}, {}, { ...SETTINGS, ENABLED: false });
+  assert.deepEqual(result, { safe: true, reasons: [], checks: [] });
+});
+
+test('a sell quote rejected with a 4xx is a conclusive failure', async () => {
+  const token = newToken();
+  const noRoute = Object.assign(new Error('Request failed with status code 400'), {
+    response: { status: 400, data: { error: 'Could not find any route' } }
+  });
+  const result = await checkTokenSafety(token, 1, jupiterQuoting(noRoute), connectionWith(CLEAN_MINT), SETTINGS);
+
+  assert.deepEqual(result.reasons, ['Sell quote failed: Could not find any route']);
+  assert.equal(isBlacklisted(token.tokenAddress), true);
+});
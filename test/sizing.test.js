@@ -0,0 +1,110 @@
+// test/sizing.test.js - Tests for position sizing
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BOT_CONFIG } = require('../config');
+const { SIZING_METHODS, calculatePositionSize } = require('../sizing');
+
+BOT_CONFIG.BUY_AMOUNT_SOL = 0.1;
+
+// Settings without caps; tests add the caps they exercise
+const SETTINGS = {
+  METHOD: SIZING_METHODS.FIXED,
+  EQUITY_PERCENT: 5,
+  RISK_PER_TRADE_PERCENT: 1,
+  ATR_STOP_MULTIPLE: 2,
+  SCORE_SCALING: { SCORE_FLOOR: 60, MIN_MULTIPLIER: 0.5, MAX_MULTIPLIER: 2.0 }
+};
+
+const TOKEN = { priceUsd: 1, liquidity: 0, score: 80, indicators: { hour: { atr: 0.1 } } };
+const CONTEXT = { equitySol: 10 };
+
+/**
+ * Assert a number is within rounding error of the expected value
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('fixed sizing spends BUY_AMOUNT_SOL', () => {
+  assert.deepEqual(calculatePositionSize(TOKEN, CONTEXT, SETTINGS), { amountSol: 0.1, method: 'fixed', reason: 'fixed' });
+});
+
+test('percent-equity sizing spends a share of equity', () => {
+  const { amountSol } = calculatePositionSize(TOKEN, CONTEXT, { ...SETTINGS, METHOD: SIZING_METHODS.PERCENT_EQUITY });
+  assertClose(amountSol, 0.5);
+});
+
+test('volatility sizing shrinks positions in volatile tokens', () => {
+  const settings = { ...SETTINGS, METHOD: SIZING_METHODS.VOLATILITY };
+
+  // 1% of 10 SOL at risk over a 2 ATR (20%) stop
+  assertClose(calculatePositionSize(TOKEN, CONTEXT, settings).amountSol, 0.5);
+  const volatile = { ...TOKEN, indicators: { hour: { atr: 0.2 } } };
+  assertClose(calculatePositionSize(volatile, CONTEXT, settings).amountSol, 0.25);
+});
+
+test('volatility sizing falls back to the fixed size without ATR', () => {
+  const result = calculatePositionSize({ ...TOKEN, indicators: {} }, CONTEXT, { ...SETTINGS, METHOD: SIZING_METHODS.VOLATILITY });
+
+  assert.equal(result.amountSol, 0.1);
+  assert.equal(result.reason, 'volatility (no ATR, using fixed size)');
+});
+
+test('score sizing interpolates between the multipliers', () => {
+  const settings = { ...SETTINGS, METHOD: SIZING_METHODS.SCORE };
+
+  assertClose(calculatePositionSize({ ...TOKEN, score: 40 }, CONTEXT, settings).amountSol, 0.05);
+  assertClose(calculatePositionSize({ ...TOKEN, score: 80 }, CONTEXT, settings).amountSol, 0.125);
+  assertClose(calculatePositionSize({ ...TOKEN, score: 100 }, CONTEXT, settings).amountSol, 0.2);
+});
+
+test('unknown methods fall back to the fixed size', () => {
+  assert.equal(calculatePositionSize(TOKEN, CONTEXT, { ...SETTINGS, METHOD: 'martingale' }).amountSol, 0.1);
+});
+
+test('the max cap limits the size', () => {
+  const result = calculatePositionSize(TOKEN, CONTEXT, { ...SETTINGS, METHOD: SIZING_METHODS.PERCENT_EQUITY, MAX_AMOUNT_SOL: 0.3 });
+
+  assert.equal(result.amountSol, 0.3);
+  assert.equal(result.reason, 'percent-equity (max cap)');
+});
+
+test('the liquidity cap limits the size to a share of the pool', () => {
+  const shallow = { ...TOKEN, liquidity: 1000 };
+  const context = { ...CONTEXT, solPriceUsd: 100 };
+
+  // 5% of $1000 is 0.5 SOL, more than the fixed size
+  assert.equal(calculatePositionSize(shallow, context, { ...SETTINGS, MAX_LIQUIDITY_PERCENT: 5 }).amountSol, 0.1);
+
+  // 0.5% of $1000 is 0.05 SOL
+  const capped = calculatePositionSize(shallow, context, { ...SETTINGS, MAX_LIQUIDITY_PERCENT: 0.5 });
+  assertClose(capped.amountSol, 0.05);
+  assert.equal(capped.reason, 'fixed (liquidity cap (0.5% of $1000))');
+});
+
+test('slot budget and available balance cap the size', () => {
+  const slot = calculatePositionSize(TOKEN, { ...CONTEXT, slotBudgetSol: 0.06 }, SETTINGS);
+  assert.equal(slot.amountSol, 0.06);
+  assert.equal(slot.reason, 'fixed (slot budget)');
+
+  const broke = calculatePositionSize(TOKEN, { ...CONTEXT, availableSol: 0.04 }, SETTINGS);
+  assert.equal(broke.amountSol, 0.04);
+  assert.equal(broke.reason, 'fixed (available balance)');
+});
+
+test('a size capped below the minimum skips the trade', () => {
+  const result = calculatePositionSize(TOKEN, { ...CONTEXT, availableSol: 0.01 }, { ...SETTINGS, MIN_AMOUNT_SOL: 0.02 });
+
+  assert.equal(result.amountSol, 0);
+  assert.match(result.reason, /below minimum 0.02 SOL \(available balance\)/);
+});
+
+test('a size below the minimum is raised to it when the balance allows', () => {
+  const result = calculatePositionSize({ ...TOKEN, score: 0 }, CONTEXT, { ...SETTINGS, METHOD: SIZING_METHODS.SCORE, MIN_AMOUNT_SOL: 0.08 });
+
+  assert.equal(result.amountSol, 0.08);
+  assert.equal(result.reason, 'score (min size)');
+});
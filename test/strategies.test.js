@@ -0,0 +1,190 @@
+// test/strategies.test.js - Tests for the strategy registry and the momentum-score strategy
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_STRATEGY, registerStrategy, getStrategy, listStrategies } = require('../strategies');
+
+const momentum = getStrategy('momentum-score');
+
+// Criteria are passed explicitly so profiles and ACE_* overrides don't change the results
+const BUY_CRITERIA = {
+  MIN_SCORE: 60,
+  MIN_PRICE_CHANGE_5M: 2,
+  MIN_PRICE_CHANGE_1H: 0,
+  MAX_RSI: 70,
+  MIN_BUY_SELL_RATIO_5M: 1.2,
+  MIN_HOLDER_CHANGE_24H: 0,
+  SCORING_ENABLED: true,
+  MIN_TOTAL_SCORE: 60,
+  RISK_PENALTY: 0.2,
+  SCORE_WEIGHTS: {
+    TOKEN_SCORE: 20,
+    PRICE_MOMENTUM: 15,
+    MACD: 15,
+    RSI: 10,
+    PRICE_BREAKOUT: 15,
+    BUY_SELL_RATIO: 15,
+    HOLDER_GROWTH: 10
+  },
+  BONUS: { HIGH_BUY_SELL_RATIO: 2.0, STRONG_MOMENTUM_5M: 5.0, BONUS_POINTS: 5 }
+};
+
+const SELL_CRITERIA = {
+  PROFIT_TARGET: 100,
+  TIERED_PROFIT_TAKING: {
+    ENABLED: true,
+    TIERS: [{ PERCENT: 15, POSITION_PERCENT: 30 }, { PERCENT: 30, POSITION_PERCENT: 30 }]
+  },
+  TRAILING_STOP: { ATR_MULTIPLIER: 2.5, PERCENT: 3.0, USE_MAX_STOP: true },
+  STOP_LOSS: -7,
+  MAX_RSI: 80,
+  MIN_HOLDER_CHANGE_24H: -5
+};
+
+const ctx = { buyCriteria: BUY_CRITERIA, sellCriteria: SELL_CRITERIA };
+
+/**
+ * Token that meets every entry criterion without earning any bonus
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Token data
+ */
+function strongToken(overrides = {}) {
+  return {
+    symbol: 'TEST',
+    score: 80,
+    priceUsd: 1.3,
+    priceChange: { m5: 3, h1: 1 },
+    txns: { m5: { buys: 15, sells: 10 } },
+    holderChange24h: 2,
+    indicators: {
+      hour: {
+        macd: { MACD: 0.000001, signal: 0, histogram: 0.000001 },
+        rsi: 50,
+        bollinger: { upper: 1.2, middle: 1.0 },
+        ichimoku: { tenkanSen: 2, kijunSen: 1 }
+      }
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Open position bought at 1 USD
+ * @returns {Object} - Position data
+ */
+function position() {
+  return { entryPrice: 1, highestPrice: 1 };
+}
+
+/**
+ * Current data at the given price with neutral indicators
+ * @param {number} priceUsd - Current price
+ * @returns {Object} - Current token data
+ */
+function marketAt(priceUsd) {
+  return { priceUsd, holderChange24h: 0, indicators: { hour: { rsi: 50, atr: 1 } } };
+}
+
+test('getStrategy returns registered strategies and falls back to the default', () => {
+  assert.equal(momentum.name, 'momentum-score');
+  assert.equal(getStrategy('no-such-strategy'), getStrategy(DEFAULT_STRATEGY));
+  assert.ok(listStrategies().some(s => s.name === 'momentum-score' && s.description));
+});
+
+test('registerStrategy rejects strategies without both evaluators', () => {
+  assert.throws(() => registerStrategy({ name: 'broken', evaluateEntry: () => ({}) }), /evaluateEntry and evaluateExit/);
+
+  const custom = { name: 'custom', evaluateEntry: () => ({ buy: false }), evaluateExit: () => ({ sell: false }) };
+  registerStrategy(custom);
+  assert.equal(getStrategy('custom'), custom);
+});
+
+test('evaluateEntry awards every criterion its full weight', () => {
+  const decision = momentum.evaluateEntry(strongToken(), ctx);
+
+  assert.equal(decision.buy, true);
+  assert.equal(decision.score, 100 + 2.5); // Both breakout signals earn half a bonus
+  assert.deepEqual(decision.scoreDetails, {
+    tokenScore: 20,
+    momentum: 15,
+    macd: 15,
+    rsi: 10,
+    breakout: 17.5,
+    buySellRatio: 15,
+    holderGrowth: 10
+  });
+});
+
+test('evaluateEntry rejects a token below the total score threshold', () => {
+  const weak = strongToken({
+    score: 30,
+    priceChange: { m5: -1, h1: -3 },
+    txns: { m5: { buys: 5, sells: 10 } },
+    indicators: { hour: { macd: { MACD: -1, signal: 0, histogram: -1 }, rsi: 85, bollinger: { upper: 2, middle: 1.5 } } }
+  });
+  const decision = momentum.evaluateEntry(weak, ctx);
+
+  assert.equal(decision.buy, false);
+  assert.equal(decision.score, 20);
+});
+
+test('evaluateEntry subtracts the on-chain risk penalty', () => {
+  const decision = momentum.evaluateEntry(strongToken({ onchainRisk: { riskScore: 50 } }), ctx);
+
+  assert.equal(decision.scoreDetails.riskPenalty, -10);
+  assert.equal(decision.score, 92.5);
+});
+
+test('evaluateEntry uses all-or-nothing checks when scoring is disabled', () => {
+  const traditional = { ...ctx, buyCriteria: { ...BUY_CRITERIA, SCORING_ENABLED: false } };
+
+  assert.deepEqual(momentum.evaluateEntry(strongToken(), traditional), { buy: true, score: null, scoreDetails: null });
+  assert.equal(momentum.evaluateEntry(strongToken({ priceChange: { m5: 1, h1: 1 } }), traditional).buy, false);
+});
+
+test('evaluateExit takes each profit tier once', () => {
+  const held = position();
+
+  const first = momentum.evaluateExit(held, marketAt(1.16), ctx);
+  assert.equal(first.sell, true);
+  assert.equal(first.sellPercentage, 30);
+  assert.match(first.reason, /Tiered profit taking \(15%\)/);
+
+  held.highestPrice = 1.16;
+  assert.deepEqual(momentum.evaluateExit(held, marketAt(1.16), ctx), { sell: false });
+  assert.equal(momentum.evaluateExit(held, marketAt(1.31), ctx).sellPercentage, 30);
+});
+
+test('evaluateExit sells everything at the profit target', () => {
+  const held = position();
+  held.tiers = [];
+  const decision = momentum.evaluateExit(held, marketAt(2.1), { ...ctx, sellCriteria: { ...SELL_CRITERIA, TIERED_PROFIT_TAKING: { ENABLED: false } } });
+
+  assert.equal(decision.sell, true);
+  assert.equal(decision.sellPercentage, 100);
+  assert.match(decision.reason, /Profit target reached/);
+});
+
+test('evaluateExit marks a stop loss as an emergency exit', () => {
+  const decision = momentum.evaluateExit(position(), marketAt(0.92), ctx);
+
+  assert.equal(decision.sell, true);
+  assert.equal(decision.emergency, true);
+  assert.match(decision.reason, /Stop loss triggered/);
+});
+
+test('evaluateExit trails the highest price', () => {
+  const held = { entryPrice: 1, highestPrice: 1.1, tiers: [] };
+
+  assert.equal(momentum.evaluateExit(held, marketAt(1.08), ctx).sell, false);
+  const decision = momentum.evaluateExit(held, marketAt(1.06), ctx);
+  assert.equal(decision.sell, true);
+  assert.match(decision.reason, /Trailing stop triggered \(percentage-based/);
+});
+
+test('evaluateExit exits on a holder decrease', () => {
+  const decision = momentum.evaluateExit(position(), { ...marketAt(1), holderChange24h: -10 }, ctx);
+
+  assert.equal(decision.emergency, true);
+  assert.equal(decision.reason, 'Significant holder decrease');
+});
@@ -0,0 +1,45 @@
+// test/trading.test.js - Tests for the trading helpers exported for testing/simulation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findCorrelatedPosition, getOpenPositionsCount, realizePnl } = require('../trading');
+
+const OPEN = [
+  { tokenAddress: 'MintA', poolAddress: 'PoolA', symbol: 'PEPE' },
+  { tokenAddress: 'MintB', poolAddress: 'PoolB', symbol: 'WIF' }
+];
+
+test('findCorrelatedPosition matches a token trading in the same pool', () => {
+  assert.equal(findCorrelatedPosition({ tokenAddress: 'MintC', poolAddress: 'PoolB', symbol: 'CAT' }, OPEN), OPEN[1]);
+});
+
+test('findCorrelatedPosition matches copycats sharing a ticker regardless of case', () => {
+  assert.equal(findCorrelatedPosition({ tokenAddress: 'MintC', poolAddress: 'PoolC', symbol: 'pepe' }, OPEN), OPEN[0]);
+});
+
+test('findCorrelatedPosition lets unrelated tokens through', () => {
+  assert.equal(findCorrelatedPosition({ tokenAddress: 'MintC', poolAddress: 'PoolC', symbol: 'CAT' }, OPEN), null);
+  assert.equal(findCorrelatedPosition({ tokenAddress: 'MintC' }, OPEN), null);
+});
+
+test('findCorrelatedPosition checks the open positions by default', () => {
+  assert.equal(getOpenPositionsCount(), 0);
+  assert.equal(findCorrelatedPosition({ tokenAddress: 'MintA', poolAddress: 'PoolA', symbol: 'PEPE' }), null);
+});
+
+test('realizePnl measures sells against the cost basis of the fill', () => {
+  // 0.5 SOL swapped plus 0.001 SOL fees for 1000 tokens at 100 USD/SOL: 0.0501 USD per token
+  const position = { entryPrice: 0.0501, amountSol: 0.501 };
+
+  assert.equal(realizePnl({ ...position }, 1, 0.0501), 0);
+  assert.ok(Math.abs(realizePnl({ ...position }, 1, 0.1002) - 0.501) < 1e-12);
+});
+
+test('realizePnl reduces the cost still committed by the fraction sold', () => {
+  const position = { entryPrice: 1, amountSol: 0.8 };
+
+  assert.ok(Math.abs(realizePnl(position, 0.25, 1.5) - 0.1) < 1e-12);
+  assert.ok(Math.abs(position.amountSol - 0.6) < 1e-12);
+  assert.ok(Math.abs(realizePnl(position, 2, 0.5) + 0.3) < 1e-12); // Capped at the whole position
+  assert.equal(position.amountSol, 0);
+});
@@ -0,0 +1,223 @@
+// test/tx-tracker.test.js - Tests for the transaction landing tracker
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TX_STATUS, trackTransaction, swapAndConfirm, readBalanceChanges, describeFill } = require('../tx-tracker');
+
+const OWNER = 'Owner1111111111111111111111111111111111111';
+const MINT = 'Mint11111111111111111111111111111111111111';
+const OPTIONS = { owner: OWNER, mint: MINT, pollIntervalMs: 1, timeoutSeconds: 5 };
+
+/**
+ * Assert two numbers are equal within floating point error
+ * @param {number} actual - Actual value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+/**
+ * Landed swap transaction of the owner
+ * @param {Object} meta - Fields to set on the transaction meta
+ * @returns {Object} - Transaction as returned by getTransaction
+ */
+function swapTransaction(meta = {}) {
+  return {
+    slot: 10,
+    transaction: { signatures: ['sig'], message: { staticAccountKeys: [OWNER, 'Pool'] } },
+    meta: {
+      err: null,
+      fee: 5000,
+      preBalances: [2000000000, 50],
+      postBalances: [1499995000, 50],
+      preTokenBalances: [],
+      postTokenBalances: [{ owner: OWNER, mint: MINT, uiTokenAmount: { amount: '2500000', decimals: 6 } }],
+      ...meta
+    }
+  };
+}
+
+/**
+ * Connection answering signature statuses from a script
+ * @param {Array} statuses - Status returned by each poll (the last one repeats)
+ * @param {Object} [fields] - Extra connection methods
+ * @returns {Object} - Connection with a polls counter
+ */
+function scriptedConnection(statuses, fields = {}) {
+  const connection = {
+    polls: 0,
+    getSignatureStatuses: async () => ({ value: [statuses[Math.min(connection.polls++, statuses.length - 1)]] }),
+    getTransaction: async () => swapTransaction(),
+    ...fields
+  };
+  return connection;
+}
+
+test('readBalanceChanges measures the SOL and token change of the wallet', () => {
+  const changes = readBalanceChanges(swapTransaction(), OWNER, MINT);
+
+  assertClose(changes.solChange, -0.500005);
+  assert.equal(changes.tokenChange, 2.5);
+  assert.equal(changes.tokenDecimals, 6);
+  assertClose(changes.feeSol, 0.000005);
+});
+
+test('readBalanceChanges sums the wallet accounts of the mint and ignores other owners', () => {
+  const tx = swapTransaction({
+    preTokenBalances: [{ owner: OWNER, mint: MINT, uiTokenAmount: { amount: '1000000', decimals: 6 } }],
+    postTokenBalances: [
+      { owner: OWNER, mint: MINT, uiTokenAmount: { amount: '1000000', decimals: 6 } },
+      { owner: OWNER, mint: MINT, uiTokenAmount: { amount: '500000', decimals: 6 } },
+      { owner: 'Pool', mint: MINT, uiTokenAmount: { amount: '9000000', decimals: 6 } }
+    ]
+  });
+
+  assert.equal(readBalanceChanges(tx, OWNER, MINT).tokenChange, 0.5);
+  assert.equal(readBalanceChanges(swapTransaction({ postTokenBalances: [] }), OWNER, MINT).tokenChange, 0);
+  assert.equal(readBalanceChanges(swapTransaction({ postTokenBalances: undefined }), OWNER, MINT).tokenChange, null);
+  assert.equal(readBalanceChanges(swapTransaction(), 'Someone else', MINT).solChange, null);
+});
+
+test('trackTransaction waits until the transaction is confirmed and reads its changes', async () => {
+  const connection = scriptedConnection([null, { slot: 10, confirmationStatus: 'processed' }, { slot: 10, confirmationStatus: 'confirmed' }]);
+
+  const result = await trackTransaction(connection, 'sig', OPTIONS);
+
+  assert.equal(result.status, TX_STATUS.CONFIRMED);
+  assert.equal(result.slot, 10);
+  assert.equal(result.tokenChange, 2.5);
+  assert.equal(connection.polls, 3);
+});
+
+test('trackTransaction reports transactions that failed on chain with their fee', async () => {
+  const failed = swapTransaction({ err: { InstructionError: [2, { Custom: 6001 }] }, postBalances: [1999995000, 50], postTokenBalances: [] });
+  const connection = scriptedConnection([{ slot: 11, err: failed.meta.err, confirmationStatus: 'confirmed' }], {
+    getTransaction: async () => failed
+  });
+
+  const result = await trackTransaction(connection, 'sig', OPTIONS);
+
+  assert.equal(result.status, TX_STATUS.FAILED);
+  assert.equal(result.error, '{"InstructionError":[2,{"Custom":6001}]}');
+  assertClose(result.solChange, -0.000005);
+  assert.equal(result.tokenChange, null);
+});
+
+test('trackTransaction reports a transaction dropped once its blockhash expired', async () => {
+  let height = 100;
+  const connection = scriptedConnection([null], { getBlockHeight: async () => height++ });
+
+  const result = await trackTransaction(connection, 'sig', { ...OPTIONS, lastValidBlockHeight: 101 });
+
+  assert.equal(result.status, TX_STATUS.DROPPED);
+  assert.equal(result.error, 'blockhash expired before the transaction landed');
+  // Heights 100 and 101 can still land it, after 102 the status is checked once more
+  assert.equal(connection.polls, 4);
+});
+
+test('trackTransaction gives up on a transaction that is never seen', async () => {
+  const connection = scriptedConnection([null], {
+    isBlockhashValid: async () => ({ value: true }),
+    getSignatureStatuses: async () => { throw new Error('RPC down'); }
+  });
+
+  const result = await trackTransaction(connection, 'sig', { ...OPTIONS, blockhash: 'hash', timeoutSeconds: 0.02 });
+
+  assert.equal(result.status, TX_STATUS.UNKNOWN);
+  assert.equal(result.error, 'not seen within 0.02s');
+});
+
+test('readBalanceChanges splits the priority fee and rent out of the SOL change', () => {
+  // A buy of 0.5 SOL that opened the wallet's token account and a temporary account it closed again
+  const tx = swapTransaction({
+    fee: 105000,
+    preBalances: [2000000000, 50, 0, 0],
+    postBalances: [2000000000 - 500000000 - 105000 - 2039280, 50, 2039280, 0]
+  });
+  tx.transaction.message.staticAccountKeys.push('TokenAccount', 'TemporaryAccount');
+
+  const changes = readBalanceChanges(tx, OWNER, MINT);
+
+  assertClose(changes.feeSol, 0.000105);
+  assertClose(changes.priorityFeeSol, 0.0001);
+  assertClose(changes.rentSol, 0.00203928);
+  assertClose(changes.solChange, -0.50214428);
+});
+
+test('describeFill separates what the swap traded from fees and rent', () => {
+  const buy = describeFill({ solChange: -0.50214428, tokenChange: 2.5, feeSol: 0.000105, priorityFeeSol: 0.0001, rentSol: 0.00203928 }, 'buy');
+
+  assertClose(buy.swapSol, 0.5);
+  assertClose(buy.walletSol, 0.50214428);
+  assert.equal(buy.tokens, 2.5);
+  assertClose(buy.priceSol, 0.2);
+
+  // Selling everything closes the token account and refunds its rent
+  const sell = describeFill({ solChange: 0.60202428, tokenChange: -2.5, feeSol: 0.000015, priorityFeeSol: 0.00001, rentSol: -0.00203928 }, 'sell');
+
+  assertClose(sell.swapSol, 0.6);
+  assertClose(sell.walletSol, 0.60202428);
+  assert.equal(sell.tokens, 2.5);
+  assertClose(sell.priceSol, 0.24);
+});
+
+test('describeFill has no fill for unreadable or empty balance changes', () => {
+  assert.equal(describeFill({ solChange: null, tokenChange: 2.5 }, 'buy'), null);
+  assert.equal(describeFill({ solChange: -0.5, tokenChange: null }, 'buy'), null);
+  assert.equal(describeFill({ solChange: -0.000005, tokenChange: 0, feeSol: 0.000005 }, 'buy'), null);
+});
+
+test('swapAndConfirm sends priority fee swaps through the Swap API and waits for them', async () => {
+  const sent = [];
+  const swap = method => async () => {
+    sent.push(method);
+    return { signature: 'sig', order: { outAmount: '2500000' }, blockhash: null, lastValidBlockHeight: null };
+  };
+  const service = {
+    wallet: { publicKey: OWNER },
+    connection: scriptedConnection([{ slot: 10, confirmationStatus: 'finalized' }]),
+    executeUltraSwapWithOrder: swap('ultra'),
+    executeSwapWithPriorityFee: swap('priority')
+  };
+
+  const ultra = await swapAndConfirm(service, 'SOL', MINT, 1, {}, MINT, { pollIntervalMs: 1 });
+  await swapAndConfirm(service, 'SOL', MINT, 1, { priorityFeeLamports: 100000 }, MINT, { pollIntervalMs: 1 });
+
+  assert.deepEqual(sent, ['ultra', 'priority']);
+  assert.equal(ultra.signature, 'sig');
+  assert.equal(ultra.order.outAmount, '2500000');
+  assert.equal(ultra.landing.tokenChange, 2.5);
+});
+
+test('swapAndConfirm tracks a swap that errored after signing', async () => {
+  const error = new Error('Execute request timed out');
+  Object.assign(error, { signature: 'sig', order: { outAmount: '1' }, blockhash: 'hash' });
+  const service = {
+    wallet: { publicKey: OWNER },
+    connection: scriptedConnection([{ slot: 10, confirmationStatus: 'confirmed' }]),
+    executeUltraSwapWithOrder: async () => { throw error; }
+  };
+
+  const { landing } = await swapAndConfirm(service, 'SOL', MINT, 1, {}, MINT, { pollIntervalMs: 1 });
+  assert.equal(landing.status, TX_STATUS.CONFIRMED);
+
+  // Unsigned failures are passed on untracked
+  service.executeUltraSwapWithOrder = async () => { throw new Error('Quote rejected: price impact 50.00% (max 5%)'); };
+  await assert.rejects(swapAndConfirm(service, 'SOL', MINT, 1, {}, MINT), /^Error: Quote rejected/);
+});
+
+test('swapAndConfirm throws with the landing unless the swap was confirmed', async () => {
+  const failed = swapTransaction({ err: { InstructionError: [2, { Custom: 6001 }] } });
+  const service = {
+    wallet: { publicKey: OWNER },
+    connection: scriptedConnection([{ slot: 10, err: failed.meta.err, confirmationStatus: 'confirmed' }], { getTransaction: async () => failed }),
+    executeUltraSwapWithOrder: async () => ({ signature: 'sig', order: { outAmount: '1' } })
+  };
+
+  const error = await swapAndConfirm(service, 'SOL', MINT, 1, {}, MINT, { pollIntervalMs: 1 }).catch(thrown => thrown);
+
+  assert.equal(error.message, 'Transaction sig failed on chain: {"InstructionError":[2,{"Custom":6001}]}');
+  assert.equal(error.landing.status, TX_STATUS.FAILED);
+  assert.deepEqual(error.order, { outAmount: '1' });
+});
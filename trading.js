@@ -1,9 +1,12 @@
 //trading.js
 
 const fs = require('fs').promises;
+const { EventEmitter } = require('events');
 const { PublicKey, Connection } = require('@solana/web3.js');
 const { initializeConnection, initializeWallet, checkWalletBalance } = require('./wallet');
 const JupiterService = require('./src/services/jupiter');
+const { PaperJupiterService } = require('./src/services/paper');
+const { MODES } = require('./mode');
 const { DexScreenerService } = require('./src/services/dexscreener');
 const { getTokenHoldersHistorical } = require('./src/services/moralis');
 
@@ -13,6 +16,44 @@ const { fetchOHLCV, calculateIndicators } = require('./TA');
 // Import blacklist functionality
 const { isBlacklisted } = require('./blacklist');
 
+// Import position store for persistence across restarts
+const { loadPositions, savePositions } = require('./positions');
+
+// Import position sizing
+const { calculatePositionSize } = require('./sizing');
+
+// Import pre-trade safety checks
+const { checkTokenSafety } = require('./safety');
+
+// Import the check of swap orders before signing
+const { QuoteRejectedError, guardOrder, describeQuote } = require('./quote-guard');
+
+// Import the sell retry ladder
+const { executeExit } = require('./exit-executor');
+
+// Import transaction landing tracker
+const { TX_STATUS, swapAndConfirm, describeFill } = require('./tx-tracker');
+
+// Import SOL price feed
+const { getSolPriceUsd, getCachedSolPrice } = require('./price-oracle');
+
+// Import trade journal
+const { openJournalRecord, recordJournalExit, closeJournalRecord } = require('./journal');
+
+// Import risk governor
+const {
+  initializeRiskGovernor,
+  recordTrade,
+  updateUnrealizedPnl,
+  canOpenPositions,
+  shouldForceExit,
+  completeForceExit,
+  getRiskStatus
+} = require('./risk');
+
+// Import trading strategies
+const { getStrategy } = require('./strategies');
+
 // Import config
 const { BOT_CONFIG } = require('./config');
 
@@ -21,8 +62,6 @@ const logger = require('./logger');
 
 // Constants
 const SOL_MINT = 'So11111111111111111111111111111111111111112'; // Native SOL mint address
-const BUY_AMOUNT_SOL = BOT_CONFIG.BUY_AMOUNT_SOL; // Fixed buy amount in SOL
-const BUY_AMOUNT_LAMPORTS = BUY_AMOUNT_SOL * 1000000000; // Convert SOL to lamports
 const MAX_POSITIONS = BOT_CONFIG.MAX_POSITIONS || 1; // Maximum number of concurrent positions
 const PRICE_CHECK_INTERVAL = 7000; // 30 seconds
 const SLIPPAGE_BPS = BOT_CONFIG.SLIPPAGE_BPS || 500; // Slippage tolerance
@@ -31,373 +70,180 @@ const SLIPPAGE_BPS = BOT_CONFIG.SLIPPAGE_BPS || 500; // Slippage tolerance
 // Position tracking
 const positions = new Map();
 
+// Whether positions from the position store have been restored this run
+let positionsRestored = false;
+
 // Monitoring interval reference for cleanup
 let monitoringInterval = null;
 
+// Whether a monitoring tick is still running (ticks are skipped rather than overlapped)
+let monitoringInProgress = false;
+
+// Emergency exits running outside the monitoring tick, by token address
+const exitsInProgress = new Map();
+
+// Services of the running strategy, used by manual controls (force sell)
+let activeServices = null;
+
+// Manual pause of new entries ({ reason, pausedAt } or null)
+let manualPause = null;
+
+// Positions to sell on the next monitoring tick regardless of sell criteria
+const forceSellRequests = new Set();
+
+// Emits 'trade' after each logged trade and 'tick' after each monitoring tick
+const tradingEvents = new EventEmitter();
+
+// Most recent trades (newest last)
+const recentTrades = [];
+const RECENT_TRADES_LIMIT = 100;
+
 // Cache for OHLCV data to reduce API calls
 const ohlcvCache = new Map();
 const CACHE_TTL = 60000; // 1 minute cache TTL
 
 /**
- * Check if a token meets the buy criteria
+ * Check if a token meets the buy criteria of the configured strategy
  * @param {Object} token - Token data from finalTokens
- * @returns {boolean} - Whether the token meets buy criteria
+ * @returns {Object} - Entry decision: { buy, score, scoreDetails }
  */
 function meetsBuyCriteria(token) {
-  const indicators = token.indicators.hour || {};
-  const { BUY_CRITERIA } = BOT_CONFIG;
-
-  // Debug logging for individual criteria
-  logger.debug(`Evaluating buy criteria for ${token.symbol}:`);
-  logger.debug(`- Score: ${token.score} (needs > ${BUY_CRITERIA.MIN_SCORE}): ${token.score > BUY_CRITERIA.MIN_SCORE}`);
-  logger.debug(`- Price Change 5m: ${token.priceChange.m5}% (needs > ${BUY_CRITERIA.MIN_PRICE_CHANGE_5M}): ${token.priceChange.m5 > BUY_CRITERIA.MIN_PRICE_CHANGE_5M}`);
-  logger.debug(`- Price Change 1h: ${token.priceChange.h1}% (needs > ${BUY_CRITERIA.MIN_PRICE_CHANGE_1H}): ${token.priceChange.h1 > BUY_CRITERIA.MIN_PRICE_CHANGE_1H}`);
-  logger.debug(`- MACD: ${indicators.macd?.MACD}, Signal: ${indicators.macd?.signal}, Histogram: ${indicators.macd?.histogram}`);
-  logger.debug(`- MACD Bullish: ${indicators.macd?.MACD > indicators.macd?.signal && indicators.macd?.histogram > 0}`);
-  logger.debug(`- RSI: ${indicators.rsi} (needs < ${BUY_CRITERIA.MAX_RSI}): ${indicators.rsi < BUY_CRITERIA.MAX_RSI}`);
-  logger.debug(`- Price vs Bollinger Upper: ${token.priceUsd} vs ${indicators.bollinger?.upper}: ${token.priceUsd > indicators.bollinger?.upper}`);
-  logger.debug(`- Tenkan-sen vs Kijun-sen: ${indicators.ichimoku?.tenkanSen} vs ${indicators.ichimoku?.kijunSen}: ${indicators.ichimoku?.tenkanSen > indicators.ichimoku?.kijunSen}`);
-  logger.debug(`- Buy/Sell Ratio 5m: ${token.txns?.m5?.buys}/${token.txns?.m5?.sells} = ${token.txns?.m5?.buys / (token.txns?.m5?.sells || 1)} (needs > ${BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M}): ${token.txns?.m5?.buys / (token.txns?.m5?.sells || 1) > BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M}`);
-  logger.debug(`- Holder Change 24h: ${token.holderChange24h} (needs >= ${BUY_CRITERIA.MIN_HOLDER_CHANGE_24H}): ${token.holderChange24h === undefined || token.holderChange24h >= BUY_CRITERIA.MIN_HOLDER_CHANGE_24H}`);
-
-  // If scoring is disabled, use traditional AND-based criteria
-  if (!BUY_CRITERIA.SCORING_ENABLED) {
-    const result = (
-      token.score > BUY_CRITERIA.MIN_SCORE && // Score above minimum
-      token.priceChange.m5 > BUY_CRITERIA.MIN_PRICE_CHANGE_5M && token.priceChange.h1 > BUY_CRITERIA.MIN_PRICE_CHANGE_1H && // Recent positive momentum
-      indicators.macd?.MACD > indicators.macd?.signal && indicators.macd?.histogram > 0 && // MACD bullish
-      indicators.rsi < BUY_CRITERIA.MAX_RSI && // RSI not overbought
-      (token.priceUsd > indicators.bollinger?.upper || // Price above upper Bollinger Band
-       indicators.ichimoku?.tenkanSen > indicators.ichimoku?.kijunSen) && // Tenkan-sen above Kijun-sen
-      token.txns?.m5?.buys / (token.txns?.m5?.sells || 1) > BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M && // Recent buy pressure
-      (token.holderChange24h === undefined || token.holderChange24h >= BUY_CRITERIA.MIN_HOLDER_CHANGE_24H) // Positive holder growth or missing data
-    );
-
-    logger.debug(`Buy criteria met (traditional): ${result}`);
-    return result;
-  }
-
-  // Scoring-based system
-  const weights = BUY_CRITERIA.SCORE_WEIGHTS;
-  const bonus = BUY_CRITERIA.BONUS;
-  let totalScore = 0;
-  let scoreDetails = {};
-
-  // 1. Token Score (0-20 points)
-  const tokenScorePoints = token.score > BUY_CRITERIA.MIN_SCORE ?
-    weights.TOKEN_SCORE : (token.score / BUY_CRITERIA.MIN_SCORE) * weights.TOKEN_SCORE;
-  scoreDetails.tokenScore = Math.round(tokenScorePoints * 10) / 10;
-  totalScore += tokenScorePoints;
-
-  // 2. Price Momentum (0-15 points)
-  let momentumPoints = 0;
-  // 5m price change (0-7.5 points)
-  if (token.priceChange.m5 > BUY_CRITERIA.MIN_PRICE_CHANGE_5M) {
-    momentumPoints += weights.PRICE_MOMENTUM / 2;
-    // Bonus for strong 5m momentum
-    if (token.priceChange.m5 > bonus.STRONG_MOMENTUM_5M) {
-      momentumPoints += bonus.BONUS_POINTS;
-    }
-  } else if (token.priceChange.m5 > 0) {
-    // Partial points for positive but below threshold
-    momentumPoints += (token.priceChange.m5 / BUY_CRITERIA.MIN_PRICE_CHANGE_5M) * (weights.PRICE_MOMENTUM / 2);
-  }
-
-  // 1h price change (0-7.5 points)
-  if (token.priceChange.h1 > BUY_CRITERIA.MIN_PRICE_CHANGE_1H) {
-    momentumPoints += weights.PRICE_MOMENTUM / 2;
-  } else if (token.priceChange.h1 > -2) { // Allow slightly negative 1h if not too bad
-    // Scale from -2% to 0%: -2% = 0 points, 0% = half points
-    momentumPoints += ((token.priceChange.h1 + 2) / 2) * (weights.PRICE_MOMENTUM / 4);
-  }
-
-  scoreDetails.momentum = Math.round(momentumPoints * 10) / 10;
-  totalScore += momentumPoints;
-
-  // 3. MACD (0-15 points)
-  let macdPoints = 0;
-  if (indicators.macd?.MACD > indicators.macd?.signal && indicators.macd?.histogram > 0) {
-    macdPoints = weights.MACD;
-    // Bonus for strong histogram
-    if (indicators.macd?.histogram > 0.00001) { // Adjust threshold as needed
-      macdPoints += bonus.BONUS_POINTS / 2;
-    }
-  } else if (indicators.macd?.histogram > 0) {
-    // Partial points for positive histogram even if MACD < signal
-    macdPoints = weights.MACD / 2;
-  } else if (indicators.macd?.MACD > indicators.macd?.signal) {
-    // Partial points for MACD > signal even if histogram negative
-    macdPoints = weights.MACD / 3;
-  }
-  scoreDetails.macd = Math.round(macdPoints * 10) / 10;
-  totalScore += macdPoints;
-
-  // 4. RSI (0-10 points)
-  let rsiPoints = 0;
-  if (indicators.rsi < BUY_CRITERIA.MAX_RSI) {
-    // More points for RSI in the sweet spot (40-60)
-    if (indicators.rsi >= 40 && indicators.rsi <= 60) {
-      rsiPoints = weights.RSI;
-    } else {
-      rsiPoints = weights.RSI * 0.8; // 80% of points for non-optimal RSI
-    }
-  } else if (indicators.rsi < BUY_CRITERIA.MAX_RSI + 10) {
-    // Partial points for slightly overbought
-    rsiPoints = weights.RSI * (1 - ((indicators.rsi - BUY_CRITERIA.MAX_RSI) / 10));
-  }
-  scoreDetails.rsi = Math.round(rsiPoints * 10) / 10;
-  totalScore += rsiPoints;
-
-  // 5. Price Breakout (0-15 points)
-  let breakoutPoints = 0;
-  const priceAboveBB = token.priceUsd > indicators.bollinger?.upper;
-  const ichimokuBullish = indicators.ichimoku?.tenkanSen > indicators.ichimoku?.kijunSen;
-
-  if (priceAboveBB && ichimokuBullish) {
-    // Both signals are bullish
-    breakoutPoints = weights.PRICE_BREAKOUT + (bonus.BONUS_POINTS / 2);
-  } else if (priceAboveBB) {
-    breakoutPoints = weights.PRICE_BREAKOUT * 0.8; // 80% for BB breakout
-  } else if (ichimokuBullish) {
-    breakoutPoints = weights.PRICE_BREAKOUT * 0.7; // 70% for Ichimoku signal
-  } else if (token.priceUsd > indicators.bollinger?.middle) {
-    // Partial points for price above middle BB
-    breakoutPoints = weights.PRICE_BREAKOUT * 0.4;
-  }
-  scoreDetails.breakout = Math.round(breakoutPoints * 10) / 10;
-  totalScore += breakoutPoints;
-
-  // 6. Buy/Sell Ratio (0-15 points)
-  let buySellPoints = 0;
-  const buySellRatio = token.txns?.m5?.buys / (token.txns?.m5?.sells || 1);
-
-  if (buySellRatio > BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M) {
-    buySellPoints = weights.BUY_SELL_RATIO;
-    // Bonus for exceptionally high buy/sell ratio
-    if (buySellRatio > bonus.HIGH_BUY_SELL_RATIO) {
-      buySellPoints += bonus.BONUS_POINTS;
-    }
-  } else if (buySellRatio > 1.0) {
-    // Partial points for positive but below threshold
-    buySellPoints = (buySellRatio - 1) / (BUY_CRITERIA.MIN_BUY_SELL_RATIO_5M - 1) * weights.BUY_SELL_RATIO;
-  }
-  scoreDetails.buySellRatio = Math.round(buySellPoints * 10) / 10;
-  totalScore += buySellPoints;
-
-  // 7. Holder Growth (0-10 points)
-  let holderPoints = 0;
-  if (token.holderChange24h === undefined) {
-    // If holder data is missing, award partial points
-    holderPoints = weights.HOLDER_GROWTH * 0.5;
-  } else if (token.holderChange24h >= BUY_CRITERIA.MIN_HOLDER_CHANGE_24H) {
-    holderPoints = weights.HOLDER_GROWTH;
-    // Bonus for strong holder growth
-    if (token.holderChange24h > 5) { // 5% growth
-      holderPoints += bonus.BONUS_POINTS / 2;
-    }
-  } else if (token.holderChange24h > -2) {
-    // Partial points for slightly negative holder change
-    holderPoints = (token.holderChange24h + 2) / 2 * weights.HOLDER_GROWTH * 0.5;
-  }
-  scoreDetails.holderGrowth = Math.round(holderPoints * 10) / 10;
-  totalScore += holderPoints;
-
-  // Round total score to one decimal place
-  totalScore = Math.round(totalScore * 10) / 10;
-
-  // Log detailed scoring breakdown
-  logger.debug('Scoring breakdown:');
-  logger.debug(`- Token Score: ${scoreDetails.tokenScore}/${weights.TOKEN_SCORE}`);
-  logger.debug(`- Price Momentum: ${scoreDetails.momentum}/${weights.PRICE_MOMENTUM}`);
-  logger.debug(`- MACD: ${scoreDetails.macd}/${weights.MACD}`);
-  logger.debug(`- RSI: ${scoreDetails.rsi}/${weights.RSI}`);
-  logger.debug(`- Price Breakout: ${scoreDetails.breakout}/${weights.PRICE_BREAKOUT}`);
-  logger.debug(`- Buy/Sell Ratio: ${scoreDetails.buySellRatio}/${weights.BUY_SELL_RATIO}`);
-  logger.debug(`- Holder Growth: ${scoreDetails.holderGrowth}/${weights.HOLDER_GROWTH}`);
-  logger.debug(`Total Score: ${totalScore}/100 (Threshold: ${BUY_CRITERIA.MIN_TOTAL_SCORE})`);
-
-  const result = totalScore >= BUY_CRITERIA.MIN_TOTAL_SCORE;
-  logger.debug(`Buy criteria met (scoring): ${result}`);
-  return result;
+  return getStrategy().evaluateEntry(token, {});
 }
 
 /**
- * Check if a position meets the sell criteria
+ * Check if a position meets the sell criteria of the configured strategy
  * @param {Object} position - Position data
  * @param {Object} currentData - Current token data
  * @returns {Object} - Sell decision with reason
  */
 function meetsSellCriteria(position, currentData) {
-  const indicators = currentData.indicators.hour || {};
-  const currentPrice = currentData.priceUsd;
-  const entryPrice = position.entryPrice;
-  const profitPercent = ((currentPrice - entryPrice) / entryPrice) * 100; // Convert to percentage
-  const highestPrice = position.highestPrice;
-  const { SELL_CRITERIA } = BOT_CONFIG;
-
-  // Enhanced trailing stop calculation
-  // 1. Dynamic ATR Multiplier based on profit level
-  let atrMultiplier = SELL_CRITERIA.TRAILING_STOP?.ATR_MULTIPLIER || 2.5; // Default if not configured
-
-  // Find the appropriate multiplier based on profit level
-  if (SELL_CRITERIA.TRAILING_STOP?.DYNAMIC_ATR_MULTIPLIERS) {
-    // Sort multipliers by profit percent (highest first)
-    const sortedMultipliers = [...SELL_CRITERIA.TRAILING_STOP.DYNAMIC_ATR_MULTIPLIERS]
-      .sort((a, b) => b.PROFIT_PERCENT - a.PROFIT_PERCENT);
-
-    // Find the first multiplier where profit is >= the threshold
-    for (const level of sortedMultipliers) {
-      if (profitPercent >= level.PROFIT_PERCENT) {
-        atrMultiplier = level.MULTIPLIER;
-        break;
-      }
-    }
-  }
-
-  // 2. Calculate ATR-based trailing stop
-  const atrTrailingStop = highestPrice - (atrMultiplier * (indicators.atr || 0));
-
-  // 3. Calculate percentage-based trailing stop
-  const trailingStopPercent = SELL_CRITERIA.TRAILING_STOP?.PERCENT || 3.0;
-  const percentTrailingStop = highestPrice * (1 - (trailingStopPercent / 100));
-
-  // 4. Use the maximum of the two stops if configured, otherwise use ATR-based
-  let trailingStopPrice;
-  if (SELL_CRITERIA.TRAILING_STOP?.USE_MAX_STOP) {
-    trailingStopPrice = Math.max(atrTrailingStop, percentTrailingStop);
-    // Log which stop is being used
-    if (atrTrailingStop > percentTrailingStop) {
-      logger.debug(`Using ATR-based trailing stop: ${atrTrailingStop.toFixed(8)} (ATR multiplier: ${atrMultiplier})`);
-    } else {
-      logger.debug(`Using percentage-based trailing stop: ${percentTrailingStop.toFixed(8)} (${trailingStopPercent}% below highest price)`);
-    }
-  } else {
-    trailingStopPrice = atrTrailingStop;
-    logger.debug(`Using ATR-based trailing stop: ${atrTrailingStop.toFixed(8)} (ATR multiplier: ${atrMultiplier})`);
-  }
-
-  // Initialize tiered profit taking if not already set
-  if (!position.tiers) {
-    position.tiers = [];
-    if (SELL_CRITERIA.TIERED_PROFIT_TAKING && SELL_CRITERIA.TIERED_PROFIT_TAKING.ENABLED) {
-      // Copy tiers from config to avoid modifying the original
-      position.tiers = SELL_CRITERIA.TIERED_PROFIT_TAKING.TIERS.map(tier => ({
-        percent: tier.PERCENT,
-        positionPercent: tier.POSITION_PERCENT,
-        executed: false
-      }));
-    }
-  }
-
-  // Check for tiered profit taking
-  if (SELL_CRITERIA.TIERED_PROFIT_TAKING && SELL_CRITERIA.TIERED_PROFIT_TAKING.ENABLED) {
-    // Sort tiers by profit percent (highest first) to check higher tiers first
-    const sortedTiers = [...position.tiers].sort((a, b) => b.percent - a.percent);
-
-    for (const tier of sortedTiers) {
-      if (!tier.executed && profitPercent >= tier.percent) {
-        // Mark this tier as executed
-        tier.executed = true;
+  return getStrategy().evaluateExit(position, currentData, {});
+}
 
-        // Update the position's tiers
-        position.tiers = position.tiers.map(t =>
-          t.percent === tier.percent ? tier : t
-        );
+/**
+ * Log trade details to file
+ * @param {Object} tradeDetails - Details of the trade
+ * @param {boolean} [countsForRisk] - Feed the trade to the risk governor (false for the legs of a multi-leg sell,
+ * which is recorded once as a whole)
+ */
+async function logTrade(tradeDetails, countsForRisk = true) {
+  // Record the SOL price the trade's PnL is converted at
+  tradeDetails.solPriceUsd = tradeDetails.solPriceUsd || getCachedSolPrice();
 
-        return {
-          sell: true,
-          reason: `Tiered profit taking (${tier.percent}%)`,
-          tier: tier,
-          sellPercentage: tier.positionPercent
-        };
-      }
-    }
-  }
+  // Use the logger's trade function to log the trade
+  // This will log to the ./logs/trades.log file instead of the root directory
+  logger.trade(tradeDetails);
 
-  // Check traditional sell conditions
-  if (profitPercent >= SELL_CRITERIA.PROFIT_TARGET) {
-    return {
-      sell: true,
-      reason: `Profit target reached (${SELL_CRITERIA.PROFIT_TARGET}%)`,
-      sellPercentage: 100 // Sell all remaining
-    };
+  // Feed realized PnL to the risk governor
+  if (countsForRisk) {
+    recordTrade(tradeDetails);
   }
 
-  if (profitPercent <= SELL_CRITERIA.STOP_LOSS) {
-    return {
-      sell: true,
-      reason: `Stop loss triggered (${SELL_CRITERIA.STOP_LOSS}%)`,
-      sellPercentage: 100 // Sell all
-    };
+  // Keep recent trades for status reporting
+  recentTrades.push({ ...tradeDetails, timestamp: tradeDetails.timestamp || new Date().toISOString() });
+  if (recentTrades.length > RECENT_TRADES_LIMIT) {
+    recentTrades.shift();
   }
+  tradingEvents.emit('trade', tradeDetails);
 
-  if (currentPrice < trailingStopPrice && highestPrice > entryPrice) {
-    // Calculate how much the price dropped from the highest point
-    const dropPercent = ((highestPrice - currentPrice) / highestPrice) * 100;
-
-    // Determine which type of trailing stop was triggered
-    let stopType = "ATR-based";
-    if (SELL_CRITERIA.TRAILING_STOP?.USE_MAX_STOP && percentTrailingStop > atrTrailingStop) {
-      stopType = "percentage-based";
-    }
+  // Log a simple message to the console
+  logger.info(`Trade logged: ${tradeDetails.action} ${tradeDetails.symbol}`);
+}
 
-    return {
-      sell: true,
-      reason: `Trailing stop triggered (${stopType}, ${dropPercent.toFixed(2)}% drop from high of $${highestPrice.toFixed(8)})`,
-      sellPercentage: 100 // Sell all
-    };
-  }
+// Use the getESTTimestamp function from logger.js instead of duplicating it here
 
-  if (indicators.rsi > SELL_CRITERIA.MAX_RSI) {
-    return {
-      sell: true,
-      reason: `RSI overbought (>${SELL_CRITERIA.MAX_RSI})`,
-      sellPercentage: 100 // Sell all
-    };
-  }
+/**
+ * Realized PnL in SOL for selling part of a position, and reduce its remaining cost
+ * @param {Object} position - Position data (amountSol is the SOL still committed)
+ * @param {number} soldFraction - Fraction of the held tokens sold (0-1)
+ * @param {number} price - Sell price in USD
+ * @returns {number} - Realized PnL in SOL
+ */
+function realizePnl(position, soldFraction, price) {
+  const fraction = Math.min(1, Math.max(0, soldFraction));
+  const costSol = (position.amountSol || BOT_CONFIG.BUY_AMOUNT_SOL) * fraction;
+  position.amountSol = (position.amountSol || BOT_CONFIG.BUY_AMOUNT_SOL) - costSol;
+  return costSol * ((price - position.entryPrice) / position.entryPrice);
+}
 
-  if (currentPrice < indicators.bollinger?.middle) {
-    return {
-      sell: true,
-      reason: 'Price below Bollinger middle band',
-      sellPercentage: 100 // Sell all
-    };
+/**
+ * Get a wallet's balance of a token
+ * @param {Connection} connection - Solana connection
+ * @param {PublicKey} publicKey - Wallet public key
+ * @param {string} tokenAddress - Token mint address
+ * @returns {Promise<number|null>} - Balance in UI units (0 without a token account), or null if it couldn't be read
+ */
+async function getTokenBalance(connection, publicKey, tokenAddress) {
+  try {
+    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(publicKey, { mint: new PublicKey(tokenAddress) });
+    return tokenAccounts.value.reduce((sum, account) => sum + parseFloat(account.account.data.parsed.info.tokenAmount.uiAmount || 0), 0);
+  } catch (error) {
+    logger.debug(`Failed to read ${tokenAddress} balance: ${error.message}`);
+    return null;
   }
+}
 
-  if (currentData.holderChange24h < SELL_CRITERIA.MIN_HOLDER_CHANGE_24H) {
-    return {
-      sell: true,
-      reason: 'Significant holder decrease',
-      sellPercentage: 100 // Sell all
-    };
+/**
+ * Get the decimals of a token mint
+ * @param {Connection} connection - Solana connection
+ * @param {string} tokenAddress - Token mint address
+ * @returns {Promise<number|null>} - Decimals, or null if the mint couldn't be read
+ */
+async function getMintDecimals(connection, tokenAddress) {
+  try {
+    const account = await connection.getParsedAccountInfo(new PublicKey(tokenAddress));
+    const decimals = account?.value?.data?.parsed?.info?.decimals;
+    return typeof decimals === 'number' ? decimals : null;
+  } catch (error) {
+    logger.debug(`Failed to read decimals of ${tokenAddress}: ${error.message}`);
+    return null;
   }
-
-  return { sell: false };
 }
 
 /**
- * Log trade details to file
- * @param {Object} tradeDetails - Details of the trade
+ * Stop tracking a position and close its journal record
+ * @param {string} tokenAddress - Token address of the position
+ * @param {string} reason - Why the position closed
+ * @returns {Promise<void>}
  */
-async function logTrade(tradeDetails) {
-  // Use the logger's trade function to log the trade
-  // This will log to the ./logs/trades.log file instead of the root directory
-  logger.trade(tradeDetails);
-
-  // Log a simple message to the console
-  logger.info(`Trade logged: ${tradeDetails.action} ${tradeDetails.symbol}`);
+async function removePosition(tokenAddress, reason) {
+  positions.delete(tokenAddress);
+  await closeJournalRecord(tokenAddress, reason);
 }
 
-// Use the getESTTimestamp function from logger.js instead of duplicating it here
+/**
+ * Decide how much SOL to spend on a token
+ * Equity is the free SOL balance plus the SOL committed to open positions,
+ * split evenly across the MAX_POSITIONS slots.
+ * @param {Object} token - Token data
+ * @param {JupiterService} jupiterService - Jupiter service instance
+ * @param {Connection} connection - Solana connection
+ * @returns {Promise<Object>} - Sizing decision from calculatePositionSize
+ */
+async function sizePosition(token, jupiterService, connection) {
+  const balanceLamports = await connection.getBalance(jupiterService.wallet.publicKey);
+  const freeSol = balanceLamports / 1000000000;
+  const committedSol = Array.from(positions.values())
+    .reduce((sum, pos) => sum + (pos.amountSol || BOT_CONFIG.BUY_AMOUNT_SOL), 0);
+
+  return calculatePositionSize(token, {
+    equitySol: freeSol + committedSol,
+    availableSol: freeSol - BOT_CONFIG.MINIMUM_SOL_BALANCE,
+    slotBudgetSol: (freeSol + committedSol) / MAX_POSITIONS,
+    solPriceUsd: await getSolPriceUsd(jupiterService)
+  });
+}
 
 /**
  * Execute a buy order
  * @param {Object} token - Token data
  * @param {JupiterService} jupiterService - Jupiter service instance
  * @param {Connection} connection - Solana connection
+ * @param {Object} [entryDecision] - Entry decision of the strategy ({ buy, score, scoreDetails })
  * @returns {Object|null} - Position data or null if buy failed
  */
-async function executeBuy(token, jupiterService, connection) {
+async function executeBuy(token, jupiterService, connection, entryDecision = {}) {
   try {
     logger.info(`Attempting to buy ${token.symbol} (${token.tokenAddress})`);
 
@@ -407,231 +253,154 @@ async function executeBuy(token, jupiterService, connection) {
       return null;
     }
 
-    // Get pre-swap balance to compare later
-    let preSwapBalance = 0;
+    // Size the position
+    const size = await sizePosition(token, jupiterService, connection);
+    if (size.amountSol <= 0) {
+      logger.warn(`Skipping ${token.symbol}: ${size.reason}`);
+      return null;
+    }
 
-    // Try to get balance directly from wallet first (most reliable)
-    try {
-      const tokenAccount = await connection.getParsedTokenAccountsByOwner(
-        jupiterService.wallet.publicKey,
-        { mint: new PublicKey(token.tokenAddress) }
-      );
+    // Make sure the token can be sold back before committing SOL
+    const safety = await checkTokenSafety(token, size.amountSol, jupiterService, connection);
+    if (!safety.safe) {
+      logger.logUser(`Skipped ${token.symbol}: failed safety checks (${safety.reasons.join('; ')})`);
+      return null;
+    }
 
-      if (tokenAccount.value.length > 0) {
-        const balance = tokenAccount.value[0].account.data.parsed.info.tokenAmount;
-        preSwapBalance = parseFloat(balance.uiAmount);
-        logger.debug(`Pre-swap direct wallet balance of ${token.symbol}: ${preSwapBalance}`);
-        console.log(`[DIRECT WALLET] Pre-swap balance of ${token.symbol}: ${preSwapBalance}`);
-      } else {
-        logger.debug(`No token account found for ${token.symbol}, assuming zero balance`);
-        console.log(`[DIRECT WALLET] No token account found for ${token.symbol}, assuming zero balance`);
-        preSwapBalance = 0;
-      }
-    } catch (walletError) {
-      logger.warn(`Failed to get direct wallet balance: ${walletError.message}`);
-      console.log(`[DIRECT WALLET] Failed to get balance: ${walletError.message}`);
+    const buyAmountLamports = Math.floor(size.amountSol * 1000000000);
+    logger.info(`Executing swap with ${size.amountSol.toFixed(4)} SOL (${buyAmountLamports} lamports), sizing: ${size.reason}`);
 
-      // Fallback to Jupiter API
-      try {
-        const balances = await jupiterService.getBalances();
-        if (balances && balances.tokens && Array.isArray(balances.tokens)) {
-          const tokenBalance = balances.tokens.find(t => t.mint === token.tokenAddress);
-          preSwapBalance = tokenBalance ? parseFloat(tokenBalance.uiAmount) : 0;
-          logger.debug(`Pre-swap Jupiter API balance of ${token.symbol}: ${preSwapBalance}`);
-          console.log(`[JUPITER API] Pre-swap balance of ${token.symbol}: ${preSwapBalance}`);
-        } else {
-          logger.warn(`Jupiter API returned unexpected data structure: ${JSON.stringify(balances)}`);
-          console.log(`[JUPITER API] Unexpected data structure: ${JSON.stringify(balances)}`);
-          preSwapBalance = 0;
-        }
-      } catch (jupiterError) {
-        logger.warn(`Failed to get Jupiter API balance: ${jupiterError.message}`);
-        console.log(`[JUPITER API] Failed to get balance: ${jupiterError.message}`);
-        preSwapBalance = 0;
+    // Decimals are needed to check the order's price, to sell the right raw amount later and to compare the fill with the quote
+    if (token.tokenDecimals === undefined) {
+      const decimals = await getMintDecimals(connection, token.tokenAddress);
+      if (decimals === null) {
+        logger.logUser(`Skipped ${token.symbol}: could not read its mint decimals, so the order's price can't be checked`);
+        return null;
       }
+      token.tokenDecimals = decimals;
     }
 
+    // The order is checked against DexScreener's price and the QUOTE_GUARD limits before signing
+    const quoteContext = {
+      side: 'buy',
+      marketPriceUsd: token.priceUsd,
+      decimals: token.tokenDecimals,
+      solPriceUsd: await getSolPriceUsd(jupiterService),
+      slippageBps: SLIPPAGE_BPS
+    };
 
-    // Using fixed buy amount as requested
-    logger.info(`Executing swap with fixed amount: ${BUY_AMOUNT_SOL} SOL (${BUY_AMOUNT_LAMPORTS} lamports)`);
+    // Token balance before the swap, to measure the tokens received if the transaction can't be read back
+    const preSwapBalance = await getTokenBalance(connection, jupiterService.wallet.publicKey, token.tokenAddress);
 
-    // Execute swap from SOL to token using Ultra API
+    // Execute swap from SOL to token using Ultra API and wait until it lands
     let txSignature;
-    let transactionTimedOut = false;
-
+    let order;
+    let landing;
     try {
-      // Use the new executeUltraSwap method which uses Jupiter's Ultra API
-      txSignature = await jupiterService.executeUltraSwap(
+      ({ signature: txSignature, order, landing } = await swapAndConfirm(
+        jupiterService,
         SOL_MINT,
         token.tokenAddress,
-        BUY_AMOUNT_LAMPORTS
-      );
+        buyAmountLamports,
+        { slippageBps: SLIPPAGE_BPS, checkOrder: guardOrder(quoteContext) },
+        token.tokenAddress
+      ));
       logger.info(`Transaction confirmed: ${txSignature}`);
     } catch (error) {
-      // Check if this is a timeout error but the transaction might have gone through
-      if (error.message && error.message.includes('was not confirmed') && error.message.includes('signature')) {
-        // Extract the transaction signature from the error message
-        const signatureMatch = error.message.match(/signature ([A-Za-z0-9]+)/i);
-        if (signatureMatch && signatureMatch[1]) {
-          txSignature = signatureMatch[1];
-          transactionTimedOut = true;
-          logger.warn(`Transaction timed out but may have succeeded. Checking status for: ${txSignature}`);
-
-          // Wait a bit longer for the transaction to potentially confirm
-          await new Promise(resolve => setTimeout(resolve, 10000));
-
-          // Check if the transaction was confirmed
-          try {
-            const connection = jupiterService.connection;
-            const status = await connection.getSignatureStatus(txSignature, { searchTransactionHistory: true });
-
-            if (status && status.value && status.value.confirmationStatus === 'confirmed') {
-              logger.info(`Transaction ${txSignature} was confirmed after timeout!`);
-              // Continue with the process as if the transaction succeeded
-            } else if (status && status.value && status.value.confirmationStatus === 'finalized') {
-              logger.info(`Transaction ${txSignature} was finalized after timeout!`);
-              // Continue with the process as if the transaction succeeded
-            } else {
-              logger.warn(`Transaction ${txSignature} status after timeout: ${JSON.stringify(status)}`);
-              if (!status || !status.value) {
-                throw new Error(`Transaction not found after timeout`);
-              } else {
-                throw new Error(`Transaction not confirmed after timeout: ${status.value.confirmationStatus}`);
-              }
-            }
-          } catch (statusError) {
-            logger.error(`Failed to check transaction status: ${statusError.message}`);
-            throw new Error(`Transaction timed out and status check failed: ${statusError.message}`);
-          }
-        } else {
-          throw error; // Re-throw if we couldn't extract the signature
-        }
-      } else {
-        throw error; // Re-throw if it's not a timeout error
+      // Nothing was signed, the order didn't match the market
+      if (error instanceof QuoteRejectedError) {
+        logger.warn(`Aborting purchase of ${token.symbol}: ${error.message}`);
+        logger.logUser(`Skipped ${token.symbol}: ${error.message}`);
+        return null;
+      }
+      // Not yet landed is not the same as lost, the position would be untracked if it lands later
+      if (error.landing?.status === TX_STATUS.UNKNOWN) {
+        logger.logUser(`Buy of ${token.symbol} unconfirmed, check ${error.landing.signature} and the wallet manually`);
       }
+      throw error;
     }
 
-    // Wait a moment for the transaction to be confirmed and balances to update
-    // Wait longer if the transaction timed out but was confirmed later
-    const waitTime = transactionTimedOut ? 15000 : 10000;
-    logger.debug(`Waiting ${waitTime/1000} seconds for balances to update...`);
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-
-    // Get actual token amount from updated balance
-    let actualAmount;
-    try {
-      // Try to get balance from Jupiter API first
-      const balances = await jupiterService.getBalances();
+    if (landing.tokenDecimals !== null && token.tokenDecimals === undefined) {
+      token.tokenDecimals = landing.tokenDecimals;
+    }
 
-      // Add proper error checking
-      if (balances && balances.tokens && Array.isArray(balances.tokens)) {
-        const tokenBalance = balances.tokens.find(t => t.mint === token.tokenAddress);
-        const postSwapBalance = tokenBalance ? parseFloat(tokenBalance.uiAmount) : 0;
+    // The fill as it landed: exact tokens received and SOL traded, with fees and rent split out
+    const fill = describeFill(landing, 'buy');
+    let actualAmount = fill ? fill.tokens : null;
+    if (actualAmount === null) {
+      // The transaction couldn't be read back, measure the wallet instead
+      const postSwapBalance = await getTokenBalance(connection, jupiterService.wallet.publicKey, token.tokenAddress);
+      if (preSwapBalance !== null && postSwapBalance !== null && postSwapBalance > preSwapBalance) {
         actualAmount = postSwapBalance - preSwapBalance;
-        logger.debug(`Post-swap balance of ${token.symbol} from Jupiter API: ${postSwapBalance}`);
-        console.log(`[JUPITER API] Post-swap balance of ${token.symbol}: ${postSwapBalance}`);
-        logger.debug(`Calculated amount received: ${actualAmount}`);
-        console.log(`[JUPITER API] Calculated amount received: ${actualAmount}`);
+      } else if (order?.outAmount && token.tokenDecimals !== undefined) {
+        actualAmount = Number(order.outAmount) / Math.pow(10, token.tokenDecimals);
+        logger.warn(`Could not measure the ${token.symbol} received by ${txSignature}, using the quoted ${actualAmount}`);
       } else {
-        logger.warn(`Jupiter API returned unexpected data structure: ${JSON.stringify(balances)}`);
-        console.log(`[JUPITER API] Unexpected data structure: ${JSON.stringify(balances)}`);
-        // Fall back to direct wallet balance check
-        throw new Error('Invalid balance data structure');
-      }
-
-      // If Jupiter API gives suspicious results, try direct wallet balance check
-      if (actualAmount <= 0 || actualAmount > 1000000000) {
-        logger.warn(`Suspicious amount received (${actualAmount}), checking direct wallet balance`);
-        console.log(`[JUPITER API] Suspicious amount received (${actualAmount}), falling back to direct wallet check`);
-
-        // Get token balance directly from the wallet
-        const tokenAccount = await connection.getParsedTokenAccountsByOwner(
-          jupiterService.wallet.publicKey,
-          { mint: new PublicKey(token.tokenAddress) }
-        );
-
-        if (tokenAccount.value.length > 0) {
-          const balance = tokenAccount.value[0].account.data.parsed.info.tokenAmount;
-          const directBalance = parseFloat(balance.uiAmount);
-          const tokenDecimals = balance.decimals;
-          logger.debug(`Direct wallet balance of ${token.symbol}: ${directBalance} (decimals: ${tokenDecimals})`);
-          console.log(`[DIRECT WALLET] Post-swap balance of ${token.symbol}: ${directBalance} (decimals: ${tokenDecimals})`);
-
-          // Use direct balance as the actual amount
-          actualAmount = directBalance;
-
-          // Store token decimals for later use
-          token.tokenDecimals = tokenDecimals;
-        } else {
-          logger.warn(`No token account found for ${token.symbol}, falling back to estimate`);
-          console.log(`[DIRECT WALLET] No token account found for ${token.symbol}, falling back to estimate`);
-          // Use a more conservative estimate
-          actualAmount = (BUY_AMOUNT_LAMPORTS * 0.95) / (token.priceUsd * 1.05); // Account for slippage and fees
-        }
-      }
-    } catch (error) {
-      logger.warn(`Failed to get post-swap balance: ${error.message}`);
-      console.log(`[JUPITER API] Failed to get post-swap balance: ${error.message}`);
-
-      try {
-        // Try direct wallet balance check as fallback
-        const tokenAccount = await connection.getParsedTokenAccountsByOwner(
-          jupiterService.wallet.publicKey,
-          { mint: new PublicKey(token.tokenAddress) }
-        );
-
-        if (tokenAccount.value.length > 0) {
-          const balance = tokenAccount.value[0].account.data.parsed.info.tokenAmount;
-          const directBalance = parseFloat(balance.uiAmount);
-          logger.debug(`Direct wallet balance of ${token.symbol}: ${directBalance}`);
-          console.log(`[DIRECT WALLET] Post-swap balance of ${token.symbol}: ${directBalance}`);
-          actualAmount = directBalance;
-        } else {
-          // Last resort fallback
-          console.log(`[DIRECT WALLET] No token account found for ${token.symbol}, using estimate`);
-          actualAmount = (BUY_AMOUNT_LAMPORTS * 0.95) / (token.priceUsd * 1.05); // Account for slippage and fees
-        }
-      } catch (secondError) {
-        logger.warn(`Failed to get direct wallet balance: ${secondError.message}`);
-        console.log(`[DIRECT WALLET] Failed to get balance: ${secondError.message}`);
-        // Last resort fallback
-        console.log(`[BALANCE] All balance checks failed, using estimate`);
-        actualAmount = (BUY_AMOUNT_LAMPORTS * 0.95) / (token.priceUsd * 1.05); // Account for slippage and fees
+        throw new Error(`Could not measure the ${token.symbol} received by ${txSignature}, check the wallet manually`);
       }
     }
 
-    // Sanity check on the amount
-    if (actualAmount > 1000000000) {
-      logger.warn(`Amount suspiciously large (${actualAmount}), capping to reasonable value`);
-      // Cap to a reasonable value based on the transaction amount
-      actualAmount = (BUY_AMOUNT_LAMPORTS * 0.95) / (token.priceUsd * 1.05);
-    }
+    // Execution price of the fill, rather than the market price the decision was based on
+    const solPriceUsd = await getSolPriceUsd(jupiterService);
+    const executionPrice = fill ? fill.priceSol * solPriceUsd : token.priceUsd;
+    logger.info(`Filled ${actualAmount} ${token.symbol} at $${executionPrice} (market $${token.priceUsd})` +
+      (fill ? `, ${fill.walletSol.toFixed(6)} SOL spent incl. ${fill.feeSol.toFixed(6)} fee and ${fill.rentSol.toFixed(6)} rent` : ''));
 
-    logger.debug(`Final amount used for position: ${actualAmount}`);
+    // Cost basis: the SOL the buy cost (swap and fees, not the refundable token account rent) per token received,
+    // at the live SOL price. Profit targets and stops are measured against it.
+    const costSol = fill ? fill.swapSol + fill.feeSol : size.amountSol;
+    const entryPrice = fill ? (costSol / actualAmount) * solPriceUsd : token.priceUsd;
 
     // Create position object
     const position = {
       tokenAddress: token.tokenAddress,
       symbol: token.symbol,
-      entryPrice: token.priceUsd,
+      entryPrice,
       entryTime: Date.now(),
-      highestPrice: token.priceUsd,
+      highestPrice: entryPrice,
       amount: actualAmount,
+      amountSol: costSol,
       poolAddress: token.poolAddress,
       txSignature,
-      tokenDecimals: token.tokenDecimals || 9 // Default to 9 decimals if not available
+      tokenDecimals: token.tokenDecimals || 9, // Default to 9 decimals if not available
+      entryScore: typeof entryDecision.score === 'number' ? entryDecision.score : null,
+      scoreDetails: entryDecision.scoreDetails || null
     };
 
     // Log the trade
     await logTrade({
       action: 'BUY',
       symbol: token.symbol,
-      price: token.priceUsd,
+      price: executionPrice,
       amount: position.amount,
       txSignature,
       reason: `Score: ${token.score.toFixed(2)}/100, RSI: ${token.indicators.hour?.rsi?.toFixed(2)}`
     });
 
+    // Journal the fill as it actually happened
+    const entry = {
+      price: executionPrice,
+      costBasisPrice: entryPrice,
+      marketPrice: token.priceUsd,
+      amountSol: size.amountSol,
+      solSpent: fill ? fill.walletSol : null,
+      tokensReceived: actualAmount,
+      quotedTokens: order?.outAmount && token.tokenDecimals !== undefined
+        ? Number(order.outAmount) / Math.pow(10, token.tokenDecimals)
+        : null,
+      quote: order ? describeQuote(order, quoteContext) : null,
+      feeSol: landing.feeSol,
+      priorityFeeSol: landing.priorityFeeSol,
+      rentSol: fill ? fill.rentSol : null,
+      txSignature,
+      tokenScore: token.score,
+      entryScore: position.entryScore,
+      scoreDetails: position.scoreDetails,
+      sizing: size.reason,
+      solPriceUsd
+    };
+
+    await openJournalRecord(position, entry);
     return position;
   } catch (error) {
     logger.error(`Buy execution failed for ${token.symbol}: ${error.message}`);
@@ -639,6 +408,43 @@ async function executeBuy(token, jupiterService, connection) {
   }
 }
 
+/**
+ * Journal a sell with the SOL the wallet actually received
+ * @param {Object} position - Position data
+ * @param {Object} sell - Sell details
+ * @param {number} sell.price - Execution price in USD
+ * @param {number} sell.marketPrice - Market price the sell decision was based on
+ * @param {number} sell.tokensSold - Tokens sold
+ * @param {Object|null} sell.order - Ultra order the swap was built from
+ * @param {Object|null} sell.quote - Summary of the order from quote-guard.js describeQuote
+ * @param {Object} sell.landing - Tracker result of the swap transaction (see tx-tracker.js)
+ * @param {Object|null} sell.fill - Fill from tx-tracker.js describeFill, or null if the transaction couldn't be read
+ * @param {number} sell.pnlSol - Price-based realized PnL in SOL
+ * @param {string} sell.txSignature - Swap transaction signature
+ * @param {string} sell.reason - Sell reason
+ * @param {number} sell.sellPercentage - Percentage of the position the sell was for
+ * @param {number} sell.solPriceUsd - SOL price the execution price was converted with
+ * @returns {Promise<void>}
+ */
+async function journalSell(position, sell) {
+  await recordJournalExit(position.tokenAddress, {
+    price: sell.price,
+    marketPrice: sell.marketPrice,
+    tokensSold: sell.tokensSold,
+    quotedSol: sell.order?.outAmount ? Number(sell.order.outAmount) / 1000000000 : null,
+    quote: sell.quote || null,
+    solReceived: sell.fill ? sell.fill.walletSol : null,
+    feeSol: sell.landing.feeSol,
+    priorityFeeSol: sell.landing.priorityFeeSol,
+    rentSol: sell.fill ? sell.fill.rentSol : null,
+    pnlSol: sell.pnlSol,
+    reason: sell.reason,
+    sellPercentage: sell.sellPercentage,
+    txSignature: sell.txSignature,
+    solPriceUsd: sell.solPriceUsd
+  });
+}
+
 /**
  * Execute a sell order
  * @param {Object} position - Position data
@@ -646,9 +452,10 @@ async function executeBuy(token, jupiterService, connection) {
  * @param {JupiterService} jupiterService - Jupiter service instance
  * @param {string} reason - Reason for selling
  * @param {number} sellPercentage - Percentage of position to sell (1-100)
+ * @param {boolean} [emergency] - Emergency exit, retried harder (see exit-executor.js)
  * @returns {Promise<boolean>} - Whether sell was successful
  */
-async function executeSell(position, currentData, jupiterService, reason, sellPercentage = 100) {
+async function executeSell(position, currentData, jupiterService, reason, sellPercentage = 100, emergency = false) {
   try {
     logger.info(`Attempting to sell ${position.symbol} (${position.tokenAddress}): ${reason}`);
 
@@ -747,7 +554,7 @@ async function executeSell(position, currentData, jupiterService, reason, sellPe
       // IMPROVEMENT #2: If there are no tokens to sell, remove the position from tracking
       if (fullTokenAmount <= 0) {
         logger.info(`No tokens to sell for ${position.symbol}, removing from tracking`);
-        positions.delete(position.tokenAddress);
+        await removePosition(position.tokenAddress, `${reason} (no tokens left to sell)`);
         return true; // Consider the sell "successful" if there are no tokens to sell
       }
 
@@ -770,13 +577,13 @@ async function executeSell(position, currentData, jupiterService, reason, sellPe
           } else {
             // No tokens found, remove position
             logger.info(`No tokens found in wallet for ${position.symbol}, removing from tracking`);
-            positions.delete(position.tokenAddress);
+            await removePosition(position.tokenAddress, `${reason} (no tokens left to sell)`);
             return true;
           }
         } else {
           // No token account found, remove position
           logger.info(`No token account found for ${position.symbol}, removing from tracking`);
-          positions.delete(position.tokenAddress);
+          await removePosition(position.tokenAddress, `${reason} (no tokens left to sell)`);
           return true;
         }
       } catch (error) {
@@ -792,70 +599,78 @@ async function executeSell(position, currentData, jupiterService, reason, sellPe
 
     logger.info(`Executing swap: ${tokenAmount} ${position.symbol} (${rawTokenAmount} raw units) to SOL with ${SLIPPAGE_BPS/100}% slippage`);
 
-    try {
-      // If the amount is very small, log a warning
-      if (tokenAmount < 10) {
-        logger.warn(`Small token amount detected (${tokenAmount}), proceeding with caution`);
-      }
-
-      // Execute the swap using Ultra API
-      let txSignature;
-      let transactionTimedOut = false;
-
-      try {
-        // Use the new executeUltraSwap method which uses Jupiter's Ultra API
-        logger.debug(`Executing Ultra swap: ${position.tokenAddress} → ${SOL_MINT}, amount: ${rawTokenAmount}`);
+    // If the amount is very small, log a warning
+    if (tokenAmount < 10) {
+      logger.warn(`Small token amount detected (${tokenAmount}), proceeding with caution`);
+    }
 
-        txSignature = await jupiterService.executeUltraSwap(
-          position.tokenAddress,
-          SOL_MINT,
-          rawTokenAmount // Use raw token amount
-        );
+    // The order is checked against DexScreener's price and the QUOTE_GUARD limits before signing
+    const quoteContext = {
+      side: 'sell',
+      marketPriceUsd: currentData.priceUsd,
+      decimals: tokenDecimals,
+      solPriceUsd: await getSolPriceUsd(jupiterService),
+      slippageBps: SLIPPAGE_BPS
+    };
 
-        logger.info(`Sell transaction confirmed: ${txSignature}`);
-      } catch (error) {
-        // Check if this is a timeout error but the transaction might have gone through
-        if (error.message && error.message.includes('was not confirmed') && error.message.includes('signature')) {
-          // Extract the transaction signature from the error message
-          const signatureMatch = error.message.match(/signature ([A-Za-z0-9]+)/i);
-          if (signatureMatch && signatureMatch[1]) {
-            txSignature = signatureMatch[1];
-            transactionTimedOut = true;
-            logger.warn(`Sell transaction timed out but may have succeeded. Checking status for: ${txSignature}`);
-
-            // Wait a bit longer for the transaction to potentially confirm
-            await new Promise(resolve => setTimeout(resolve, 10000));
-
-            // Check if the transaction was confirmed
-            try {
-              const connection = jupiterService.connection;
-              const status = await connection.getSignatureStatus(txSignature, { searchTransactionHistory: true });
-
-              if (status && status.value && (status.value.confirmationStatus === 'confirmed' || status.value.confirmationStatus === 'finalized')) {
-                logger.info(`Sell transaction ${txSignature} was confirmed after timeout!`);
-                // Continue with the process as if the transaction succeeded
-              } else {
-                logger.warn(`Sell transaction ${txSignature} status after timeout: ${JSON.stringify(status)}`);
-                throw new Error(`Sell transaction not confirmed after timeout`);
-              }
-            } catch (statusError) {
-              logger.error(`Failed to check sell transaction status: ${statusError.message}`);
-              throw error; // Re-throw the original error
-            }
-          } else {
-            throw error; // Re-throw if we couldn't extract the signature
-          }
-        } else {
-          throw error; // Re-throw if it's not a timeout error
-        }
-      }
+    // Sell through the retry ladder: escalating slippage and priority fee, smaller chunks if the route fails on size
+    const exit = await executeExit(jupiterService, {
+      tokenAddress: position.tokenAddress,
+      symbol: position.symbol,
+      rawAmount: rawTokenAmount,
+      quoteContext,
+      emergency
+    });
 
-      // Wait a moment for the transaction to be confirmed and balances to update
-      const waitTime = transactionTimedOut ? 15000 : 10000;
-      logger.debug(`Waiting ${waitTime/1000} seconds for balances to update...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    // Record each confirmed swap as it landed: exact tokens sold and SOL received, at its execution price.
+    // The risk governor sees the exit as one trade, so a sell split into chunks counts as a single loss
+    let heldAmount = fullTokenAmount;
+    let exitPnlSol = 0;
+    for (const leg of exit.legs) {
+      const fill = describeFill(leg.landing, 'sell');
+      const tokensSold = fill ? fill.tokens : leg.rawAmount / Math.pow(10, tokenDecimals);
+      const solPriceUsd = await getSolPriceUsd(jupiterService);
+      const exitPrice = fill ? fill.priceSol * solPriceUsd : currentData.priceUsd;
+      const legReason = exit.legs.length > 1 || leg.attempt > 1 ? `${reason} (attempt ${leg.attempt})` : reason;
+
+      const pnlSol = realizePnl(position, Math.min(1, tokensSold / heldAmount), exitPrice);
+      heldAmount -= tokensSold;
+      exitPnlSol += pnlSol;
+      await logTrade({
+        action: 'SELL',
+        symbol: position.symbol,
+        price: exitPrice,
+        amount: tokensSold,
+        profitLoss: ((exitPrice - position.entryPrice) / position.entryPrice) * 100,
+        pnlSol,
+        txSignature: leg.signature,
+        reason: legReason
+      }, false);
+      await journalSell(position, {
+        price: exitPrice,
+        marketPrice: currentData.priceUsd,
+        tokensSold,
+        order: leg.order,
+        quote: leg.order ? describeQuote(leg.order, { ...quoteContext, slippageBps: leg.slippageBps }) : null,
+        landing: leg.landing,
+        fill,
+        pnlSol,
+        txSignature: leg.signature,
+        reason: legReason,
+        sellPercentage,
+        solPriceUsd
+      });
+    }
+    if (exit.legs.length > 0) {
+      recordTrade({ action: 'SELL', symbol: position.symbol, pnlSol: exitPnlSol });
+    }
 
-      // IMPROVEMENT #5: Verify the transaction actually reduced our token balance
+    // IMPROVEMENT #1: Explicitly remove position after successful sell
+    if (exit.complete && sellPercentage >= 100) {
+      logger.info(`Sell transaction successful, removing ${position.symbol} from position tracking`);
+      await removePosition(position.tokenAddress, reason);
+    } else if (exit.legs.length > 0) {
+      // IMPROVEMENT #6: Update position amount after partial sell
       try {
         const connection = jupiterService.connection;
         const tokenAccount = await connection.getParsedTokenAccountsByOwner(
@@ -864,134 +679,22 @@ async function executeSell(position, currentData, jupiterService, reason, sellPe
         );
 
         if (tokenAccount.value.length > 0) {
-          const postSellBalance = parseFloat(tokenAccount.value[0].account.data.parsed.info.tokenAmount.uiAmount);
-          const expectedRemainingBalance = fullTokenAmount - tokenAmount;
-
-          logger.info(`Post-sell balance check: ${postSellBalance} ${position.symbol} (expected ~${expectedRemainingBalance})`);
-
-          // If we sold everything but still have tokens, something went wrong
-          if (sellPercentage >= 100 && postSellBalance > 0.001) {
-            logger.warn(`Transaction may have failed - still have ${postSellBalance} ${position.symbol} after 100% sell`);
-            // Don't return false here - we'll still log the trade and let the monitoring cycle try again
-          }
-
-          // If we did a partial sell but balance didn't change much, something went wrong
-          if (sellPercentage < 100 && Math.abs(postSellBalance - fullTokenAmount) < 0.001) {
-            logger.warn(`Transaction may have failed - balance didn't change after partial sell`);
-            // Don't return false here - we'll still log the trade and let the monitoring cycle try again
+          const remainingBalance = parseFloat(tokenAccount.value[0].account.data.parsed.info.tokenAmount.uiAmount);
+          if (remainingBalance > 0) {
+            // Update the position with the actual remaining amount
+            position.amount = remainingBalance;
+            logger.info(`Updated position amount to ${remainingBalance} ${position.symbol} after partial sell`);
           }
         }
       } catch (error) {
-        logger.warn(`Failed to verify post-sell balance: ${error.message}`);
+        logger.warn(`Failed to update position amount after partial sell: ${error.message}`);
       }
+    }
 
-      // Log the trade with transaction signature
-      await logTrade({
-        action: 'SELL',
-        symbol: position.symbol,
-        price: currentData.priceUsd,
-        amount: tokenAmount,
-        profitLoss: ((currentData.priceUsd - position.entryPrice) / position.entryPrice) * 100,
-        txSignature,
-        reason
-      });
-
-      // IMPROVEMENT #1: Explicitly remove position after successful sell
-      if (sellPercentage >= 100) {
-        logger.info(`Sell transaction successful, removing ${position.symbol} from position tracking`);
-        positions.delete(position.tokenAddress);
-      } else {
-        // IMPROVEMENT #6: Update position amount after partial sell
-        try {
-          const connection = jupiterService.connection;
-          const tokenAccount = await connection.getParsedTokenAccountsByOwner(
-            jupiterService.wallet.publicKey,
-            { mint: new PublicKey(position.tokenAddress) }
-          );
-
-          if (tokenAccount.value.length > 0) {
-            const remainingBalance = parseFloat(tokenAccount.value[0].account.data.parsed.info.tokenAmount.uiAmount);
-            if (remainingBalance > 0) {
-              // Update the position with the actual remaining amount
-              position.amount = remainingBalance;
-              logger.info(`Updated position amount to ${remainingBalance} ${position.symbol} after partial sell`);
-            }
-          }
-        } catch (error) {
-          logger.warn(`Failed to update position amount after partial sell: ${error.message}`);
-        }
-      }
-    } catch (swapError) {
-      // Try with a smaller amount if the full amount fails
-      if (tokenAmount > 1) {
-        // Reduce UI amount by 5%
-        const reducedUIAmount = tokenAmount * 0.95;
-        // Convert to raw amount
-        const reducedRawAmount = Math.floor(reducedUIAmount * Math.pow(10, tokenDecimals));
-        logger.warn(`First attempt failed, trying with reduced amount: ${reducedUIAmount} ${position.symbol} (${reducedRawAmount} raw units)`);
-
-        try {
-          // Try with even higher slippage for retry
-          const retrySlippage = 3000; // 30% slippage for desperate retry
-          logger.warn(`Retry attempt with ${retrySlippage/100}% slippage and further reduced amount`);
-
-          // Further reduce amount to 80% of already reduced amount
-          const finalUIAmount = reducedUIAmount * 0.8;
-          const finalRawAmount = Math.floor(finalUIAmount * Math.pow(10, tokenDecimals));
-          logger.debug(`Final retry amount: ${finalUIAmount} ${position.symbol} (${finalRawAmount} raw units)`);
-
-          logger.debug(`Executing Ultra swap with reduced amount: ${position.tokenAddress} → ${SOL_MINT}, amount: ${finalRawAmount}`);
-
-          const retryTxSignature = await jupiterService.executeUltraSwap(
-            position.tokenAddress,
-            SOL_MINT,
-            finalRawAmount // Use raw amount
-          );
-
-          logger.info(`Sell transaction with reduced amount confirmed: ${retryTxSignature}`);
-
-          // Log the trade with transaction signature using the final amount that was actually sold
-          await logTrade({
-            action: 'SELL',
-            symbol: position.symbol,
-            price: currentData.priceUsd,
-            amount: finalUIAmount, // Use the final UI amount that was actually sold
-            profitLoss: ((currentData.priceUsd - position.entryPrice) / position.entryPrice) * 100,
-            txSignature: retryTxSignature,
-            reason: reason + ' (reduced amount)'
-          });
-
-          // IMPROVEMENT #1: Explicitly remove position after successful retry sell
-          if (sellPercentage >= 100) {
-            logger.info(`Retry sell transaction successful, removing ${position.symbol} from position tracking`);
-            positions.delete(position.tokenAddress);
-          } else {
-            // IMPROVEMENT #6: Update position amount after partial sell (retry case)
-            try {
-              const connection = jupiterService.connection;
-              const tokenAccount = await connection.getParsedTokenAccountsByOwner(
-                jupiterService.wallet.publicKey,
-                { mint: new PublicKey(position.tokenAddress) }
-              );
-
-              if (tokenAccount.value.length > 0) {
-                const remainingBalance = parseFloat(tokenAccount.value[0].account.data.parsed.info.tokenAmount.uiAmount);
-                if (remainingBalance > 0) {
-                  // Update the position with the actual remaining amount
-                  position.amount = remainingBalance;
-                  logger.info(`Updated position amount to ${remainingBalance} ${position.symbol} after partial retry sell`);
-                }
-              }
-            } catch (error) {
-              logger.warn(`Failed to update position amount after partial retry sell: ${error.message}`);
-            }
-          }
-        } catch (retryError) {
-          throw new Error(`Failed to sell with reduced amount: ${retryError.message}. Original error: ${swapError.message}`);
-        }
-      } else {
-        throw swapError;
-      }
+    // The rest of an incomplete sell is tried again on the next position check
+    if (!exit.complete) {
+      logger.logUser(`Sell of ${position.symbol} (${reason}) incomplete after ${exit.attempts} attempt(s): ${exit.error}`);
+      return false;
     }
 
     // Success! Return true
@@ -1103,6 +806,46 @@ async function getCurrentTokenData(tokenAddress, poolAddress, symbol, dexService
   }
 }
 
+/**
+ * Persist all open positions to the position store
+ * @returns {Promise<void>}
+ */
+function persistPositions() {
+  return savePositions(Array.from(positions.values()));
+}
+
+/**
+ * Restore positions saved by a previous run and reconcile them with on-chain balances
+ * Only runs once per process; later calls are no-ops
+ * @param {JupiterService} jupiterService - Jupiter service instance
+ * @returns {Promise<number>} - Number of positions being tracked after restoring
+ */
+async function restorePositions(jupiterService) {
+  if (positionsRestored) {
+    return positions.size;
+  }
+  positionsRestored = true;
+
+  const storedPositions = await loadPositions();
+  if (storedPositions.length === 0) {
+    return positions.size;
+  }
+
+  for (const position of storedPositions) {
+    if (!positions.has(position.tokenAddress)) {
+      positions.set(position.tokenAddress, position);
+    }
+  }
+
+  // Drop positions that were sold or emptied while the bot was offline
+  await reconcilePositions(jupiterService);
+  await persistPositions();
+
+  logger.info(`Restored ${positions.size} open position(s) from the position store`);
+  logger.logUser(`Restored ${positions.size} open position(s) from the position store: ${Array.from(positions.values()).map(p => p.symbol).join(', ') || 'none'}`);
+  return positions.size;
+}
+
 /**
  * Reconcile positions with actual wallet balances
  * @param {JupiterService} jupiterService - Jupiter service instance
@@ -1110,10 +853,12 @@ async function getCurrentTokenData(tokenAddress, poolAddress, symbol, dexService
 async function reconcilePositions(jupiterService) {
   logger.debug('Reconciling positions with actual wallet balances...');
 
-  // Create a copy of the positions to iterate over
-  const positionEntries = Array.from(positions.entries());
+  // Create a copy of the positions to iterate over, checking them concurrently
+  // (positions being sold by an emergency exit are left to the exit)
+  const positionEntries = Array.from(positions.entries())
+    .filter(([tokenAddress]) => !exitsInProgress.has(tokenAddress));
 
-  for (const [tokenAddress, position] of positionEntries) {
+  await Promise.all(positionEntries.map(async ([tokenAddress, position]) => {
     try {
       // Check if we actually have this token in our wallet
       const connection = jupiterService.connection;
@@ -1125,8 +870,8 @@ async function reconcilePositions(jupiterService) {
       if (tokenAccount.value.length === 0) {
         // We don't have this token in our wallet at all
         logger.warn(`Reconciliation: No token account found for ${position.symbol}, removing from tracking`);
-        positions.delete(tokenAddress);
-        continue;
+        await removePosition(tokenAddress, 'Tokens no longer in wallet');
+        return;
       }
 
       // We have the token, check the balance
@@ -1135,8 +880,8 @@ async function reconcilePositions(jupiterService) {
       if (actualBalance <= 0.000001) {
         // Balance is effectively zero
         logger.warn(`Reconciliation: Zero balance for ${position.symbol}, removing from tracking`);
-        positions.delete(tokenAddress);
-        continue;
+        await removePosition(tokenAddress, 'Tokens no longer in wallet');
+        return;
       }
 
       // Update the position amount if it differs significantly from what we have tracked
@@ -1147,162 +892,241 @@ async function reconcilePositions(jupiterService) {
     } catch (error) {
       logger.warn(`Failed to reconcile position for ${position.symbol}: ${error.message}`);
     }
-  }
+  }));
 }
 
 /**
- * Monitor and manage open positions
+ * Check a single open position and sell it if the strategy says so
+ * @param {string} tokenAddress - Token address of the position
+ * @param {Object} position - Position data
  * @param {JupiterService} jupiterService - Jupiter service instance
  * @param {DexScreenerService} dexService - DexScreener service instance
- * @param {Connection} connection - Solana connection
  */
-async function monitorPositions(jupiterService, dexService) {
-  logger.debug(`Monitoring ${positions.size} open positions...`);
+async function monitorPosition(tokenAddress, position, jupiterService, dexService) {
+  try {
+    // Get current token data with fresh indicators and holder data
+    const currentData = await getCurrentTokenData(
+      tokenAddress,
+      position.poolAddress,
+      position.symbol,
+      dexService
+    );
 
-  // IMPROVEMENT #7: Reconcile positions with actual wallet balances
-  await reconcilePositions(jupiterService);
+    if (!currentData) {
+      logger.warn(`Failed to get current data for ${position.symbol}, skipping this check`);
+      return;
+    }
 
-  // If no positions, clear the interval
-  if (positions.size === 0 && monitoringInterval) {
-    logger.info('No positions to monitor. Stopping monitoring interval.');
-    clearInterval(monitoringInterval);
-    monitoringInterval = null;
-    return;
-  }
+    // Update position with current data
+    const updatedPosition = updatePosition(position, currentData);
+    positions.set(tokenAddress, updatedPosition);
 
-  for (const [tokenAddress, position] of positions.entries()) {
-    try {
-      // Get current token data with fresh indicators and holder data
-      const currentData = await getCurrentTokenData(
-        tokenAddress,
-        position.poolAddress,
-        position.symbol,
-        dexService
-      );
+    // Log current position status
+    const currentPrice = currentData.priceUsd;
+    const entryPrice = position.entryPrice;
+    const profitPercent = ((currentPrice - entryPrice) / entryPrice) * 100;
 
-      if (!currentData) {
-        logger.warn(`Failed to get current data for ${position.symbol}, skipping this check`);
-        continue;
-      }
+    // Calculate trailing stop levels for logging
+    const { SELL_CRITERIA } = BOT_CONFIG;
+    const indicators = currentData.indicators.hour || {};
 
-      // Update position with current data
-      const updatedPosition = updatePosition(position, currentData);
-      positions.set(tokenAddress, updatedPosition);
-
-      // Log current position status
-      const currentPrice = currentData.priceUsd;
-      const entryPrice = position.entryPrice;
-      const profitPercent = ((currentPrice - entryPrice) / entryPrice) * 100;
-
-      // Calculate trailing stop levels for logging
-      const { SELL_CRITERIA } = BOT_CONFIG;
-      const indicators = currentData.indicators.hour || {};
-
-      // Get ATR multiplier based on profit level
-      let atrMultiplier = SELL_CRITERIA.TRAILING_STOP?.ATR_MULTIPLIER || 2.5;
-      if (SELL_CRITERIA.TRAILING_STOP?.DYNAMIC_ATR_MULTIPLIERS) {
-        const sortedMultipliers = [...SELL_CRITERIA.TRAILING_STOP.DYNAMIC_ATR_MULTIPLIERS]
-          .sort((a, b) => b.PROFIT_PERCENT - a.PROFIT_PERCENT);
-
-        for (const level of sortedMultipliers) {
-          if (profitPercent >= level.PROFIT_PERCENT) {
-            atrMultiplier = level.MULTIPLIER;
-            break;
-          }
-        }
-      }
+    // Get ATR multiplier based on profit level
+    let atrMultiplier = SELL_CRITERIA.TRAILING_STOP?.ATR_MULTIPLIER || 2.5;
+    if (SELL_CRITERIA.TRAILING_STOP?.DYNAMIC_ATR_MULTIPLIERS) {
+      const sortedMultipliers = [...SELL_CRITERIA.TRAILING_STOP.DYNAMIC_ATR_MULTIPLIERS]
+        .sort((a, b) => b.PROFIT_PERCENT - a.PROFIT_PERCENT);
 
-      // Calculate both types of stops
-      const atrTrailingStop = position.highestPrice - (atrMultiplier * (indicators.atr || 0));
-      const trailingStopPercent = SELL_CRITERIA.TRAILING_STOP?.PERCENT || 3.0;
-      const percentTrailingStop = position.highestPrice * (1 - (trailingStopPercent / 100));
-
-      // Determine which stop is active
-      let activeStop = atrTrailingStop;
-      let stopType = "ATR-based";
-      if (SELL_CRITERIA.TRAILING_STOP?.USE_MAX_STOP) {
-        if (percentTrailingStop > atrTrailingStop) {
-          activeStop = percentTrailingStop;
-          stopType = "percentage-based";
+      for (const level of sortedMultipliers) {
+        if (profitPercent >= level.PROFIT_PERCENT) {
+          atrMultiplier = level.MULTIPLIER;
+          break;
         }
       }
+    }
 
-      // Calculate distance to stop
-      const distanceToStop = ((currentPrice - activeStop) / currentPrice) * 100;
-
-      // Add trailing stop info to position for logging
-      position.currentPrice = currentPrice;
-      position.profitLoss = profitPercent;
-      position.rsi = currentData.indicators.hour?.rsi;
-      position.holderChange = currentData.holderChange24h;
-      position.trailingStop = {
-        price: activeStop,
-        type: stopType,
-        distance: distanceToStop
-      };
-
-      // Log to monitor.log file only
-      logger.monitor(position);
-
-      // Log minimal info to console
-      logger.info(`Position ${position.symbol}: Current price $${currentPrice.toFixed(8)}, ` +
-                  `P/L: ${profitPercent.toFixed(2)}%, ` +
-                  `Highest: $${position.highestPrice.toFixed(8)}, ` +
-                  `RSI: ${currentData.indicators.hour?.rsi?.toFixed(2) || 'N/A'}, ` +
-                  `Holder change: ${currentData.holderChange24h?.toFixed(2) || 'N/A'}%`);
-
-      logger.debug(`Trailing stop: $${activeStop.toFixed(8)} (${stopType}, ${distanceToStop.toFixed(2)}% away)`);
-
-      // Check sell criteria with updated indicators and holder data
-      const sellDecision = meetsSellCriteria(updatedPosition, currentData);
-      if (sellDecision.sell) {
-        logger.info(`Sell criteria met for ${position.symbol}: ${sellDecision.reason}`);
+    // Calculate both types of stops
+    const atrTrailingStop = position.highestPrice - (atrMultiplier * (indicators.atr || 0));
+    const trailingStopPercent = SELL_CRITERIA.TRAILING_STOP?.PERCENT || 3.0;
+    const percentTrailingStop = position.highestPrice * (1 - (trailingStopPercent / 100));
 
-        // Log to user.log
-        logger.logUser(`Sell criteria met for ${position.symbol}: ${sellDecision.reason}`);
-
-        // Get the sell percentage (default to 100% if not specified)
-        const sellPercentage = sellDecision.sellPercentage || 100;
-
-        // Execute the sell with the specified percentage
-        const sellSuccess = await executeSell(
-          updatedPosition,
-          currentData,
-          jupiterService,
-          sellDecision.reason,
-          sellPercentage
-        );
+    // Determine which stop is active
+    let activeStop = atrTrailingStop;
+    let stopType = "ATR-based";
+    if (SELL_CRITERIA.TRAILING_STOP?.USE_MAX_STOP) {
+      if (percentTrailingStop > atrTrailingStop) {
+        activeStop = percentTrailingStop;
+        stopType = "percentage-based";
+      }
+    }
 
-        if (sellSuccess) {
-          // If we're selling the entire position or this is a stop loss/emergency exit
-          if (sellPercentage >= 100 ||
-              sellDecision.reason.includes('Stop loss') ||
-              sellDecision.reason.includes('RSI overbought') ||
-              sellDecision.reason.includes('Bollinger') ||
-              sellDecision.reason.includes('holder decrease')) {
-            // Log to monitor.log before removing the position
-            logger.monitor(position, 'SELL', sellDecision.reason);
-
-            // Remove the position entirely
-            positions.delete(tokenAddress);
-            logger.info(`Sold ${position.symbol} completely: ${sellDecision.reason}`);
-            logger.logUser(`Sold ${position.symbol} completely for ${sellPercentage}% of position: ${sellDecision.reason}`);
-          } else {
-            // For partial sells (tiered profit taking), update the position amount
-            // The actual amount will be updated on the next monitoring cycle when we fetch the balance again
-            logger.monitor(position, 'PARTIAL_SELL', `${sellDecision.reason} (${sellPercentage}%)`);
-
-            logger.info(`Partially sold ${position.symbol} (${sellPercentage}%): ${sellDecision.reason}`);
-            logger.info(`Position will be updated on next monitoring cycle`);
-            logger.logUser(`Partially sold ${position.symbol} (${sellPercentage}% of position): ${sellDecision.reason}`);
-            logger.logUser(`Position will be updated on next monitoring cycle`);
-          }
-        }
+    // Calculate distance to stop
+    const distanceToStop = ((currentPrice - activeStop) / currentPrice) * 100;
+
+    // Add trailing stop info to position for logging
+    position.currentPrice = currentPrice;
+    position.profitLoss = profitPercent;
+    position.rsi = currentData.indicators.hour?.rsi;
+    position.holderChange = currentData.holderChange24h;
+    position.trailingStop = {
+      price: activeStop,
+      type: stopType,
+      distance: distanceToStop
+    };
+
+    // Log to monitor.log file only
+    logger.monitor(position);
+
+    // Log minimal info to console
+    logger.info(`Position ${position.symbol}: Current price $${currentPrice.toFixed(8)}, ` +
+                `P/L: ${profitPercent.toFixed(2)}%, ` +
+                `Highest: $${position.highestPrice.toFixed(8)}, ` +
+                `RSI: ${currentData.indicators.hour?.rsi?.toFixed(2) || 'N/A'}, ` +
+                `Holder change: ${currentData.holderChange24h?.toFixed(2) || 'N/A'}%`);
+
+    logger.debug(`Trailing stop: $${activeStop.toFixed(8)} (${stopType}, ${distanceToStop.toFixed(2)}% away)`);
+
+    // Check sell criteria with updated indicators and holder data
+    // A manual force sell or a tripped risk governor with force exit enabled closes the position
+    let sellDecision;
+    if (forceSellRequests.has(tokenAddress)) {
+      forceSellRequests.delete(tokenAddress);
+      sellDecision = { sell: true, reason: 'Manual force sell', sellPercentage: 100 };
+    } else if (shouldForceExit()) {
+      sellDecision = { sell: true, reason: `Risk governor force exit (${getRiskStatus().reason})`, sellPercentage: 100, emergency: true };
+    } else {
+      sellDecision = meetsSellCriteria(updatedPosition, currentData);
+    }
+    if (sellDecision.sell) {
+      logger.info(`Sell criteria met for ${position.symbol}: ${sellDecision.reason}`);
+
+      // Log to user.log
+      logger.logUser(`Sell criteria met for ${position.symbol}: ${sellDecision.reason}`);
+
+      if (sellDecision.emergency) {
+        // An emergency exit may retry for minutes, so it runs outside the monitoring tick
+        // with its own lock, and the other positions keep being checked meanwhile
+        const exit = sellPosition(updatedPosition, currentData, jupiterService, sellDecision)
+          .catch(error => logger.error(`Emergency exit failed for ${position.symbol}: ${error.message}`))
+          .finally(() => exitsInProgress.delete(tokenAddress));
+        exitsInProgress.set(tokenAddress, exit);
+      } else {
+        await sellPosition(updatedPosition, currentData, jupiterService, sellDecision);
       }
-    } catch (error) {
-      logger.error(`Error monitoring position for ${position.symbol}: ${error.message}`);
     }
+  } catch (error) {
+    logger.error(`Error monitoring position for ${position.symbol}: ${error.message}`);
+  }
+}
+
+/**
+ * Sell a position that met its sell criteria and update the position tracking
+ * @param {Object} position - Position data
+ * @param {Object} currentData - Current token data
+ * @param {JupiterService} jupiterService - Jupiter service instance
+ * @param {Object} sellDecision - Sell decision (reason, sellPercentage, emergency)
+ */
+async function sellPosition(position, currentData, jupiterService, sellDecision) {
+  // Get the sell percentage (default to 100% if not specified)
+  const sellPercentage = sellDecision.sellPercentage || 100;
+
+  // Execute the sell with the specified percentage
+  const sellSuccess = await executeSell(
+    position,
+    currentData,
+    jupiterService,
+    sellDecision.reason,
+    sellPercentage,
+    Boolean(sellDecision.emergency)
+  );
+
+  if (sellSuccess) {
+    // A full sell has already removed the position and closed its journal record in executeSell
+    if (sellPercentage >= 100) {
+      logger.monitor(position, 'SELL', sellDecision.reason);
+      logger.info(`Sold ${position.symbol} completely: ${sellDecision.reason}`);
+      logger.logUser(`Sold ${position.symbol} completely for ${sellPercentage}% of position: ${sellDecision.reason}`);
+    } else {
+      // For partial sells (tiered profit taking), update the position amount
+      // The actual amount will be updated on the next monitoring cycle when we fetch the balance again
+      logger.monitor(position, 'PARTIAL_SELL', `${sellDecision.reason} (${sellPercentage}%)`);
+
+      logger.info(`Partially sold ${position.symbol} (${sellPercentage}%): ${sellDecision.reason}`);
+      logger.info(`Position will be updated on next monitoring cycle`);
+      logger.logUser(`Partially sold ${position.symbol} (${sellPercentage}% of position): ${sellDecision.reason}`);
+      logger.logUser(`Position will be updated on next monitoring cycle`);
+    }
+
+    // Record the sell (and any executed tier) immediately
+    await persistPositions();
+  }
+}
+
+/**
+ * Monitor and manage open positions
+ * @param {JupiterService} jupiterService - Jupiter service instance
+ * @param {DexScreenerService} dexService - DexScreener service instance
+ * @param {Connection} connection - Solana connection
+ */
+async function monitorPositions(jupiterService, dexService) {
+  // A slow tick (e.g. a sell waiting for confirmation) must not overlap the next one
+  if (monitoringInProgress) {
+    logger.debug('Previous monitoring tick still running, skipping this one');
+    return;
+  }
+  monitoringInProgress = true;
+
+  try {
+    logger.debug(`Monitoring ${positions.size} open positions...`);
+
+    // IMPROVEMENT #7: Reconcile positions with actual wallet balances
+    await reconcilePositions(jupiterService);
+
+    // If no positions, clear the interval
+    if (positions.size === 0 && monitoringInterval) {
+      logger.info('No positions to monitor. Stopping monitoring interval.');
+      clearInterval(monitoringInterval);
+      monitoringInterval = null;
+      return;
+    }
+
+    // Check all positions concurrently so latency doesn't grow with the position count,
+    // skipping those an emergency exit is still selling
+    await Promise.all(Array.from(positions.entries())
+      .filter(([tokenAddress]) => !exitsInProgress.has(tokenAddress))
+      .map(([tokenAddress, position]) => monitorPosition(tokenAddress, position, jupiterService, dexService))
+    );
+
+    // Update the risk governor with the unrealized PnL of what is still open
+    const unrealizedSol = Array.from(positions.values()).reduce((sum, pos) =>
+      sum + (pos.amountSol || BOT_CONFIG.BUY_AMOUNT_SOL) * ((pos.profitLoss || 0) / 100), 0);
+    updateUnrealizedPnl(unrealizedSol);
+    if (positions.size === 0) {
+      completeForceExit();
+    }
+
+    // Persist updated highest prices and reconciled amounts
+    await persistPositions();
+  } finally {
+    monitoringInProgress = false;
+    tradingEvents.emit('tick');
+  }
+}
+
+/**
+ * Find an open position a token would duplicate
+ * Tokens trading in the same pool, or copycats sharing the same ticker, move together
+ * and would concentrate risk in what is effectively one position.
+ * @param {Object} token - Token data
+ * @param {Iterable<Object>} [openPositions] - Positions to check (defaults to the open positions)
+ * @returns {Object|null} - The correlated position, or null if there is none
+ */
+function findCorrelatedPosition(token, openPositions = positions.values()) {
+  const symbol = token.symbol?.toLowerCase();
+  for (const position of openPositions) {
+    if (token.poolAddress && position.poolAddress === token.poolAddress) return position;
+    if (symbol && position.symbol?.toLowerCase() === symbol) return position;
   }
+  return null;
 }
 
 /**
@@ -1315,9 +1139,21 @@ async function monitorPositions(jupiterService, dexService) {
 async function processTokens(finalTokens, jupiterService) {
   logger.info(`Processing ${finalTokens.length} tokens for potential trades...`);
 
-  // Skip if we already have any positions
-  if (positions.size > 0) {
-    logger.info(`Already have ${positions.size} open position(s). Not looking for new opportunities.`);
+  // Skip if new entries were paused manually
+  if (manualPause) {
+    logger.info(`New entries paused: ${manualPause.reason}`);
+    return;
+  }
+
+  // Skip if the risk governor has paused new entries
+  if (!canOpenPositions()) {
+    logger.warn(`Risk governor paused new entries: ${getRiskStatus().reason}`);
+    return;
+  }
+
+  // Skip if every position slot is taken
+  if (positions.size >= MAX_POSITIONS) {
+    logger.info(`Already have ${positions.size}/${MAX_POSITIONS} open position(s). Not looking for new opportunities.`);
     return;
   }
 
@@ -1336,22 +1172,31 @@ async function processTokens(finalTokens, jupiterService) {
       continue;
     }
 
+    // Skip tokens correlated with an open position
+    const correlated = findCorrelatedPosition(token);
+    if (correlated) {
+      logger.debug(`Skipping ${token.symbol}: shares pool or ticker with open position ${correlated.symbol}`);
+      continue;
+    }
+
     // Check buy criteria
-    if (meetsBuyCriteria(token)) {
+    const entryDecision = meetsBuyCriteria(token);
+    if (entryDecision.buy) {
       logger.info(`Buy criteria met for ${token.symbol} (Score: ${token.score.toFixed(2)}/100)`);
 
       // Execute buy with connection for token balance checking
-      const position = await executeBuy(token, jupiterService, jupiterService.connection);
+      const position = await executeBuy(token, jupiterService, jupiterService.connection, entryDecision);
       if (position) {
         // Add to positions
         positions.set(token.tokenAddress, position);
+        await persistPositions();
 
-        logger.info(`Bought ${token.symbol} at $${token.priceUsd}`);
+        logger.info(`Bought ${token.symbol} at $${position.entryPrice}`);
 
         // Log to user.log
-        logger.logUser(`Bought ${token.symbol} at $${token.priceUsd} for ${BOT_CONFIG.BUY_AMOUNT_SOL} SOL, received ${position.amount} tokens`);
+        logger.logUser(`Bought ${token.symbol} at $${position.entryPrice} for ${position.amountSol.toFixed(4)} SOL, received ${position.amount} tokens`);
 
-        // Exit since we now have a position (only allowing one at a time)
+        // Stop once every position slot is taken
         if (positions.size >= MAX_POSITIONS) {
           logger.info(`Position acquired. Maximum positions (${MAX_POSITIONS}) reached.`);
           logger.logUser(`Position acquired. Maximum positions (${MAX_POSITIONS}) reached.`);
@@ -1379,17 +1224,31 @@ async function executeTradingStrategy(finalTokens, services = {}) {
     // Use provided services or initialize new ones
     const connection = services.connection || initializeConnection();
     const wallet = services.wallet || initializeWallet();
-    const walletInfo = services.walletInfo || await checkWalletBalance(wallet);
     const dexService = services.dexService || new DexScreenerService();
 
+    // Paper mode runs this same pipeline with swaps filled in a virtual wallet
+    const jupiterService = services.mode === MODES.PAPER
+      ? new PaperJupiterService(connection, wallet)
+      : new JupiterService(connection, wallet);
+    const walletInfo = jupiterService.paper
+      ? await jupiterService.getWalletInfo()
+      : services.walletInfo || await checkWalletBalance(wallet);
+
     // Check if wallet has sufficient balance
     if (!walletInfo.hasMinimumBalance) {
       logger.error('Insufficient wallet balance for trading.');
       return { success: false, reason: 'insufficient_balance' };
     }
 
-    // Initialize Jupiter service
-    const jupiterService = new JupiterService(connection, wallet);
+    activeServices = { jupiterService, dexService };
+
+    // Resume positions left open by a previous run
+    await restorePositions(jupiterService);
+
+    // Start the risk governor with the current equity (free SOL plus committed capital)
+    const committedSol = Array.from(positions.values())
+      .reduce((sum, pos) => sum + (pos.amountSol || BOT_CONFIG.BUY_AMOUNT_SOL), 0);
+    await initializeRiskGovernor(walletInfo.balance + committedSol);
 
     // Process tokens for potential trades
     await processTokens(finalTokens, jupiterService);
@@ -1445,13 +1304,25 @@ async function stopTrading() {
       logger.info('Position monitoring stopped.');
     }
 
+    // Let emergency exits finish so the saved positions match what was sold on chain
+    if (exitsInProgress.size > 0) {
+      logger.info(`Waiting for ${exitsInProgress.size} emergency exit(s) to finish...`);
+      await Promise.allSettled(exitsInProgress.values());
+    }
+
+    // Make sure the latest position state is on disk
+    await persistPositions();
+
+    activeServices = null;
+    forceSellRequests.clear();
+
     // Log current positions for reference
     if (positions.size > 0) {
       logger.warn(`WARNING: ${positions.size} positions are still open:`);
       for (const [_, position] of positions.entries()) {
         logger.warn(`- ${position.symbol}: ${position.amount} tokens at $${position.entryPrice}`);
       }
-      logger.warn('These positions will need to be managed manually or when the bot restarts.');
+      logger.warn('These positions are saved and monitoring will resume when the bot restarts.');
     } else {
       logger.info('No open positions to manage.');
     }
@@ -1473,12 +1344,91 @@ function getCurrentPositions() {
     symbol: pos.symbol,
     entryPrice: pos.entryPrice,
     currentPrice: pos.currentPrice || pos.entryPrice,
+    highestPrice: pos.highestPrice,
     amount: pos.amount,
+    amountSol: pos.amountSol,
     entryTime: new Date(pos.entryTime).toISOString(),
-    profitLoss: pos.currentPrice ? ((pos.currentPrice - pos.entryPrice) / pos.entryPrice) * 100 : 0
+    profitLoss: pos.currentPrice ? ((pos.currentPrice - pos.entryPrice) / pos.entryPrice) * 100 : 0,
+    trailingStop: pos.trailingStop || null
   }));
 }
 
+/**
+ * Pause new entries (open positions are still monitored and sold)
+ * @param {string} reason - Why entries are paused
+ * @returns {Object} - Pause state
+ */
+function pauseTrading(reason = 'manual pause') {
+  manualPause = { reason, pausedAt: Date.now() };
+  logger.info(`New entries paused: ${reason}`);
+  logger.logUser(`New entries paused: ${reason}`);
+  return getPauseState();
+}
+
+/**
+ * Resume new entries after a manual pause
+ * @returns {Object} - Pause state
+ */
+function resumeTrading() {
+  if (manualPause) {
+    manualPause = null;
+    logger.info('New entries resumed');
+    logger.logUser('New entries resumed');
+  }
+  return getPauseState();
+}
+
+/**
+ * Get the manual pause state
+ * @returns {Object} - { paused, reason, pausedAt }
+ */
+function getPauseState() {
+  return {
+    paused: !!manualPause,
+    reason: manualPause ? manualPause.reason : null,
+    pausedAt: manualPause ? manualPause.pausedAt : null
+  };
+}
+
+/**
+ * Sell an open position in full, regardless of sell criteria
+ * The sell runs in the monitoring tick (started right away if none is running) so it can't race another sell.
+ * @param {string} tokenAddress - Token address of the position
+ * @returns {Promise<Object>} - { success, sold, reason } (reason: sold, queued, sell_failed, no_position, trading_not_started)
+ */
+async function forceSellPosition(tokenAddress) {
+  if (!positions.has(tokenAddress)) {
+    return { success: false, reason: 'no_position' };
+  }
+  if (!activeServices) {
+    return { success: false, reason: 'trading_not_started' };
+  }
+
+  forceSellRequests.add(tokenAddress);
+  logger.info(`Force sell requested for ${positions.get(tokenAddress).symbol}`);
+
+  if (!monitoringInProgress) {
+    await monitorPositions(activeServices.jupiterService, activeServices.dexService);
+  }
+
+  if (!positions.has(tokenAddress)) {
+    return { success: true, sold: true, reason: 'sold' };
+  }
+  // Still requested means the tick hasn't reached the position yet; otherwise the sell failed
+  return forceSellRequests.has(tokenAddress)
+    ? { success: true, sold: false, reason: 'queued' }
+    : { success: false, sold: false, reason: 'sell_failed' };
+}
+
+/**
+ * Get the most recent trades
+ * @param {number} limit - Maximum number of trades
+ * @returns {Array} - Trades, newest first
+ */
+function getRecentTrades(limit = 20) {
+  return recentTrades.slice(-limit).reverse();
+}
+
 /**
  * Check if there are any open positions
  * @returns {boolean} - Whether there are open positions
@@ -1501,7 +1451,16 @@ module.exports = {
   getCurrentPositions,
   hasOpenPositions,
   getOpenPositionsCount,
+  getRiskStatus,
+  pauseTrading,
+  resumeTrading,
+  getPauseState,
+  forceSellPosition,
+  getRecentTrades,
+  tradingEvents,
   // Export these for testing/simulation
   meetsBuyCriteria,
-  meetsSellCriteria
+  meetsSellCriteria,
+  findCorrelatedPosition,
+  realizePnl
 };
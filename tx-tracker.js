@@ -0,0 +1,315 @@
+// tx-tracker.js - Transaction landing tracker for the Solana Memecoin Trading Bot
+//
+// Follows a sent swap until it lands or can no longer land. The signature status is polled
+// until it is confirmed or failed; once the transaction's blockhash has expired without the
+// signature showing up it is reported as dropped instead of waiting on a fixed timer. A landed
+// transaction is read back to measure what it actually moved in and out of the wallet.
+// swapAndConfirm runs a swap through the tracker for trading.js and exit-executor.js.
+
+const { BOT_CONFIG } = require('./config');
+const logger = require('./logger');
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+// Base fee per signature; anything a transaction paid above it is priority fee
+const BASE_FEE_LAMPORTS_PER_SIGNATURE = 5000;
+
+// Attempts at reading a landed transaction, which can lag its signature status on some RPCs
+const FETCH_ATTEMPTS = 5;
+
+const TX_STATUS = {
+  CONFIRMED: 'confirmed', // Landed and succeeded
+  FAILED: 'failed', // Landed but failed on chain: the fee was paid, nothing was swapped
+  DROPPED: 'dropped', // Blockhash expired without the transaction landing, it never will
+  UNKNOWN: 'unknown' // Still unseen when the tracker gave up, it may yet land
+};
+
+/**
+ * @typedef {Object} TransactionResult
+ * @property {string} status - One of TX_STATUS
+ * @property {string} signature - Transaction signature
+ * @property {number|null} slot - Slot the transaction landed in
+ * @property {string|null} error - On-chain error, or why the transaction is considered lost
+ * @property {number|null} feeSol - Network fee paid, in SOL, priority fee included (failed transactions pay it too)
+ * @property {number|null} priorityFeeSol - Part of feeSol paid above the base fee
+ * @property {number|null} rentSol - Rent deposited into accounts the transaction opened, less rent refunded from accounts it closed
+ * @property {number|null} solChange - Change of the wallet's SOL balance, fee and rent included
+ * @property {number|null} tokenChange - Change of the wallet's balance of the tracked mint, in UI units
+ * @property {number|null} tokenDecimals - Decimals of the tracked mint, if it appears in the balances
+ * @property {number} elapsedMs - Time spent tracking
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read a landed transaction
+ * @param {Connection} connection - Solana connection
+ * @param {string} signature - Transaction signature
+ * @param {number} pollMs - Wait between attempts
+ * @returns {Promise<Object|null>} - Transaction with meta, or null if it couldn't be read
+ */
+async function fetchTransaction(connection, signature, pollMs) {
+  for (let attempt = 1; attempt <= FETCH_ATTEMPTS; attempt++) {
+    try {
+      const tx = await connection.getTransaction(signature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' });
+      if (tx?.meta) return tx;
+    } catch (error) {
+      logger.debug(`Failed to read transaction ${signature} (attempt ${attempt}): ${error.message}`);
+    }
+    if (attempt < FETCH_ATTEMPTS) await sleep(pollMs);
+  }
+  return null;
+}
+
+/**
+ * Measure what a transaction moved for a wallet from its pre/post balances
+ * @param {Object} tx - Transaction from getTransaction
+ * @param {string} owner - Wallet address
+ * @param {string} [mint] - Token mint to measure
+ * @returns {Object} - { feeSol, priorityFeeSol, rentSol, solChange, tokenChange, tokenDecimals }
+ */
+function readBalanceChanges(tx, owner, mint) {
+  const { meta } = tx;
+  const message = tx.transaction?.message;
+  const accountKeys = message?.staticAccountKeys || message?.accountKeys || [];
+
+  // The fee payer is always a static key, so versioned transactions don't need their lookup tables loaded
+  const ownerIndex = accountKeys.findIndex(key => key.toString() === owner);
+  const solChange = ownerIndex >= 0 && meta.preBalances && meta.postBalances
+    ? (meta.postBalances[ownerIndex] - meta.preBalances[ownerIndex]) / LAMPORTS_PER_SOL
+    : null;
+
+  // Accounts that start or end the transaction empty were opened (e.g. the wallet's token account) or closed by it.
+  // Temporary accounts opened and closed within the transaction are empty at both ends and don't count.
+  let rentLamports = 0;
+  if (solChange !== null) {
+    meta.postBalances.forEach((post, index) => {
+      const pre = meta.preBalances[index];
+      if (index === ownerIndex) return;
+      if (pre === 0 && post > 0) rentLamports += post;
+      if (pre > 0 && post === 0) rentLamports -= pre;
+    });
+  }
+
+  let priorityFeeSol = null;
+  const signatureCount = tx.transaction?.signatures?.length;
+  if (typeof meta.fee === 'number' && signatureCount) {
+    priorityFeeSol = Math.max(0, meta.fee - signatureCount * BASE_FEE_LAMPORTS_PER_SIGNATURE) / LAMPORTS_PER_SOL;
+  }
+
+  let tokenChange = null;
+  let tokenDecimals = null;
+  if (mint) {
+    const ownedBalances = balances => (balances || []).filter(balance => balance.owner === owner && balance.mint === mint);
+    const pre = ownedBalances(meta.preTokenBalances);
+    const post = ownedBalances(meta.postTokenBalances);
+
+    if (pre.length > 0 || post.length > 0) {
+      // Raw amounts are summed as integers, the wallet may hold the mint in more than one account
+      const total = entries => entries.reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount.amount), 0n);
+      tokenDecimals = (post[0] || pre[0]).uiTokenAmount.decimals;
+      tokenChange = Number(total(post) - total(pre)) / Math.pow(10, tokenDecimals);
+    } else if (!meta.err) {
+      // The mint's balance didn't move, or the RPC left token balances out
+      tokenChange = meta.postTokenBalances ? 0 : null;
+    }
+  }
+
+  return {
+    feeSol: typeof meta.fee === 'number' ? meta.fee / LAMPORTS_PER_SOL : null,
+    priorityFeeSol,
+    rentSol: solChange !== null ? rentLamports / LAMPORTS_PER_SOL : null,
+    solChange,
+    tokenChange,
+    tokenDecimals
+  };
+}
+
+/**
+ * Check whether a transaction's blockhash has expired, so it can no longer land
+ * @param {Connection} connection - Solana connection
+ * @param {Object} options - Tracking options (see trackTransaction)
+ * @returns {Promise<boolean>} - Whether the blockhash has expired; false if it couldn't be told
+ */
+async function isBlockhashExpired(connection, options) {
+  try {
+    if (typeof options.lastValidBlockHeight === 'number') {
+      return (await connection.getBlockHeight('confirmed')) > options.lastValidBlockHeight;
+    }
+    if (options.blockhash) {
+      const { value } = await connection.isBlockhashValid(options.blockhash, { commitment: 'confirmed' });
+      return value === false;
+    }
+  } catch (error) {
+    logger.debug(`Failed to check blockhash expiry: ${error.message}`);
+  }
+  return false;
+}
+
+/**
+ * Follow a sent transaction until it is confirmed, fails, is dropped or the tracker times out
+ * @param {Connection} connection - Solana connection
+ * @param {string} signature - Transaction signature
+ * @param {Object} [options] - Tracking options
+ * @param {string} [options.blockhash] - Recent blockhash the transaction was signed with
+ * @param {number} [options.lastValidBlockHeight] - Last block height the blockhash is valid for
+ * @param {PublicKey|string} [options.owner] - Wallet whose balance changes are measured
+ * @param {string} [options.mint] - Token mint whose balance change is measured
+ * @param {number} [options.timeoutSeconds] - Overrides TX_TRACKER.TIMEOUT_SECONDS
+ * @param {number} [options.pollIntervalMs] - Overrides TX_TRACKER.POLL_INTERVAL_MS
+ * @returns {Promise<TransactionResult>} - How the transaction ended up
+ */
+async function trackTransaction(connection, signature, options = {}) {
+  const settings = BOT_CONFIG.TX_TRACKER;
+  const pollMs = options.pollIntervalMs ?? settings.POLL_INTERVAL_MS;
+  const timeoutMs = (options.timeoutSeconds ?? settings.TIMEOUT_SECONDS) * 1000;
+  const owner = options.owner ? options.owner.toString() : null;
+  const startedAt = Date.now();
+
+  const result = (status, fields = {}) => ({
+    status,
+    signature,
+    slot: null,
+    error: null,
+    feeSol: null,
+    priorityFeeSol: null,
+    rentSol: null,
+    solChange: null,
+    tokenChange: null,
+    tokenDecimals: null,
+    ...fields,
+    elapsedMs: Date.now() - startedAt
+  });
+
+  let expired = false;
+  for (;;) {
+    let status = null;
+    try {
+      const response = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+      status = response?.value?.[0] || null;
+    } catch (error) {
+      logger.debug(`Failed to read status of ${signature}: ${error.message}`);
+    }
+
+    // A status with an error means the transaction landed and failed; processed is not final yet
+    if (status && (status.err || status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+      const tx = await fetchTransaction(connection, signature, pollMs);
+      const changes = tx && owner ? readBalanceChanges(tx, owner, options.mint) : {};
+      if (!tx) {
+        logger.warn(`Transaction ${signature} landed but could not be read, balance changes unknown`);
+      }
+
+      if (status.err) {
+        const error = JSON.stringify(status.err);
+        logger.warn(`Transaction ${signature} failed on chain: ${error}`);
+        return result(TX_STATUS.FAILED, { ...changes, slot: status.slot, error });
+      }
+      logger.info(`Transaction ${signature} confirmed in slot ${status.slot} after ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+      return result(TX_STATUS.CONFIRMED, { ...changes, slot: status.slot });
+    }
+
+    // The status was read once more after expiry, the transaction could have landed in the last valid block
+    if (expired) {
+      logger.warn(`Transaction ${signature} was dropped: its blockhash expired before it landed`);
+      return result(TX_STATUS.DROPPED, { error: 'blockhash expired before the transaction landed' });
+    }
+
+    if (Date.now() - startedAt >= timeoutMs) {
+      logger.warn(`Gave up tracking ${signature} after ${timeoutMs / 1000}s, it may still land`);
+      return result(TX_STATUS.UNKNOWN, { error: `not seen within ${timeoutMs / 1000}s` });
+    }
+
+    expired = !status && await isBlockhashExpired(connection, options);
+    if (!expired) await sleep(pollMs);
+  }
+}
+
+/**
+ * Work out a confirmed swap's fill from its balance changes
+ * Fees and rent are split out of the wallet's SOL change, so swapSol is what the swap itself traded.
+ * @param {TransactionResult} landing - Tracker result of a confirmed swap
+ * @param {string} side - 'buy' (SOL to token) or 'sell' (token to SOL)
+ * @returns {Object|null} - { tokens, swapSol, walletSol, feeSol, priorityFeeSol, rentSol, priceSol }, or null
+ * if the balance changes couldn't be read. walletSol is what the wallet spent (buy) or received (sell), all included.
+ */
+function describeFill(landing, side) {
+  if (landing.tokenChange === null || landing.solChange === null) return null;
+
+  const feeSol = landing.feeSol || 0;
+  const rentSol = landing.rentSol || 0;
+  const tokens = side === 'buy' ? landing.tokenChange : -landing.tokenChange;
+  const walletSol = side === 'buy' ? -landing.solChange : landing.solChange;
+  const swapSol = side === 'buy' ? walletSol - feeSol - rentSol : walletSol + feeSol + rentSol;
+  if (!(tokens > 0) || !(swapSol > 0)) return null;
+
+  return {
+    tokens,
+    swapSol,
+    walletSol,
+    feeSol,
+    priorityFeeSol: landing.priorityFeeSol,
+    rentSol,
+    priceSol: swapSol / tokens
+  };
+}
+
+/**
+ * Execute a swap and wait until its transaction lands
+ * A swap that errors after signing is still tracked, its transaction may land regardless. Swaps with a
+ * priorityFeeLamports option go through the Swap API, others through Ultra.
+ * @param {JupiterService} jupiterService - Jupiter service instance
+ * @param {string} inputMint - Input token mint address
+ * @param {string} outputMint - Output token mint address
+ * @param {number} amount - Amount to swap in raw units
+ * @param {Object} swapOptions - Options for executeUltraSwapWithOrder / executeSwapWithPriorityFee
+ * @param {string} tokenMint - Mint whose balance change the tracker measures
+ * @param {Object} [trackOptions] - Tracker options (e.g. timeoutSeconds, see trackTransaction)
+ * @returns {Promise<Object>} - { signature, order, landing } where landing is the tracker's result;
+ * throws (with error.order and error.landing) unless the transaction was confirmed
+ */
+async function swapAndConfirm(jupiterService, inputMint, outputMint, amount, swapOptions, tokenMint, trackOptions = {}) {
+  let swap;
+  try {
+    swap = swapOptions.priorityFeeLamports
+      ? await jupiterService.executeSwapWithPriorityFee(inputMint, outputMint, amount, swapOptions)
+      : await jupiterService.executeUltraSwapWithOrder(inputMint, outputMint, amount, swapOptions);
+    logger.info(`Swap sent: ${swap.signature}`);
+  } catch (error) {
+    // Nothing was signed (e.g. the order was rejected), so nothing can land
+    if (!error.signature) throw error;
+    logger.warn(`Swap reported an error, tracking ${error.signature} in case it lands: ${error.message}`);
+    swap = {
+      signature: error.signature,
+      order: error.order || null,
+      blockhash: error.blockhash,
+      lastValidBlockHeight: error.lastValidBlockHeight
+    };
+  }
+
+  const landing = await trackTransaction(jupiterService.connection, swap.signature, {
+    blockhash: swap.blockhash,
+    lastValidBlockHeight: swap.lastValidBlockHeight,
+    owner: jupiterService.wallet.publicKey,
+    mint: tokenMint,
+    ...trackOptions
+  });
+
+  if (landing.status !== TX_STATUS.CONFIRMED) {
+    const error = new Error(landing.status === TX_STATUS.FAILED
+      ? `Transaction ${swap.signature} failed on chain: ${landing.error}`
+      : `Transaction ${swap.signature} ${landing.status} (${landing.error})`);
+    error.order = swap.order;
+    error.landing = landing;
+    throw error;
+  }
+
+  return { signature: swap.signature, order: swap.order, landing };
+}
+
+module.exports = {
+  TX_STATUS,
+  trackTransaction,
+  swapAndConfirm,
+  readBalanceChanges,
+  describeFill
+};
@@ -17,7 +17,8 @@ const DEFAULT_NETWORK = 'mainnet-beta';
  */
 function initializeConnection() {
     // Validate network setting
-    const network = process.env.NETWORK || DEFAULT_NETWORK;
+    const { BOT_CONFIG } = require('./config');
+    const network = BOT_CONFIG.NETWORK || DEFAULT_NETWORK;
     if (!NETWORKS.includes(network)) {
         throw new Error(`Invalid network specified. Must be one of: ${NETWORKS.join(', ')}`);
     }
@@ -132,14 +133,15 @@ async function checkWalletBalance(wallet) {
 /**
  * Initialize bot mode based on wallet balance
  * @param {number} balance Current wallet balance
+ * @param {string} [requestedMode] Mode passed on the command line, skips the prompt
  * @returns {Promise<string>} Selected mode
  */
-async function initializeMode(balance) {
+async function initializeMode(balance, requestedMode = null) {
     // Get the buy amount from config
     const { BOT_CONFIG } = require('./config');
     const buyAmount = BOT_CONFIG.BUY_AMOUNT_SOL;
 
-    return await selectMode(balance, MINIMUM_SOL_BALANCE, buyAmount);
+    return await selectMode(balance, MINIMUM_SOL_BALANCE, buyAmount, requestedMode);
 }
 
 async function main() {